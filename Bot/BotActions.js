@@ -8,6 +8,7 @@ import { Vec3 } from 'vec3';
 import pf from 'mineflayer-pathfinder';
 const { goals } = pf;
 import { createRequire } from 'module';
+import { isWater, isSolid, isOnFire, isHeadUnderwater, findLandingBlock } from './Hazards.js';
 
 const require = createRequire(import.meta.url);
 
@@ -48,9 +49,10 @@ class InvalidParameterError extends ActionError {
 function _findEntityByName(bot, name, maxDistance = 32) {
   const entities = Object.values(bot.entities);
   return entities.find(entity => {
-    if (!entity.name || !entity.position) return false;
+    if (!entity.name || !entity.position || entity === bot.entity) return false;
     const distance = bot.entity.position.distanceTo(entity.position);
-    return entity.name === name && distance <= maxDistance;
+    // Players have the name 'player', so match them by username as well
+    return (entity.name === name || entity.username === name) && distance <= maxDistance;
   });
 }
 
@@ -75,6 +77,34 @@ function _getBlockAt(bot, x, y, z) {
   return bot.blockAt(new Vec3(x, y, z));
 }
 
+function _findSafeSpot(bot, maxDistance) {
+  const feet = bot.entity.position.floored();
+  const unsafe = ['lava', 'fire', 'soul_fire', 'magma_block'];
+  let best = null;
+  let bestDistance = Infinity;
+  
+  for (let dx = -maxDistance; dx <= maxDistance; dx++) {
+    for (let dz = -maxDistance; dz <= maxDistance; dz++) {
+      for (let dy = -1; dy <= 2; dy++) {
+        const spot = feet.offset(dx, dy, dz);
+        const ground = bot.blockAt(spot.offset(0, -1, 0));
+        const body = [bot.blockAt(spot), bot.blockAt(spot.offset(0, 1, 0))];
+        
+        if (!isSolid(ground) || unsafe.includes(ground.name)) continue;
+        if (body.some(block => !block || isSolid(block) || unsafe.includes(block.name))) continue;
+        
+        const distance = spot.distanceTo(feet);
+        if (distance < bestDistance) {
+          best = spot;
+          bestDistance = distance;
+        }
+      }
+    }
+  }
+  
+  return best;
+}
+
 // Movement Actions
 export async function goTo(bot, params) {
   try {
@@ -139,6 +169,24 @@ export async function goToEntity(bot, params) {
   }
 }
 
+export async function followEntity(bot, params) {
+  try {
+    const { entityName, distance = 3 } = params;
+    const entity = _findEntityByName(bot, entityName);
+    
+    if (!entity) {
+      throw new TargetNotFoundError(`Entity '${entityName}' not found nearby`);
+    }
+    
+    // Dynamic goal: keeps following until stop() or a new goal
+    bot.pathfinder.setGoal(new goals.GoalFollow(entity, distance), true);
+    return { success: true, following: entityName };
+  } catch (error) {
+    if (error instanceof ActionError) throw error;
+    throw new ActionError(`Failed to follow entity: ${error.message}`, 'MOVEMENT_FAILED');
+  }
+}
+
 export async function jump(bot, params) {
   try {
     bot.setControlState('jump', true);
@@ -172,6 +220,7 @@ export async function sneak(bot, params) {
 
 export async function stop(bot, params) {
   try {
+    bot.combat?.stop('stop action');
     bot.pathfinder.stop();
     bot.clearControlStates();
     return { success: true };
@@ -408,7 +457,8 @@ export async function depositItem(bot, params) {
       throw new ResourceNotFoundError(`No ${itemName} in inventory to deposit`);
     }
     
-    await bot.deposit(window, item.type, item.metadata, count === -1 ? item.count : count);
+    // Deposit and withdraw are methods of the window bot.openContainer() returned
+    await window.deposit(item.type, item.metadata, count === -1 ? item.count : count);
     return { success: true, deposited: itemName, count: count };
   } catch (error) {
     if (error instanceof ActionError) throw error;
@@ -432,7 +482,14 @@ export async function withdrawItem(bot, params) {
       throw new InvalidParameterError(`Unknown item type: ${itemName}`);
     }
     
-    await bot.withdraw(window, itemType.id, null, count);
+    const available = window.containerItems()
+      .filter(item => item.type === itemType.id)
+      .reduce((total, item) => total + item.count, 0);
+    if (available === 0) {
+      throw new ResourceNotFoundError(`No ${itemName} in the open container`);
+    }
+    
+    await window.withdraw(itemType.id, null, count === -1 ? available : Math.min(count, available));
     return { success: true, withdrawn: itemName, count: count };
   } catch (error) {
     if (error instanceof ActionError) throw error;
@@ -635,13 +692,25 @@ export async function brew(bot, params) {
 // Combat Actions
 export async function attack(bot, params) {
   try {
-    const { entityName } = params;
-    const entity = _findEntityByName(bot, entityName);
+    const { entityName, entityId, maxDurationMs } = params;
+    // An id picks one entity, e.g. the assessed threat, not just the first of its kind
+    const entity = entityId !== undefined ?
+      [bot.entities[entityId]].find(candidate => candidate?.name === entityName || candidate?.username === entityName) :
+      _findEntityByName(bot, entityName);
     
     if (!entity) {
       throw new TargetNotFoundError(`Entity '${entityName}' not found`);
     }
     
+    // A whole fight with the combat controller, a single hit without it
+    if (bot.combat) {
+      const result = await bot.combat.fight(entity, { maxDurationMs });
+      if (result.outcome !== 'won') {
+        throw new ActionError(`Fight against ${entityName} ended: ${result.outcome}`, 'COMBAT_FAILED');
+      }
+      return { success: true, attacked: entityName, ...result };
+    }
+    
     await bot.attack(entity);
     return { success: true, attacked: entityName };
   } catch (error) {
@@ -681,11 +750,14 @@ export async function shield(bot, params) {
     const { enable } = params;
     
     if (enable) {
-      const shield = bot.inventory.items().find(item => item.name === 'shield');
-      if (!shield) {
-        throw new ResourceNotFoundError('No shield in inventory');
+      // Slot 45 is the off-hand, which inventory.items() leaves out
+      if (bot.inventory.slots[45]?.name !== 'shield') {
+        const shield = bot.inventory.items().find(item => item.name === 'shield');
+        if (!shield) {
+          throw new ResourceNotFoundError('No shield in inventory');
+        }
+        await bot.equip(shield, 'off-hand');
       }
-      await bot.equip(shield, 'off-hand');
       bot.activateItem(true);
     } else {
       bot.deactivateItem();
@@ -724,6 +796,217 @@ export async function flee(bot, params) {
   }
 }
 
+export async function pillarUp(bot, params) {
+  try {
+    const { blockName, height = 3 } = params;
+    const available = bot.inventory.items()
+      .filter(item => item.name === blockName)
+      .reduce((sum, item) => sum + item.count, 0);
+    
+    if (available < height) {
+      throw new ResourceNotFoundError(`Need ${height} ${blockName} to pillar up, have ${available}`);
+    }
+    
+    await bot.equip(_findItemInInventory(bot, blockName), 'hand');
+    await bot.look(bot.entity.yaw, -Math.PI / 2, true);
+    
+    let placed = 0;
+    while (placed < height) {
+      const feet = bot.entity.position.floored();
+      const ground = bot.blockAt(feet.offset(0, -1, 0));
+      const headroom = bot.blockAt(feet.offset(0, 2, 0));
+      if (headroom && headroom.boundingBox === 'block') {
+        break;
+      }
+      
+      // Place the block into the space the feet leave at the top of the jump
+      bot.setControlState('jump', true);
+      for (let tick = 0; tick < 10 && bot.entity.position.y < feet.y + 1; tick++) {
+        await bot.waitForTicks(1);
+      }
+      
+      try {
+        if (bot.entity.position.y < feet.y + 1) {
+          throw new Error('Jump did not clear the block below');
+        }
+        await bot.placeBlock(ground, new Vec3(0, 1, 0));
+      } finally {
+        bot.setControlState('jump', false);
+      }
+      await bot.waitForTicks(2);
+      placed++;
+    }
+    
+    if (placed === 0) {
+      throw new ActionError('No room above to pillar up', 'BLOCK_INTERACTION_FAILED');
+    }
+    
+    return { success: true, pillared: placed, blockName: blockName };
+  } catch (error) {
+    if (error instanceof ActionError) throw error;
+    throw new ActionError(`Failed to pillar up: ${error.message}`, 'BLOCK_INTERACTION_FAILED');
+  }
+}
+
+// Hazard Actions
+export async function escapeLava(bot, params) {
+  try {
+    const { maxDistance = 6 } = params;
+    const spot = _findSafeSpot(bot, maxDistance);
+    
+    if (!spot) {
+      throw new TargetNotFoundError(`No safe ground within ${maxDistance} blocks`);
+    }
+    
+    // Swimming keeps the head above the lava while walking out
+    bot.setControlState('jump', true);
+    try {
+      await goTo(bot, { x: spot.x + 0.5, y: spot.y, z: spot.z + 0.5, minDistance: 0 });
+    } finally {
+      bot.setControlState('jump', false);
+    }
+    
+    return { success: true, escapedTo: { x: spot.x, y: spot.y, z: spot.z } };
+  } catch (error) {
+    if (error instanceof ActionError) throw error;
+    throw new ActionError(`Failed to escape lava: ${error.message}`, 'MOVEMENT_FAILED');
+  }
+}
+
+export async function extinguish(bot, params) {
+  try {
+    if (!isOnFire(bot) || bot.entity.isInWater) {
+      return { success: true, burning: false };
+    }
+    
+    // Water evaporates in the Nether
+    const bucket = _findItemInInventory(bot, 'water_bucket');
+    if (bucket && !String(bot.game?.dimension).includes('nether')) {
+      await bot.equip(bucket, 'hand');
+      const ground = bot.entity.position.floored().offset(0, -1, 0);
+      await bot.lookAt(ground.offset(0.5, 1, 0.5), true);
+      bot.activateItem();
+      await bot.waitForTicks(10);
+      // Scoop the water back up with the empty bucket
+      bot.activateItem();
+      return { success: true, burning: false, method: 'water_bucket' };
+    }
+    
+    const water = bot.findBlock({ matching: block => isWater(block), maxDistance: 16 });
+    if (!water) {
+      throw new ResourceNotFoundError('No water bucket and no water nearby to put out the fire');
+    }
+    
+    await goTo(bot, { x: water.position.x, y: water.position.y, z: water.position.z, minDistance: 0 });
+    return { success: true, burning: false, method: 'water', position: water.position };
+  } catch (error) {
+    if (error instanceof ActionError) throw error;
+    throw new ActionError(`Failed to extinguish: ${error.message}`, 'SURVIVAL_FAILED');
+  }
+}
+
+export async function swimUp(bot, params) {
+  try {
+    const { maxTicks = 100 } = params;
+    
+    bot.setControlState('jump', true);
+    try {
+      for (let tick = 0; tick < maxTicks && isHeadUnderwater(bot); tick++) {
+        await bot.waitForTicks(1);
+      }
+    } finally {
+      bot.setControlState('jump', false);
+    }
+    
+    if (isHeadUnderwater(bot)) {
+      throw new ActionError('Still underwater after swimming up', 'MOVEMENT_FAILED');
+    }
+    
+    return { success: true, oxygenLevel: bot.oxygenLevel };
+  } catch (error) {
+    if (error instanceof ActionError) throw error;
+    throw new ActionError(`Failed to swim up: ${error.message}`, 'MOVEMENT_FAILED');
+  }
+}
+
+export async function digOut(bot, params) {
+  try {
+    const feet = bot.entity.position.floored();
+    
+    // Blocks inside the body first, else the one above the head to get out upwards
+    const inBody = [feet.offset(0, 1, 0), feet].map(position => bot.blockAt(position)).filter(isSolid);
+    const targets = inBody.length > 0 ? inBody : [bot.blockAt(feet.offset(0, 2, 0))].filter(isSolid);
+    
+    if (targets.length === 0) {
+      throw new TargetNotFoundError('No block to dig out of');
+    }
+    
+    const dug = [];
+    for (const target of targets) {
+      // Falling sand and gravel refill the space, so dig until it stays empty
+      for (let attempt = 0; attempt < 8; attempt++) {
+        const block = bot.blockAt(target.position);
+        if (!isSolid(block)) break;
+        
+        const tool = bot.pathfinder?.bestHarvestTool?.(block);
+        if (tool) {
+          await bot.equip(tool, 'hand');
+        }
+        await bot.dig(block);
+        dug.push(block.name);
+      }
+    }
+    
+    return { success: true, dug: dug };
+  } catch (error) {
+    if (error instanceof ActionError) throw error;
+    throw new ActionError(`Failed to dig out: ${error.message}`, 'BLOCK_INTERACTION_FAILED');
+  }
+}
+
+export async function waterBucketClutch(bot, params) {
+  try {
+    const { pourHeight = 3 } = params;
+    const bucket = _findItemInInventory(bot, 'water_bucket');
+    
+    if (!bucket) {
+      throw new ResourceNotFoundError('No water bucket to break the fall');
+    }
+    
+    await bot.equip(bucket, 'hand');
+    await bot.look(bot.entity.yaw, -Math.PI / 2, true);
+    
+    // Pour right before the impact, water placed too early has not reached the ground yet
+    let landing = findLandingBlock(bot);
+    for (let tick = 0; tick < 200 && landing && !bot.entity.onGround; tick++) {
+      if (isWater(landing) || bot.entity.position.y - (landing.position.y + 1) <= pourHeight) break;
+      await bot.waitForTicks(1);
+      landing = findLandingBlock(bot);
+    }
+    
+    if (!landing) {
+      throw new TargetNotFoundError('No ground below to pour water on');
+    }
+    if (isWater(landing) || bot.entity.onGround) {
+      return { success: true, clutched: false, landedIn: landing.name };
+    }
+    
+    bot.activateItem();
+    for (let tick = 0; tick < 40 && !bot.entity.onGround && !bot.entity.isInWater; tick++) {
+      await bot.waitForTicks(1);
+    }
+    
+    // Scoop the water back up with the empty bucket
+    await bot.waitForTicks(2);
+    bot.activateItem();
+    
+    return { success: true, clutched: true };
+  } catch (error) {
+    if (error instanceof ActionError) throw error;
+    throw new ActionError(`Failed to break the fall: ${error.message}`, 'SURVIVAL_FAILED');
+  }
+}
+
 // Interaction Actions
 export async function chat(bot, params) {
   try {
@@ -0,0 +1,284 @@
+/**
+ * ChatCommands.js - Standardbefehle für Spieler im Chat
+ * "Kurze Befehle, bekannte Wege"
+ * Jeder Befehl ruft nur bestehende Operationen von QueueManager, BotStateManager & Co. auf.
+ */
+
+import { CommandError } from './CommandRegistry.js';
+
+const LEARNING_CATEGORIES = ['inventar', 'crafting', 'blockinteraktion', 'survival', 'fight', 'moving'];
+
+// Minecraft cuts chat messages at 256 characters
+const MAX_REPLY_LENGTH = 240;
+
+function truncate(text, length = MAX_REPLY_LENGTH) {
+  return text.length > length ? `${text.slice(0, length - 3)}...` : text;
+}
+
+/**
+ * Register the built-in commands
+ * @param {CommandRegistry} registry
+ * @param {Object} modules - result of createModules()
+ * @param {Object} bot
+ */
+export function registerDefaultCommands(registry, modules, bot) {
+  const { queueManager, botStateManager, learningManager, skillLibrary, botActions, worldMemory } = modules;
+
+  registry.register({
+    name: 'help',
+    usage: '[command]',
+    description: 'List commands or explain one',
+    handler: ({ username, args, reply }) => {
+      registry.getHelp(username, args[0]).forEach(line => reply(line));
+    }
+  });
+
+  registry.register({
+    name: 'status',
+    description: 'Health, food, active queue and goal',
+    handler: ({ reply }) => {
+      const handlung = botStateManager.getCurrentHandlung();
+      const queue = botStateManager.getCurrentQueue() || 'idle';
+      const paused = botStateManager.isPaused() ? ' (paused)' : '';
+
+      reply(`Health ${Math.round(bot.health)}/20, food ${bot.food}/20, queue: ${queue}${paused}`);
+      reply(truncate(`Goal: ${botStateManager.getCurrentGoal() || 'none'}` +
+        (handlung.handlung ? ` - ${handlung.handlung} (${handlung.progress}%)` : '')));
+    }
+  });
+
+  registry.register({
+    name: 'watch',
+    aliases: ['watchme'],
+    role: 'trusted',
+    description: 'Pause and watch you until stopwatching',
+    handler: async ({ username, reply }) => {
+      await queueManager.handlePause();
+      botStateManager.setWatchingPlayer(true, username);
+      reply(`Watching you, ${username}.`);
+    }
+  });
+
+  registry.register({
+    name: 'stopwatching',
+    role: 'trusted',
+    description: 'Stop watching and continue',
+    handler: async ({ reply }) => {
+      botStateManager.setWatchingPlayer(false);
+      await queueManager.handleResume();
+      reply('Back to work.');
+    }
+  });
+
+  registry.register({
+    name: 'stop',
+    role: 'trusted',
+    description: 'Pause the current plan and stand still',
+    handler: async ({ reply }) => {
+      await queueManager.handlePause();
+      await botActions.stop(bot, {});
+      reply(`Stopped. ${registry.prefix}resume to continue.`);
+    }
+  });
+
+  registry.register({
+    name: 'resume',
+    aliases: ['continue'],
+    role: 'trusted',
+    description: 'Continue the paused plan',
+    handler: async ({ reply }) => {
+      await queueManager.handleResume();
+      reply('Continuing.');
+    }
+  });
+
+  registry.register({
+    name: 'reset',
+    aliases: ['resetgoals'],
+    role: 'admin',
+    description: 'Drop all queues and goals',
+    handler: async ({ reply }) => {
+      await queueManager.handleReset();
+      reply('All queues and goals reset.');
+    }
+  });
+
+  registry.register({
+    name: 'goal',
+    usage: '<text>',
+    role: 'trusted',
+    description: 'Give me a new goal',
+    handler: ({ username, args, reply }) => {
+      if (args.length === 0) {
+        throw new CommandError(`Usage: ${registry.prefix}goal <text>`);
+      }
+
+      const goal = queueManager.addGoal(args.join(' '), { player: username });
+      reply(goal ? `New goal: ${goal.goalDescription}` : 'I already have that goal.');
+    }
+  });
+
+  registry.register({
+    name: 'come',
+    role: 'trusted',
+    description: 'Pause and walk to you',
+    handler: async ({ username, reply }) => {
+      const target = bot.players[username]?.entity;
+      if (!target) {
+        throw new CommandError(`I can't see you, ${username}.`);
+      }
+
+      await queueManager.handlePause();
+
+      // Walking may take a while - do not hold up the event queue
+      const { x, y, z } = target.position;
+      botActions.goTo(bot, { x, y, z, minDistance: 2 })
+        .then(() => reply(`Here. ${registry.prefix}resume to continue.`))
+        .catch(error => reply(`Couldn't reach you: ${error.message}`));
+    }
+  });
+
+  registry.register({
+    name: 'follow',
+    usage: '[player|stop]',
+    role: 'trusted',
+    description: 'Pause and follow a player (default: you)',
+    handler: async ({ username, args, reply }) => {
+      if (args[0] === 'stop') {
+        await botActions.stop(bot, {});
+        reply(`Stopped following. ${registry.prefix}resume to continue.`);
+        return;
+      }
+
+      const playerName = args[0] || username;
+      if (!bot.players[playerName]?.entity) {
+        throw new CommandError(`I can't see ${playerName}.`);
+      }
+
+      await queueManager.handlePause();
+      await botActions.followEntity(bot, { entityName: playerName, distance: 3 });
+      reply(`Following ${playerName}. ${registry.prefix}follow stop to stop.`);
+    }
+  });
+
+  registry.register({
+    name: 'learnings',
+    usage: '<category>',
+    description: 'Show my top learnings in a category',
+    handler: async ({ args, reply }) => {
+      const category = args[0]?.toLowerCase();
+      if (!LEARNING_CATEGORIES.includes(category)) {
+        throw new CommandError(`Usage: ${registry.prefix}learnings <${LEARNING_CATEGORIES.join('|')}>`);
+      }
+
+      const learnings = await learningManager.getRelevantLearnings('standard', category, 3);
+      if (learnings.length === 0) {
+        reply(`No learnings about ${category} yet.`);
+        return;
+      }
+
+      learnings.forEach((learning, index) => {
+        reply(truncate(`${index + 1}. ${learning.content} (${Math.round(learning.metadata.confidence * 100)}%)`));
+      });
+    }
+  });
+
+  registry.register({
+    name: 'where',
+    usage: '<item>',
+    description: 'Tell which chests hold an item, e.g. !where iron',
+    handler: ({ args, reply }) => {
+      if (args.length === 0) {
+        throw new CommandError(`Usage: ${registry.prefix}where <item>`);
+      }
+
+      const query = args.join(' ');
+      const carried = bot.inventory.items()
+        .filter(item => item.name.includes(query.toLowerCase().replace(/\s+/g, '_')))
+        .reduce((total, item) => total + item.count, 0);
+      const matches = worldMemory.findItem(query, bot.entity.position, bot.game.dimension);
+
+      if (matches.length === 0) {
+        reply(carried > 0 ?
+          `I carry ${carried} ${query}, none in the chests I know.` :
+          `I don't know of any ${query} in chests I've opened.`);
+        return;
+      }
+
+      if (carried > 0) {
+        reply(`I carry ${carried} ${query}.`);
+      }
+      matches.slice(0, 3).forEach(({ place, items, distance }) => {
+        const checked = Math.round((Date.now() - (place.checkedAt || place.updatedAt)) / 60000);
+        reply(truncate(`${items.map(item => `${item.name} x${item.count}`).join(', ')} in ${place.blockName || 'container'} ` +
+          `at ${place.position.x} ${place.position.y} ${place.position.z} (${Math.round(distance)} blocks, checked ${checked} min ago)`));
+      });
+    }
+  });
+
+  registry.register({
+    name: 'waypoint',
+    aliases: ['wp'],
+    usage: 'list | set <name> | forget <name>',
+    role: 'trusted',
+    description: 'Name my current position (base is where I return after dying)',
+    handler: ({ args, reply }) => {
+      const [subcommand, name] = args;
+
+      if (subcommand === 'list' || !subcommand) {
+        const waypoints = worldMemory.list('waypoint');
+        reply(waypoints.length > 0 ?
+          truncate(`Waypoints: ${waypoints.map(waypoint =>
+            `${waypoint.name} (${waypoint.position.x} ${waypoint.position.y} ${waypoint.position.z}, ${waypoint.dimension})`).join(', ')}`) :
+          'No waypoints yet.');
+        return;
+      }
+
+      if (!['set', 'forget'].includes(subcommand) || !name) {
+        throw new CommandError(`Usage: ${registry.prefix}waypoint list | set <name> | forget <name>`);
+      }
+
+      if (subcommand === 'set') {
+        const waypoint = worldMemory.setWaypoint(name, bot.entity.position, bot.game.dimension);
+        reply(`Waypoint ${name} set at ${waypoint.position.x} ${waypoint.position.y} ${waypoint.position.z}.`);
+      } else {
+        reply(worldMemory.removeWaypoint(name) ? `Forgot waypoint ${name}.` : `No waypoint named ${name}.`);
+      }
+    }
+  });
+
+  registry.register({
+    name: 'skill',
+    usage: 'list | run <name>',
+    role: 'trusted',
+    description: 'List or run learned skills',
+    handler: async ({ args, reply }) => {
+      const skills = Array.from(skillLibrary.skills.values());
+
+      if (args[0] === 'list') {
+        reply(skills.length > 0 ?
+          truncate(`Skills: ${skills.map(skill => skill.skillName).join(', ')}`) :
+          'No skills learned yet.');
+        return;
+      }
+
+      if (args[0] !== 'run' || args.length < 2) {
+        throw new CommandError(`Usage: ${registry.prefix}skill list | ${registry.prefix}skill run <name>`);
+      }
+
+      const name = args.slice(1).join(' ').toLowerCase();
+      const skill = skills.find(entry => entry.skillName.toLowerCase() === name || entry.skillId === name);
+      if (!skill) {
+        throw new CommandError(`No skill named '${name}'. ${registry.prefix}skill list shows all.`);
+      }
+
+      await queueManager.handlePause();
+      reply(`Running skill ${skill.skillName}...`);
+
+      // Skills run like actions: off the event queue, report when done
+      skillLibrary.executeSkill(skill.skillId)
+        .then(() => reply(`Skill ${skill.skillName} done. ${registry.prefix}resume to continue.`))
+        .catch(error => reply(`Skill ${skill.skillName} failed: ${error.message}`));
+    }
+  });
+}
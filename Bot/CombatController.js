@@ -0,0 +1,475 @@
+/**
+ * CombatController.js - Ein ganzer Kampf statt eines Schlags
+ * "Zuschlagen, ausweichen, rechtzeitig gehen"
+ * Führt mit mineflayer-pvp einen Kampf gegen ein Ziel bis zum Ende: beste
+ * Waffe und Schild anlegen, kritische Treffer, seitliches Ausweichen, Bogen
+ * auf Distanz, Rückzug bei wenig Leben. Je Mob-Art ein Strategieprofil, das
+ * aus dem Ausgang jedes Kampfes lernt (Learning-Kategorie "fight").
+ */
+
+import winston from 'winston';
+import ThreatAssessor from '../Queues/ThreatAssessor.js';
+import { flee } from './BotActions.js';
+
+/**
+ * How to fight a mob, adjusted after every fight against it
+ */
+const DEFAULT_PROFILE = {
+  retreatHealth: 8,      // stop fighting at or below this health
+  bowRange: 10,          // shoot instead of melee beyond this distance, if bow and arrows are at hand
+  crits: true,           // jump in melee range so hits land while falling
+  strafe: true,          // sidestep while in melee range
+  shieldApproach: false, // raise the shield while closing in
+  hitAndRun: false       // back off after every hit
+};
+
+// Starting points per mob, where the default does not fit
+const BASE_PROFILES = {
+  creeper: { bowRange: 5, hitAndRun: true, crits: false, retreatHealth: 10 },
+  skeleton: { bowRange: 14, shieldApproach: true },
+  stray: { bowRange: 14, shieldApproach: true },
+  pillager: { bowRange: 14, shieldApproach: true },
+  blaze: { bowRange: 6, shieldApproach: true },
+  ghast: { bowRange: 0 },
+  witch: { bowRange: 6, retreatHealth: 10 },
+  enderman: { strafe: false, retreatHealth: 10 }
+};
+
+// Learning keeps the retreat threshold within these bounds
+const MIN_RETREAT_HEALTH = 4;
+const MAX_RETREAT_HEALTH = 14;
+
+// Distance at which mineflayer-pvp swings
+const MELEE_RANGE = 3;
+
+const DEFAULT_FIGHT_MS = 20000;
+const STRAFE_TICKS = 10;
+const HIT_AND_RUN_TICKS = 10;
+const BOW_CHARGE_TICKS = 20;
+
+// Arrows fly about 3 blocks per tick and drop with gravity 0.05 per tick²
+const ARROW_SPEED = 3;
+const ARROW_DROP = 0.025;
+
+// Fight learnings are read from every queue that can start a fight
+const LEARNING_QUEUES = ['standard', 'emergency', 'respawn'];
+
+class CombatController {
+  constructor(bot, learningManager, botStateManager, logger) {
+    this.bot = bot;
+    this.learningManager = learningManager;
+    this.botStateManager = botStateManager;
+    this.threatAssessor = new ThreatAssessor(bot, logger);
+
+    // mob name -> profile, loaded from learnings on first use
+    this.profiles = new Map();
+    this.activeFight = null;
+
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.printf(({ timestamp, level, message }) => {
+          return `[${timestamp}] [CombatController] ${level}: ${message}`;
+        })
+      ),
+      transports: [
+        new winston.transports.Console({
+          level: process.env.LOG_LEVEL || 'info'
+        })
+      ]
+    });
+  }
+
+  /**
+   * Fight an entity until it dies, the bot has to retreat or the time is up
+   * @param {Object} target - mineflayer entity
+   * @param {Object} options - { maxDurationMs }
+   * @returns {Object} { outcome: 'won'|'retreated'|'died'|'timeout'|'lost_target'|'stopped', ... }
+   */
+  async fight(target, options = {}) {
+    const previous = this.activeFight;
+    const state = {
+      target,
+      profile: null,
+      queueType: this.botStateManager?.getCurrentQueue() || 'standard',
+      startTime: Date.now(),
+      lastHealth: this.bot.health,
+      damageTaken: 0,
+      hits: 0,
+      hitPending: false,
+      shots: 0,
+      killed: false,
+      hadBow: false,
+      stopReason: null,
+      strafeDirection: 1,
+      backOffUntil: 0,
+      shieldRaised: false
+    };
+    state.done = new Promise(resolve => { state.finish = resolve; });
+
+    // Taken over right away, so stop() and a third fight reach this one
+    this.activeFight = state;
+
+    let listeners = null;
+    let outcome;
+    try {
+      // The old fight has to let go of pvp and the controls before this one takes them
+      if (previous) {
+        previous.stopReason = 'new target';
+        await previous.done;
+      }
+
+      state.profile = await this.getProfile(target.name);
+      this.logger.info(`Fighting ${target.name} with profile ${JSON.stringify(state.profile)}`);
+
+      listeners = this.attachListeners(state);
+      state.weapon = await this.equipForCombat();
+      outcome = await this.runFight(state, options.maxDurationMs || DEFAULT_FIGHT_MS);
+    } finally {
+      if (listeners) {
+        this.detachListeners(listeners);
+      }
+      // A fight started meanwhile owns pvp and the controls now
+      if (this.activeFight === state) {
+        this.endEngagement(state);
+        this.activeFight = null;
+      }
+      state.finish();
+    }
+
+    const result = {
+      outcome,
+      target: target.name,
+      durationMs: Date.now() - state.startTime,
+      damageTaken: state.damageTaken,
+      hits: state.hits,
+      shots: state.shots
+    };
+
+    if (outcome === 'retreated') {
+      await this.retreat(target);
+    }
+
+    this.logger.info(`Fight against ${target.name}: ${outcome} after ${Math.round(result.durationMs / 1000)}s, took ${state.damageTaken} damage`);
+    await this.recordOutcome(state, result);
+
+    return result;
+  }
+
+  /**
+   * Abort the running fight, e.g. when an emergency takes over
+   */
+  stop(reason = 'stopped') {
+    if (this.activeFight) {
+      this.activeFight.stopReason = reason;
+    }
+  }
+
+  isFighting() {
+    return this.activeFight !== null;
+  }
+
+  async runFight(state, maxDurationMs) {
+    const deadline = state.startTime + maxDurationMs;
+    const { target, profile } = state;
+
+    for (let tick = 0; ; tick++) {
+      if (state.stopReason) return 'stopped';
+      if (state.killed) return 'won';
+      if (this.bot.health <= 0) return 'died';
+      if (!this.bot.entities[target.id]) return 'lost_target';
+      if (this.bot.health <= profile.retreatHealth) return 'retreated';
+      if (Date.now() > deadline) return 'timeout';
+
+      const distance = target.position.distanceTo(this.bot.entity.position);
+      const canShoot = this.canShoot();
+      state.hadBow = state.hadBow || canShoot;
+
+      if (canShoot && distance > profile.bowRange) {
+        await this.shoot(state);
+      } else {
+        await this.meleeTick(state, tick, distance);
+      }
+
+      await this.bot.waitForTicks(1);
+    }
+  }
+
+  /**
+   * One tick of melee: mineflayer-pvp follows and swings, this adds shield, crits, strafing and hit and run
+   */
+  async meleeTick(state, tick, distance) {
+    const { target, profile } = state;
+
+    if (tick < state.backOffUntil) {
+      return;
+    }
+    if (state.backOffUntil > 0 && tick === state.backOffUntil) {
+      this.bot.setControlState('back', false);
+    }
+
+    if (this.bot.pvp.target !== target) {
+      if (this.bot.heldItem?.name === 'bow') {
+        await this.equipForCombat();
+      }
+      this.bot.pvp.attack(target);
+    }
+
+    // Shield up while closing in, down to swing
+    if (profile.shieldApproach && this.bot.inventory.slots[45]?.name === 'shield') {
+      const closingIn = distance > MELEE_RANGE + 1;
+      if (closingIn !== state.shieldRaised) {
+        closingIn ? this.bot.activateItem(true) : this.bot.deactivateItem();
+        state.shieldRaised = closingIn;
+      }
+    }
+
+    const inRange = distance <= MELEE_RANGE;
+
+    // A hit while falling is a critical hit
+    this.bot.setControlState('jump', inRange && profile.crits && this.bot.entity.onGround);
+
+    if (inRange && profile.strafe) {
+      if (tick % STRAFE_TICKS === 0) {
+        state.strafeDirection = -state.strafeDirection;
+      }
+      this.bot.setControlState('left', state.strafeDirection > 0);
+      this.bot.setControlState('right', state.strafeDirection < 0);
+    } else {
+      this.bot.setControlState('left', false);
+      this.bot.setControlState('right', false);
+    }
+
+    if (profile.hitAndRun && state.hitPending) {
+      state.hitPending = false;
+      this.bot.pvp.stop();
+      this.bot.setControlState('back', true);
+      state.backOffUntil = tick + HIT_AND_RUN_TICKS;
+    }
+  }
+
+  /**
+   * Draw, aim with lead and drop, release
+   */
+  async shoot(state) {
+    const { target } = state;
+
+    if (this.bot.pvp.target) {
+      this.bot.pvp.stop();
+    }
+
+    const bow = this.bot.inventory.items().find(item => item.name === 'bow');
+    if (this.bot.heldItem?.name !== 'bow') {
+      await this.bot.equip(bow, 'hand');
+    }
+
+    await this.bot.lookAt(this.aimPoint(target), true);
+    this.bot.activateItem();
+    await this.bot.waitForTicks(BOW_CHARGE_TICKS);
+
+    if (!this.bot.entities[target.id]) {
+      this.bot.deactivateItem();
+      return;
+    }
+
+    await this.bot.lookAt(this.aimPoint(target), true);
+    this.bot.deactivateItem();
+    state.shots++;
+  }
+
+  aimPoint(target) {
+    const distance = target.position.distanceTo(this.bot.entity.position);
+    const flightTicks = distance / ARROW_SPEED;
+    const velocity = target.velocity || { x: 0, y: 0, z: 0 };
+
+    return target.position.offset(
+      velocity.x * flightTicks,
+      (target.height ?? 1.8) * 0.7 + ARROW_DROP * flightTicks * flightTicks,
+      velocity.z * flightTicks
+    );
+  }
+
+  canShoot() {
+    const items = this.bot.inventory.items();
+    return items.some(item => item.name === 'bow') && items.some(item => item.name === 'arrow');
+  }
+
+  /**
+   * Best weapon into the hand, shield into the off-hand
+   * @returns {String|null} the weapon's name
+   */
+  async equipForCombat() {
+    const { weapon } = this.threatAssessor.getDefense();
+    const items = this.bot.inventory.items();
+
+    if (weapon && this.bot.heldItem?.name !== weapon) {
+      await this.bot.equip(items.find(item => item.name === weapon), 'hand');
+    }
+
+    const shield = items.find(item => item.name === 'shield');
+    if (shield && this.bot.inventory.slots[45]?.name !== 'shield') {
+      await this.bot.equip(shield, 'off-hand');
+    }
+
+    return weapon;
+  }
+
+  async retreat(target) {
+    try {
+      await flee(this.bot, { entityName: target.name, distance: 20 });
+    } catch (error) {
+      this.logger.warn(`Retreat from ${target.name} failed: ${error.message}`);
+    }
+  }
+
+  attachListeners(state) {
+    const listeners = {
+      entityDead: (entity) => {
+        if (entity.id === state.target.id) state.killed = true;
+      },
+      entityHurt: (entity) => {
+        if (entity.id === state.target.id) {
+          state.hits++;
+          state.hitPending = true;
+        }
+      },
+      health: () => {
+        if (this.bot.health < state.lastHealth) {
+          state.damageTaken += state.lastHealth - this.bot.health;
+        }
+        state.lastHealth = this.bot.health;
+      }
+    };
+
+    for (const [event, listener] of Object.entries(listeners)) {
+      this.bot.on(event, listener);
+    }
+    return listeners;
+  }
+
+  detachListeners(listeners) {
+    for (const [event, listener] of Object.entries(listeners)) {
+      this.bot.removeListener(event, listener);
+    }
+  }
+
+  endEngagement(state) {
+    this.bot.pvp.stop();
+    ['jump', 'left', 'right', 'back'].forEach(control => this.bot.setControlState(control, false));
+    if (state.shieldRaised) {
+      this.bot.deactivateItem();
+    }
+  }
+
+  /**
+   * Profile for a mob: default, base profile, then what the last fights taught
+   */
+  async getProfile(mobName) {
+    if (!this.profiles.has(mobName)) {
+      const learned = await this.loadLearnedProfile(mobName);
+      this.profiles.set(mobName, { ...DEFAULT_PROFILE, ...BASE_PROFILES[mobName], ...learned });
+    }
+    return { ...this.profiles.get(mobName) };
+  }
+
+  /**
+   * The profile stored with the latest fight learning against this mob
+   */
+  async loadLearnedProfile(mobName) {
+    if (!this.learningManager) {
+      return {};
+    }
+
+    const learnings = [];
+    for (const queueType of LEARNING_QUEUES) {
+      learnings.push(...await this.learningManager.getLearnings(queueType, 'fight'));
+    }
+
+    const latest = learnings
+      .filter(learning => learning.context?.mob === mobName && learning.context.profile)
+      .sort((a, b) => new Date(b.metadata.createdAt) - new Date(a.metadata.createdAt))[0];
+    if (!latest) {
+      return {};
+    }
+
+    // Only known settings, a hand-edited learning must not add new ones
+    return Object.fromEntries(
+      Object.keys(DEFAULT_PROFILE)
+        .filter(key => typeof latest.context.profile[key] === typeof DEFAULT_PROFILE[key])
+        .map(key => [key, latest.context.profile[key]])
+    );
+  }
+
+  /**
+   * Adjust the profile to the outcome: bolder after easy wins, more careful after losses
+   */
+  adaptProfile(state, result) {
+    const profile = { ...state.profile };
+
+    switch (result.outcome) {
+      case 'won':
+        if (result.damageTaken < 4) {
+          profile.retreatHealth = Math.max(MIN_RETREAT_HEALTH, profile.retreatHealth - 1);
+        } else if (result.damageTaken >= 10) {
+          profile.retreatHealth = Math.min(MAX_RETREAT_HEALTH, profile.retreatHealth + 1);
+          profile.shieldApproach = true;
+        }
+        break;
+
+      case 'retreated':
+      case 'died':
+        profile.retreatHealth = Math.min(MAX_RETREAT_HEALTH, profile.retreatHealth + 2);
+        // Keep it at a distance next time
+        if (state.hadBow) {
+          profile.bowRange = Math.max(MELEE_RANGE + 1, profile.bowRange - 2);
+        }
+        break;
+    }
+
+    return profile;
+  }
+
+  async recordOutcome(state, result) {
+    // Nothing to learn from a fight that never really happened
+    if (result.outcome === 'stopped' || result.outcome === 'lost_target') {
+      return;
+    }
+
+    const profile = this.adaptProfile(state, result);
+    this.profiles.set(result.target, profile);
+
+    const won = result.outcome === 'won';
+    const weapon = `${state.shots > 0 ? 'bow and ' : ''}${state.weapon || 'fists'}`;
+
+    try {
+      await this.learningManager?.addLearning(state.queueType, {
+        category: 'fight',
+        learningType: won ? 'actionLearning' : 'antiAction',
+        content: `Fight against ${result.target} with ${weapon}: ${result.outcome} after ${Math.round(result.durationMs / 1000)}s, took ${result.damageTaken} damage`,
+        confidence: won ? 0.8 : 0.6,
+        context: {
+          mob: result.target,
+          outcome: result.outcome,
+          damageTaken: result.damageTaken,
+          durationMs: result.durationMs,
+          hits: result.hits,
+          shots: result.shots,
+          weapon: state.weapon || null,
+          profile
+        }
+      });
+    } catch (error) {
+      this.logger.error(`Failed to record fight outcome: ${error.message}`);
+    }
+  }
+
+  getStatus() {
+    return {
+      fighting: this.activeFight?.target.name || null,
+      profiles: Object.fromEntries(this.profiles)
+    };
+  }
+}
+
+export default CombatController;
@@ -0,0 +1,196 @@
+/**
+ * CommandRegistry.js - Chat-Befehle mit Präfix, Argumenten und Rollen
+ * "Wer darf was sagen"
+ * Zerlegt Chatnachrichten in Befehle, prüft Berechtigungen und führt registrierte Handler aus.
+ */
+
+import winston from 'winston';
+
+// Ordered from least to most privileged
+const ROLES = ['everyone', 'trusted', 'admin'];
+
+/**
+ * Thrown by handlers for wrong usage; the message is sent to the player as-is
+ */
+export class CommandError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CommandError';
+  }
+}
+
+function parsePlayerList(value) {
+  return (value || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => name.length > 0);
+}
+
+class CommandRegistry {
+  constructor(bot, logger, options = {}) {
+    this.bot = bot;
+    this.commands = new Map(); // name -> command
+    this.aliases = new Map();  // alias -> name
+
+    this.prefix = options.prefix || process.env.COMMAND_PREFIX || '!';
+    this.admins = parsePlayerList(options.admins ?? process.env.BOT_ADMINS);
+    this.trustedPlayers = parsePlayerList(options.trustedPlayers ?? process.env.TRUSTED_PLAYERS);
+
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.printf(({ timestamp, level, message }) => {
+          return `[${timestamp}] [CommandRegistry] ${level}: ${message}`;
+        })
+      ),
+      transports: [
+        new winston.transports.Console({
+          level: process.env.LOG_LEVEL || 'info'
+        })
+      ]
+    });
+  }
+
+  /**
+   * Register a command
+   * @param {Object} command - { name, description, usage, role, aliases, handler(ctx) }
+   */
+  register(command) {
+    if (!command.name || typeof command.handler !== 'function') {
+      throw new Error('Command needs a name and a handler');
+    }
+    if (command.role && !ROLES.includes(command.role)) {
+      throw new Error(`Unknown role '${command.role}' for command ${command.name}`);
+    }
+
+    const entry = {
+      name: command.name.toLowerCase(),
+      description: command.description || '',
+      usage: command.usage || '',
+      role: command.role || 'everyone',
+      aliases: (command.aliases || []).map(alias => alias.toLowerCase()),
+      handler: command.handler
+    };
+
+    this.commands.set(entry.name, entry);
+    for (const alias of entry.aliases) {
+      this.aliases.set(alias, entry.name);
+    }
+  }
+
+  getCommand(name) {
+    const key = name.toLowerCase();
+    return this.commands.get(key) || this.commands.get(this.aliases.get(key)) || null;
+  }
+
+  isCommand(message) {
+    return typeof message === 'string' && message.startsWith(this.prefix) && message.length > this.prefix.length;
+  }
+
+  /**
+   * Split a command line into name and arguments; "double quotes" group words
+   */
+  parse(message) {
+    if (!this.isCommand(message)) {
+      return null;
+    }
+
+    const tokens = [];
+    const pattern = /"([^"]*)"|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(message.slice(this.prefix.length))) !== null) {
+      tokens.push(match[1] ?? match[2]);
+    }
+
+    if (tokens.length === 0) {
+      return null;
+    }
+
+    return {
+      name: tokens[0].toLowerCase(),
+      args: tokens.slice(1)
+    };
+  }
+
+  getRole(username) {
+    const name = username.toLowerCase();
+    if (this.admins.includes(name)) return 'admin';
+    if (this.trustedPlayers.includes(name)) return 'trusted';
+    return 'everyone';
+  }
+
+  hasPermission(username, command) {
+    return ROLES.indexOf(this.getRole(username)) >= ROLES.indexOf(command.role);
+  }
+
+  /**
+   * Parse, authorize and run a chat command; returns false if nothing was run
+   */
+  async execute(username, message) {
+    const parsed = this.parse(message);
+    if (!parsed) {
+      return false;
+    }
+
+    const reply = (text) => this.bot.chat(text);
+    const command = this.getCommand(parsed.name);
+
+    if (!command) {
+      reply(`Unknown command '${parsed.name}'. Try ${this.prefix}help`);
+      return false;
+    }
+
+    if (!this.hasPermission(username, command)) {
+      this.logger.warn(`${username} (${this.getRole(username)}) may not use ${command.name}`);
+      reply(`${username}, you are not allowed to use ${this.prefix}${command.name}.`);
+      return false;
+    }
+
+    this.logger.info(`Running command ${command.name} for ${username} with args: ${JSON.stringify(parsed.args)}`);
+
+    try {
+      await command.handler({
+        username: username,
+        args: parsed.args,
+        role: this.getRole(username),
+        reply: reply
+      });
+      return true;
+
+    } catch (error) {
+      if (error instanceof CommandError) {
+        reply(error.message);
+      } else {
+        this.logger.error(`Command ${command.name} failed: ${error.message}`);
+        reply(`${this.prefix}${command.name} failed: ${error.message}`);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Help lines for the commands a player may use, or details for one command
+   */
+  getHelp(username, name = null) {
+    if (name) {
+      const command = this.getCommand(name);
+      if (!command) {
+        return [`Unknown command '${name}'.`];
+      }
+      const aliases = command.aliases.length > 0 ? ` (alias: ${command.aliases.join(', ')})` : '';
+      return [`${this.prefix}${command.name} ${command.usage}`.trim() + ` - ${command.description}${aliases}`];
+    }
+
+    const available = Array.from(this.commands.values())
+      .filter(command => this.hasPermission(username, command))
+      .map(command => this.prefix + command.name);
+
+    return [
+      `Commands: ${available.join(', ')}`,
+      `${this.prefix}help <command> for details.`
+    ];
+  }
+}
+
+export default CommandRegistry;
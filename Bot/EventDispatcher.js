@@ -25,6 +25,9 @@ class EventDispatcher {
     this.processedCount = 0;
     this.statusUpdateInterval = null;
     
+    // Passive observers (e.g. the control API), notified of every accepted event
+    this.subscribers = new Set();
+    
     // Setup logger
     this.logger = logger || winston.createLogger({
       level: 'info',
@@ -124,6 +127,8 @@ class EventDispatcher {
     // Gebot 7: Log event receipt
     this.logger.debug(`Event '${eventMessage.eventType}' received and added to queue. Queue size: ${this.priorityQueue.size + 1}`);
     
+    this._notifySubscribers(eventMessage);
+    
     // Add to priority queue with inverted priority (lower number = higher priority)
     const priority = this.invertPriority(eventMessage.priority);
     
@@ -160,6 +165,25 @@ class EventDispatcher {
     }
   }
   
+  /**
+   * Observe dispatched events without influencing them
+   * Returns a function that removes the listener again.
+   */
+  subscribe(listener) {
+    this.subscribers.add(listener);
+    return () => this.subscribers.delete(listener);
+  }
+  
+  _notifySubscribers(eventMessage) {
+    for (const listener of this.subscribers) {
+      try {
+        listener(eventMessage);
+      } catch (error) {
+        this.logger.error(`Event subscriber failed: ${error.message}`);
+      }
+    }
+  }
+  
   /**
    * Invert priority for p-queue (lower number = higher priority)
    */
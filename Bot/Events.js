@@ -5,6 +5,8 @@
  */
 
 import { v4 as uuidv4 } from 'uuid';
+import { classifyBlock } from '../Memory/WorldMemory.js';
+import { detectHazard, hazardFromDamageSource } from './Hazards.js';
 
 class Events {
   constructor(bot, botStateManager) {
@@ -18,11 +20,40 @@ class Events {
     this.lastPosition = null;
     this.combatStartTime = null;
     this.containerOpenTime = null;
+    this.openContainerBlock = null; // { name, position } of the container window, if known
+    this.inventorySnapshot = []; // Taken on every hit, the server may clear the inventory before 'death'
+    this.fallStartY = null; // Highest point since the bot left the ground
+    this.lastHazard = null; // { hazard, time } of the last hazard event
     
     // Critical thresholds
     this.HUNGER_CRITICAL_THRESHOLD = 10;
     this.HEALTH_CRITICAL_THRESHOLD = 6;
     this.DAMAGE_THRESHOLD = 0.5; // Minimum damage to trigger event
+    this.HAZARD_REPEAT_MS = 3000; // The same hazard is reported again only after this
+    
+    this.commandRegistry = null; // Knows the command prefix and player roles
+    this.worldMemory = null; // Remembers container contents
+  }
+  
+  /**
+   * Set the WorldMemory reference
+   */
+  setWorldMemory(worldMemory) {
+    this.worldMemory = worldMemory;
+  }
+  
+  /**
+   * Set the CommandRegistry reference
+   */
+  setCommandRegistry(registry) {
+    this.commandRegistry = registry;
+  }
+  
+  /**
+   * Whether a player may teach the bot via chat (trusted players and admins)
+   */
+  isTrustedPlayer(username) {
+    return this.commandRegistry !== null && this.commandRegistry.getRole(username) !== 'everyone';
   }
   
   /**
@@ -45,9 +76,11 @@ class Events {
     
     // Health & survival events
     this.bot.on('health', () => this.handleHealth());
+    this.bot.on('breath', () => this.checkHazards('breath'));
+    this.bot.on('move', () => this.handleMove());
     
     // Combat events
-    this.bot.on('entityHurt', (entity) => this.handleEntityHurt(entity));
+    this.bot.on('entityHurt', (entity, source) => this.handleEntityHurt(entity, source));
     this.bot.on('entityAttack', (entity) => this.handleEntityAttack(entity));
     this.bot.on('entityGone', (entity) => this.handleEntityGone(entity));
     
@@ -162,8 +195,14 @@ class Events {
   }
   
   handleDeath() {
-    const deathPosition = this.bot.entity ? this.bot.entity.position : null;
-    this.botStateManager.setDead(true, deathPosition, 'unknown');
+    // The entity position is reused after respawn
+    const deathPosition = this.bot.entity ? this.bot.entity.position.clone() : null;
+    const inventory = this.takeInventorySnapshot();
+    const lostInventory = inventory.length > 0 ? inventory : this.inventorySnapshot;
+    // A hazard reported shortly before is the likely cause
+    const reason = this.lastHazard && Date.now() - this.lastHazard.time < 10000 ? this.lastHazard.hazard : 'unknown';
+    this.botStateManager.setDead(true, deathPosition, reason, lostInventory);
+    this.fallStartY = null;
     
     const event = this.createEventMessage(
       'death',
@@ -173,6 +212,7 @@ class Events {
         details: {
           position: deathPosition,
           lastHealth: this.lastHealth,
+          lostInventory: lostInventory,
           combatActive: this.botStateManager.isInCombat()
         },
         affectedQueues: ['standard', 'emergency'],
@@ -187,6 +227,18 @@ class Events {
     this.dispatch(event);
   }
   
+  /**
+   * Carried items, stacks of the same item added up
+   * @returns {Array} [{ name, count }]
+   */
+  takeInventorySnapshot() {
+    const totals = new Map();
+    for (const item of this.bot.inventory?.items() || []) {
+      totals.set(item.name, (totals.get(item.name) || 0) + item.count);
+    }
+    return Array.from(totals, ([name, count]) => ({ name, count }));
+  }
+  
   handleHealth() {
     const currentHealth = this.bot.health;
     const currentFood = this.bot.food;
@@ -202,8 +254,13 @@ class Events {
     if (currentHealth < this.lastHealth && (this.lastHealth - currentHealth) >= this.DAMAGE_THRESHOLD) {
       // Damage received
       const damageAmount = this.lastHealth - currentHealth;
+      this.inventorySnapshot = this.takeInventorySnapshot();
       const isCritical = currentHealth <= this.HEALTH_CRITICAL_THRESHOLD;
       
+      // Damage from lava, fire and the like gets its own emergency
+      const hazard = this.checkHazards('damage');
+      const interrupts = isCritical && !hazard;
+      
       const event = this.createEventMessage(
         'damage_received',
         isCritical ? 1 : 2,
@@ -213,12 +270,13 @@ class Events {
             previousHealth: this.lastHealth,
             currentHealth: currentHealth,
             damage: damageAmount,
-            isCritical: isCritical
+            isCritical: isCritical,
+            source: hazard?.hazard
           },
-          affectedQueues: isCritical ? ['emergency'] : [],
-          requiresImmediateAction: isCritical
+          affectedQueues: interrupts ? ['emergency'] : [],
+          requiresImmediateAction: interrupts
         },
-        isCritical ? {
+        interrupts ? {
           actionRequired: 'interrupt',
           targetQueue: 'emergency'
         } : {}
@@ -254,11 +312,13 @@ class Events {
     this.lastFood = currentFood;
   }
   
-  handleEntityHurt(entity) {
+  handleEntityHurt(entity, source) {
     if (!entity) return;
     
     // Check if bot was hurt
     if (entity.id === this.bot.entity.id) {
+      this.checkHazards('damage', source);
+
       if (!this.botStateManager.isInCombat()) {
         this.botStateManager.setInCombat(true, 'unknown');
         this.combatStartTime = Date.now();
@@ -266,6 +326,69 @@ class Events {
     }
   }
   
+  /**
+   * Track the height of a fall and check the surroundings while moving
+   */
+  handleMove() {
+    const entity = this.bot.entity;
+    if (!entity?.position) return;
+    
+    if (entity.onGround || entity.isInWater) {
+      this.fallStartY = null;
+    } else if (this.fallStartY === null || entity.position.y > this.fallStartY) {
+      this.fallStartY = entity.position.y;
+    }
+    
+    this.checkHazards('move');
+  }
+  
+  /**
+   * Detect an environmental hazard and interrupt for it
+   * @param {String} trigger - 'damage', 'breath' or 'move'
+   * @param {Object} source - damage source from the server, if it names one
+   * @returns {Object|null} the hazard, also when it was reported shortly before
+   */
+  checkHazards(trigger, source = null) {
+    if (this.bot.isAlive === false) return null;
+    
+    const sourceHazard = hazardFromDamageSource(source);
+    const hazard = detectHazard(this.bot, { fallStartY: this.fallStartY, damaged: trigger === 'damage' }) ||
+      (sourceHazard ? { hazard: sourceHazard } : null);
+    if (!hazard) return null;
+    
+    // Gebot 3: Filter noise - a hazard lasts, report it once
+    const now = Date.now();
+    if (this.lastHazard?.hazard === hazard.hazard && now - this.lastHazard.time < this.HAZARD_REPEAT_MS) {
+      return hazard;
+    }
+    this.lastHazard = { hazard: hazard.hazard, time: now };
+    
+    const position = this.bot.entity.position;
+    const event = this.createEventMessage(
+      'environmental_hazard',
+      1,
+      {
+        sourceEvent: trigger,
+        details: {
+          ...hazard,
+          source: hazard.hazard,
+          position: { x: Math.floor(position.x), y: Math.floor(position.y), z: Math.floor(position.z) },
+          health: this.bot.health,
+          oxygenLevel: this.bot.oxygenLevel
+        },
+        affectedQueues: ['emergency'],
+        requiresImmediateAction: true
+      },
+      {
+        actionRequired: 'interrupt',
+        targetQueue: 'emergency'
+      }
+    );
+    
+    this.dispatch(event);
+    return hazard;
+  }
+  
   handleEntityAttack(entity) {
     if (!entity || entity.id === this.bot.entity.id) return;
     
@@ -305,10 +428,11 @@ class Events {
     // Gebot 3: Filter bot's own messages
     if (username === this.bot.username) return;
     
-    // Check for special commands
-    const isCommand = message.startsWith('WatchME') || 
-                     message.startsWith('StopWatching') || 
-                     message.startsWith('ResetGoals');
+    // Commands are executed by the CommandRegistry via QueueManager
+    const isCommand = this.commandRegistry !== null && this.commandRegistry.isCommand(message);
+    
+    // Non-command chat from trusted players goes through the tip parser
+    const isTip = !isCommand && this.isTrustedPlayer(username);
     
     const event = this.createEventMessage(
       'chat_received',
@@ -318,15 +442,16 @@ class Events {
         details: {
           username: username,
           message: message,
-          isCommand: isCommand
+          isCommand: isCommand,
+          isTip: isTip
         },
         affectedQueues: isCommand ? ['standard', 'emergency', 'respawn'] : [],
         requiresImmediateAction: isCommand
       },
       isCommand ? {
-        actionRequired: message.startsWith('WatchME') ? 'pause' : 
-                       message.startsWith('StopWatching') ? 'resume' : 
-                       message.startsWith('ResetGoals') ? 'reset' : 'none'
+        actionRequired: 'command'
+      } : isTip ? {
+        actionRequired: 'learn_tip'
       } : {}
     );
     
@@ -354,11 +479,13 @@ class Events {
   
   handleWindowOpen(window) {
     this.containerOpenTime = Date.now();
+    this.openContainerBlock = this.findContainerBlock(window);
     this.botStateManager.setInteractingWithContainer(
       true, 
       window.type,
-      null // Position unknown from window object
+      this.openContainerBlock?.position || null
     );
+    this.recordContainerContents(window);
     
     const event = this.createEventMessage(
       'status_update',
@@ -368,7 +495,8 @@ class Events {
         details: {
           windowType: window.type,
           windowTitle: window.title,
-          slots: window.slots.length
+          slots: window.slots.length,
+          position: this.openContainerBlock?.position || null
         },
         affectedQueues: [],
         requiresImmediateAction: false
@@ -379,6 +507,9 @@ class Events {
   }
   
   handleWindowClose(window) {
+    // Deposits and withdrawals are done by now
+    this.recordContainerContents(window);
+    this.openContainerBlock = null;
     this.botStateManager.setInteractingWithContainer(false);
     
     const event = this.createEventMessage(
@@ -398,6 +529,37 @@ class Events {
     this.dispatch(event);
   }
   
+  /**
+   * The container block behind a window
+   * Mineflayer windows carry no position; the bot looks at the block it opens.
+   */
+  findContainerBlock(window) {
+    const block = window.position ?
+      this.bot.blockAt(window.position) :
+      this.bot.blockAtCursor?.(6);
+    
+    return block && classifyBlock(block.name) === 'container' ?
+      { name: block.name, position: block.position } :
+      null;
+  }
+  
+  /**
+   * Store what the open container holds in the world memory
+   */
+  recordContainerContents(window) {
+    if (!this.worldMemory || !this.openContainerBlock || typeof window.containerItems !== 'function') {
+      return;
+    }
+    
+    const contents = window.containerItems().map(item => ({ name: item.name, count: item.count }));
+    this.worldMemory.recordContainer(
+      this.openContainerBlock.position,
+      this.bot.game.dimension,
+      contents,
+      this.openContainerBlock.name
+    );
+  }
+  
   handleSleep() {
     const event = this.createEventMessage(
       'status_update',
@@ -0,0 +1,166 @@
+/**
+ * Hazards.js - Gefahren aus der Umgebung erkennen
+ * "Nicht jeder Schaden hat ein Gesicht"
+ * Lava, Feuer, Ertrinken, tödliche Stürze und Ersticken in Blöcken.
+ * Liest nur die Umgebung des Bots und seinen Zustand, verändert nichts.
+ */
+
+// Emergency types for environmental hazards, most urgent first
+export const HAZARD_TYPES = ['fall', 'lava', 'suffocation', 'drowning', 'fire'];
+
+// Player eye height above the feet
+const EYE_HEIGHT = 1.62;
+
+// Oxygen runs from 20 down to 0, then drowning damage starts
+const OXYGEN_WARNING = 8;
+
+// Falls up to this height do no damage, every block beyond costs one health point
+const SAFE_FALL_HEIGHT = 3;
+
+// How far below the feet the ground is searched while falling
+const GROUND_SCAN_DEPTH = 64;
+
+const WATER_BLOCKS = ['water', 'bubble_column', 'kelp', 'kelp_plant', 'seagrass', 'tall_seagrass'];
+const FIRE_BLOCKS = ['fire', 'soul_fire'];
+
+// Damage type names sent by servers from 1.19.4 on
+const DAMAGE_SOURCES = {
+  lava: 'lava',
+  in_fire: 'fire',
+  on_fire: 'fire',
+  drown: 'drowning',
+  fall: 'fall',
+  in_wall: 'suffocation'
+};
+
+export function isWater(block) {
+  return Boolean(block && (WATER_BLOCKS.includes(block.name) || block.getProperties?.().waterlogged));
+}
+
+export function isSolid(block) {
+  return Boolean(block && block.boundingBox === 'block');
+}
+
+/**
+ * Entity flag 0x01 in metadata index 0 means burning
+ */
+export function isOnFire(bot) {
+  const flags = bot.entity.metadata?.[0];
+  if (typeof flags === 'number' && (flags & 0x01)) {
+    return true;
+  }
+  return FIRE_BLOCKS.includes(bot.blockAt(bot.entity.position)?.name);
+}
+
+export function isInLava(bot) {
+  return Boolean(bot.entity.isInLava) || bot.blockAt(bot.entity.position)?.name === 'lava';
+}
+
+export function isHeadUnderwater(bot) {
+  return isWater(bot.blockAt(bot.entity.position.offset(0, EYE_HEIGHT, 0)));
+}
+
+export function isInsideBlock(bot) {
+  return isSolid(bot.blockAt(bot.entity.position.offset(0, EYE_HEIGHT, 0)));
+}
+
+/**
+ * The first block below the feet that stops a fall, or null within the scan depth
+ */
+export function findLandingBlock(bot) {
+  const feet = bot.entity.position.floored();
+  for (let depth = 1; depth <= GROUND_SCAN_DEPTH; depth++) {
+    const block = bot.blockAt(feet.offset(0, -depth, 0));
+    if (!block) {
+      return null;
+    }
+    if (isSolid(block) || isWater(block) || block.name === 'lava') {
+      return block;
+    }
+  }
+  return null;
+}
+
+/**
+ * Expected fall damage, or 0 when the bot is not falling or lands in water
+ * @param {Number|null} fallStartY - height where the fall began, tracked by the caller
+ */
+export function predictFallDamage(bot, fallStartY) {
+  const entity = bot.entity;
+  if (entity.onGround || entity.isInWater || (entity.velocity?.y ?? 0) >= 0) {
+    return 0;
+  }
+
+  const landing = findLandingBlock(bot);
+  if (!landing || isWater(landing)) {
+    return 0;
+  }
+
+  const top = Math.max(fallStartY ?? entity.position.y, entity.position.y);
+  const height = top - (landing.position.y + 1);
+  return Math.max(0, Math.ceil(height - SAFE_FALL_HEIGHT));
+}
+
+/**
+ * Hazard type for a damage source reported by the server, or null
+ */
+export function hazardFromDamageSource(source) {
+  const name = typeof source === 'string' ? source : (source?.type?.name || source?.name);
+  return DAMAGE_SOURCES[name?.replace('minecraft:', '')] || null;
+}
+
+/**
+ * The most urgent hazard the bot is in right now
+ * @param {Object} bot
+ * @param {Object} state - { fallStartY, damaged } from the caller
+ * @returns {Object|null} { hazard, ...details }
+ */
+export function detectHazard(bot, state = {}) {
+  if (!bot.entity?.position) {
+    return null;
+  }
+
+  const fallDamage = predictFallDamage(bot, state.fallStartY);
+  if (fallDamage >= bot.health) {
+    return { hazard: 'fall', expectedDamage: fallDamage, health: bot.health };
+  }
+
+  if (isInLava(bot)) {
+    return { hazard: 'lava', health: bot.health };
+  }
+
+  // Heads brush through blocks for a moment while walking, only a stuck one hurts
+  if (state.damaged && isInsideBlock(bot)) {
+    return { hazard: 'suffocation', block: bot.blockAt(bot.entity.position.offset(0, EYE_HEIGHT, 0))?.name };
+  }
+
+  if (isHeadUnderwater(bot) && (bot.oxygenLevel ?? 20) <= OXYGEN_WARNING) {
+    return { hazard: 'drowning', oxygenLevel: bot.oxygenLevel };
+  }
+
+  if (isOnFire(bot)) {
+    return { hazard: 'fire', health: bot.health };
+  }
+
+  return null;
+}
+
+/**
+ * Whether the bot is out of a hazard again
+ */
+export function isHazardResolved(bot, hazard) {
+  switch (hazard) {
+    case 'fall':
+      return Boolean(bot.entity.onGround || bot.entity.isInWater);
+    case 'lava':
+      return !isInLava(bot) && !isOnFire(bot);
+    case 'fire':
+      return !isOnFire(bot);
+    case 'drowning':
+      return !isHeadUnderwater(bot);
+    case 'suffocation':
+      return !isInsideBlock(bot);
+    default:
+      return true;
+  }
+}
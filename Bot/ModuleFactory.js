@@ -0,0 +1,133 @@
+/**
+ * ModuleFactory.js - Verdrahtung aller Module in der richtigen Reihenfolge
+ * "Ein Bauplan für echten Server und Simulator"
+ * Enthält nur Konstruktion und Abhängigkeiten, kein Starten von Listenern.
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { mkdirSync } from 'fs';
+
+// Module imports - KORREKT: Funktionale Module als Objekte importieren
+import BotStateManager from '../Queues/BotStateManager.js';
+import Events from './Events.js';
+import OllamaInterface from '../LLM/OllamaInterface.js';
+import AiResponseParser from '../LLM/AiResponseParser.js';
+import * as actionValidator from '../LLM/ActionValidator.js';
+import QueueManager from '../Queues/QueueManager.js';
+import EventDispatcher from './EventDispatcher.js';
+import LearningManager from '../Memory/LearningManager.js';
+import WorldMemory from '../Memory/WorldMemory.js';
+import CombatController from './CombatController.js';
+import SkillLibrary from './SkillLibrary.js';
+import CommandRegistry from './CommandRegistry.js';
+import { registerDefaultCommands } from './ChatCommands.js';
+import ErrorRecovery from '../Utils/ErrorRecovery.js';
+import PerformanceMonitor from '../Utils/PerformanceMonitor.js';
+import * as botActions from './BotActions.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Memory root honoring MEMORY_DIR
+ */
+export function getMemoryDir() {
+  return process.env.MEMORY_DIR || join(dirname(__dirname), 'Memory');
+}
+
+/**
+ * Create the per-queue memory directories below the memory root
+ */
+export function ensureMemoryDirectories(memoryDir = getMemoryDir()) {
+  for (const subDir of ['StandardQueue', 'EmergencyQueue', 'RespawnQueue', 'SkillMemory', 'WorldMemory']) {
+    mkdirSync(join(memoryDir, subDir), { recursive: true });
+  }
+}
+
+/**
+ * Instantiate all modules for a spawned bot.
+ * Options override individual constructor arguments (the simulator passes its own LLM settings).
+ */
+export function createModules(bot, logger, options = {}) {
+  const modules = {};
+
+  // PerformanceMonitor reads live game state from modules.bot
+  modules.bot = bot;
+
+  // Phase 1: Core modules without dependencies
+  modules.botStateManager = new BotStateManager();
+  modules.learningManager = new LearningManager();
+  modules.worldMemory = new WorldMemory(getMemoryDir(), logger);
+
+  // Phase 2: Funktionale Module (NICHT instanziieren!)
+  modules.botActions = botActions;
+  bot.botActions = modules.botActions;
+  modules.actionValidator = actionValidator;
+
+  // The attack action fights through bot.combat, like plugins do
+  modules.combatController = new CombatController(bot, modules.learningManager, modules.botStateManager, logger);
+  bot.combat = modules.combatController;
+
+  // Phase 3: LLM modules
+  modules.ollamaInterface = new OllamaInterface(
+    process.env.OLLAMA_HOST,
+    process.env.OLLAMA_MODEL || 'llama2',
+    parseInt(process.env.OLLAMA_TIMEOUT) || 30000,
+    { provider: options.provider || process.env.LLM_PROVIDER || 'ollama' }
+  );
+  modules.aiResponseParser = new AiResponseParser(modules.actionValidator, bot, modules.botStateManager, logger);
+
+  // Phase 4: Error Recovery
+  modules.errorRecovery = new ErrorRecovery(bot, modules.learningManager, logger);
+
+  // Phase 5: Queue Manager (creates queues internally)
+  modules.queueManager = new QueueManager(
+    bot,
+    modules.botStateManager,
+    modules.ollamaInterface,
+    modules.aiResponseParser,
+    modules.botActions,
+    modules.learningManager,
+    logger,
+    modules.worldMemory
+  );
+
+  // Initialize queue manager (this creates the queues)
+  modules.queueManager.initialize();
+
+  // Phase 6: Event Dispatcher
+  modules.eventDispatcher = new EventDispatcher(
+    bot,
+    modules.queueManager,
+    modules.botStateManager,
+    logger
+  );
+
+  // Phase 7: Events
+  modules.events = new Events(
+    bot,
+    modules.botStateManager
+  );
+
+  // Set the event dispatcher reference
+  modules.events.setEventDispatcher(modules.eventDispatcher);
+  modules.events.setWorldMemory(modules.worldMemory);
+
+  // Phase 8: Advanced modules
+  modules.skillLibrary = new SkillLibrary(
+    bot,
+    modules.learningManager
+  );
+
+  // Phase 8b: Chat commands (need queues, memory and skills)
+  modules.commandRegistry = new CommandRegistry(bot, logger);
+  registerDefaultCommands(modules.commandRegistry, modules, bot);
+  modules.events.setCommandRegistry(modules.commandRegistry);
+  modules.queueManager.setCommandRegistry(modules.commandRegistry);
+
+  // Phase 9: Performance Monitor (needs all modules)
+  modules.performanceMonitor = new PerformanceMonitor(modules, logger);
+
+  return modules;
+}
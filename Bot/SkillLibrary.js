@@ -23,7 +23,8 @@ class SkillLibrary {
     
     // Skill storage
     this.skills = new Map();
-    this.skillsFilePath = join(dirname(__dirname), 'Memory', 'SkillMemory', 'skills.json');
+    const memoryDir = process.env.MEMORY_DIR || join(dirname(__dirname), 'Memory');
+    this.skillsFilePath = join(memoryDir, 'SkillMemory', 'skills.json');
     
     // Execution tracking
     this.executionHistory = [];
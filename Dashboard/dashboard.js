@@ -0,0 +1,279 @@
+/**
+ * dashboard.js - Live-Ansicht des laufenden Bots im Browser
+ * "Alles an einem Ort statt verstreut im Log"
+ * Liest nur die Control-API (REST + WebSocket), kein Build-Schritt, keine Abhängigkeiten.
+ */
+
+const STATUS_INTERVAL = 2000;
+const HISTORY_INTERVAL = 15000;
+const MAX_EVENTS = 200;
+
+let token = localStorage.getItem('piepslamaToken') || '';
+let eventSocket = null;
+
+const $ = (id) => document.getElementById(id);
+
+function element(tag, text, className) {
+  const node = document.createElement(tag);
+  if (text !== undefined) node.textContent = text;
+  if (className) node.className = className;
+  return node;
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString();
+}
+
+async function api(path, options = {}) {
+  const response = await fetch(path, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`${path}: ${response.status}`);
+  }
+  return response.json();
+}
+
+function setOnline(online) {
+  $('connection').textContent = online ? 'online' : 'offline';
+  $('connection').classList.toggle('offline', !online);
+}
+
+// ===== Now: queue, goal, action queue =====
+
+async function refreshStatus() {
+  try {
+    const [status, state] = await Promise.all([api('/status'), api('/state')]);
+    setOnline(true);
+    renderOverview(status, state);
+    renderActionQueue(status.queueStates.standard);
+    renderGoals(status.queueStates.standard?.goals || []);
+  } catch (error) {
+    setOnline(false);
+  }
+}
+
+function renderOverview(status, state) {
+  const paused = status.pausedQueue ? ` (paused: ${status.pausedQueue})` : '';
+  $('active-queue').textContent = (status.activeQueue || 'idle') + paused;
+  $('current-goal').textContent = state.currentGoal || '-';
+  $('current-handlung').textContent = state.currentHandlung ?
+    `${state.currentHandlung} (${state.handlungProgress}%)` : '-';
+  $('vitals').textContent = `${Math.round(state.lastHealth)} / ${state.lastFood}` + (state.isDead ? ' - dead' : '');
+  $('action-stats').textContent = `${state.actionsExecutedCount} executed, ${state.failedActionsCount} failed`;
+}
+
+function renderActionQueue(standard) {
+  const list = $('action-queue');
+  list.replaceChildren();
+
+  if (!standard || standard.actionQueue.length === 0) {
+    list.append(element('li', 'No plan', 'done'));
+    return;
+  }
+
+  standard.actionQueue.forEach((action, index) => {
+    const className = index < standard.currentActionIndex ? 'done' :
+                      index === standard.currentActionIndex ? 'running' : '';
+    list.append(element('li', `${action.actionName} ${JSON.stringify(action.parameters)}`, className));
+  });
+}
+
+function renderGoals(goals) {
+  const tree = $('goal-tree');
+  tree.replaceChildren();
+
+  if (goals.length === 0) {
+    tree.append(element('li', 'No open goals', 'done'));
+    return;
+  }
+
+  for (const goal of goals) {
+    const item = element('li', `${goal.goalDescription} - ${goal.status}, ${goal.progress}%`);
+    const handlungen = element('ul');
+    for (const handlung of goal.handlungen) {
+      const className = handlung.status === 'completed' ? 'done' :
+                        handlung.status === 'active' ? 'running' :
+                        handlung.status === 'failed' ? 'failed' : '';
+      handlungen.append(element('li', handlung.description, className));
+    }
+    item.append(handlungen);
+    tree.append(item);
+  }
+}
+
+// ===== History: vitals, alerts, errors =====
+
+async function refreshHistory() {
+  try {
+    const [history, alerts, errors] = await Promise.all([
+      api('/metrics/history'),
+      api('/alerts'),
+      api('/errors')
+    ]);
+    renderVitals(history);
+    renderLog($('alert-list'), alerts.reverse(), alert =>
+      [`${formatTime(alert.timestamp)} [${alert.component}] ${alert.message}`, `level-${alert.level}`]);
+    renderLog($('error-list'), errors.reverse(), error =>
+      [`${formatTime(error.timestamp)} [${error.context.module || error.category}] ${error.message}`, error.severity >= 3 ? 'level-error' : 'level-warning']);
+  } catch (error) {
+    setOnline(false);
+  }
+}
+
+function renderLog(list, entries, format) {
+  list.replaceChildren();
+  if (entries.length === 0) {
+    list.append(element('li', 'Nothing yet', 'done'));
+    return;
+  }
+  for (const entry of entries) {
+    const [text, className] = format(entry);
+    list.append(element('li', text, className));
+  }
+}
+
+function renderVitals(history) {
+  const svg = $('vitals-chart');
+  const points = history.filter(entry => entry.summary.health !== undefined);
+  svg.replaceChildren();
+
+  if (points.length < 2) {
+    $('timeline-range').textContent = '- waiting for data';
+    return;
+  }
+
+  const toPolyline = (key, className) => {
+    const line = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+    const coordinates = points.map((entry, index) => {
+      const x = (index / (points.length - 1)) * 600;
+      const y = 155 - (entry.summary[key] / 20) * 150;
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    });
+    line.setAttribute('points', coordinates.join(' '));
+    line.setAttribute('fill', 'none');
+    line.setAttribute('stroke-width', '2');
+    line.setAttribute('stroke', getComputedStyle(document.documentElement).getPropertyValue(`--${className}`));
+    return line;
+  };
+
+  svg.append(toPolyline('health', 'health'), toPolyline('food', 'food'));
+  $('timeline-range').textContent = `- ${formatTime(points[0].timestamp)} to ${formatTime(points[points.length - 1].timestamp)}`;
+}
+
+// ===== Learnings browser =====
+
+async function showLearnings(event) {
+  event?.preventDefault();
+  const queue = $('learning-queue').value;
+  const category = $('learning-category').value;
+  const rows = $('learning-rows');
+
+  try {
+    const learnings = await api(`/learnings/${category}?queue=${queue}`);
+    rows.replaceChildren();
+
+    if (learnings.length === 0) {
+      const row = element('tr');
+      row.append(element('td', 'No learnings', 'done'));
+      rows.append(row);
+      return;
+    }
+
+    for (const learning of learnings) {
+      const row = element('tr');
+      const source = learning.source?.type === 'chat_tip' ? `tip from ${learning.source.player}` : (learning.source?.type || 'bot');
+      row.append(
+        element('td', learning.content),
+        element('td', learning.learningType),
+        element('td', `${Math.round(learning.metadata.confidence * 100)}%`),
+        element('td', String(learning.metadata.useCount)),
+        element('td', source)
+      );
+      rows.append(row);
+    }
+  } catch (error) {
+    setOnline(false);
+  }
+}
+
+// ===== Live events =====
+
+function connectEvents() {
+  if (eventSocket) {
+    eventSocket.onclose = null;
+    eventSocket.close();
+  }
+
+  const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+  const query = token ? `?token=${encodeURIComponent(token)}` : '';
+  eventSocket = new WebSocket(`${protocol}//${location.host}/events${query}`);
+
+  eventSocket.onmessage = (message) => {
+    const { type, data } = JSON.parse(message.data);
+    if (type !== 'event') return;
+
+    const log = $('event-log');
+    const details = data.data?.details?.message || data.data?.sourceEvent || '';
+    log.prepend(element('li', `${formatTime(data.timestamp)} P${data.priority} ${data.eventType} ${details}`,
+      data.priority <= 2 ? 'level-warning' : ''));
+
+    while (log.children.length > MAX_EVENTS) {
+      log.lastChild.remove();
+    }
+  };
+
+  // Reconnect after bot restarts
+  eventSocket.onclose = () => setTimeout(connectEvents, 5000);
+}
+
+// ===== Controls =====
+
+async function sendCommand(path, body) {
+  try {
+    await api(path, { method: 'POST', body: body ? JSON.stringify(body) : undefined });
+    refreshStatus();
+  } catch (error) {
+    alert(`Command failed: ${error.message}`);
+  }
+}
+
+document.querySelectorAll('[data-command]').forEach(button => {
+  button.addEventListener('click', () => {
+    const command = button.dataset.command;
+    if (command === 'reset' && !confirm('Drop all queues and goals?')) return;
+    sendCommand(`/${command}`);
+  });
+});
+
+$('goal-form').addEventListener('submit', (event) => {
+  event.preventDefault();
+  const goal = $('goal-input').value.trim();
+  if (!goal) return;
+  sendCommand('/goals', { goal });
+  $('goal-input').value = '';
+});
+
+$('token-form').addEventListener('submit', (event) => {
+  event.preventDefault();
+  token = $('token').value;
+  localStorage.setItem('piepslamaToken', token);
+  refreshStatus();
+  refreshHistory();
+  connectEvents();
+});
+
+$('learning-form').addEventListener('submit', showLearnings);
+
+$('token').value = token;
+refreshStatus();
+refreshHistory();
+showLearnings();
+connectEvents();
+setInterval(refreshStatus, STATUS_INTERVAL);
+setInterval(refreshHistory, HISTORY_INTERVAL);
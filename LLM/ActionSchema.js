@@ -0,0 +1,259 @@
+/**
+ * ActionSchema.js - JSON Schema der erlaubten LLM-Antworten
+ * "Was nicht gesagt werden kann, muss nicht verworfen werden"
+ * Erzeugt aus availableActions.json ein JSON Schema, mit dem Backends die
+ * Ausgabe des Modells schon beim Generieren einschränken. ActionValidator
+ * prüft danach trotzdem alles - das Schema kennt weder Inventar noch Welt.
+ */
+
+import { getAvailableActions, BLOCK_PLACEHOLDERS, MAX_LOOP_ITERATIONS } from './ActionValidator.js';
+
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+const GOAL_CATEGORIES = ['survival', 'crafting', 'building', 'exploration'];
+
+// Parameters named like a placeholder's coordinate may hold the placeholder inside forEach
+const PLACEHOLDER_PARAMETERS = Object.values(BLOCK_PLACEHOLDERS);
+
+// Top-level response per prompt; prompts without actions keep plain JSON mode
+const RESPONSE_SHAPES = {
+  status_update_prompt: 'array',
+  action_queue_prompt: {},
+  plan_repair_prompt: {},
+  emergency_prompt: {
+    analysis: { type: 'string' },
+    priority: { type: 'string', enum: PRIORITIES }
+  },
+  respawn_prompt: {
+    analysis: { type: 'string' },
+    priority: { type: 'string', enum: PRIORITIES },
+    strategy: { type: 'string' },
+    riskAssessment: { type: 'object' }
+  },
+  genesis_prompt: {
+    analysis: { type: 'string' },
+    priority: { type: 'string', enum: PRIORITIES },
+    goalQueue: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          goalId: { type: 'string' },
+          goalDescription: { type: 'string' },
+          priority: { type: 'integer', minimum: 1, maximum: 10 },
+          category: { type: 'string', enum: GOAL_CATEGORIES },
+          dependsOn: { type: 'array', items: { type: 'string' } }
+        },
+        required: ['goalId', 'goalDescription', 'priority', 'category', 'dependsOn'],
+        additionalProperties: false
+      }
+    }
+  }
+};
+
+const schemaCache = new Map();
+
+function parameterSchema(paramName, paramConfig) {
+  const schema = { type: paramConfig.type || 'string' };
+
+  if (paramConfig.enum) {
+    schema.enum = paramConfig.enum;
+  }
+  if (paramConfig.default !== undefined) {
+    schema.default = paramConfig.default;
+  }
+
+  if (schema.type === 'number' && PLACEHOLDER_PARAMETERS.includes(paramName)) {
+    return { anyOf: [schema, { type: 'string', enum: Object.keys(BLOCK_PLACEHOLDERS) }] };
+  }
+  return schema;
+}
+
+/**
+ * One branch of the action union: actionName fixed, parameters exactly as defined
+ */
+function actionBranch(actionName, definition) {
+  const parameters = definition.parameters || {};
+
+  return {
+    type: 'object',
+    properties: {
+      actionName: { const: actionName },
+      parameters: {
+        type: 'object',
+        properties: Object.fromEntries(
+          Object.entries(parameters).map(([name, config]) => [name, parameterSchema(name, config)])
+        ),
+        required: Object.keys(parameters).filter(name => parameters[name].required),
+        additionalProperties: false
+      },
+      successCriteria: { type: 'string' },
+      timeoutMs: { type: 'integer', minimum: 0 },
+      fallbackAction: { $ref: '#/$defs/fallbackAction' }
+    },
+    required: ['actionName', 'parameters'],
+    additionalProperties: false
+  };
+}
+
+function rangeCondition(extraProperties = {}, required = []) {
+  return {
+    type: 'object',
+    properties: {
+      ...extraProperties,
+      atLeast: { type: 'number' },
+      atMost: { type: 'number' }
+    },
+    required: required,
+    additionalProperties: false
+  };
+}
+
+function nearbyCondition(nameProperty) {
+  return {
+    type: 'object',
+    properties: {
+      [nameProperty]: { type: 'string' },
+      maxDistance: { type: 'number', minimum: 1, maximum: 64 }
+    },
+    required: [nameProperty],
+    additionalProperties: false
+  };
+}
+
+// Mirrors conditionSchemas in ActionValidator: an object with exactly one key
+function conditionSchema() {
+  const conditions = {
+    inventory: rangeCondition({ itemName: { type: 'string' } }, ['itemName']),
+    health: rangeCondition(),
+    food: rangeCondition(),
+    time: { type: 'string', enum: ['day', 'night'] },
+    blockNearby: nearbyCondition('blockName'),
+    entityNearby: nearbyCondition('entityName'),
+    not: { $ref: '#/$defs/condition' }
+  };
+
+  return {
+    anyOf: Object.entries(conditions).map(([type, schema]) => ({
+      type: 'object',
+      properties: { [type]: schema },
+      required: [type],
+      additionalProperties: false
+    }))
+  };
+}
+
+function controlStepSchemas() {
+  const steps = { type: 'array', items: { $ref: '#/$defs/step' } };
+  const loopLimit = { type: 'integer', minimum: 1, maximum: MAX_LOOP_ITERATIONS };
+
+  return [
+    {
+      type: 'object',
+      properties: {
+        control: { const: 'if' },
+        condition: { $ref: '#/$defs/condition' },
+        then: { ...steps, minItems: 1 },
+        else: steps
+      },
+      required: ['control', 'condition', 'then'],
+      additionalProperties: false
+    },
+    {
+      type: 'object',
+      properties: {
+        control: { const: 'repeatUntil' },
+        condition: { $ref: '#/$defs/condition' },
+        maxIterations: loopLimit,
+        actions: { ...steps, minItems: 1 }
+      },
+      required: ['control', 'condition', 'actions'],
+      additionalProperties: false
+    },
+    {
+      type: 'object',
+      properties: {
+        control: { const: 'forEach' },
+        blockName: { type: 'string' },
+        maxDistance: { type: 'number', minimum: 1, maximum: 64 },
+        maxCount: loopLimit,
+        actions: { ...steps, minItems: 1 }
+      },
+      required: ['control', 'blockName', 'actions'],
+      additionalProperties: false
+    }
+  ];
+}
+
+/**
+ * Shared definitions: the action union, control steps and conditions
+ */
+export function buildDefinitions() {
+  const actions = Object.values(getAvailableActions()).flatMap(group => Object.entries(group));
+  const actionNames = actions.map(([name]) => name);
+
+  return {
+    action: {
+      anyOf: actions.map(([name, definition]) => actionBranch(name, definition))
+    },
+    fallbackAction: {
+      anyOf: [
+        { type: 'null' },
+        { type: 'string', enum: actionNames },
+        {
+          type: 'object',
+          properties: {
+            actionName: { type: 'string', enum: actionNames },
+            parameters: { type: 'object' },
+            fallbackAction: { $ref: '#/$defs/fallbackAction' }
+          },
+          required: ['actionName'],
+          additionalProperties: false
+        }
+      ]
+    },
+    step: {
+      anyOf: [{ $ref: '#/$defs/action' }, ...controlStepSchemas()]
+    },
+    condition: conditionSchema()
+  };
+}
+
+/**
+ * JSON Schema for the response to a prompt
+ * @param {String} promptName - e.g. 'action_queue_prompt'
+ * @returns {Object|null} schema, or null if the prompt has no action output
+ */
+export function getResponseSchema(promptName) {
+  if (!RESPONSE_SHAPES[promptName]) {
+    return null;
+  }
+
+  if (schemaCache.has(promptName)) {
+    return schemaCache.get(promptName);
+  }
+
+  const shape = RESPONSE_SHAPES[promptName];
+  const actionQueue = { type: 'array', items: { $ref: '#/$defs/step' } };
+
+  const schema = shape === 'array' ?
+    { ...actionQueue, $defs: buildDefinitions() } :
+    {
+      type: 'object',
+      properties: { ...shape, actionQueue: actionQueue },
+      required: [...Object.keys(shape), 'actionQueue'],
+      additionalProperties: false,
+      $defs: buildDefinitions()
+    };
+
+  schemaCache.set(promptName, schema);
+  return schema;
+}
+
+/**
+ * Prompt section for backends that cannot constrain their output
+ */
+export function describeResponseSchema(schema) {
+  return '[RESPONSE_SCHEMA]\n' +
+    'Your response must be valid JSON matching this JSON Schema:\n' +
+    JSON.stringify(schema);
+}
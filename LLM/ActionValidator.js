@@ -9,6 +9,7 @@ import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { createRequire } from 'module';
+import { Vec3 } from 'vec3';
 
 const require = createRequire(import.meta.url);
 
@@ -17,7 +18,7 @@ const __dirname = dirname(__filename);
 
 // Load available actions on startup
 const availableActionsPath = join(__dirname, 'availableActions.json');
-const availableActions = JSON.parse(readFileSync(availableActionsPath, 'utf8'));
+const { recoveryPolicies = {}, ...availableActions } = JSON.parse(readFileSync(availableActionsPath, 'utf8'));
 
 // Flatten all actions into a single lookup map
 const actionMap = {};
@@ -27,14 +28,44 @@ Object.values(availableActions).forEach(category => {
   });
 });
 
+// Control steps in action queues and their limits
+const CONTROL_TYPES = ['if', 'repeatUntil', 'forEach'];
+const MAX_CONTROL_DEPTH = 2;
+export const MAX_LOOP_ITERATIONS = 16;
+
+// Placeholders a forEach body uses for the coordinates of the current block
+export const BLOCK_PLACEHOLDERS = { $x: 'x', $y: 'y', $z: 'z' };
+
+// Predicates for if and repeatUntil - each condition is an object with exactly one of these keys (or 'not')
+const rangeSchema = Joi.object({
+  atLeast: Joi.number(),
+  atMost: Joi.number()
+}).or('atLeast', 'atMost');
+
+const conditionSchemas = {
+  inventory: rangeSchema.keys({ itemName: Joi.string().required() }),
+  health: rangeSchema,
+  food: rangeSchema,
+  time: Joi.string().valid('day', 'night'),
+  blockNearby: Joi.object({
+    blockName: Joi.string().required(),
+    maxDistance: Joi.number().min(1).max(64).default(16)
+  }),
+  entityNearby: Joi.object({
+    entityName: Joi.string().required(),
+    maxDistance: Joi.number().min(1).max(64).default(16)
+  })
+};
+
 /**
  * Main validation function - synchronous for speed
  * @param {Object} action - Action to validate { actionName, parameters }
  * @param {Object} bot - Bot instance for state/resource checks
  * @param {Object} botStateManager - Bot state manager instance
+ * @param {Object} planState - Predicted state from createPlanState(); the action's expected effects are applied to it
  * @returns {Object} { isValid: boolean, reason: string | null, validatedParams: object | null }
  */
-export function validate(action, bot, botStateManager) {
+export function validate(action, bot, botStateManager, planState = null) {
   // Default response is "No"
   const invalidResponse = (reason) => ({
     isValid: false,
@@ -59,17 +90,23 @@ export function validate(action, bot, botStateManager) {
   }
 
   // Gebot 4: Check resources
-  const resourceCheck = checkResources(action.actionName, paramValidation.validatedParams, bot);
+  const resourceCheck = checkResources(action.actionName, paramValidation.validatedParams, bot, planState);
   if (!resourceCheck.isValid) {
-    return invalidResponse(resourceCheck.reason);
+    return invalidResponse(planState?.steps.length > 0 ?
+      `${resourceCheck.reason} - predicted after ${describePlanSteps(planState)}` :
+      resourceCheck.reason);
   }
 
   // Gebot 5: Check bot state
-  const stateCheck = checkBotState(action.actionName, bot, botStateManager, actionDefinition.category);
+  const stateCheck = checkBotState(action.actionName, bot, botStateManager, actionDefinition.category, planState);
   if (!stateCheck.isValid) {
     return invalidResponse(stateCheck.reason);
   }
 
+  if (planState) {
+    applyExpectedEffects(action.actionName, paramValidation.validatedParams, bot, planState, resourceCheck.recipe);
+  }
+
   // All checks passed - return valid
   return {
     isValid: true,
@@ -150,15 +187,15 @@ function validateParameters(actionName, providedParams, paramDefinition) {
 
 /**
  * Check if bot has required resources for the action
+ * With a plan state, the predicted inventory after the previous steps is checked instead of the real one.
  */
-function checkResources(actionName, params, bot) {
+function checkResources(actionName, params, bot, planState = null) {
+  const count = (itemName) => inventoryCount(bot, planState, itemName);
+
   // Resource checks for specific actions
   switch (actionName) {
     case 'placeBlock':
-      const blockItem = bot.inventory.items().find(item => 
-        item.name === params.blockName || item.displayName === params.blockName
-      );
-      if (!blockItem || blockItem.count < 1) {
+      if (count(params.blockName) < 1) {
         return {
           isValid: false,
           reason: `No ${params.blockName} in inventory to place`
@@ -176,35 +213,37 @@ function checkResources(actionName, params, bot) {
         };
       }
       
-      const recipe = bot.recipesFor(item.id, null, 1, params.craftingTable)[0];
-      if (!recipe) {
+      const recipes = bot.recipesAll(item.id, null, params.craftingTable);
+      if (recipes.length === 0) {
         return {
           isValid: false,
           reason: `No recipe found for ${params.itemName}`
         };
       }
 
-      // Check if materials are available
-      const hasAllMaterials = recipe.delta.every(ingredient => {
-        if (ingredient.count >= 0) return true; // Output item
-        const required = Math.abs(ingredient.count) * params.count;
-        const available = bot.inventory.count(ingredient.id, ingredient.metadata);
-        return available >= required;
-      });
-
-      if (!hasAllMaterials) {
+      // Check if materials are available for any of the recipes
+      const missingPerRecipe = recipes.map(recipe => recipe.delta
+        .filter(ingredient => ingredient.count < 0) // Output item has a positive count
+        .map(ingredient => {
+          const name = mcData.items[ingredient.id]?.name;
+          return { name, required: Math.abs(ingredient.count) * params.count, available: count(name) };
+        })
+        .filter(ingredient => ingredient.available < ingredient.required));
+
+      const recipeIndex = missingPerRecipe.findIndex(missing => missing.length === 0);
+      if (recipeIndex === -1) {
+        const missing = missingPerRecipe[0]
+          .map(ingredient => `${ingredient.required} ${ingredient.name} (have ${ingredient.available})`)
+          .join(', ');
         return {
           isValid: false,
-          reason: `Insufficient materials to craft ${params.count}x ${params.itemName}`
+          reason: `Insufficient materials to craft ${params.count}x ${params.itemName}: needs ${missing}`
         };
       }
-      break;
+      return { isValid: true, recipe: recipes[recipeIndex] };
 
     case 'equipItem':
-      const equipItem = bot.inventory.items().find(item => 
-        item.name === params.itemName || item.displayName === params.itemName
-      );
-      if (!equipItem) {
+      if (count(params.itemName) < 1) {
         return {
           isValid: false,
           reason: `No ${params.itemName} in inventory to equip`
@@ -213,10 +252,7 @@ function checkResources(actionName, params, bot) {
       break;
 
     case 'consumeItem':
-      const consumeItem = bot.inventory.items().find(item => 
-        item.name === params.itemName || item.displayName === params.itemName
-      );
-      if (!consumeItem) {
+      if (count(params.itemName) < 1) {
         return {
           isValid: false,
           reason: `No ${params.itemName} in inventory to consume`
@@ -225,61 +261,51 @@ function checkResources(actionName, params, bot) {
       break;
 
     case 'tossItem':
-      const tossItem = bot.inventory.items().find(item => 
-        item.name === params.itemName || item.displayName === params.itemName
-      );
-      if (!tossItem) {
+      const tossCount = count(params.itemName);
+      if (tossCount < 1) {
         return {
           isValid: false,
           reason: `No ${params.itemName} in inventory to toss`
         };
       }
-      if (params.count > 0 && tossItem.count < params.count) {
+      if (params.count > 0 && tossCount < params.count) {
         return {
           isValid: false,
-          reason: `Not enough ${params.itemName} to toss (have ${tossItem.count}, need ${params.count})`
+          reason: `Not enough ${params.itemName} to toss (have ${tossCount}, need ${params.count})`
         };
       }
       break;
 
     case 'smelt':
-      const inputItem = bot.inventory.items().find(item => 
-        item.name === params.itemName || item.displayName === params.itemName
-      );
-      const fuelItem = bot.inventory.items().find(item => 
-        item.name === params.fuelName || item.displayName === params.fuelName
-      );
-      
-      if (!inputItem) {
+      const inputCount = count(params.itemName);
+      if (inputCount < 1) {
         return {
           isValid: false,
           reason: `No ${params.itemName} in inventory to smelt`
         };
       }
-      if (!fuelItem) {
+      if (count(params.fuelName) < 1) {
         return {
           isValid: false,
           reason: `No ${params.fuelName} in inventory for fuel`
         };
       }
-      if (inputItem.count < params.count) {
+      if (inputCount < params.count) {
         return {
           isValid: false,
-          reason: `Not enough ${params.itemName} to smelt (have ${inputItem.count}, need ${params.count})`
+          reason: `Not enough ${params.itemName} to smelt (have ${inputCount}, need ${params.count})`
         };
       }
       break;
 
     case 'shoot':
-      const bow = bot.inventory.items().find(item => item.name === 'bow');
-      const arrows = bot.inventory.items().find(item => item.name === 'arrow');
-      if (!bow) {
+      if (count('bow') < 1) {
         return {
           isValid: false,
           reason: 'No bow in inventory to shoot'
         };
       }
-      if (!arrows || arrows.count < 1) {
+      if (count('arrow') < 1) {
         return {
           isValid: false,
           reason: 'No arrows in inventory'
@@ -287,21 +313,35 @@ function checkResources(actionName, params, bot) {
       }
       break;
 
+    case 'pillarUp':
+      if (count(params.blockName) < (params.height ?? 3)) {
+        return {
+          isValid: false,
+          reason: `Not enough ${params.blockName} to pillar up (have ${count(params.blockName)}, need ${params.height ?? 3})`
+        };
+      }
+      break;
+
     case 'shield':
-      if (params.enable) {
-        const shield = bot.inventory.items().find(item => item.name === 'shield');
-        if (!shield) {
-          return {
-            isValid: false,
-            reason: 'No shield in inventory to use'
-          };
-        }
+      if (params.enable && count('shield') < 1) {
+        return {
+          isValid: false,
+          reason: 'No shield in inventory to use'
+        };
+      }
+      break;
+
+    case 'waterBucketClutch':
+      if (count('water_bucket') < 1) {
+        return {
+          isValid: false,
+          reason: 'No water bucket in inventory to break the fall'
+        };
       }
       break;
 
     case 'fish':
-      const fishingRod = bot.inventory.items().find(item => item.name === 'fishing_rod');
-      if (!fishingRod) {
+      if (count('fishing_rod') < 1) {
         return {
           isValid: false,
           reason: 'No fishing rod in inventory'
@@ -311,13 +351,14 @@ function checkResources(actionName, params, bot) {
 
     case 'digBlock':
       // Check if bot has appropriate tool (optional but recommended)
-      const blockAt = bot.blockAt(new (require('vec3'))(params.x, params.y, params.z));
+      const blockAt = bot.blockAt(new Vec3(params.x, params.y, params.z));
       if (blockAt && blockAt.name !== 'air') {
         const toolRequired = getRequiredTool(blockAt.name);
         if (toolRequired) {
-          const hasTool = bot.inventory.items().some(item => 
-            item.name.includes(toolRequired)
-          );
+          const itemNames = planState ?
+            Array.from(planState.items.keys()).filter(name => planState.items.get(name) > 0) :
+            bot.inventory.items().map(item => item.name);
+          const hasTool = itemNames.some(name => name.includes(toolRequired));
           if (!hasTool) {
             // Warning, not blocking
             console.warn(`Mining ${blockAt.name} without ${toolRequired} will be slow`);
@@ -330,15 +371,32 @@ function checkResources(actionName, params, bot) {
   return { isValid: true };
 }
 
+/**
+ * Items of a name in the inventory - the real one, or the one predicted by a plan state
+ */
+function inventoryCount(bot, planState, itemName) {
+  if (planState) {
+    const name = planState.items.has(itemName) ? itemName : planState.displayNames.get(itemName) || itemName;
+    return planState.items.get(name) || 0;
+  }
+
+  return bot.inventory.items()
+    .filter(item => item.name === itemName || item.displayName === itemName)
+    .reduce((sum, item) => sum + item.count, 0);
+}
+
 /**
  * Check bot state compatibility
  */
-function checkBotState(actionName, bot, botStateManager, actionCategory) {
+function checkBotState(actionName, bot, botStateManager, actionCategory, planState = null) {
   const currentState = botStateManager.getState();
   const currentQueue = botStateManager.getCurrentQueue();
 
-  // Check if bot is busy with incompatible action
-  if (currentState === 'executing') {
+  // Check if bot is busy with incompatible action; an emergency preempts whatever the paused queue was doing.
+  // A later step of a plan runs after the earlier ones, so what keeps the bot busy then is the plan itself,
+  // e.g. a streamed plan validating its next step while the previous one runs.
+  const followsPlanStep = planState?.steps.length > 0;
+  if (currentState === 'executing' && currentQueue !== 'emergency' && !followsPlanStep) {
     const currentAction = botStateManager.getCurrentAction();
     
     // Some actions can interrupt others
@@ -359,7 +417,7 @@ function checkBotState(actionName, bot, botStateManager, actionCategory) {
   if (currentQueue === 'emergency') {
     // Only survival/combat actions allowed during emergency
     const allowedCategories = ['survival', 'fight', 'moving'];
-    const criticalActions = ['consumeItem', 'flee', 'attack', 'shield', 'goTo'];
+    const criticalActions = ['consumeItem', 'equipItem', 'flee', 'attack', 'shield', 'goTo'];
     
     if (!allowedCategories.includes(actionCategory) && !criticalActions.includes(actionName)) {
       return {
@@ -392,9 +450,10 @@ function checkBotState(actionName, bot, botStateManager, actionCategory) {
     }
   }
 
-  // Container state checks
+  // Container state checks; in a plan, an earlier openContainer counts
   const containerActions = ['depositItem', 'withdrawItem', 'windowClick', 'trade', 'enchant', 'anvilCombine', 'brew'];
-  if (containerActions.includes(actionName) && !bot.currentWindow) {
+  const windowOpen = planState ? planState.windowOpen : Boolean(bot.currentWindow);
+  if (containerActions.includes(actionName) && !windowOpen) {
     return {
       isValid: false,
       reason: `No container open for ${actionName}`
@@ -437,14 +496,17 @@ function getRequiredTool(blockName) {
 
 /**
  * Batch validation for action queues
+ * Each action is checked against the inventory predicted after the ones before it.
  * @param {Array} actions - Array of actions to validate
  * @param {Object} bot - Bot instance
  * @param {Object} botStateManager - Bot state manager
  * @returns {Array} Validation results for each action
  */
 export function validateQueue(actions, bot, botStateManager) {
+  const planState = createPlanState(bot);
+
   return actions.map((action, index) => {
-    const result = validate(action, bot, botStateManager);
+    const result = validate(action, bot, botStateManager, planState);
     return {
       index,
       action: action.actionName,
@@ -471,6 +533,9 @@ export function getResourceRequirements(actionName, params) {
     case 'placeBlock':
       requirements.blocks.push({ name: params.blockName, count: 1 });
       break;
+    case 'pillarUp':
+      requirements.blocks.push({ name: params.blockName, count: params.height ?? 3 });
+      break;
     case 'craft':
       requirements.other.push({ type: 'recipe', item: params.itemName });
       break;
@@ -484,4 +549,272 @@ export function getResourceRequirements(actionName, params) {
   }
 
   return requirements;
-}
\ No newline at end of file
+}
+/**
+ * Get the definition of an action from availableActions.json
+ * @param {String} actionName - Name of the action
+ * @returns {Object|null} { description, category, parameters } or null if unknown
+ */
+export function getActionDefinition(actionName) {
+  return actionMap[actionName] || null;
+}
+
+/**
+ * Get all actions from availableActions.json, grouped like the file
+ * @returns {Object} group (movement, blocks, ...) -> action name -> definition
+ */
+export function getAvailableActions() {
+  return availableActions;
+}
+
+/**
+ * Get the recovery policies from availableActions.json
+ * @returns {Object} action category (or 'default') -> policy, see RecoveryPolicy.js
+ */
+export function getRecoveryPolicies() {
+  return recoveryPolicies;
+}
+
+/**
+ * Validate a condition of an if or repeatUntil step
+ * @param {Object} condition - e.g. { inventory: { itemName: 'oak_log', atLeast: 16 } }
+ * @returns {Object} { isValid, reason, validatedCondition }
+ */
+export function validateCondition(condition) {
+  const keys = condition && typeof condition === 'object' ? Object.keys(condition) : [];
+  if (keys.length !== 1) {
+    return {
+      isValid: false,
+      reason: `Condition needs exactly one of: ${[...Object.keys(conditionSchemas), 'not'].join(', ')}`,
+      validatedCondition: null
+    };
+  }
+
+  const [type] = keys;
+  if (type === 'not') {
+    const inner = validateCondition(condition.not);
+    return inner.isValid ? { ...inner, validatedCondition: { not: inner.validatedCondition } } : inner;
+  }
+
+  if (!conditionSchemas[type]) {
+    return { isValid: false, reason: `Unknown condition: ${type}`, validatedCondition: null };
+  }
+
+  const validation = conditionSchemas[type].validate(condition[type]);
+  if (validation.error) {
+    return { isValid: false, reason: `Invalid ${type} condition: ${validation.error.message}`, validatedCondition: null };
+  }
+
+  return { isValid: true, reason: null, validatedCondition: { [type]: validation.value } };
+}
+
+/**
+ * Validate an if, repeatUntil or forEach step and the actions inside it
+ * Inner actions are only checked for name and parameters here: whether the
+ * bot has the resources can only be known when the step gets to them.
+ * @param {Object} step - { control, ... }
+ * @returns {Object} { isValid, reason, validatedStep }
+ */
+export function validateControlStep(step, depth = 0, inForEach = false) {
+  const invalidResponse = (reason) => ({
+    isValid: false,
+    reason: reason,
+    validatedStep: null
+  });
+
+  if (!CONTROL_TYPES.includes(step?.control)) {
+    return invalidResponse(`Unknown control step: ${step?.control}`);
+  }
+
+  if (depth >= MAX_CONTROL_DEPTH) {
+    return invalidResponse(`Control steps may only be nested ${MAX_CONTROL_DEPTH} levels deep`);
+  }
+
+  const validatedStep = { control: step.control };
+
+  if (step.control === 'if' || step.control === 'repeatUntil') {
+    const conditionCheck = validateCondition(step.condition);
+    if (!conditionCheck.isValid) {
+      return invalidResponse(`${step.control}: ${conditionCheck.reason}`);
+    }
+    validatedStep.condition = conditionCheck.validatedCondition;
+  }
+
+  if (step.control === 'forEach') {
+    if (typeof step.blockName !== 'string' || step.blockName.length === 0) {
+      return invalidResponse('forEach: blockName is required');
+    }
+    validatedStep.blockName = step.blockName;
+    validatedStep.maxDistance = clampNumber(step.maxDistance, 32, 1, 64);
+    validatedStep.maxCount = clampNumber(step.maxCount, 8, 1, MAX_LOOP_ITERATIONS);
+  }
+
+  if (step.control === 'repeatUntil') {
+    validatedStep.maxIterations = clampNumber(step.maxIterations, 5, 1, MAX_LOOP_ITERATIONS);
+  }
+
+  // Action lists: 'then'/'else' for if, 'actions' for the loops
+  const bodies = step.control === 'if' ? ['then', 'else'] : ['actions'];
+  const placeholdersAllowed = inForEach || step.control === 'forEach';
+
+  for (const body of bodies) {
+    if (body === 'else' && step.else === undefined) {
+      validatedStep.else = [];
+      continue;
+    }
+
+    if (!Array.isArray(step[body]) || (body !== 'else' && step[body].length === 0)) {
+      return invalidResponse(`${step.control}: '${body}' must be a non-empty list of actions`);
+    }
+
+    validatedStep[body] = [];
+    for (const [index, inner] of step[body].entries()) {
+      const check = inner?.control ?
+        validateControlStep(inner, depth + 1, placeholdersAllowed) :
+        validateActionStructure(inner, placeholdersAllowed);
+
+      if (!check.isValid) {
+        return invalidResponse(`${step.control} ${body}[${index}]: ${check.reason}`);
+      }
+      validatedStep[body].push(check.validatedStep);
+    }
+  }
+
+  return { isValid: true, reason: null, validatedStep: validatedStep };
+}
+
+/**
+ * Name and parameter check of an action inside a control step
+ */
+function validateActionStructure(action, placeholdersAllowed) {
+  if (!action || !action.actionName || !action.parameters) {
+    return { isValid: false, reason: 'Missing actionName or parameters', validatedStep: null };
+  }
+
+  const actionDefinition = actionMap[action.actionName];
+  if (!actionDefinition) {
+    return { isValid: false, reason: `Unknown action: ${action.actionName}`, validatedStep: null };
+  }
+
+  // Placeholders stand in for numbers until the block is known
+  const parameters = placeholdersAllowed ?
+    Object.fromEntries(Object.entries(action.parameters).map(([name, value]) =>
+      [name, BLOCK_PLACEHOLDERS[value] ? 0 : value])) :
+    action.parameters;
+
+  const paramValidation = validateParameters(action.actionName, parameters, actionDefinition.parameters);
+  if (!paramValidation.isValid) {
+    return { isValid: false, reason: paramValidation.reason, validatedStep: null };
+  }
+
+  return { isValid: true, reason: null, validatedStep: action };
+}
+
+function clampNumber(value, fallback, min, max) {
+  return typeof value === 'number' ? Math.max(min, Math.min(Math.floor(value), max)) : fallback;
+}
+
+// ===== Plan simulation =====
+
+/**
+ * Predicted inventory for validating a queue step by step
+ * Each valid action adds its expected effects, so "craft planks, then craft
+ * sticks" passes although the planks do not exist yet.
+ * @param {Object} bot - Bot instance, its inventory is the starting point
+ * @returns {Object} { items: Map name -> count, displayNames: Map, windowOpen, steps: [] }
+ */
+export function createPlanState(bot) {
+  const items = new Map();
+  const displayNames = new Map();
+
+  for (const item of bot.inventory.items()) {
+    items.set(item.name, (items.get(item.name) || 0) + item.count);
+    displayNames.set(item.displayName, item.name);
+  }
+
+  return { items, displayNames, windowOpen: Boolean(bot.currentWindow), steps: [] };
+}
+
+/**
+ * Expected inventory changes of an action that passed validation
+ * Amounts the plan cannot know (smelting output, withdrawing "all") are left out
+ * or counted as one, so a prediction never promises more than the action gives.
+ */
+function applyExpectedEffects(actionName, params, bot, planState, recipe) {
+  const mcData = bot.mcData || require('minecraft-data')(bot.version);
+  const change = (itemName, amount) => {
+    if (!itemName) return;
+    const name = planState.displayNames.get(itemName) || itemName;
+    planState.items.set(name, Math.max(0, (planState.items.get(name) || 0) + amount));
+  };
+  // Loot tables know silk touch and chances; older block data only lists item ids
+  const dropOf = (blockName) => {
+    const loot = mcData.blockLoot?.[blockName]?.drops.find(drop => !drop.silkTouch);
+    if (loot) return loot.item;
+    const drop = mcData.blocksByName[blockName]?.drops?.[0];
+    return mcData.items[drop?.drop ?? drop]?.name;
+  };
+
+  switch (actionName) {
+    case 'craft':
+      recipe.delta.forEach(entry => change(mcData.items[entry.id]?.name, entry.count * params.count));
+      break;
+    case 'collectBlock':
+      change(dropOf(params.blockName), params.count);
+      break;
+    case 'digBlock':
+      change(dropOf(bot.blockAt(new Vec3(params.x, params.y, params.z))?.name), 1);
+      break;
+    case 'placeBlock':
+      change(params.blockName, -1);
+      break;
+    case 'pillarUp':
+      change(params.blockName, -(params.height ?? 3));
+      break;
+    case 'consumeItem':
+      change(params.itemName, -1);
+      break;
+    case 'tossItem':
+    case 'depositItem':
+      change(params.itemName, params.count > 0 ? -params.count : -inventoryCount(bot, planState, params.itemName));
+      break;
+    case 'withdrawItem':
+      change(params.itemName, params.count > 0 ? params.count : 1);
+      break;
+    case 'collectItem':
+      change(params.itemName, 1);
+      break;
+    case 'openContainer':
+      planState.windowOpen = true;
+      break;
+    case 'closeContainer':
+      planState.windowOpen = false;
+      break;
+    case 'smelt':
+      change(params.itemName, -params.count);
+      change(params.fuelName, -Math.ceil(params.count / 8));
+      break;
+  }
+
+  planState.steps.push(actionName);
+}
+
+/**
+ * Expected effect of a control step: only a repeatUntil on the inventory has a known result
+ * @param {Object} step - validated control step
+ * @param {Object} planState - from createPlanState()
+ */
+export function applyControlStepEffects(step, planState) {
+  const target = step.control === 'repeatUntil' ? step.condition.inventory : null;
+
+  if (target?.atLeast !== undefined) {
+    const name = planState.displayNames.get(target.itemName) || target.itemName;
+    planState.items.set(name, Math.max(planState.items.get(name) || 0, target.atLeast));
+  }
+
+  planState.steps.push(step.control);
+}
+
+function describePlanSteps(planState) {
+  return `step${planState.steps.length > 1 ? 's' : ''} ${planState.steps.map((name, index) => `${index}:${name}`).join(', ')}`;
+}
@@ -16,6 +16,14 @@ class LLMPlanValidationError extends Error {
   }
 }
 
+// Parameters a fallback may take over from a differently named parameter of the failed action
+const FALLBACK_PARAMETER_ALIASES = {
+  itemName: 'blockName',
+  blockName: 'itemName',
+  entityName: 'entityType',
+  entityType: 'entityName'
+};
+
 class AiResponseParser {
   constructor(actionValidator, bot, botStateManager, logger) {
     // Gebot 5: Alleiniger Nutzer des ActionValidator
@@ -27,11 +35,43 @@ class AiResponseParser {
   
   /**
    * Gebot 7: Main synchronous parsing and validation method
+   * With options.partial the plan is not rejected as a whole: the result holds the
+   * validated prefix and a rejection ({ index, actionName, reason, remainingActions })
+   * for the first invalid step, which extendPartialPlan() can later replace.
    */
-  parseAndValidate(llmResponse) {
+  parseAndValidate(llmResponse, options = {}) {
     this.logger.debug('Starting intelligent LLM response parsing and validation');
 
+    const { actionArray, goals, learnings } = this.extractResponseParts(llmResponse);
+    
+    if (options.partial) {
+      const planState = this.createPlanState();
+      const partial = this.validateActionQueuePartial(actionArray, planState, 0);
+      
+      this.logger.info(`Parsed LLM plan: ${partial.validatedActions.length} of ${actionArray.length} actions accepted.`);
+      return { ...partial, goals, learnings, planState };
+    }
+    
+    // Validiere die Aktionen aus dem (jetzt definitiv existierenden) Array
+    const validatedActions = this.validateActionQueue(actionArray);
+    
+    const result = {
+        validatedActions: validatedActions,
+        goals: goals,
+        learnings: learnings
+    };
+    
+    this.logger.info(`Successfully parsed LLM plan: ${validatedActions.length} actions received.`);
+    return result;
+  }
+  
+  /**
+   * Split an LLM response into actions, goals and learnings
+   */
+  extractResponseParts(llmResponse) {
     let actionArray = [];
+    let goals = [];
+    let learnings = [];
 
     // Der intelligente Adapter:
     if (Array.isArray(llmResponse)) {
@@ -41,23 +81,70 @@ class AiResponseParser {
         // Fall 2: Die LLM war schlau, hat aber nur ein einzelnes Action-Objekt geschickt.
         this.logger.warn('LLM returned a single action object. Wrapping it in an array.');
         actionArray = [llmResponse]; // Wir packen es selbst in ein Array!
+    } else if (llmResponse && typeof llmResponse === 'object' &&
+               (Array.isArray(llmResponse.actionQueue) || Array.isArray(llmResponse.goalQueue))) {
+        // Fall 3: Volles Antwortobjekt (genesis_prompt, action_queue_prompt) mit Zielen und Aktionen.
+        actionArray = llmResponse.actionQueue || [];
+        goals = this.processGoalQueue(llmResponse.goalQueue);
+        learnings = this.processLearningInsights(llmResponse.learningInsights);
     } else {
-        // Fall 3: Die Antwort ist wirklich Müll.
+        // Fall 4: Die Antwort ist wirklich Müll.
         this.logger.error(`Invalid LLM response structure: Expected an array or a single action object. Got: ${JSON.stringify(llmResponse).substring(0, 100)}...`);
         throw new Error('Invalid LLM response structure: Could not find a valid action array.');
     }
     
-    // Validiere die Aktionen aus dem (jetzt definitiv existierenden) Array
-    const validatedActions = this.validateActionQueue(actionArray);
+    return { actionArray, goals, learnings };
+  }
+  
+  /**
+   * Replace the rejected tail of a partial plan with the LLM's repaired actions
+   * Validation continues from the predicted state after the accepted prefix.
+   * @param {Object} partialPlan - result of parseAndValidate(..., { partial: true })
+   * @param {Object|Array} repairResponse - LLM answer to plan_repair_prompt
+   * @returns {Object} partial plan with the combined prefix and a new rejection, if any
+   */
+  extendPartialPlan(partialPlan, repairResponse) {
+    const { actionArray } = this.extractResponseParts(repairResponse);
+    const startIndex = partialPlan.validatedActions.length;
+    const tail = this.validateActionQueuePartial(actionArray, partialPlan.planState, startIndex);
     
-    const result = {
-        validatedActions: validatedActions,
-        goals: [],
-        learnings: []
+    this.logger.info(`Repaired plan: ${tail.validatedActions.length} of ${actionArray.length} new actions accepted.`);
+    return {
+      ...partialPlan,
+      validatedActions: [...partialPlan.validatedActions, ...tail.validatedActions],
+      rejection: tail.rejection
     };
+  }
+  
+  /**
+   * Validate steps until the first invalid one instead of throwing
+   * @returns {Object} { validatedActions, rejection } - rejection is null if every step passed
+   */
+  validateActionQueuePartial(actionQueue, planState, startIndex) {
+    const validatedActions = [];
     
-    this.logger.info(`Successfully parsed LLM plan: ${validatedActions.length} actions received.`);
-    return result;
+    for (let i = 0; i < actionQueue.length; i++) {
+      try {
+        validatedActions.push(this.validateStep(actionQueue[i], startIndex + i, planState));
+      } catch (error) {
+        if (!(error instanceof LLMPlanValidationError)) {
+          throw error;
+        }
+        
+        return {
+          validatedActions,
+          rejection: {
+            index: startIndex + i,
+            actionName: actionQueue[i]?.actionName || actionQueue[i]?.control || null,
+            reason: error.reason,
+            message: error.message,
+            remainingActions: actionQueue.slice(i)
+          }
+        };
+      }
+    }
+    
+    return { validatedActions, rejection: null };
   }
   
   /**
@@ -92,56 +179,168 @@ class AiResponseParser {
   
   /**
    * Gebot 1 & 2: Validate entire action queue or reject all
+   * Every step is validated against the state predicted after the steps before it.
    */
-  validateActionQueue(actionQueue, bot, botStateManager) {
+  validateActionQueue(actionQueue) {
     const validatedActions = [];
+    const planState = this.createPlanState();
     
     for (let i = 0; i < actionQueue.length; i++) {
-      const action = actionQueue[i];
-      
-      // Ensure action has required structure
-      if (!action.actionName || !action.parameters) {
-        throw new LLMPlanValidationError(
-          `Invalid action structure at index ${i}`,
-          action,
-          'Missing actionName or parameters'
-        );
-      }
-      
-      // Validate through ActionValidator
-      const validationResult = this.actionValidator.validate(
+      validatedActions.push(this.validateStep(actionQueue[i], i, planState));
+    }
+    
+    return validatedActions;
+  }
+  
+  /**
+   * Validate one step of an action queue: a plain action or a control step
+   * Used per element by validateActionQueue and directly by streaming plans.
+   */
+  validateStep(step, index, planState = null) {
+    return step?.control ?
+      this.validateControlStep(step, index, planState) :
+      this.validateSingleAction(step, index, planState);
+  }
+  
+  /**
+   * Start a plan simulation at the bot's current inventory, see validateActionQueue
+   */
+  createPlanState() {
+    return this.actionValidator.createPlanState(this.bot);
+  }
+  
+  /**
+   * Validate an if, repeatUntil or forEach step
+   * The actions inside are validated in full only when the step runs them.
+   */
+  validateControlStep(step, index, planState = null) {
+    const validationResult = this.actionValidator.validateControlStep(step);
+    
+    if (!validationResult.isValid) {
+      throw new LLMPlanValidationError(
+        `Plan rejected because control step '${step.control}' at index ${index} failed validation: ${validationResult.reason}`,
+        step,
+        validationResult.reason
+      );
+    }
+    
+    this.logger.debug(`Validated control step ${index}: ${step.control}`);
+    
+    if (planState) {
+      this.actionValidator.applyControlStepEffects(validationResult.validatedStep, planState);
+    }
+    
+    return {
+      ...validationResult.validatedStep,
+      actionName: step.control,
+      originalIndex: index
+    };
+  }
+  
+  /**
+   * Validate one action and return its enhanced form
+   */
+  validateSingleAction(action, index, planState = null) {
+    // Ensure action has required structure
+    if (!action || !action.actionName || !action.parameters) {
+      throw new LLMPlanValidationError(
+        `Invalid action structure at index ${index}`,
         action,
-        this.bot,
-        this.botStateManager
+        'Missing actionName or parameters'
       );
-      
-      if (!validationResult.isValid) {
-        // Gebot 2: Detailed error with exact reason
-        throw new LLMPlanValidationError(
-          `Plan rejected because action '${action.actionName}' at index ${i} failed validation: ${validationResult.reason}`,
-          action,
-          validationResult.reason
-        );
-      }
-      
-      // Gebot 4: Replace parameters with validated ones
-      const enhancedAction = {
-        actionName: action.actionName,
-        parameters: validationResult.validatedParams,
-        successCriteria: action.successCriteria || `${action.actionName} completed successfully`,
-        timeoutMs: this.validateTimeout(action.timeoutMs),
-        fallbackAction: action.fallbackAction || null,
-        originalIndex: i
-      };
-      
-      validatedActions.push(enhancedAction);
-      
-      this.logger.debug(`Validated action ${i}: ${action.actionName}`);
     }
     
-    return validatedActions;
+    // Validate through ActionValidator
+    const validationResult = this.actionValidator.validate(
+      action,
+      this.bot,
+      this.botStateManager,
+      planState
+    );
+    
+    if (!validationResult.isValid) {
+      // Gebot 2: Detailed error with exact reason
+      throw new LLMPlanValidationError(
+        `Plan rejected because action '${action.actionName}' at index ${index} failed validation: ${validationResult.reason}`,
+        action,
+        validationResult.reason
+      );
+    }
+    
+    this.logger.debug(`Validated action ${index}: ${action.actionName}`);
+    
+    // Gebot 4: Replace parameters with validated ones
+    return {
+      actionName: action.actionName,
+      parameters: validationResult.validatedParams,
+      successCriteria: action.successCriteria || `${action.actionName} completed successfully`,
+      timeoutMs: this.validateTimeout(action.timeoutMs),
+      fallbackAction: action.fallbackAction || null,
+      originalIndex: index
+    };
   }
   
+  /**
+   * Build the fallback of a failed action and validate it like any planned action
+   * The LLM names fallbacks either as a bare action name or as an object
+   * { actionName, parameters, fallbackAction }. Missing parameters are taken
+   * from the failed action, coordinates from the last position the queue found.
+   * @param {Object} failedAction - validated action that failed
+   * @param {Object} context - { position } of the last successful result, if any
+   * @returns {Object} validated fallback action
+   */
+  resolveFallbackAction(failedAction, context = {}) {
+    const spec = typeof failedAction.fallbackAction === 'string' ?
+      { actionName: failedAction.fallbackAction } :
+      failedAction.fallbackAction;
+
+    const definition = this.actionValidator.getActionDefinition(spec?.actionName);
+    if (!definition) {
+      throw new LLMPlanValidationError(
+        `Fallback of '${failedAction.actionName}' is not a known action: ${spec?.actionName}`,
+        spec,
+        'Unknown fallback action'
+      );
+    }
+
+    const parameters = {};
+    for (const paramName of Object.keys(definition.parameters || {})) {
+      const value = this.inferFallbackParameter(paramName, failedAction.parameters || {}, context);
+      if (value !== undefined) {
+        parameters[paramName] = value;
+      }
+    }
+
+    return this.validateSingleAction({
+      actionName: spec.actionName,
+      parameters: { ...parameters, ...(spec.parameters || {}) },
+      successCriteria: spec.successCriteria,
+      timeoutMs: spec.timeoutMs || failedAction.timeoutMs,
+      fallbackAction: spec.fallbackAction
+    }, failedAction.originalIndex);
+  }
+
+  /**
+   * Find a value for one fallback parameter in the failed action's context
+   */
+  inferFallbackParameter(paramName, failedParams, context) {
+    if (failedParams[paramName] !== undefined) {
+      return failedParams[paramName];
+    }
+
+    // Same thing, different name: blocks drop items, entity types name entities
+    const alias = FALLBACK_PARAMETER_ALIASES[paramName];
+    if (alias && failedParams[alias] !== undefined) {
+      return failedParams[alias];
+    }
+
+    if (['x', 'y', 'z'].includes(paramName) && context.position) {
+      return context.position[paramName];
+    }
+
+    return undefined;
+  }
+
   /**
    * Process goal queue with validation
    */
@@ -153,17 +352,18 @@ class AiResponseParser {
     const processedGoals = [];
     
     for (const goal of goalQueue) {
-      // Validate goal structure
-      if (!goal.goalId || !goal.goalDescription) {
+      // Validate goal structure (goalId is optional, GoalManager assigns one)
+      if (!goal || !goal.goalDescription) {
         this.logger.warn('Skipping invalid goal: missing required fields');
         continue;
       }
       
       const processedGoal = {
-        goalId: goal.goalId,
+        goalId: goal.goalId || null,
         goalDescription: goal.goalDescription,
         priority: this.validateGoalPriority(goal.priority),
         category: this.validateGoalCategory(goal.category),
+        dependsOn: Array.isArray(goal.dependsOn) ? goal.dependsOn.filter(id => typeof id === 'string') : [],
         timestamp: new Date().toISOString()
       };
       
@@ -176,6 +376,31 @@ class AiResponseParser {
     return processedGoals;
   }
   
+  /**
+   * Parse a goal_decomposition_prompt response into Handlungen
+   * All-or-Nothing like action queues: a decomposition without usable steps is rejected.
+   */
+  parseGoalDecomposition(llmResponse) {
+    const rawHandlungen = Array.isArray(llmResponse) ? llmResponse : llmResponse?.handlungen;
+    
+    if (!Array.isArray(rawHandlungen) || rawHandlungen.length === 0) {
+      throw new Error('Goal decomposition response missing handlungen');
+    }
+    
+    return rawHandlungen.map((handlung, index) => {
+      if (!handlung || typeof handlung.description !== 'string' || !handlung.description.trim()) {
+        throw new Error(`Invalid Handlung at index ${index}: missing description`);
+      }
+      
+      return {
+        handlungId: typeof handlung.handlungId === 'string' ? handlung.handlungId : `h${index + 1}`,
+        description: handlung.description.trim(),
+        successCriteria: handlung.successCriteria || null,
+        dependsOn: Array.isArray(handlung.dependsOn) ? handlung.dependsOn.filter(id => typeof id === 'string') : []
+      };
+    });
+  }
+  
   /**
    * Process learning insights with validation
    */
@@ -188,7 +413,8 @@ class AiResponseParser {
     
     for (const learning of learningInsights) {
       // Validate learning structure
-      if (!learning.category || !learning.insight) {
+      // learningInsights use 'insight', chat tips and learning prompts use 'content'
+      if (!learning.category || !(learning.insight || learning.content)) {
         this.logger.warn('Skipping invalid learning: missing required fields');
         continue;
       }
@@ -296,7 +522,7 @@ class AiResponseParser {
     }
     
     // Validate with same rigor
-    const validatedActions = this.validateActionQueue(llmResponse.actionQueue, bot, botStateManager);
+    const validatedActions = this.validateActionQueue(llmResponse.actionQueue);
     
     return {
       validatedActions: validatedActions,
@@ -314,7 +540,7 @@ class AiResponseParser {
     this.logger.debug('Parsing respawn response');
     
     // Respawn has additional strategy field
-    const baseResult = this.parseAndValidate(llmResponse, bot, botStateManager);
+    const baseResult = this.parseAndValidate(llmResponse, {});
     
     // Add respawn-specific fields
     baseResult.strategy = llmResponse.strategy || 'fresh_start';
@@ -0,0 +1,480 @@
+/**
+ * LLMProviders.js - Austauschbare Inferenz-Backends
+ * "Ein Vertrag, viele Motoren"
+ * Kapselt die HTTP-Details der einzelnen Backends hinter generate()/testConnection().
+ */
+
+import axios from 'axios';
+import { readFileSync } from 'fs';
+
+// Raised when a backend answers with a body we cannot interpret
+class ProviderResponseError extends Error {
+  constructor(message, response) {
+    super(message);
+    this.name = 'ProviderResponseError';
+    this.response = response;
+  }
+}
+
+/**
+ * Shared plumbing for all HTTP based providers
+ */
+class BaseProvider {
+  constructor(config) {
+    this.name = 'base';
+    this.baseUrl = config.baseUrl;
+    this.model = config.model;
+    this.timeout = config.timeout;
+    this.apiKey = config.apiKey || null;
+
+    // Whether the backend can constrain its output to a JSON Schema (options.schema)
+    this.supportsSchema = true;
+
+    // Token counts the backend reported for the last request: { promptTokens, completionTokens }
+    this.lastUsage = null;
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    this.http = axios.create({
+      baseURL: this.baseUrl,
+      timeout: this.timeout,
+      headers: headers
+    });
+  }
+
+  /**
+   * Send a fully rendered prompt and return the raw response text
+   * options: promptName, schema, and the routed model, temperature, timeoutMs, maxTokens
+   */
+  async generate(prompt, options = {}) {
+    throw new Error(`Provider ${this.name} does not implement generate()`);
+  }
+
+  /**
+   * Stream a prompt; onToken receives each text fragment. Resolves with the full text.
+   */
+  async generateStream(prompt, options = {}, onToken = () => {}) {
+    throw new Error(`Provider ${this.name} does not implement generateStream()`);
+  }
+
+  /**
+   * Check reachability and whether the configured model is served
+   */
+  async testConnection() {
+    throw new Error(`Provider ${this.name} does not implement testConnection()`);
+  }
+
+  /**
+   * Read a line-delimited HTTP body stream (NDJSON or SSE)
+   */
+  async _readLines(stream, onLine) {
+    let pending = '';
+
+    for await (const chunk of stream) {
+      pending += chunk.toString('utf8');
+      const lines = pending.split('\n');
+      pending = lines.pop();
+
+      for (const line of lines) {
+        if (line.trim()) {
+          onLine(line.trim());
+        }
+      }
+    }
+
+    if (pending.trim()) {
+      onLine(pending.trim());
+    }
+  }
+
+  /**
+   * Unwrap a server-sent-events line; returns null for comments and the [DONE] marker
+   */
+  _parseSseLine(line) {
+    if (!line.startsWith('data:')) {
+      return null;
+    }
+
+    const payload = line.slice(5).trim();
+    if (payload === '[DONE]') {
+      return null;
+    }
+
+    try {
+      return JSON.parse(payload);
+    } catch {
+      throw new ProviderResponseError(`Malformed stream event from ${this.name}`, payload);
+    }
+  }
+
+  /**
+   * Per-request axios settings: a routed timeout overrides the provider's
+   */
+  _requestConfig(options, config = {}) {
+    return options.timeoutMs ? { ...config, timeout: options.timeoutMs } : config;
+  }
+
+  _setUsage(promptTokens, completionTokens) {
+    this.lastUsage = Number.isFinite(promptTokens) ? { promptTokens, completionTokens: completionTokens ?? null } : null;
+  }
+
+  _buildModelStatus(models) {
+    const modelAvailable = models.includes(this.model);
+    return {
+      connected: true,
+      modelAvailable: modelAvailable,
+      availableModels: models
+    };
+  }
+}
+
+/**
+ * Ollama native API (/api/generate)
+ */
+class OllamaProvider extends BaseProvider {
+  constructor(config) {
+    super({ baseUrl: 'http://localhost:11434', ...config });
+    this.name = 'ollama';
+  }
+
+  async generate(prompt, options = {}) {
+    const response = await this.http.post('/api/generate', {
+      model: options.model || this.model,
+      prompt: prompt,
+      stream: false,
+      format: options.schema || 'json',
+      options: {
+        temperature: options.temperature ?? 0.7,
+        top_p: 0.9,
+        ...(options.maxTokens ? { num_predict: options.maxTokens } : {}),
+        seed: Date.now() // For reproducibility in testing
+      }
+    }, this._requestConfig(options));
+
+    if (response.data && response.data.response) {
+      this._setUsage(response.data.prompt_eval_count, response.data.eval_count);
+      return response.data.response;
+    }
+
+    throw new ProviderResponseError('Invalid response structure from Ollama', response.data);
+  }
+
+  async generateStream(prompt, options = {}, onToken = () => {}) {
+    const response = await this.http.post('/api/generate', {
+      model: options.model || this.model,
+      prompt: prompt,
+      stream: true,
+      format: options.schema || 'json',
+      options: {
+        temperature: options.temperature ?? 0.7,
+        top_p: 0.9,
+        ...(options.maxTokens ? { num_predict: options.maxTokens } : {}),
+        seed: Date.now()
+      }
+    }, this._requestConfig(options, { responseType: 'stream' }));
+
+    let text = '';
+    this.lastUsage = null;
+    await this._readLines(response.data, (line) => {
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch {
+        throw new ProviderResponseError('Malformed stream event from Ollama', line);
+      }
+
+      if (event.error) {
+        throw new ProviderResponseError(`Ollama stream error: ${event.error}`, event);
+      }
+
+      if (event.response) {
+        text += event.response;
+        onToken(event.response);
+      }
+
+      if (event.done) {
+        this._setUsage(event.prompt_eval_count, event.eval_count);
+      }
+    });
+
+    return text;
+  }
+
+  async testConnection() {
+    const response = await this.http.get('/api/tags');
+    const models = (response.data.models || []).map(m => m.name);
+    return this._buildModelStatus(models);
+  }
+}
+
+/**
+ * Any server speaking the OpenAI chat completions protocol
+ * (vLLM, LM Studio, LocalAI, OpenAI itself, ...)
+ */
+class OpenAICompatibleProvider extends BaseProvider {
+  constructor(config) {
+    // Accept both "http://host:8000" and "http://host:8000/v1"
+    const baseUrl = (config.baseUrl || 'http://localhost:8000').replace(/\/v1\/?$/, '');
+    super({ ...config, baseUrl });
+    this.name = 'openai';
+  }
+
+  async generate(prompt, options = {}) {
+    const response = await this.http.post('/v1/chat/completions', {
+      model: options.model || this.model,
+      messages: [
+        { role: 'user', content: prompt }
+      ],
+      temperature: options.temperature ?? 0.7,
+      top_p: 0.9,
+      ...(options.maxTokens ? { max_tokens: options.maxTokens } : {}),
+      response_format: this._responseFormat(options),
+      stream: false
+    }, this._requestConfig(options));
+
+    const content = response.data?.choices?.[0]?.message?.content;
+    if (content) {
+      this._setUsage(response.data.usage?.prompt_tokens, response.data.usage?.completion_tokens);
+      return content;
+    }
+
+    throw new ProviderResponseError('Invalid response structure from OpenAI-compatible server', response.data);
+  }
+
+  async generateStream(prompt, options = {}, onToken = () => {}) {
+    const response = await this.http.post('/v1/chat/completions', {
+      model: options.model || this.model,
+      messages: [
+        { role: 'user', content: prompt }
+      ],
+      temperature: options.temperature ?? 0.7,
+      top_p: 0.9,
+      ...(options.maxTokens ? { max_tokens: options.maxTokens } : {}),
+      response_format: this._responseFormat(options),
+      stream: true
+    }, this._requestConfig(options, { responseType: 'stream' }));
+
+    let text = '';
+    this.lastUsage = null;
+    await this._readLines(response.data, (line) => {
+      const event = this._parseSseLine(line);
+      const delta = event?.choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        onToken(delta);
+      }
+    });
+
+    return text;
+  }
+
+  _responseFormat(options) {
+    if (!options.schema) {
+      return { type: 'json_object' };
+    }
+    return {
+      type: 'json_schema',
+      json_schema: { name: options.promptName || 'response', schema: options.schema }
+    };
+  }
+
+  async testConnection() {
+    const response = await this.http.get('/v1/models');
+    const models = (response.data.data || []).map(m => m.id);
+    return this._buildModelStatus(models);
+  }
+}
+
+/**
+ * llama.cpp HTTP server native API (/completion)
+ * The server hosts exactly one model, so the model name (also a routed one) is informational.
+ */
+class LlamaCppProvider extends BaseProvider {
+  constructor(config) {
+    super({ baseUrl: 'http://localhost:8080', ...config });
+    this.name = 'llamacpp';
+  }
+
+  async generate(prompt, options = {}) {
+    const response = await this.http.post('/completion', {
+      prompt: prompt,
+      temperature: options.temperature ?? 0.7,
+      top_p: 0.9,
+      n_predict: options.maxTokens ?? -1,
+      ...(options.schema ? { json_schema: options.schema } : {}),
+      stream: false
+    }, this._requestConfig(options));
+
+    if (response.data && typeof response.data.content === 'string') {
+      this._setUsage(response.data.tokens_evaluated, response.data.tokens_predicted);
+      return response.data.content;
+    }
+
+    throw new ProviderResponseError('Invalid response structure from llama.cpp server', response.data);
+  }
+
+  async generateStream(prompt, options = {}, onToken = () => {}) {
+    const response = await this.http.post('/completion', {
+      prompt: prompt,
+      temperature: options.temperature ?? 0.7,
+      top_p: 0.9,
+      n_predict: options.maxTokens ?? -1,
+      ...(options.schema ? { json_schema: options.schema } : {}),
+      stream: true
+    }, this._requestConfig(options, { responseType: 'stream' }));
+
+    let text = '';
+    this.lastUsage = null;
+    await this._readLines(response.data, (line) => {
+      const event = this._parseSseLine(line);
+      if (event?.content) {
+        text += event.content;
+        onToken(event.content);
+      }
+
+      if (event?.stop) {
+        this._setUsage(event.tokens_evaluated, event.tokens_predicted);
+      }
+    });
+
+    return text;
+  }
+
+  async testConnection() {
+    await this.http.get('/health');
+    return {
+      connected: true,
+      modelAvailable: true,
+      availableModels: [this.model]
+    };
+  }
+}
+
+/**
+ * Deterministic offline provider - no network, canned JSON per prompt
+ */
+class StubProvider {
+  constructor(config) {
+    this.name = 'stub';
+    this.model = config.model || 'stub';
+    this.supportsSchema = false;
+    this.responses = { ...StubProvider.DEFAULT_RESPONSES };
+
+    // Optional override file: { "<promptName>": <response object or string> }
+    if (config.responsesPath) {
+      const overrides = JSON.parse(readFileSync(config.responsesPath, 'utf8'));
+      Object.assign(this.responses, overrides);
+    }
+  }
+
+  async generate(prompt, options = {}) {
+    const response = this.responses[options.promptName] ?? this.responses.default;
+    return typeof response === 'string' ? response : JSON.stringify(response);
+  }
+
+  async generateStream(prompt, options = {}, onToken = () => {}) {
+    const text = await this.generate(prompt, options);
+
+    // Emit in small slices so consumers see genuinely partial JSON
+    for (let i = 0; i < text.length; i += StubProvider.STREAM_CHUNK_SIZE) {
+      onToken(text.slice(i, i + StubProvider.STREAM_CHUNK_SIZE));
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    return text;
+  }
+
+  async testConnection() {
+    return {
+      connected: true,
+      modelAvailable: true,
+      availableModels: [this.model]
+    };
+  }
+}
+
+StubProvider.STREAM_CHUNK_SIZE = 16;
+
+StubProvider.DEFAULT_RESPONSES = {
+  status_update_prompt: [
+    { actionName: 'getStatus', parameters: {} }
+  ],
+  action_queue_prompt: {
+    actionQueue: [
+      { actionName: 'getStatus', parameters: {}, successCriteria: 'Status read', timeoutMs: 2000, fallbackAction: null }
+    ]
+  },
+  emergency_prompt: {
+    analysis: 'Stub emergency response',
+    priority: 'critical',
+    actionQueue: []
+  },
+  respawn_prompt: {
+    analysis: 'Stub respawn response',
+    priority: 'medium',
+    strategy: 'fresh_start',
+    riskAssessment: { itemValue: 'unknown', retrievalRisk: 'high', recommendation: 'fresh_start' },
+    actionQueue: [
+      { actionName: 'getStatus', parameters: {}, successCriteria: 'Status read', timeoutMs: 2000, fallbackAction: null }
+    ]
+  },
+  genesis_prompt: {
+    analysis: 'Stub genesis response',
+    priority: 'low',
+    goalQueue: [],
+    actionQueue: []
+  },
+  plan_repair_prompt: {
+    actionQueue: []
+  },
+  goal_decomposition_prompt: {
+    handlungen: [
+      { handlungId: 'h1', description: 'Check current status', dependsOn: [], successCriteria: 'Status read' }
+    ]
+  },
+  learning_prompt: {
+    learnings: [],
+    summary: 'Stub learning response'
+  },
+  chat_tip_parser: {
+    interpretation: 'Stub tip interpretation',
+    learnings: [],
+    acknowledgment: 'Thanks for the tip!'
+  },
+  default: {}
+};
+
+const PROVIDERS = {
+  ollama: OllamaProvider,
+  openai: OpenAICompatibleProvider,
+  llamacpp: LlamaCppProvider,
+  stub: StubProvider
+};
+
+/**
+ * Factory used by OllamaInterface
+ * @param {String} type - 'ollama' | 'openai' | 'llamacpp' | 'stub'
+ * @param {Object} config - { baseUrl, model, timeout, apiKey, responsesPath }
+ */
+export function createProvider(type, config = {}) {
+  const ProviderClass = PROVIDERS[type];
+  if (!ProviderClass) {
+    throw new Error(`Unknown LLM provider '${type}'. Supported: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  // Let the provider pick its own default URL when none is configured
+  const cleanConfig = Object.fromEntries(
+    Object.entries(config).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  );
+
+  return new ProviderClass(cleanConfig);
+}
+
+export function getSupportedProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+export { ProviderResponseError, OllamaProvider, OpenAICompatibleProvider, LlamaCppProvider, StubProvider };
@@ -0,0 +1,304 @@
+/**
+ * LLMRecorder.js - Tonband für Prompts und Antworten
+ * "Einmal fragen, beliebig oft abspielen"
+ * Speichert gefüllte Prompts samt Rohantwort und spielt sie deterministisch wieder ab.
+ *
+ * Layout: <directory>/<promptName>/<contextHash>.json
+ */
+
+import { readFile, writeFile, rename, mkdir, readdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import { dirname, join, isAbsolute } from 'path';
+import winston from 'winston';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const MODES = ['off', 'record', 'replay'];
+
+// Context fields that differ between two runs of the same situation, left out of the hash at any depth
+const VOLATILE_FIELDS = {
+  default: ['timestamp', 'createdAt', 'updatedAt', 'finishedAt', 'recordedAt', 'duration', 'durationMs', 'executionTime'],
+  emergency_prompt: ['score'],
+  respawn_prompt: ['deathTime', 'timeSinceDeath', 'despawnSecondsLeft', 'travelEstimateSeconds', 'distanceToDeathPoint']
+};
+
+// Game ticks only count as day or night
+const TIME_FIELDS = ['timeOfDay', 'gameTime'];
+const NIGHT_START = 13000;
+
+// Coordinates are hashed by block
+const AXES = ['x', 'y', 'z'];
+
+// Raised in strict replay mode when the corpus has no answer for a prompt
+class RecordingNotFoundError extends Error {
+  constructor(message, promptName, contextHash) {
+    super(message);
+    this.name = 'RecordingNotFoundError';
+    this.promptName = promptName;
+    this.contextHash = contextHash;
+  }
+}
+
+/**
+ * JSON.stringify with sorted object keys so equal contexts hash equally
+ */
+export function stableStringify(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value) ?? 'null';
+  }
+
+  if (typeof value.toJSON === 'function') {
+    return stableStringify(value.toJSON());
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item)).join(',')}]`;
+  }
+
+  const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+  return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+}
+
+/**
+ * The part of a prompt's context that identifies the situation
+ * Drops the prompt's volatile fields, floors positions to the block, rounds other
+ * fractions and reduces game time to day or night, so a replayed run finds the
+ * recordings of the run before it.
+ */
+export function normalizeContext(promptName, value) {
+  const volatile = [...VOLATILE_FIELDS.default, ...(VOLATILE_FIELDS[promptName] || [])];
+
+  const normalize = (current, key) => {
+    if (current === null || current === undefined) {
+      return current;
+    }
+
+    if (typeof current.toJSON === 'function') {
+      return normalize(current.toJSON(), key);
+    }
+
+    if (typeof current === 'number') {
+      if (TIME_FIELDS.includes(key)) {
+        return current < NIGHT_START ? 'day' : 'night';
+      }
+      return Math.round(current);
+    }
+
+    if (Array.isArray(current)) {
+      return current.map(item => normalize(item));
+    }
+
+    if (typeof current !== 'object') {
+      return current;
+    }
+
+    const isPosition = AXES.every(axis => typeof current[axis] === 'number');
+
+    const result = {};
+    for (const [field, fieldValue] of Object.entries(current)) {
+      if (isPosition && AXES.includes(field)) {
+        result[field] = Math.floor(fieldValue);
+      } else if (!volatile.includes(field)) {
+        result[field] = normalize(fieldValue, field);
+      }
+    }
+    return result;
+  };
+
+  return normalize(value);
+}
+
+class LLMRecorder {
+  constructor(options = {}, logger) {
+    this.mode = options.mode || process.env.LLM_RECORD_MODE || 'off';
+    if (!MODES.includes(this.mode)) {
+      throw new Error(`Unknown LLM record mode '${this.mode}'. Supported: ${MODES.join(', ')}`);
+    }
+
+    const directory = options.directory || process.env.LLM_RECORDINGS_DIR || join(__dirname, 'recordings');
+    this.directory = isAbsolute(directory) ? directory : join(process.cwd(), directory);
+
+    // Strict replay fails on a miss; lenient replay falls through to the live backend
+    this.strict = options.strict ?? (process.env.LLM_REPLAY_STRICT !== 'false');
+
+    this.stats = {
+      recorded: 0,
+      replayed: 0,
+      misses: 0,
+      promptDrifts: 0
+    };
+
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.printf(({ timestamp, level, message }) => {
+          return `[${timestamp}] [LLMRecorder] ${level}: ${message}`;
+        })
+      ),
+      transports: [
+        new winston.transports.Console({
+          level: process.env.LOG_LEVEL || 'info'
+        })
+      ]
+    });
+
+    if (this.mode !== 'off') {
+      this.logger.info(`LLMRecorder active - Mode: ${this.mode}, Directory: ${this.directory}`);
+    }
+  }
+
+  isRecording() {
+    return this.mode === 'record';
+  }
+
+  isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  /**
+   * Short, stable hash of the situation the context data describes
+   */
+  hashContext(promptName, contextData) {
+    return createHash('sha256')
+      .update(stableStringify(normalizeContext(promptName, contextData)))
+      .digest('hex')
+      .substring(0, 16);
+  }
+
+  _recordingPath(promptName, contextHash) {
+    return join(this.directory, promptName, `${contextHash}.json`);
+  }
+
+  /**
+   * Replay: return the recorded raw response text, or null on a lenient miss
+   * @param {Function} renderPrompt - fills the current template with a context, to detect drift
+   */
+  async load(promptName, contextData, renderPrompt) {
+    const contextHash = this.hashContext(promptName, contextData);
+    const filePath = this._recordingPath(promptName, contextHash);
+
+    if (!existsSync(filePath)) {
+      this.stats.misses++;
+
+      if (this.strict) {
+        throw new RecordingNotFoundError(
+          `No recorded response for ${promptName} (context ${contextHash})`,
+          promptName,
+          contextHash
+        );
+      }
+
+      this.logger.warn(`Replay miss for ${promptName} (context ${contextHash}), using live backend`);
+      return null;
+    }
+
+    const recording = JSON.parse(await readFile(filePath, 'utf8'));
+
+    // Same context, different prompt text: the template changed since recording.
+    // The recorded context is rendered again, since the current one differs in volatile fields.
+    const drift = LLMRecorder.diffPrompts(recording.prompt, renderPrompt(recording.contextData || {}));
+    if (drift) {
+      this.stats.promptDrifts++;
+      this.logger.warn(`Prompt drift for ${promptName} (context ${contextHash}) at line ${drift.line}: ` +
+        `recorded "${drift.recorded}" vs current "${drift.current}"`);
+    }
+
+    this.stats.replayed++;
+    this.logger.debug(`Replayed ${promptName} (context ${contextHash})`);
+    return recording.response;
+  }
+
+  /**
+   * Record: persist prompt and raw response atomically
+   */
+  async save(promptName, contextData, filledPrompt, responseText, meta = {}) {
+    const contextHash = this.hashContext(promptName, contextData);
+    const filePath = this._recordingPath(promptName, contextHash);
+    const tempPath = `${filePath}.tmp`;
+
+    const recording = {
+      promptName: promptName,
+      contextHash: contextHash,
+      recordedAt: new Date().toISOString(),
+      ...meta,
+      contextData: JSON.parse(JSON.stringify(contextData)),
+      prompt: filledPrompt,
+      response: responseText
+    };
+
+    try {
+      await mkdir(dirname(filePath), { recursive: true });
+      await writeFile(tempPath, JSON.stringify(recording, null, 2), 'utf8');
+      await rename(tempPath, filePath);
+
+      this.stats.recorded++;
+      this.logger.debug(`Recorded ${promptName} (context ${contextHash})`);
+    } catch (error) {
+      // Recording is best effort - never break the live request because of it
+      this.logger.error(`Failed to record ${promptName}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Iterate over the whole corpus
+   */
+  async listRecordings() {
+    if (!existsSync(this.directory)) {
+      return [];
+    }
+
+    const recordings = [];
+    const promptDirs = await readdir(this.directory, { withFileTypes: true });
+
+    for (const promptDir of promptDirs.filter(entry => entry.isDirectory())) {
+      const files = await readdir(join(this.directory, promptDir.name));
+
+      for (const file of files.filter(name => name.endsWith('.json'))) {
+        const filePath = join(this.directory, promptDir.name, file);
+        recordings.push({ filePath, ...JSON.parse(await readFile(filePath, 'utf8')) });
+      }
+    }
+
+    return recordings;
+  }
+
+  /**
+   * First differing line of two prompts, or null if identical
+   */
+  static diffPrompts(recordedPrompt, currentPrompt) {
+    if (recordedPrompt === currentPrompt) {
+      return null;
+    }
+
+    const recordedLines = (recordedPrompt || '').split('\n');
+    const currentLines = (currentPrompt || '').split('\n');
+    const length = Math.max(recordedLines.length, currentLines.length);
+
+    for (let i = 0; i < length; i++) {
+      if (recordedLines[i] !== currentLines[i]) {
+        return {
+          line: i + 1,
+          recorded: (recordedLines[i] ?? '<missing>').substring(0, 120),
+          current: (currentLines[i] ?? '<missing>').substring(0, 120)
+        };
+      }
+    }
+
+    return null;
+  }
+
+  getStatistics() {
+    return {
+      mode: this.mode,
+      directory: this.directory,
+      ...this.stats
+    };
+  }
+}
+
+export { RecordingNotFoundError };
+export default LLMRecorder;
@@ -0,0 +1,181 @@
+/**
+ * ModelRouter.js - Welches Modell beantwortet welchen Prompt
+ * "Schnell, wenn es brennt - gründlich, wenn Zeit ist"
+ * Ordnet jedem Prompt Modell, Temperatur, Timeout und Token-Limit zu und
+ * weicht auf ein Ersatzmodell aus, solange das Hauptmodell langsam ist oder Fehler wirft.
+ * Konfiguriert über LLM/modelRouting.json (oder LLM_ROUTING_FILE).
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, isAbsolute } from 'path';
+import winston from 'winston';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const ROUTE_KEYS = ['model', 'fallbackModel', 'temperature', 'timeoutMs', 'maxTokens'];
+
+// Used where the routing file leaves something out
+const DEFAULT_HEALTH = {
+  slowResponseMs: 30000,
+  failureThreshold: 3,
+  cooldownMs: 300000
+};
+
+class ModelRouter {
+  /**
+   * @param {Object} config - { default, routes: { promptName: route }, health }
+   * @param {Object} defaults - { model, timeoutMs } of the OllamaInterface
+   */
+  constructor(config = {}, defaults = {}, logger) {
+    this.defaultRoute = {
+      model: defaults.model,
+      fallbackModel: null,
+      temperature: 0.7,
+      timeoutMs: defaults.timeoutMs,
+      maxTokens: null,
+      ...withoutNulls(config.default)
+    };
+    this.routes = config.routes || {};
+    this.health = { ...DEFAULT_HEALTH, ...config.health };
+
+    // model -> { failures, degradedUntil, requests, errors, slow, totalTime }
+    this.modelStats = new Map();
+
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.printf(({ timestamp, level, message }) => {
+          return `[${timestamp}] [ModelRouter] ${level}: ${message}`;
+        })
+      ),
+      transports: [
+        new winston.transports.Console({
+          level: process.env.LOG_LEVEL || 'info'
+        })
+      ]
+    });
+
+    for (const [promptName, route] of Object.entries(this.routes)) {
+      const unknown = Object.keys(route).filter(key => !ROUTE_KEYS.includes(key));
+      if (unknown.length > 0) {
+        this.logger.warn(`Route ${promptName}: ignoring unknown keys ${unknown.join(', ')}`);
+      }
+    }
+  }
+
+  /**
+   * Load the routing file; a missing default file means "one model for everything"
+   * @param {String} path - LLM_ROUTING_FILE, relative to the working directory
+   */
+  static fromFile(path, defaults, logger) {
+    const routingPath = path ?
+      (isAbsolute(path) ? path : join(process.cwd(), path)) :
+      join(__dirname, 'modelRouting.json');
+
+    let config = {};
+    try {
+      config = JSON.parse(readFileSync(routingPath, 'utf8'));
+    } catch (error) {
+      if (path || error.code !== 'ENOENT') {
+        throw new Error(`Cannot load model routing from ${routingPath}: ${error.message}`);
+      }
+    }
+
+    return new ModelRouter(config, defaults, logger);
+  }
+
+  /**
+   * Request settings for a prompt
+   * @returns {Object} { model, fallbackModel, temperature, timeoutMs, maxTokens } -
+   *                   model is the fallback while the primary is degraded
+   */
+  route(promptName) {
+    const route = { ...this.defaultRoute, ...withoutNulls(this.routes[promptName]) };
+
+    if (route.fallbackModel && route.fallbackModel !== route.model && this.isDegraded(route.model)) {
+      this.logger.debug(`${route.model} is degraded, routing ${promptName} to ${route.fallbackModel}`);
+      return { ...route, model: route.fallbackModel, fallbackModel: null };
+    }
+
+    return route;
+  }
+
+  /**
+   * Record how a request went; slow answers count as failures of the model
+   * @param {String} model
+   * @param {Object} result - { durationMs, error }
+   */
+  recordResult(model, { durationMs = 0, error = null } = {}) {
+    const stats = this.getStats(model);
+    stats.requests++;
+    stats.totalTime += durationMs;
+
+    const slow = !error && durationMs > this.health.slowResponseMs;
+    if (error) stats.errors++;
+    if (slow) stats.slow++;
+
+    if (!error && !slow) {
+      stats.failures = 0;
+      return;
+    }
+
+    stats.failures++;
+    if (stats.failures >= this.health.failureThreshold && !this.isDegraded(model)) {
+      stats.degradedUntil = Date.now() + this.health.cooldownMs;
+      this.logger.warn(`${model} ${error ? 'failed' : 'was slow'} ${stats.failures} times in a row, ` +
+        `using fallback models for ${Math.round(this.health.cooldownMs / 1000)}s`);
+    }
+  }
+
+  /**
+   * Whether a model is in its cooldown after repeated failures
+   */
+  isDegraded(model) {
+    const stats = this.modelStats.get(model);
+    if (!stats || !stats.degradedUntil) {
+      return false;
+    }
+
+    if (Date.now() >= stats.degradedUntil) {
+      // Cooldown over: the next request tries the model again
+      stats.degradedUntil = null;
+      stats.failures = 0;
+      return false;
+    }
+    return true;
+  }
+
+  getStats(model) {
+    if (!this.modelStats.has(model)) {
+      this.modelStats.set(model, { failures: 0, degradedUntil: null, requests: 0, errors: 0, slow: 0, totalTime: 0 });
+    }
+    return this.modelStats.get(model);
+  }
+
+  /**
+   * Every model the routes may use, for connection checks
+   */
+  getModels() {
+    const routes = [this.defaultRoute, ...Object.values(this.routes)];
+    return [...new Set(routes.flatMap(route => [route.model, route.fallbackModel]).filter(Boolean))];
+  }
+
+  getStatus() {
+    return Object.fromEntries([...this.modelStats.entries()].map(([model, stats]) => [model, {
+      requests: stats.requests,
+      errors: stats.errors,
+      slow: stats.slow,
+      avgResponseTime: stats.requests > 0 ? Math.round(stats.totalTime / stats.requests) : 0,
+      degraded: this.isDegraded(model)
+    }]));
+  }
+}
+
+function withoutNulls(route = {}) {
+  return Object.fromEntries(Object.entries(route).filter(([, value]) => value !== null && value !== undefined));
+}
+
+export default ModelRouter;
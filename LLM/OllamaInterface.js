@@ -4,12 +4,19 @@
  * Kennt nichts über Minecraft, nur über zuverlässige Kommunikation.
  */
 
-import axios from 'axios';
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import winston from 'winston';
 import ErrorRecovery from '../Utils/ErrorRecovery.js';
+import { createProvider, ProviderResponseError } from './LLMProviders.js';
+import StreamingActionParser from './StreamingActionParser.js';
+import LLMRecorder, { RecordingNotFoundError } from './LLMRecorder.js';
+import { getResponseSchema, describeResponseSchema } from './ActionSchema.js';
+import PromptTemplate, { PromptTemplateError } from './PromptTemplate.js';
+import { getTokenizer } from './Tokenizers.js';
+import ModelRouter from './ModelRouter.js';
+import ResponseCache from './ResponseCache.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -31,22 +38,18 @@ class LLMResponseError extends Error {
   }
 }
 
-class PromptTemplateError extends Error {
-  constructor(message, promptName) {
-    super(message);
-    this.name = 'PromptTemplateError';
-    this.promptName = promptName;
-  }
-}
-
 class OllamaInterface {
-  constructor(baseUrl, model, timeout = 15000) {
-    this.baseUrl = baseUrl || 'http://localhost:11434';
+  constructor(baseUrl, model, timeout = 15000, options = {}) {
+    this.providerName = options.provider || process.env.LLM_PROVIDER || 'ollama';
     this.model = model || 'tinyllama';
     this.timeout = timeout;
     
-    // Gebot 6: Template cache
+    // Gebot 6: Template cache (compiled prompts and partials)
     this.templateCache = new Map();
+    this.partialCache = new Map();
+    
+    // Strict mode fails on missing values instead of sending the placeholder to the model
+    this.strictTemplates = options.strictTemplates ?? process.env.PROMPT_STRICT_MODE === 'true';
     
     // Retry configuration
     this.maxRetries = 3;
@@ -56,9 +59,16 @@ class OllamaInterface {
       totalRequests: 0,
       totalResponseTime: 0,
       errors: 0,
-      lastRequestTime: null
+      lastRequestTime: null,
+      // promptName -> token accounting of its last request, see recordPromptTokens()
+      prompts: {},
+      lastPrompt: null
     };
     
+    // Token accounting: tokenizer by model family (LLM_TOKENIZER forces one), window size of the served model
+    this.tokenizer = getTokenizer(this.model, options.tokenizer || process.env.LLM_TOKENIZER || null);
+    this.contextWindow = options.contextWindow || parseInt(process.env.LLM_CONTEXT_WINDOW) || 4096;
+    
     // Setup logger
     this.logger = winston.createLogger({
       level: 'info',
@@ -78,16 +88,38 @@ class OllamaInterface {
     // Initialize error recovery helper
     this.errorRecovery = new ErrorRecovery(null, null, this.logger);
     
-    // Initialize axios instance
-    this.axios = axios.create({
-      baseURL: this.baseUrl,
+    // Backend adapter - the provider owns the wire format, we own retries and parsing
+    this.provider = createProvider(this.providerName, {
+      baseUrl: baseUrl,
+      model: this.model,
       timeout: this.timeout,
-      headers: {
-        'Content-Type': 'application/json'
-      }
+      apiKey: options.apiKey || process.env.LLM_API_KEY,
+      responsesPath: options.stubResponsesPath || process.env.LLM_STUB_RESPONSES
     });
+    this.baseUrl = this.provider.baseUrl || null;
+    
+    // Structured output (LLM_STRUCTURED_OUTPUT=auto|prompt|off): auto hands the response
+    // schema to backends that support it and writes it into the prompt for the others
+    this.structuredOutput = options.structuredOutput || process.env.LLM_STRUCTURED_OUTPUT || 'auto';
+    if (!['auto', 'prompt', 'off'].includes(this.structuredOutput)) {
+      this.logger.warn(`Unknown LLM_STRUCTURED_OUTPUT '${this.structuredOutput}', using auto`);
+      this.structuredOutput = 'auto';
+    }
+    
+    // Model, temperature, timeout and token limit per prompt (LLM_ROUTING_FILE)
+    this.router = options.router || ModelRouter.fromFile(
+      options.routingFile || process.env.LLM_ROUTING_FILE,
+      { model: this.model, timeoutMs: this.timeout }
+    );
+    this.lastModel = null;
     
-    this.logger.info(`OllamaInterface initialized - Model: ${this.model}, URL: ${this.baseUrl}`);
+    // Record/replay layer (LLM_RECORD_MODE=off|record|replay)
+    this.recorder = options.recorder || new LLMRecorder();
+    
+    // Validated plans per situation (LLM_CACHE); recording and replay see every request
+    this.responseCache = options.responseCache || new ResponseCache();
+    
+    this.logger.info(`OllamaInterface initialized - Provider: ${this.providerName}, Model: ${this.model}, URL: ${this.baseUrl || 'n/a'}`);
   }
   
   /**
@@ -101,7 +133,7 @@ class OllamaInterface {
     
     try {
       const promptPath = join(__dirname, 'prompts', `${promptName}.txt`);
-      const template = readFileSync(promptPath, 'utf8');
+      const template = new PromptTemplate(readFileSync(promptPath, 'utf8'), promptName);
       
       // Cache for future use
       this.templateCache.set(promptName, template);
@@ -111,6 +143,9 @@ class OllamaInterface {
     } catch (error) {
       await this.errorRecovery.handleError(error, { module: "OllamaInterface", phase: "template_loading" });
       
+      if (error instanceof PromptTemplateError) {
+        throw error;
+      }
       throw new PromptTemplateError(
         `Failed to load prompt template: ${promptName}`,
         promptName
@@ -119,90 +154,139 @@ class OllamaInterface {
   }
   
   /**
-   * Gebot 1: Replace placeholders in template
+   * Load a shared block from prompts/partials/ - synchronous, it is needed mid-render
+   */
+  loadPartial(partialName) {
+    if (!this.partialCache.has(partialName)) {
+      const partialPath = join(__dirname, 'prompts', 'partials', `${partialName}.txt`);
+      let source;
+      try {
+        source = readFileSync(partialPath, 'utf8');
+      } catch (error) {
+        throw new PromptTemplateError(`Failed to load prompt partial: ${partialName}`, partialName);
+      }
+      this.partialCache.set(partialName, new PromptTemplate(source, partialName));
+    }
+    
+    return this.partialCache.get(partialName);
+  }
+  
+  /**
+   * Gebot 1: Render a template with the context data
    */
   fillTemplate(template, contextData) {
-    let filledPrompt = template;
-    
-    // Replace all {{placeholder}} occurrences
-    Object.entries(contextData).forEach(([key, value]) => {
-      const placeholder = `{{${key}}}`;
-      const replacement = typeof value === 'object' ? 
-        JSON.stringify(value, null, 2) : 
-        String(value);
-      
-      filledPrompt = filledPrompt.replaceAll(placeholder, replacement);
+    return this.renderPrompt(template, contextData).text;
+  }
+  
+  /**
+   * Render a template and report its size
+   * Sections with a priority are trimmed when the prompt would exceed the
+   * recommended context size, lowest priority first.
+   * @returns {Object} PromptTemplate.render() result with text, tokens and fieldTokens
+   */
+  renderPrompt(template, contextData) {
+    const limits = this.getContextLimits();
+    const result = template.render(contextData, {
+      resolvePartial: (name) => this.loadPartial(name),
+      strict: this.strictTemplates,
+      budget: limits.recommendedMax,
+      countTokens: (text) => this.estimateTokenCount(text)
     });
     
-    // Check for unfilled placeholders
-    const unfilled = filledPrompt.match(/{{[^}]+}}/g);
-    if (unfilled) {
-      this.logger.warn(`Unfilled placeholders found: ${unfilled.join(', ')}`);
+    if (result.missing.length > 0) {
+      this.logger.warn(`Unfilled placeholders in ${template.name}: ${result.missing.join(', ')}`);
+    }
+    
+    if (result.trimmed.length > 0) {
+      this.logger.info(`Trimmed ${template.name} to ~${result.tokens} tokens, left out: ${result.trimmed.join(', ')}`);
+    }
+    
+    if (result.tokens > limits.recommendedMax) {
+      this.logger.warn(`${template.name} is ~${result.tokens} tokens, above the recommended ${limits.recommendedMax}`);
     }
     
-    return filledPrompt;
+    return result;
+  }
+  
+  /**
+   * Build the request for a prompt: its routed model settings plus the JSON Schema
+   * of the expected response, natively or as prompt section
+   * @returns {Object} { prompt, requestOptions } - prompt unchanged in native mode
+   */
+  buildRequest(promptName, filledPrompt) {
+    const requestOptions = { promptName, ...this.router.route(promptName) };
+    const schema = this.structuredOutput === 'off' ? null : getResponseSchema(promptName);
+    
+    if (!schema) {
+      return { prompt: filledPrompt, requestOptions };
+    }
+    
+    if (this.structuredOutput === 'auto' && this.provider.supportsSchema) {
+      return { prompt: filledPrompt, requestOptions: { ...requestOptions, schema } };
+    }
+    
+    return { prompt: `${filledPrompt}\n\n${describeResponseSchema(schema)}`, requestOptions };
   }
   
   /**
    * Private method to make the actual request
    */
-  async _makeRequest(prompt) {
-    const response = await this.axios.post('/api/generate', {
-      model: this.model,
-      prompt: prompt,
-      stream: false,
-      format: 'json',
-      options: {
-        temperature: 0.7,
-        top_p: 0.9,
-        seed: Date.now() // For reproducibility in testing
+  async _makeRequest(prompt, requestOptions = {}) {
+    try {
+      return await this.provider.generate(prompt, requestOptions);
+    } catch (error) {
+      if (error instanceof ProviderResponseError) {
+        throw new LLMResponseError(error.message, error.response);
       }
-    });
-    
-    if (response.data && response.data.response) {
-      return response.data.response;
-    } else {
-      throw new LLMResponseError(
-        'Invalid response structure from Ollama',
-        response.data
-      );
+      throw error;
     }
   }
   
   /**
    * Gebot 2: Send request with retry logic
    */
-  async sendRequest(prompt) {
+  async sendRequest(prompt, requestOptions = {}) {
     let lastError;
+    let options = { model: this.model, ...requestOptions };
     
     for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+      const startTime = Date.now();
       try {
-        this.logger.debug(`Sending request to Ollama (attempt ${attempt}/${this.maxRetries})`);
+        this.logger.debug(`Sending request to ${this.providerName}/${options.model} (attempt ${attempt}/${this.maxRetries})`);
         
-        const response = await this._makeRequest(prompt);
+        const response = await this._makeRequest(prompt, options);
         
-        this.logger.debug('Received successful response from Ollama');
+        this.router.recordResult(options.model, { durationMs: Date.now() - startTime });
+        this.lastModel = options.model;
+        this.logger.debug(`Received successful response from ${this.providerName}`);
         return response;
         
       } catch (error) {
         await this.errorRecovery.handleError(error, { module: "OllamaInterface", phase: "request_send" });
+        this.router.recordResult(options.model, { durationMs: Date.now() - startTime, error });
 
         lastError = error;
         
         if (error.code === 'ECONNREFUSED' || error.code === 'ECONNRESET') {
           this.logger.error(`Connection error (attempt ${attempt}): ${error.message}`);
-          lastError = new OllamaConnectionError('Cannot connect to Ollama server', error);
+          lastError = new OllamaConnectionError(`Cannot connect to ${this.providerName} server`, error);
         } else if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
-          this.logger.error(`Timeout error (attempt ${attempt}): Request took longer than ${this.timeout}ms`);
+          this.logger.error(`Timeout error (attempt ${attempt}): Request took longer than ${options.timeoutMs || this.timeout}ms`);
           lastError = new OllamaConnectionError('Request timeout', error);
         } else if (error.response) {
           this.logger.error(`API error (attempt ${attempt}): ${error.response.status} - ${error.response.statusText}`);
           lastError = new LLMResponseError(
-            `Ollama API error: ${error.response.status}`,
+            `${this.providerName} API error: ${error.response.status}`,
             error.response.data
           );
         }
         
+        // The remaining attempts go to the fallback model
+        if (options.fallbackModel && attempt < this.maxRetries) {
+          this.logger.warn(`${options.model} failed for ${options.promptName}, retrying with ${options.fallbackModel}`);
+          options = { ...options, model: options.fallbackModel, fallbackModel: null };
+        }
+        
         // If not the last attempt, wait before retrying
         if (attempt < this.maxRetries) {
           const delay = this.retryDelay * attempt; // Exponential backoff
@@ -248,19 +332,39 @@ class OllamaInterface {
     this.metrics.lastRequestTime = startTime;
     
     try {
+      // A plan that already worked in the same situation
+      const cacheKey = this.recorder.isRecording() || this.recorder.isReplaying() ?
+        null : this.responseCache.fingerprint(promptName, contextData);
+      const cachedResponse = this.responseCache.get(cacheKey);
+      if (cachedResponse) {
+        this.logger.debug(`Serving ${promptName} from the response cache`);
+        this.metrics.totalResponseTime += (Date.now() - startTime);
+        return cachedResponse;
+      }
+      
       // Load template
       const template = await this.loadPromptTemplate(promptName);
       
       // Fill template with context
-      const filledPrompt = this.fillTemplate(template, contextData);
+      const rendered = this.renderPrompt(template, contextData);
+      const filledPrompt = rendered.text;
+      
+      // Recordings keep the filled template, the schema depends on the backend
+      const { prompt, requestOptions } = this.buildRequest(promptName, filledPrompt);
+      const promptStats = this.recordPromptTokens(promptName, prompt, rendered);
       
       // Log prompt details in debug mode
       if (process.env.VERBOSE_LLM_LOGGING === 'true') {
         this.logger.debug(`Filled prompt for ${promptName}:\n${filledPrompt.substring(0, 500)}...`);
       }
       
-      // Send request
-      const responseText = await this.sendRequest(filledPrompt);
+      // Send request (or serve it from the recorded corpus)
+      let responseText = await this._replayResponse(promptName, contextData, template);
+      if (responseText === null) {
+        responseText = await this.sendRequest(prompt, requestOptions);
+        this.recordBackendUsage(promptStats, prompt);
+        await this._recordResponse(promptName, contextData, filledPrompt, responseText);
+      }
       
       // Parse response
       const parsedResponse = await this.parseResponse(responseText);
@@ -273,7 +377,8 @@ class OllamaInterface {
       // Update metrics
       this.metrics.totalResponseTime += (Date.now() - startTime);
       
-      return parsedResponse;
+      // Served from the cache only once confirmResponse() vouches for the plan
+      return this.responseCache.set(cacheKey, parsedResponse);
       
     } catch (error) {
       await this.errorRecovery.handleError(error, { module: "OllamaInterface", phase: "prompt_send" });
@@ -288,6 +393,120 @@ class OllamaInterface {
     }
   }
   
+  /**
+   * Streaming variant of sendPrompt
+   * onAction(action, index) fires for every completed action object as soon as it
+   * has been generated; the fully parsed response is returned at the end.
+   */
+  async sendPromptStreaming(promptName, contextData, onAction) {
+    const startTime = Date.now();
+    this.metrics.totalRequests++;
+    this.metrics.lastRequestTime = startTime;
+    
+    const streamParser = new StreamingActionParser(onAction);
+    
+    try {
+      const template = await this.loadPromptTemplate(promptName);
+      const rendered = this.renderPrompt(template, contextData);
+      const filledPrompt = rendered.text;
+      const { prompt, requestOptions } = this.buildRequest(promptName, filledPrompt);
+      const promptStats = this.recordPromptTokens(promptName, prompt, rendered);
+      
+      let responseText = await this._replayResponse(promptName, contextData, template);
+      if (responseText !== null) {
+        streamParser.push(responseText);
+      } else {
+        responseText = await this._streamLive(prompt, requestOptions, streamParser);
+        this.recordBackendUsage(promptStats, prompt);
+        await this._recordResponse(promptName, contextData, filledPrompt, responseText);
+      }
+      
+      const parsedResponse = await this.parseResponse(responseText);
+      
+      this.logger.debug(`Stream for ${promptName} finished: ${streamParser.emittedCount} actions dispatched early`);
+      this.metrics.totalResponseTime += (Date.now() - startTime);
+      
+      return parsedResponse;
+      
+    } catch (error) {
+      await this.errorRecovery.handleError(error, { module: "OllamaInterface", phase: "prompt_stream" });
+      if (error instanceof OllamaConnectionError || 
+          error instanceof LLMResponseError || 
+          error instanceof PromptTemplateError) {
+        throw error;
+      } else {
+        throw new Error(`Unexpected error in sendPromptStreaming: ${error.message}`);
+      }
+    }
+  }
+  
+  /**
+   * Stream from the live backend into the parser
+   */
+  async _streamLive(prompt, requestOptions, streamParser) {
+    const startTime = Date.now();
+    try {
+      this.logger.debug(`Streaming request to ${this.providerName}/${requestOptions.model} for ${requestOptions.promptName}`);
+      const responseText = await this.provider.generateStream(
+        prompt,
+        requestOptions,
+        (token) => streamParser.push(token)
+      );
+      this.router.recordResult(requestOptions.model, { durationMs: Date.now() - startTime });
+      this.lastModel = requestOptions.model;
+      return responseText;
+    } catch (error) {
+      this.router.recordResult(requestOptions.model, { durationMs: Date.now() - startTime, error });
+      
+      // Actions already handed out cannot be taken back - no silent retry in that case
+      if (streamParser.emittedCount > 0) {
+        this.metrics.errors++;
+        throw error instanceof ProviderResponseError ?
+          new LLMResponseError(error.message, error.response) :
+          new OllamaConnectionError(`Stream aborted after ${streamParser.emittedCount} actions`, error);
+      }
+      
+      // sendRequest counts the error if the fallback fails as well
+      this.logger.warn(`Streaming failed before first action (${error.message}), falling back to blocking request`);
+      const responseText = await this.sendRequest(prompt, requestOptions);
+      streamParser.push(responseText);
+      return responseText;
+    }
+  }
+  
+  /**
+   * Replay mode: recorded raw response, or null when the live backend should answer
+   */
+  async _replayResponse(promptName, contextData, template) {
+    if (!this.recorder.isReplaying()) {
+      return null;
+    }
+    
+    try {
+      return await this.recorder.load(promptName, contextData,
+        (recordedContext) => this.fillTemplate(template, recordedContext));
+    } catch (error) {
+      if (error instanceof RecordingNotFoundError) {
+        throw new LLMResponseError(error.message, { promptName, contextHash: error.contextHash });
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Record mode: persist prompt and raw response for later replay
+   */
+  async _recordResponse(promptName, contextData, filledPrompt, responseText) {
+    if (!this.recorder.isRecording()) {
+      return;
+    }
+    
+    await this.recorder.save(promptName, contextData, filledPrompt, responseText, {
+      provider: this.providerName,
+      model: this.lastModel || this.model
+    });
+  }
+  
   /**
    * Gebot 7: Service interface methods for specific prompts
    */
@@ -308,6 +527,17 @@ class OllamaInterface {
     return this.sendPrompt('status_update_prompt', contextData);
   }
   
+  async askForStatusUpdateStreaming(contextData, onAction) {
+    const requiredFields = ['botStatus', 'availableActions', 'gameTime', 'weather', 'dimension'];
+    const missingFields = requiredFields.filter(field => !contextData[field]);
+    
+    if (missingFields.length > 0) {
+      throw new Error(`Missing required context fields for status update: ${missingFields.join(', ')}`);
+    }
+    
+    return this.sendPromptStreaming('status_update_prompt', contextData, onAction);
+  }
+  
   async generateActionQueue(contextData) {
     // Ensure required context
     if (!contextData.currentGoal || !contextData.botStatus || !contextData.availableActions) {
@@ -317,6 +547,32 @@ class OllamaInterface {
     return this.sendPrompt('action_queue_prompt', contextData);
   }
   
+  async generateActionQueueStreaming(contextData, onAction) {
+    if (!contextData.currentGoal || !contextData.botStatus || !contextData.availableActions) {
+      throw new Error('Missing required context for action queue generation');
+    }
+    
+    return this.sendPromptStreaming('action_queue_prompt', contextData, onAction);
+  }
+  
+  async repairActionQueue(contextData) {
+    // Ensure the rejection is known
+    if (!contextData.currentGoal || !contextData.rejectionReason || !contextData.rejectedActions) {
+      throw new Error('Missing rejection context for plan repair');
+    }
+    
+    return this.sendPrompt('plan_repair_prompt', contextData);
+  }
+  
+  async decomposeGoal(contextData) {
+    // Ensure goal context
+    if (!contextData.goal || !contextData.botStatus || !contextData.availableActions) {
+      throw new Error('Missing required context for goal decomposition');
+    }
+    
+    return this.sendPrompt('goal_decomposition_prompt', contextData);
+  }
+  
   async extractLearning(contextData) {
     // Ensure required context
     if (!contextData.completedActions || !contextData.result || !contextData.finalState) {
@@ -354,23 +610,25 @@ class OllamaInterface {
   }
   
 /**
-   * Test connection to Ollama
+   * Test connection to the configured backend
    */
   async testConnection() {
     try {
-      const response = await this.axios.get('/api/tags');
-      const models = response.data.models || [];
-      const modelAvailable = models.some(m => m.name === this.model);
+      const status = await this.provider.testConnection();
       
-      if (!modelAvailable) {
-        this.logger.warn(`Model ${this.model} not found. Available models: ${models.map(m => m.name).join(', ')}`);
+      if (!status.modelAvailable) {
+        this.logger.warn(`Model ${this.model} not found. Available models: ${status.availableModels.join(', ')}`);
       }
       
-      return {
-        connected: true,
-        modelAvailable: modelAvailable,
-        availableModels: models.map(m => m.name)
-      };
+      // Routed models must be served too (llama.cpp serves one model whatever the name)
+      if (this.providerName !== 'llamacpp') {
+        const missing = this.router.getModels().filter(model => !status.availableModels.includes(model));
+        if (missing.length > 0) {
+          this.logger.warn(`Routed models not found: ${missing.join(', ')}`);
+        }
+      }
+      
+      return status;
     } catch (error) {
       await this.errorRecovery.handleError(error, { module: "OllamaInterface", phase: "connection_test" });
       return {
@@ -382,24 +640,81 @@ class OllamaInterface {
   
   /**
    * Get context window info
+   * Size of the served model's window, LLM_CONTEXT_WINDOW (Ollama's num_ctx, not
+   * the model's maximum). The rest of the window is left for the response.
    */
   getContextLimits() {
-    // TinyLlama context window
     return {
-      maxTokens: 4096,
-      recommendedMax: 3500, // Leave room for response
-      warningThreshold: 3000
+      maxTokens: this.contextWindow,
+      recommendedMax: Math.floor(this.contextWindow * 0.85),
+      warningThreshold: Math.floor(this.contextWindow * 0.75)
     };
   }
   
   /**
-   * Estimate token count (rough approximation)
+   * Count tokens with the tokenizer of the model family
    */
   estimateTokenCount(text) {
-    // Rough estimate: 1 token ≈ 4 characters
-    return Math.ceil(text.length / 4);
+    return this.tokenizer.count(text);
   }
-
+  
+  /**
+   * Remember how big a prompt was and which context field took how much of it
+   * @returns {Object} the prompt's entry in metrics.prompts
+   */
+  recordPromptTokens(promptName, prompt, rendered) {
+    const tokens = this.estimateTokenCount(prompt);
+    const fields = { ...rendered.fieldTokens };
+    
+    // Whatever the final prompt adds to the template, i.e. an embedded response schema
+    if (tokens > rendered.tokens) {
+      fields.responseSchema = tokens - rendered.tokens;
+    }
+    
+    const previous = this.metrics.prompts[promptName];
+    const stats = {
+      requests: (previous?.requests || 0) + 1,
+      estimatedTokens: tokens,
+      actualTokens: null,
+      maxTokens: Math.max(previous?.maxTokens || 0, tokens),
+      fields: fields,
+      trimmed: rendered.trimmed,
+      timestamp: Date.now()
+    };
+    
+    this.metrics.prompts[promptName] = stats;
+    this.metrics.lastPrompt = promptName;
+    return stats;
+  }
+  
+  /**
+   * Take the exact prompt size from the backend and calibrate the tokenizer with it
+   */
+  recordBackendUsage(stats, prompt) {
+    const usage = this.provider.lastUsage;
+    if (!usage) {
+      return;
+    }
+    
+    stats.actualTokens = usage.promptTokens;
+    stats.maxTokens = Math.max(stats.maxTokens, usage.promptTokens);
+    this.tokenizer.calibrate(prompt, usage.promptTokens);
+  }
+  
+  /**
+   * The plan of a response passed validation - reuse it in the same situation
+   */
+  confirmResponse(response) {
+    this.responseCache.confirm(response);
+  }
+  
+  /**
+   * The plan of a response failed - drop it from the cache
+   */
+  invalidateResponse(response) {
+    this.responseCache.invalidate(response);
+  }
+  
   getMetrics() {
     return {
       avgResponseTime: this.metrics.totalRequests > 0 ?
@@ -407,13 +722,24 @@ class OllamaInterface {
       requestCount: this.metrics.totalRequests,
       errorRate: this.metrics.totalRequests > 0 ?
         this.metrics.errors / this.metrics.totalRequests : 0,
-      contextWindowUsage: this.estimateContextUsage()
+      contextWindowUsage: this.estimateContextUsage(),
+      contextWindow: this.contextWindow,
+      tokenizer: this.tokenizer.name,
+      prompts: this.metrics.prompts,
+      models: this.router.getStatus(),
+      responseCache: this.responseCache.getStats()
     };
   }
 
+  /**
+   * Share of the context window the last prompt filled, backend count if known
+   */
   estimateContextUsage() {
-    // Placeholder implementation - should be improved later
-    return 0.3;
+    const stats = this.metrics.prompts[this.metrics.lastPrompt];
+    if (!stats) {
+      return 0;
+    }
+    return (stats.actualTokens ?? stats.estimatedTokens) / this.contextWindow;
   }
 }
 
@@ -0,0 +1,295 @@
+/**
+ * PromptTemplate.js - Kleine Template-Sprache für die Prompt-Dateien
+ * "Ein Baustein, überall gleich"
+ * Platzhalter mit Pfaden, Partials, Bedingungen, Schleifen und Abschnitte,
+ * die bei knappem Token-Budget nach Priorität gekürzt werden.
+ *
+ * Syntax:
+ *   {{botStatus.health}}                 value, objects as indented JSON
+ *   {{> bot_status}}                     partial from prompts/partials/bot_status.txt
+ *   {{#if value}} ... {{else}} ... {{/if}}, {{#unless value}} ... {{/unless}}
+ *   {{#each list}} {{name}} {{@index}} {{else}} empty {{/each}}
+ *   {{#section learnings priority=1}} ... {{else}} short form {{/section}}
+ * Sections with a priority are trimmed lowest priority first when the prompt
+ * exceeds the budget; their else part (if any) is rendered instead.
+ */
+
+// Template problems: syntax errors, unknown partials, missing values in strict mode
+class PromptTemplateError extends Error {
+  constructor(message, promptName, missing = []) {
+    super(message);
+    this.name = 'PromptTemplateError';
+    this.promptName = promptName;
+    this.missing = missing;
+  }
+}
+
+const TAG_PATTERN = /\{\{\s*(.+?)\s*\}\}/gs;
+
+// A block or partial tag alone on its line takes the line break with it
+const STANDALONE_PATTERN = /^[ \t]*(\{\{\s*(?:[#/>][^}]*|else\s*)\}\})[ \t]*\r?\n/gm;
+
+const BLOCKS = ['if', 'unless', 'each', 'section'];
+
+class PromptTemplate {
+  /**
+   * @param {String} source - template text
+   * @param {String} name - prompt or partial name, used in errors
+   */
+  constructor(source, name = 'template') {
+    this.name = name;
+    this.source = source;
+    this.nodes = this.parse(source.replace(STANDALONE_PATTERN, '$1'));
+  }
+
+  /**
+   * Turn the source into a tree of text, value, partial and block nodes
+   */
+  parse(source) {
+    const root = { body: [] };
+    const stack = [root];
+    let current = root.body;
+    let position = 0;
+
+    for (const match of source.matchAll(TAG_PATTERN)) {
+      if (match.index > position) {
+        current.push({ type: 'text', text: source.slice(position, match.index) });
+      }
+      position = match.index + match[0].length;
+
+      const tag = match[1];
+      const parent = stack[stack.length - 1];
+
+      if (tag.startsWith('#')) {
+        const [type, ...args] = tag.slice(1).trim().split(/\s+/);
+        if (!BLOCKS.includes(type) || args.length === 0) {
+          throw new PromptTemplateError(`Invalid block '{{${tag}}}' in ${this.name}`, this.name);
+        }
+
+        const node = { type, body: [], elseBody: [] };
+        if (type === 'section') {
+          node.sectionName = args[0];
+          const priority = args.find(arg => arg.startsWith('priority='));
+          node.priority = priority ? Number(priority.slice(9)) : null;
+        } else {
+          node.path = args[0];
+        }
+
+        current.push(node);
+        stack.push(node);
+        current = node.body;
+
+      } else if (tag.startsWith('/')) {
+        const type = tag.slice(1).trim();
+        if (stack.length === 1 || parent.type !== type) {
+          throw new PromptTemplateError(`Unexpected '{{${tag}}}' in ${this.name}`, this.name);
+        }
+        stack.pop();
+        current = this.openList(stack[stack.length - 1]);
+
+      } else if (tag === 'else') {
+        if (stack.length === 1) {
+          throw new PromptTemplateError(`'{{else}}' outside of a block in ${this.name}`, this.name);
+        }
+        parent.inElse = true;
+        current = this.openList(parent);
+
+      } else if (tag.startsWith('>')) {
+        current.push({ type: 'partial', partialName: tag.slice(1).trim() });
+
+      } else {
+        current.push({ type: 'value', path: tag });
+      }
+    }
+
+    if (stack.length > 1) {
+      throw new PromptTemplateError(`Unclosed '{{#${stack[stack.length - 1].type}}}' in ${this.name}`, this.name);
+    }
+
+    if (position < source.length) {
+      current.push({ type: 'text', text: source.slice(position) });
+    }
+    return root.body;
+  }
+
+  /**
+   * The list new nodes go to after a block closed: the enclosing block's body or else part
+   */
+  openList(block) {
+    return block.inElse ? block.elseBody : block.body;
+  }
+
+  /**
+   * Render the template
+   * @param {Object} data - context data
+   * @param {Object} options
+   * @param {Function} options.resolvePartial - name -> PromptTemplate
+   * @param {boolean} options.strict - throw on missing values instead of keeping the placeholder
+   * @param {number} options.budget - token budget, sections are trimmed above it
+   * @param {Function} options.countTokens - text -> token count
+   * @returns {Object} { text, missing: [paths], trimmed: [section names], tokens,
+   *                     fieldTokens: { contextField: tokens, template: tokens } }
+   */
+  render(data, options = {}) {
+    const countTokens = options.countTokens || (text => Math.ceil(text.length / 4));
+    const trimmed = new Set();
+
+    let result = this.renderOnce(data, options, trimmed);
+    let tokens = countTokens(result.text);
+
+    if (options.budget) {
+      // Trim one priority level after the other until the prompt fits
+      const candidates = [...result.sections.values()]
+        .filter(section => section.priority !== null)
+        .sort((a, b) => a.priority - b.priority);
+
+      for (const section of candidates) {
+        if (tokens <= options.budget) break;
+        trimmed.add(section.sectionName);
+        result = this.renderOnce(data, options, trimmed);
+        tokens = countTokens(result.text);
+      }
+    }
+
+    if (options.strict && result.missing.length > 0) {
+      throw new PromptTemplateError(
+        `Missing values in ${this.name}: ${result.missing.join(', ')}`,
+        this.name,
+        result.missing
+      );
+    }
+
+    const fieldTokens = {};
+    for (const [field, text] of result.fields) {
+      fieldTokens[field] = countTokens(text);
+    }
+
+    return { text: result.text, missing: result.missing, trimmed: [...trimmed], tokens, fieldTokens };
+  }
+
+  renderOnce(data, options, trimmed) {
+    const state = {
+      options,
+      trimmed,
+      missing: [],
+      sections: new Map(),
+      fields: new Map(),
+      partialDepth: 0
+    };
+
+    const text = this.renderNodes(this.nodes, [data], state);
+    return { text, missing: [...new Set(state.missing)], sections: state.sections, fields: state.fields };
+  }
+
+  /**
+   * @param {String} field - context field the output is counted for; loop bodies
+   *                         count for the list they repeat, other text for 'template'
+   */
+  renderNodes(nodes, scopes, state, field = null) {
+    let output = '';
+    const emit = (text, owner) => {
+      output += text;
+      state.fields.set(owner, (state.fields.get(owner) || '') + text);
+    };
+
+    for (const node of nodes) {
+      switch (node.type) {
+        case 'text':
+          emit(node.text, field || 'template');
+          break;
+
+        case 'value': {
+          const value = lookup(node.path, scopes);
+          if (value === undefined) {
+            state.missing.push(node.path);
+            emit(`{{${node.path}}}`, field || 'template');
+          } else {
+            emit(formatValue(value), field || rootOf(node.path));
+          }
+          break;
+        }
+
+        case 'if':
+          output += this.renderNodes(isTruthy(lookup(node.path, scopes)) ? node.body : node.elseBody, scopes, state, field);
+          break;
+
+        case 'unless':
+          output += this.renderNodes(isTruthy(lookup(node.path, scopes)) ? node.elseBody : node.body, scopes, state, field);
+          break;
+
+        case 'each': {
+          const list = lookup(node.path, scopes);
+          const items = Array.isArray(list) ? list : [];
+          if (items.length === 0) {
+            output += this.renderNodes(node.elseBody, scopes, state, field);
+            break;
+          }
+          items.forEach((item, index) => {
+            const meta = { this: item, '@index': index, '@first': index === 0, '@last': index === items.length - 1 };
+            output += this.renderNodes(node.body, [meta, item, ...scopes], state, field || rootOf(node.path));
+          });
+          break;
+        }
+
+        case 'section':
+          if (!state.sections.has(node.sectionName)) {
+            state.sections.set(node.sectionName, node);
+          }
+          output += this.renderNodes(state.trimmed.has(node.sectionName) ? node.elseBody : node.body, scopes, state, field);
+          break;
+
+        case 'partial': {
+          const partial = state.options.resolvePartial?.(node.partialName);
+          if (!partial) {
+            throw new PromptTemplateError(`Unknown partial '${node.partialName}' in ${this.name}`, this.name);
+          }
+          if (state.partialDepth >= 5) {
+            throw new PromptTemplateError(`Partials nested too deep in ${this.name}`, this.name);
+          }
+          state.partialDepth++;
+          output += partial.renderNodes(partial.nodes, scopes, state, field);
+          state.partialDepth--;
+          break;
+        }
+      }
+    }
+
+    return output;
+  }
+}
+
+/**
+ * Resolve a dotted path, innermost scope first
+ */
+function lookup(path, scopes) {
+  const [head, ...rest] = path.split('.');
+
+  for (const scope of scopes) {
+    if (scope === null || typeof scope !== 'object' || !(head in scope)) {
+      continue;
+    }
+    return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), scope[head]);
+  }
+  return undefined;
+}
+
+function rootOf(path) {
+  return path.split('.')[0];
+}
+
+function isTruthy(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).length > 0;
+  }
+  return Boolean(value);
+}
+
+function formatValue(value) {
+  return typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+}
+
+export default PromptTemplate;
+export { PromptTemplateError };
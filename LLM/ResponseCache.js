@@ -0,0 +1,199 @@
+/**
+ * ResponseCache.js - Wiederverwendung bewährter Pläne
+ * "Gleiche Lage, gleicher Plan"
+ * Speichert LLM-Antworten unter einem Fingerabdruck der Situation (Inventar,
+ * Gesundheit, Tageszeit, Dimension, Umgebung - grob gerundet). Ausgeliefert wird
+ * eine Antwort erst, wenn ihr Plan die Validierung bestanden hat; scheitert er
+ * später, wird der Eintrag verworfen.
+ */
+
+const DEFAULT_TTL_MS = 10 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 100;
+
+// Positions within one cell count as the same place (one chunk)
+const POSITION_CELL_SIZE = 16;
+
+// Minecraft night starts at tick 13000
+const NIGHT_START = 13000;
+
+/**
+ * 0, 1, 2-3, 4-7, 8-15, ... - small stock changes keep the fingerprint
+ */
+function countBucket(count) {
+  return count > 0 ? Math.floor(Math.log2(count)) + 1 : 0;
+}
+
+/**
+ * Health and food in quarters of the bar
+ */
+function barBucket(value) {
+  return Math.ceil((value ?? 20) / 5);
+}
+
+function situation(botStatus = {}, environment = {}) {
+  const inventory = {};
+  for (const item of botStatus.inventory || []) {
+    inventory[item.name] = (inventory[item.name] || 0) + item.count;
+  }
+
+  const position = botStatus.position;
+  const timeOfDay = botStatus.timeOfDay ?? environment.gameTime ?? 0;
+
+  return {
+    health: barBucket(botStatus.health),
+    food: barBucket(botStatus.food),
+    inventory: Object.keys(inventory).sort().map(name => `${name}:${countBucket(inventory[name])}`),
+    holding: botStatus.equippedItem?.name || null,
+    nearby: [...new Set((botStatus.nearbyEntities || []).map(entity => entity.name))].sort(),
+    time: timeOfDay < NIGHT_START ? 'day' : 'night',
+    dimension: botStatus.dimension || environment.dimension || null,
+    biome: botStatus.biome || environment.biome || null,
+    cell: position ?
+      ['x', 'y', 'z'].map(axis => Math.floor(position[axis] / POSITION_CELL_SIZE)).join(',') :
+      null,
+    raining: Boolean(environment.weather?.isRaining)
+  };
+}
+
+/**
+ * Fingerprint functions per prompt; prompts without one are never cached
+ * Returning null skips the cache for this request.
+ */
+const FINGERPRINTS = {
+  status_update_prompt: context => ({
+    ...situation(context.botStatus, context),
+    goals: (context.previousGoals || []).map(goal => goal.goalDescription || goal)
+  }),
+
+  action_queue_prompt: context => {
+    // A retry after failures needs a new answer, not the one that failed
+    if (context.currentGoal?.previousFailures?.length > 0) {
+      return null;
+    }
+    return {
+      ...situation(context.botStatus, context.environment),
+      goal: context.currentGoal?.goal,
+      handlung: context.currentGoal?.handlung
+    };
+  }
+};
+
+class ResponseCache {
+  /**
+   * @param {Object} options - { enabled, ttlMs, maxEntries }
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? process.env.LLM_CACHE === 'true';
+    this.ttlMs = options.ttlMs ?? (parseInt(process.env.LLM_CACHE_TTL_MS) || DEFAULT_TTL_MS);
+    this.maxEntries = options.maxEntries ?? DEFAULT_MAX_ENTRIES;
+
+    // key -> { response, storedAt, confirmed }, in least recently used order
+    this.entries = new Map();
+    // Response objects handed out -> their key, for confirm/invalidate
+    this.responseKeys = new WeakMap();
+
+    this.stats = { hits: 0, misses: 0, stored: 0, confirmed: 0, invalidated: 0, expired: 0 };
+  }
+
+  /**
+   * Cache key for a prompt, or null if the request is not cacheable
+   */
+  fingerprint(promptName, contextData) {
+    const fingerprint = FINGERPRINTS[promptName];
+    if (!this.enabled || !fingerprint) {
+      return null;
+    }
+
+    const situationKey = fingerprint(contextData || {});
+    return situationKey ? `${promptName}|${JSON.stringify(situationKey)}` : null;
+  }
+
+  /**
+   * A copy of the confirmed response for the situation, or null
+   */
+  get(key) {
+    if (!key) {
+      return null;
+    }
+
+    const entry = this.entries.get(key);
+    if (!entry || !entry.confirmed) {
+      this.stats.misses++;
+      return null;
+    }
+
+    if (Date.now() - entry.storedAt > this.ttlMs) {
+      this.entries.delete(key);
+      this.stats.expired++;
+      this.stats.misses++;
+      return null;
+    }
+
+    // Move to the end: most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.stats.hits++;
+
+    return this.track(structuredClone(entry.response), key);
+  }
+
+  /**
+   * Store a fresh response; it is served only after confirm()
+   */
+  set(key, response) {
+    if (!key || response === null || typeof response !== 'object') {
+      return response;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, { response: structuredClone(response), storedAt: Date.now(), confirmed: false });
+    this.stats.stored++;
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    return this.track(response, key);
+  }
+
+  /**
+   * The plan of a response passed validation: serve it for this situation
+   */
+  confirm(response) {
+    const entry = this.entryFor(response);
+    if (entry && !entry.confirmed) {
+      entry.confirmed = true;
+      this.stats.confirmed++;
+    }
+  }
+
+  /**
+   * The plan of a response failed: never serve it again
+   */
+  invalidate(response) {
+    const key = response && typeof response === 'object' ? this.responseKeys.get(response) : null;
+    if (key && this.entries.delete(key)) {
+      this.stats.invalidated++;
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  getStats() {
+    return { enabled: this.enabled, entries: this.entries.size, ...this.stats };
+  }
+
+  track(response, key) {
+    this.responseKeys.set(response, key);
+    return response;
+  }
+
+  entryFor(response) {
+    const key = response && typeof response === 'object' ? this.responseKeys.get(response) : null;
+    return key ? this.entries.get(key) : null;
+  }
+}
+
+export default ResponseCache;
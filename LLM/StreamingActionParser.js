@@ -0,0 +1,144 @@
+/**
+ * StreamingActionParser.js - Inkrementeller JSON-Leser für Action-Queues
+ * "Handeln, bevor der Satz zu Ende ist"
+ * Erkennt fertige Action-Objekte im Token-Strom, ohne auf das Gesamtdokument zu warten.
+ *
+ * Understands both response shapes the prompts produce:
+ *   [ {action}, {action}, ... ]                  (status_update_prompt)
+ *   { ..., "actionQueue": [ {action}, ... ] }    (action_queue/emergency/respawn)
+ */
+
+class StreamingActionParser {
+  constructor(onAction) {
+    this.onAction = onAction;
+
+    this.buffer = '';
+    this.position = 0;
+
+    // Scanner state
+    this.stack = [];            // entries: { type: 'object'|'array', isActionArray }
+    this.inString = false;
+    this.escaped = false;
+    this.stringStart = -1;
+    this.lastString = null;
+    this.lastKey = null;
+    this.actionStart = -1;
+
+    this.emittedCount = 0;
+  }
+
+  /**
+   * Feed the next chunk of raw model output
+   */
+  push(chunk) {
+    this.buffer += chunk;
+
+    for (; this.position < this.buffer.length; this.position++) {
+      const char = this.buffer[this.position];
+
+      if (this.inString) {
+        this._scanStringChar(char);
+        continue;
+      }
+
+      switch (char) {
+        case '"':
+          this.inString = true;
+          this.stringStart = this.position;
+          break;
+
+        case ':':
+          this.lastKey = this.lastString;
+          break;
+
+        case ',':
+          this.lastKey = null;
+          break;
+
+        case '{':
+          if (this._top()?.isActionArray && this.actionStart === -1) {
+            this.actionStart = this.position;
+          }
+          this.stack.push({ type: 'object', isActionArray: false });
+          this.lastKey = null;
+          break;
+
+        case '[':
+          this.stack.push({ type: 'array', isActionArray: this._opensActionArray() });
+          this.lastKey = null;
+          break;
+
+        case '}':
+          this.stack.pop();
+          if (this.actionStart !== -1 && this._top()?.isActionArray) {
+            this._emit(this.buffer.slice(this.actionStart, this.position + 1));
+            this.actionStart = -1;
+          }
+          break;
+
+        case ']':
+          this.stack.pop();
+          break;
+
+        default:
+          break;
+      }
+    }
+  }
+
+  _scanStringChar(char) {
+    if (this.escaped) {
+      this.escaped = false;
+    } else if (char === '\\') {
+      this.escaped = true;
+    } else if (char === '"') {
+      this.inString = false;
+      this.lastString = this._decodeString(this.buffer.slice(this.stringStart, this.position + 1));
+    }
+  }
+
+  _decodeString(literal) {
+    try {
+      return JSON.parse(literal);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * A '[' starts the action array if it is the document root
+   * or the value of the top-level "actionQueue" key.
+   */
+  _opensActionArray() {
+    if (this.stack.length === 0) {
+      return true;
+    }
+
+    return this.stack.length === 1 &&
+           this.stack[0].type === 'object' &&
+           this.lastKey === 'actionQueue';
+  }
+
+  _top() {
+    return this.stack[this.stack.length - 1];
+  }
+
+  _emit(objectText) {
+    let action;
+    try {
+      action = JSON.parse(objectText);
+    } catch {
+      // Malformed fragment - the final full-document parse will report it
+      return;
+    }
+
+    const index = this.emittedCount++;
+    this.onAction(action, index);
+  }
+
+  getText() {
+    return this.buffer;
+  }
+}
+
+export default StreamingActionParser;
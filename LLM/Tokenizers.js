@@ -0,0 +1,165 @@
+/**
+ * Tokenizers.js - Token zählen je Modellfamilie
+ * "Zeichen sind keine Tokens"
+ * Schätzt Tokens ohne Abhängigkeiten aus der Vorzerlegung der jeweiligen
+ * Tokenizer-Familie und gleicht die Schätzung mit den exakten Zahlen ab,
+ * die das Backend nach jeder Anfrage meldet. Exakte Tokenizer lassen sich
+ * über registerTokenizer() einhängen.
+ */
+
+// Words with their leading space, single digits, runs of symbols, other whitespace
+const PIECE_PATTERN = /\s?\p{L}+|\s?\p{N}|[^\s\p{L}\p{N}]+|\s+/gu;
+
+// A backend count further off than this is a cached prompt prefix, not a tokenizer error
+const MIN_CALIBRATION_RATIO = 0.5;
+const MAX_CALIBRATION_RATIO = 2;
+
+/**
+ * Estimate from the pre-tokenization step BPE and SentencePiece tokenizers share:
+ * each word costs about one token per charsPerWordToken letters, symbols one token
+ * per two (JSON's '": ' and '},' are merged), digits one token each (SentencePiece)
+ * or per group of three (tiktoken style)
+ */
+class PieceTokenizer {
+  constructor(name, { charsPerWordToken, digitsPerToken, whitespacePerToken = 4 }) {
+    this.name = name;
+    this.charsPerWordToken = charsPerWordToken;
+    this.digitsPerToken = digitsPerToken;
+    this.whitespacePerToken = whitespacePerToken;
+  }
+
+  count(text) {
+    let tokens = 0;
+    let digitRun = 0;
+
+    for (const [piece] of String(text).matchAll(PIECE_PATTERN)) {
+      const trimmed = piece.trimStart();
+
+      if (/^\p{N}$/u.test(trimmed)) {
+        digitRun++;
+        continue;
+      }
+      tokens += Math.ceil(digitRun / this.digitsPerToken);
+      digitRun = 0;
+
+      if (trimmed.length === 0) {
+        tokens += Math.ceil(piece.length / this.whitespacePerToken);
+      } else if (/^\p{L}/u.test(trimmed)) {
+        tokens += Math.ceil(trimmed.length / this.charsPerWordToken);
+      } else {
+        tokens += Math.ceil(trimmed.length / 2);
+      }
+    }
+
+    return tokens + Math.ceil(digitRun / this.digitsPerToken);
+  }
+}
+
+/**
+ * The old rule of thumb, for models of unknown family
+ */
+class CharacterTokenizer {
+  constructor(name = 'characters', charsPerToken = 4) {
+    this.name = name;
+    this.charsPerToken = charsPerToken;
+  }
+
+  count(text) {
+    return Math.ceil(String(text).length / this.charsPerToken);
+  }
+}
+
+/**
+ * Wraps a tokenizer and scales its counts by what the backend actually reported
+ */
+class CalibratedTokenizer {
+  constructor(tokenizer) {
+    this.tokenizer = tokenizer;
+    this.name = tokenizer.name;
+    this.ratio = 1;
+    this.samples = 0;
+  }
+
+  count(text) {
+    return Math.ceil(this.tokenizer.count(text) * this.ratio);
+  }
+
+  /**
+   * Feed the exact prompt token count of a request
+   * @param {String} prompt - the prompt sent
+   * @param {number} actual - prompt tokens reported by the backend
+   */
+  calibrate(prompt, actual) {
+    const estimated = this.tokenizer.count(prompt);
+    if (!estimated || !actual) {
+      return;
+    }
+
+    const ratio = actual / estimated;
+    if (ratio < MIN_CALIBRATION_RATIO || ratio > MAX_CALIBRATION_RATIO) {
+      return;
+    }
+
+    // Moving average, the first samples weigh most
+    this.samples++;
+    const weight = Math.max(1 / this.samples, 0.1);
+    this.ratio = this.ratio * (1 - weight) + ratio * weight;
+  }
+}
+
+// Model families, first match wins; create() gets called once per OllamaInterface
+const FAMILIES = [
+  {
+    family: 'llama3',
+    match: /llama-?3|qwen|deepseek|phi-?4/i,
+    create: () => new PieceTokenizer('llama3', { charsPerWordToken: 5, digitsPerToken: 3 })
+  },
+  {
+    family: 'gpt',
+    match: /^gpt-|^o\d/i,
+    create: () => new PieceTokenizer('gpt', { charsPerWordToken: 5, digitsPerToken: 3 })
+  },
+  {
+    family: 'sentencepiece',
+    match: /tinyllama|llama-?2|mistral|mixtral|gemma|phi|vicuna|^llama/i,
+    create: () => new PieceTokenizer('sentencepiece', { charsPerWordToken: 3.5, digitsPerToken: 1 })
+  },
+  {
+    family: 'characters',
+    match: /.*/,
+    create: () => new CharacterTokenizer()
+  }
+];
+
+/**
+ * Register a tokenizer for a model family, checked before the built-in ones
+ * @param {String} family - name, also usable as LLM_TOKENIZER value
+ * @param {RegExp} match - model names of the family
+ * @param {Function} create - returns an object with count(text)
+ */
+export function registerTokenizer(family, match, create) {
+  FAMILIES.unshift({ family, match, create });
+}
+
+/**
+ * Tokenizer for a model, calibrated over its requests
+ * @param {String} modelName - e.g. 'llama3.1:8b'
+ * @param {String} family - forces a family (LLM_TOKENIZER), ignoring the model name
+ */
+export function getTokenizer(modelName, family = null) {
+  const entry = family ?
+    FAMILIES.find(candidate => candidate.family === family) :
+    FAMILIES.find(candidate => candidate.match.test(modelName || ''));
+
+  if (!entry) {
+    throw new Error(`Unknown tokenizer family '${family}'. Known: ${getTokenizerFamilies().join(', ')}`);
+  }
+
+  return new CalibratedTokenizer(entry.create());
+}
+
+export function getTokenizerFamilies() {
+  return FAMILIES.map(entry => entry.family);
+}
+
+export { PieceTokenizer, CharacterTokenizer, CalibratedTokenizer };
@@ -0,0 +1,141 @@
+/**
+ * replayCheck.js - Regressionsprüfung gegen den aufgezeichneten Korpus
+ * "Was gestern galt, muss heute erklärbar sein"
+ * Rendert jedes aufgezeichnete Prompt mit den aktuellen Templates neu und
+ * meldet Abweichungen sowie Antworten, die nicht mehr geparst werden können.
+ * Jede Antwort läuft durch denselben AiResponseParser-Pfad wie in ihrer Queue,
+ * gegen einen HeadlessBot mit dem aufgezeichneten Inventar.
+ *
+ * Usage: npm run replay-check [-- --dir path/to/recordings]
+ */
+
+import dotenv from 'dotenv';
+import winston from 'winston';
+import OllamaInterface from './OllamaInterface.js';
+import LLMRecorder from './LLMRecorder.js';
+import AiResponseParser from './AiResponseParser.js';
+import * as actionValidator from './ActionValidator.js';
+import BotStateManager from '../Queues/BotStateManager.js';
+import HeadlessBot from '../Simulator/HeadlessBot.js';
+
+dotenv.config();
+
+// Queue that sends each prompt, and how it parses the answer
+const RESPONSE_PATHS = {
+  genesis_prompt: { queue: 'standard', parse: (parser, response) => parser.parseAndValidate(response) },
+  status_update_prompt: { queue: 'standard', parse: (parser, response) => parser.parseAndValidate(response) },
+  action_queue_prompt: { queue: 'standard', parse: (parser, response) => parser.parseAndValidate(response) },
+  plan_repair_prompt: { queue: 'standard', parse: parseRepair },
+  goal_decomposition_prompt: { queue: 'standard', parse: (parser, response) => parser.parseGoalDecomposition(response) },
+  learning_prompt: { queue: 'standard', parse: (parser, response) => parser.parseChatTipResponse(response) },
+  chat_tip_parser: { queue: 'standard', parse: (parser, response) => parser.parseChatTipResponse(response) },
+  emergency_prompt: { queue: 'emergency', parse: (parser, response, bot, botStateManager) => parser.parseEmergencyResponse(response, bot, botStateManager) },
+  respawn_prompt: { queue: 'respawn', parse: (parser, response, bot, botStateManager) => parser.parseRespawnResponse(response, bot, botStateManager) }
+};
+
+const QUEUE_PRIORITIES = { emergency: 1, respawn: 2, standard: 3 };
+
+// The parser logs every step; the check reports only its findings
+const quietLogger = winston.createLogger({ silent: true, transports: [new winston.transports.Console()] });
+
+/**
+ * A repair continues the actions the queue had already accepted
+ */
+function parseRepair(parser, response, bot, botStateManager, contextData) {
+  const partialPlan = parser.parseAndValidate(contextData.acceptedActions || [], { partial: true });
+  const plan = parser.extendPartialPlan(partialPlan, response);
+  if (plan.rejection) {
+    throw new Error(`step ${plan.rejection.index} (${plan.rejection.actionName}): ${plan.rejection.reason}`);
+  }
+  return plan;
+}
+
+/**
+ * Inventory the recorded context describes, as { itemName: count }
+ * Status prompts carry it in botStatus, respawn_prompt as currentInventory and
+ * emergency_prompt grouped in quickInventory.
+ */
+function recordedInventory(contextData) {
+  const quick = contextData.quickInventory || {};
+  const stacks = [
+    ...(contextData.botStatus?.inventory || []),
+    ...(Array.isArray(contextData.currentInventory) ? contextData.currentInventory : []),
+    ...Object.values(quick).flat()
+  ];
+
+  const inventory = {};
+  for (const stack of stacks) {
+    if (stack?.name) {
+      inventory[stack.name] = (inventory[stack.name] || 0) + (stack.count || 1);
+    }
+  }
+  return inventory;
+}
+
+/**
+ * Run a recorded response through the parser of the queue that asked for it
+ * @returns {String|null} why the response is rejected, null if it passes
+ */
+function checkResponse(recording, response) {
+  const path = RESPONSE_PATHS[recording.promptName];
+  if (!path) {
+    return null;
+  }
+
+  const contextData = recording.contextData || {};
+  const bot = new HeadlessBot({ inventory: recordedInventory(contextData), mobSpawning: false });
+  const botStateManager = new BotStateManager();
+  botStateManager.setCurrentQueue(path.queue, QUEUE_PRIORITIES[path.queue]);
+  const parser = new AiResponseParser(actionValidator, bot, botStateManager, quietLogger);
+
+  try {
+    path.parse(parser, response, bot, botStateManager, contextData);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+const dirFlag = process.argv.indexOf('--dir');
+const directory = dirFlag !== -1 ? process.argv[dirFlag + 1] : undefined;
+
+const recorder = new LLMRecorder({ mode: 'replay', directory });
+const ollamaInterface = new OllamaInterface(null, 'replay-check', 1000, { provider: 'stub', recorder });
+
+const recordings = await recorder.listRecordings();
+let drifted = 0;
+let unparsable = 0;
+let rejected = 0;
+
+for (const recording of recordings) {
+  const label = `${recording.promptName}/${recording.contextHash}`;
+
+  const template = await ollamaInterface.loadPromptTemplate(recording.promptName);
+  const currentPrompt = ollamaInterface.fillTemplate(template, recording.contextData || {});
+  const drift = LLMRecorder.diffPrompts(recording.prompt, currentPrompt);
+
+  if (drift) {
+    drifted++;
+    console.log(`DRIFT   ${label} line ${drift.line}`);
+    console.log(`  recorded: ${drift.recorded}`);
+    console.log(`  current:  ${drift.current}`);
+  }
+
+  let response;
+  try {
+    response = JSON.parse(recording.response);
+  } catch (error) {
+    unparsable++;
+    console.log(`INVALID ${label}: ${error.message}`);
+    continue;
+  }
+
+  const reason = checkResponse(recording, response);
+  if (reason) {
+    rejected++;
+    console.log(`REJECTED ${label}: ${reason}`);
+  }
+}
+
+console.log(`${recordings.length} recordings checked, ${drifted} with prompt drift, ${unparsable} unparsable, ${rejected} rejected by the parser`);
+process.exit(drifted > 0 || unparsable > 0 || rejected > 0 ? 1 : 0);
@@ -27,6 +27,9 @@ class LearningManager {
     this.LEARNING_AGE_DAYS = parseInt(process.env.LEARNING_AGE_DAYS) || 7;
     this.PRUNE_PERCENTAGE = 0.1; // Remove bottom 10%
     
+    // MEMORY_DIR lets simulations and tests use a scratch memory
+    this.memoryDir = process.env.MEMORY_DIR || __dirname;
+    
     // Setup logger
     this.logger = winston.createLogger({
       level: 'info',
@@ -52,7 +55,7 @@ class LearningManager {
   _constructFilePath(queueType, category) {
     // Convert queue type to directory name
     const queueDir = queueType.charAt(0).toUpperCase() + queueType.slice(1) + 'Queue';
-    const filePath = join(__dirname, queueDir, `${category}.json`);
+    const filePath = join(this.memoryDir, queueDir, `${category}.json`);
     return filePath;
   }
   
@@ -146,6 +149,7 @@ class LearningManager {
       learningType: learning.learningType || 'actionLearning',
       content: learning.content,
       context: learning.context || {},
+      source: learning.source || { type: 'bot' },
       metadata: {
         createdAt: now,
         lastUsed: now,
@@ -318,6 +322,23 @@ class LearningManager {
     }
   }
   
+  /**
+   * All learnings of a category, most confident first
+   * Read-only: unlike getRelevantLearnings() this does not count as usage.
+   */
+  async getLearnings(queueType, category) {
+    try {
+      const filePath = this._constructFilePath(queueType, category);
+      const learnings = await this._loadLearningsFromFile(filePath);
+      
+      return _.orderBy(learnings, [l => l.metadata.confidence, l => l.metadata.createdAt], ['desc', 'desc']);
+      
+    } catch (error) {
+      this.logger.error(`Failed to list learnings: ${error.message}`);
+      return [];
+    }
+  }
+  
   /**
    * Get top learnings by type
    */
@@ -0,0 +1,455 @@
+/**
+ * WorldMemory.js - Räumliches Gedächtnis des Bots
+ * "Wer weiß, wo sein Bett steht, findet heim"
+ * Merkt sich Wegpunkte, Rohstoffvorkommen, Truhen mit ihrem letzten bekannten
+ * Inhalt, Betten, Werkbänke, Öfen und gefährliche Orte - jeweils mit Koordinaten
+ * und Dimension. Beantwortet "Was ist am nächsten?" und fasst die Umgebung
+ * knapp für die Status-Prompts zusammen.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { mkdir, writeFile, rename } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import winston from 'winston';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const WORLD_MEMORY_VERSION = 1;
+
+export const PLACE_TYPES = ['waypoint', 'resource', 'container', 'bed', 'crafting_table', 'furnace', 'danger'];
+
+// Block names that make a place worth remembering, first match wins
+const BLOCK_TYPES = [
+  { type: 'bed', match: /_bed$/ },
+  { type: 'crafting_table', match: /^crafting_table$/ },
+  { type: 'furnace', match: /^(furnace|blast_furnace|smoker)$/ },
+  { type: 'container', match: /^(chest|trapped_chest|barrel|ender_chest|.*shulker_box)$/ },
+  { type: 'resource', match: /_ore$|^ancient_debris$|_log$|^(clay|obsidian|sugar_cane|pumpkin|melon)$/ }
+];
+
+// Blocks of one deposit lie close together: within this distance they are one entry
+const DEPOSIT_RADIUS = 8;
+const DANGER_RADIUS = 8;
+const MAX_PLACES_PER_TYPE = 50;
+
+/**
+ * Place type of a block, or null if the block is not worth remembering
+ */
+export function classifyBlock(blockName) {
+  return BLOCK_TYPES.find(entry => entry.match.test(blockName || ''))?.type || null;
+}
+
+/**
+ * 'minecraft:the_nether' and 'the_nether' are the same dimension
+ */
+export function normalizeDimension(dimension) {
+  return String(dimension || 'overworld').replace(/^minecraft:/, '');
+}
+
+class WorldMemory {
+  /**
+   * @param {String} memoryDir - defaults to MEMORY_DIR or the Memory directory
+   */
+  constructor(memoryDir = process.env.MEMORY_DIR || __dirname, logger) {
+    this.filePath = join(memoryDir, 'WorldMemory', 'worldMemory.json');
+    this.places = [];
+    this.writeChain = Promise.resolve(); // Serializes writes to the same temp file
+
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.printf(({ timestamp, level, message }) => {
+          return `[${timestamp}] [WorldMemory] ${level}: ${message}`;
+        })
+      ),
+      transports: [
+        new winston.transports.Console({
+          level: process.env.LOG_LEVEL || 'info'
+        })
+      ]
+    });
+
+    this.load();
+  }
+
+  /**
+   * Read the memory file; a missing or broken file starts an empty memory
+   */
+  load() {
+    if (!existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(readFileSync(this.filePath, 'utf8'));
+      // npm run reset-memory leaves an empty array behind
+      if (Array.isArray(data) && data.length === 0) {
+        return;
+      }
+      if (data.version !== WORLD_MEMORY_VERSION || !Array.isArray(data.places)) {
+        this.logger.warn(`Ignoring world memory with unknown format in ${this.filePath}`);
+        return;
+      }
+      this.places = data.places;
+      this.logger.info(`Loaded ${this.places.length} known places`);
+    } catch (error) {
+      this.logger.error(`Failed to load world memory from ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Atomic write of the whole memory
+   */
+  async save() {
+    const data = { version: WORLD_MEMORY_VERSION, savedAt: Date.now(), places: this.places };
+
+    this.writeChain = this.writeChain.then(async () => {
+      const tempPath = `${this.filePath}.tmp`;
+      try {
+        await mkdir(dirname(this.filePath), { recursive: true });
+        await writeFile(tempPath, JSON.stringify(data, null, 2), 'utf8');
+        await rename(tempPath, this.filePath);
+      } catch (error) {
+        this.logger.error(`Failed to save world memory: ${error.message}`);
+      }
+    });
+    await this.writeChain;
+  }
+
+  /**
+   * Remember a place, or update the one already known at that spot
+   * Resources merge into a known deposit of the same block nearby; waypoints
+   * are unique by name.
+   * @param {Object} place - { type, position, dimension, name, blockName, contents, reason, radius }
+   * @returns {Object} the stored place
+   */
+  remember(place) {
+    if (!PLACE_TYPES.includes(place.type)) {
+      throw new Error(`Unknown place type '${place.type}'. Known: ${PLACE_TYPES.join(', ')}`);
+    }
+
+    const position = toPoint(place.position);
+    const dimension = normalizeDimension(place.dimension);
+    const now = Date.now();
+
+    const existing = this.places.find(known => known.type === place.type && (
+      place.type === 'waypoint' ? known.name === place.name :
+        known.dimension === dimension && (
+          place.type === 'resource' ?
+            known.blockName === place.blockName && distance(known.position, position) <= DEPOSIT_RADIUS :
+            samePoint(known.position, position)
+        )
+    ));
+
+    if (existing) {
+      // A deposit stays where it was first seen
+      Object.assign(existing, withoutUndefined({ ...place, position: place.type === 'resource' ? existing.position : position, dimension }));
+      existing.updatedAt = now;
+      if (existing.type === 'resource') {
+        existing.sightings = (existing.sightings || 1) + 1;
+      }
+      this.save();
+      return existing;
+    }
+
+    const stored = withoutUndefined({
+      ...place,
+      position,
+      dimension,
+      createdAt: now,
+      updatedAt: now
+    });
+    this.places.push(stored);
+    this.pruneType(place.type);
+    this.save();
+
+    this.logger.debug(`Remembered ${describePlace(stored)} at ${formatPoint(position)} in ${dimension}`);
+    return stored;
+  }
+
+  /**
+   * Forget the places at a spot (optionally only one type)
+   * @returns {number} places removed
+   */
+  forget(position, dimension, type = null) {
+    const point = toPoint(position);
+    const dim = normalizeDimension(dimension);
+    const before = this.places.length;
+
+    this.places = this.places.filter(place => !(
+      place.type !== 'waypoint' &&
+      (!type || place.type === type) &&
+      place.dimension === dim &&
+      samePoint(place.position, point)
+    ));
+
+    const removed = before - this.places.length;
+    if (removed > 0) {
+      this.save();
+    }
+    return removed;
+  }
+
+  /**
+   * Keep each type below its limit, dropping what was seen longest ago
+   */
+  pruneType(type) {
+    const ofType = this.places.filter(place => place.type === type);
+    if (type === 'waypoint' || ofType.length <= MAX_PLACES_PER_TYPE) {
+      return;
+    }
+
+    const oldest = ofType.sort((a, b) => a.updatedAt - b.updatedAt).slice(0, ofType.length - MAX_PLACES_PER_TYPE);
+    this.places = this.places.filter(place => !oldest.includes(place));
+  }
+
+  setWaypoint(name, position, dimension) {
+    return this.remember({ type: 'waypoint', name, position, dimension });
+  }
+
+  getWaypoint(name) {
+    return this.places.find(place => place.type === 'waypoint' && place.name === name) || null;
+  }
+
+  removeWaypoint(name) {
+    const before = this.places.length;
+    this.places = this.places.filter(place => !(place.type === 'waypoint' && place.name === name));
+
+    if (this.places.length === before) {
+      return false;
+    }
+    this.save();
+    return true;
+  }
+
+  /**
+   * Store what a container held when it was last opened
+   * @param {Array} contents - [{ name, count }]
+   */
+  recordContainer(position, dimension, contents, blockName = 'chest') {
+    const totals = {};
+    for (const item of contents) {
+      totals[item.name] = (totals[item.name] || 0) + item.count;
+    }
+
+    return this.remember({
+      type: 'container',
+      position,
+      dimension,
+      blockName,
+      contents: Object.entries(totals).map(([name, count]) => ({ name, count })),
+      checkedAt: Date.now()
+    });
+  }
+
+  /**
+   * Mark an area as dangerous, e.g. where the bot died
+   */
+  markDanger(position, dimension, reason, radius = DANGER_RADIUS) {
+    return this.remember({ type: 'danger', position, dimension, reason, radius });
+  }
+
+  /**
+   * Known danger the position lies in, or null
+   */
+  isDangerous(position, dimension) {
+    const point = toPoint(position);
+    const dim = normalizeDimension(dimension);
+
+    return this.places.find(place =>
+      place.type === 'danger' &&
+      place.dimension === dim &&
+      distance(place.position, point) <= (place.radius || DANGER_RADIUS)
+    ) || null;
+  }
+
+  /**
+   * All places of a type (or all places) in a dimension
+   */
+  list(type = null, dimension = null) {
+    const dim = dimension ? normalizeDimension(dimension) : null;
+    return this.places.filter(place => (!type || place.type === type) && (!dim || place.dimension === dim));
+  }
+
+  /**
+   * Closest known place of a type in the same dimension
+   * @param {Function} filter - optional predicate, e.g. place => place.blockName === 'iron_ore'
+   * @returns {Object|null} place with its distance
+   */
+  nearest(type, position, dimension, filter = null) {
+    const point = toPoint(position);
+    let best = null;
+
+    for (const place of this.list(type, dimension)) {
+      if (filter && !filter(place)) continue;
+
+      const placeDistance = distance(place.position, point);
+      if (!best || placeDistance < best.distance) {
+        best = { ...place, distance: placeDistance };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Learn from the result of a successful bot action
+   * Placed, activated, found or used blocks are remembered, dug ones forgotten.
+   * Container contents come from the window events instead (see Events).
+   */
+  recordActionResult(actionName, parameters = {}, result = {}, dimension) {
+    switch (actionName) {
+      case 'placeBlock': {
+        const type = classifyBlock(result.placedBlock);
+        if (type && result.position) {
+          // The block lands on the face of the reference block, the top by default
+          const face = parameters.faceVector || { x: 0, y: 1, z: 0 };
+          const position = {
+            x: result.position.x + face.x,
+            y: result.position.y + face.y,
+            z: result.position.z + face.z
+          };
+          this.remember({ type, position, dimension, blockName: result.placedBlock });
+        }
+        break;
+      }
+
+      case 'findBlock':
+      case 'activateBlock': {
+        const blockName = result.block || result.activatedBlock;
+        const type = classifyBlock(blockName);
+        if (type && result.position) {
+          this.remember({ type, position: result.position, dimension, blockName });
+        }
+        break;
+      }
+
+      case 'sleep':
+        this.remember({ type: 'bed', position: parameters, dimension });
+        break;
+
+      case 'digBlock': {
+        const type = classifyBlock(result.block);
+        if (type && type !== 'resource' && result.position) {
+          this.forget(result.position, dimension, type);
+        }
+        break;
+      }
+    }
+  }
+
+  /**
+   * Containers holding an item, nearest first - "where is my iron?"
+   * @param {String} query - item name or part of it ('iron' finds iron_ingot and raw_iron)
+   * @returns {Array} [{ place, items: [{ name, count }], distance }]
+   */
+  findItem(query, position, dimension) {
+    const needle = String(query).toLowerCase().replace(/\s+/g, '_');
+    const point = position ? toPoint(position) : null;
+
+    return this.list('container', dimension)
+      .map(place => ({
+        place,
+        items: (place.contents || []).filter(item => item.name.includes(needle)),
+        distance: point ? distance(place.position, point) : null
+      }))
+      .filter(match => match.items.length > 0)
+      .sort((a, b) => (a.distance ?? 0) - (b.distance ?? 0));
+  }
+
+  /**
+   * What the known containers hold, nearest first, for the planning prompts
+   * @returns {Array<String>} e.g. ['chest at 3 64 3 (4 blocks): iron_ingot x8, oak_log x20']
+   */
+  getStorageSummary(position, dimension, maxContainers = 5, maxItems = 8) {
+    if (!position) {
+      return [];
+    }
+
+    const point = toPoint(position);
+    return this.list('container', dimension)
+      .filter(place => place.contents?.length > 0)
+      .map(place => ({ ...place, distance: distance(place.position, point) }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, maxContainers)
+      .map(place => {
+        const items = [...place.contents].sort((a, b) => b.count - a.count);
+        const listed = items.slice(0, maxItems).map(item => `${item.name} x${item.count}`).join(', ');
+        const more = items.length > maxItems ? ` and ${items.length - maxItems} more` : '';
+        return `${place.blockName || 'container'} at ${formatPoint(place.position)} (${Math.round(place.distance)} blocks): ${listed}${more}`;
+      });
+  }
+
+  /**
+   * Short lines about the nearest known places, for the planning prompts
+   * @returns {Array<String>} e.g. ['waypoint base: 40 blocks away at 10 64 -3', ...]
+   */
+  getSummary(position, dimension, maxLines = 8) {
+    if (!position) {
+      return [];
+    }
+
+    const point = toPoint(position);
+
+    // Every waypoint, and of the other types only the closest place
+    const places = this.list('waypoint', dimension)
+      .map(waypoint => ({ ...waypoint, distance: distance(waypoint.position, point) }));
+    for (const type of PLACE_TYPES.filter(candidate => candidate !== 'waypoint')) {
+      const nearest = this.nearest(type, point, dimension);
+      if (nearest) {
+        places.push(nearest);
+      }
+    }
+
+    return places
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, maxLines)
+      .map(place => `${describePlace(place)}: ${Math.round(place.distance)} blocks away at ${formatPoint(place.position)}`);
+  }
+
+  getStatistics() {
+    return Object.fromEntries(PLACE_TYPES.map(type => [type, this.list(type).length]));
+  }
+}
+
+function describePlace(place) {
+  switch (place.type) {
+    case 'waypoint':
+      return `waypoint ${place.name}`;
+    case 'resource':
+      return `${place.blockName} deposit`;
+    case 'container': {
+      const contents = (place.contents || []).slice(0, 3).map(item => `${item.name} x${item.count}`).join(', ');
+      return `${place.blockName || 'container'} (${contents || 'empty'})`;
+    }
+    case 'danger':
+      return `danger (${place.reason || 'unknown'})`;
+    default:
+      return place.type.replace('_', ' ');
+  }
+}
+
+function toPoint(position) {
+  return { x: Math.floor(position.x), y: Math.floor(position.y), z: Math.floor(position.z) };
+}
+
+function samePoint(a, b) {
+  return a.x === b.x && a.y === b.y && a.z === b.z;
+}
+
+function distance(a, b) {
+  return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2);
+}
+
+function formatPoint(point) {
+  return `${point.x} ${point.y} ${point.z}`;
+}
+
+function withoutUndefined(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+export default WorldMemory;
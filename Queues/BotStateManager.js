@@ -44,6 +44,8 @@ class BotStateManager {
       isDead: false,
       deathPosition: null,
       deathReason: null,
+      deathInventory: null, // [{ name, count }] carried when the bot died
+      deathTime: null,
       
       // Connection states
       isConnected: false,
@@ -215,16 +217,19 @@ class BotStateManager {
     this.logger.debug(`Health: ${health}/20, Food: ${food}/20`);
   }
   
-  setDead(dead, position = null, reason = null) {
+  setDead(dead, position = null, reason = null, inventory = null) {
     if (this.state.isDead === dead) {
       return;
     }
     
     this.state.isDead = dead;
-    this.state.deathPosition = position;
-    this.state.deathReason = reason;
     
+    // Death info outlives the respawn: the RespawnQueue plans with it
     if (dead) {
+      this.state.deathPosition = position;
+      this.state.deathReason = reason;
+      this.state.deathInventory = inventory;
+      this.state.deathTime = Date.now();
       this.logger.debug(`Bot died at ${position} - Reason: ${reason}`);
     } else {
       this.state.lastRespawn = Date.now();
@@ -347,7 +352,9 @@ class BotStateManager {
   getDeathInfo() {
     return {
       position: this.state.deathPosition,
-      reason: this.state.deathReason
+      reason: this.state.deathReason,
+      inventory: this.state.deathInventory,
+      time: this.state.deathTime
     };
   }
   
@@ -4,10 +4,30 @@
  * Minimale Latenz, maximale Autorität, temporäre Kontrolle.
  */
 
-import mineflayerStatemachine from 'mineflayer-statemachine';
-const { createMachine, interpret } = mineflayerStatemachine;
 import winston from 'winston';
 import ErrorRecovery from '../Utils/ErrorRecovery.js';
+import RecoveryPolicy from './RecoveryPolicy.js';
+import ThreatAssessor from './ThreatAssessor.js';
+import { HAZARD_TYPES, isHazardResolved } from '../Bot/Hazards.js';
+
+// Flee distance per threat behaviour: out of blast radius, out of bow range
+const FLEE_DISTANCE = {
+  explosive: 12,
+  ranged: 24
+};
+const DEFAULT_FLEE_DISTANCE = 20;
+
+// Blocks stacked under the bot when pillaring up
+const PILLAR_HEIGHT = 3;
+
+// Below this distance a bow is no use against a ranged mob
+const MIN_SHOOT_DISTANCE = 6;
+
+// Longest fight the damage reflex starts before looking at the situation again
+const FIGHT_DURATION_MS = 20000;
+
+// Threat decisions that cannot wait for the LLM, e.g. a creeper fuse of 1.5s
+const IMMEDIATE_DECISIONS = ['block', 'flee', 'pillar_up'];
 
 class EmergencyQueue {
   constructor(bot, botStateManager, ollamaInterface, aiResponseParser, botActions, learningManager, logger, emergencyContext) {
@@ -19,21 +39,28 @@ class EmergencyQueue {
     this.learningManager = learningManager;
     
     // Gebot 1: Spezifischer Notfall-Kontext
-    this.emergencyContext = emergencyContext; // { type: 'damage'|'hunger', source: string, severity: number }
+    this.emergencyContext = emergencyContext; // { type: 'damage'|'hunger'|'lava'|'fire'|'drowning'|'fall'|'suffocation', source: string, severity: number }
     
     // Simplified state (Gebot 5)
     this.currentActionQueue = [];
     this.currentActionIndex = 0;
     this.isExecuting = false;
+    this.isPaused = false;
     this.emergencyStartTime = null;
     
-    // State machine
-    this.stateMachine = null;
-    this.stateMachineService = null;
+    // Each start or resume of the action loop gets a new number, older loops end
+    this.executionRun = 0;
     
     // Performance tracking
     this.actionResults = [];
     
+    // Failed attempts of the current action, for the RecoveryPolicy
+    this.failedAttempts = 0;
+    this.lastRecovery = null;
+
+    // Last threat assessment of the damage reflex
+    this.threatAssessment = null;
+    
     // Gebot 6: Lauter Alarm
     this.logger = logger || winston.createLogger({
       level: 'warn',
@@ -52,6 +79,9 @@ class EmergencyQueue {
 
     // Initialize error recovery helper
     this.errorRecovery = new ErrorRecovery(this.bot, this.learningManager, this.logger);
+    this.recoveryPolicy = new RecoveryPolicy(this.logger);
+
+    this.threatAssessor = new ThreatAssessor(this.bot, this.logger);
   }
   
   /**
@@ -93,6 +123,14 @@ class EmergencyQueue {
         await this.executeHungerReflex();
         break;
       
+      case 'lava':
+      case 'fire':
+      case 'drowning':
+      case 'fall':
+      case 'suffocation':
+        this.executeHazardReflex(this.emergencyContext.type);
+        break;
+      
       default:
         this.logger.error(`Unknown emergency type: ${this.emergencyContext.type}`);
     }
@@ -102,6 +140,11 @@ class EmergencyQueue {
    * Immediate damage reflex
    */
   async executeDamageReflex() {
+    // React to what attacks, not just to the nearest mob
+    const assessment = this.threatAssessor.assess();
+    this.threatAssessment = assessment;
+    const threat = assessment.primary;
+    
     // If health critically low, prioritize healing
     if (this.bot.health <= 6) {
       // Check for healing items
@@ -111,54 +154,90 @@ class EmergencyQueue {
       );
       
       if (availableHealing) {
-        this.currentActionQueue.push({
-          actionName: 'consumeItem',
-          parameters: { itemName: availableHealing },
-          successCriteria: 'Health restored',
-          timeoutMs: 2000,
-          fallbackAction: 'flee'
-        });
+        this.queueReflex('consumeItem', { itemName: availableHealing }, 'Health restored', 2000,
+          threat ? this.fleeFallback(threat) : null);
       }
     }
     
-    // Identify threat
-    const hostileMobs = Object.values(this.bot.entities).filter(e => {
-      if (!e.position || !e.name) return false;
-      const distance = e.position.distanceTo(this.bot.entity.position);
-      const hostileTypes = ['zombie', 'skeleton', 'creeper', 'spider', 'witch', 'enderman'];
-      return hostileTypes.includes(e.name) && distance < 16;
-    });
+    if (!threat) {
+      return;
+    }
+
+    this.logger.warn(`Threat assessment: ${assessment.decision} - ${assessment.reason}`);
+
+    switch (assessment.decision) {
+      case 'fight':
+        this.queueFightReflex(threat, assessment.defense);
+        break;
+
+      case 'block':
+        this.queueBlockReflex(threat);
+        break;
+
+      case 'pillar_up':
+        this.queuePillarReflex(threat, assessment.defense);
+        break;
+
+      default:
+        this.queueFleeReflex(threat);
+    }
+  }
+
+  /**
+   * Shoot back at ranged mobs from a distance, otherwise draw the best weapon and attack
+   */
+  queueFightReflex(threat, defense) {
+    // The combat controller picks weapon, bow or melee and retreat on its own
+    if (this.bot.combat) {
+      this.queueReflex('attack', { entityName: threat.name, entityId: threat.id, maxDurationMs: FIGHT_DURATION_MS },
+        'Threat eliminated', FIGHT_DURATION_MS + 5000, this.fleeFallback(threat));
+      return;
+    }
     
-    if (hostileMobs.length > 0) {
-      const nearestThreat = hostileMobs.reduce((nearest, mob) => {
-        const distance = mob.position.distanceTo(this.bot.entity.position);
-        const nearestDistance = nearest.position.distanceTo(this.bot.entity.position);
-        return distance < nearestDistance ? mob : nearest;
-      });
-      
-// Gebot 7: Use pvp plugin if available
-      if (this.bot.pvp && this.bot.health > 10) {
-        this.currentActionQueue.push({
-          actionName: 'attack',
-          parameters: { entityName: nearestThreat.name },
-          successCriteria: 'Threat eliminated',
-          timeoutMs: 5000,
-          fallbackAction: 'flee'
-        });
-      } else {
-        // Flee if low health or no pvp
-        this.currentActionQueue.push({
-          actionName: 'flee',
-          parameters: { 
-            entityName: nearestThreat.name,
-            distance: 20
-          },
-          successCriteria: 'Safe distance achieved',
-          timeoutMs: 10000,
-          fallbackAction: null
-        });
-      }
+    if (threat.behaviour === 'ranged' && defense.bow && threat.distance > MIN_SHOOT_DISTANCE) {
+      this.queueReflex('shoot', { entityName: threat.name, chargeTime: 1000 },
+        'Arrow fired at threat', 3000, this.fleeFallback(threat));
+      return;
     }
+
+    if (defense.weapon && this.bot.heldItem?.name !== defense.weapon) {
+      this.queueReflex('equipItem', { itemName: defense.weapon, destination: 'hand' }, 'Weapon in hand', 1000);
+    }
+
+    this.queueReflex('attack', { entityName: threat.name, entityId: threat.id }, 'Threat eliminated', 5000, this.fleeFallback(threat));
+  }
+
+  /**
+   * Raise the shield against arrows or a blast; it is lowered again in complete()
+   */
+  queueBlockReflex(threat) {
+    this.queueReflex('shield', { enable: true }, 'Shield raised', 2000, this.fleeFallback(threat));
+  }
+
+  /**
+   * Build a pillar out of reach of melee mobs
+   */
+  queuePillarReflex(threat, defense) {
+    this.queueReflex('pillarUp', { blockName: defense.pillarBlock, height: PILLAR_HEIGHT },
+      'Out of melee reach', 8000, this.fleeFallback(threat));
+  }
+
+  queueFleeReflex(threat) {
+    const { parameters } = this.fleeFallback(threat);
+    this.queueReflex('flee', parameters, 'Safe distance achieved', 10000);
+  }
+
+  /**
+   * Flee from the threat, as a fallback spec that names its target
+   */
+  fleeFallback(threat) {
+    return {
+      actionName: 'flee',
+      parameters: {
+        entityName: threat.name,
+        distance: FLEE_DISTANCE[threat.behaviour] || DEFAULT_FLEE_DISTANCE
+      }
+    };
   }
   
   /**
@@ -195,13 +274,56 @@ class EmergencyQueue {
         return (foodValues[b.name] || 0) - (foodValues[a.name] || 0);
       })[0];
       
-      this.currentActionQueue.push({
-        actionName: 'consumeItem',
-        parameters: { itemName: foodToEat.name },
-        successCriteria: 'Food consumed',
-        timeoutMs: 3000,
-        fallbackAction: null
-      });
+      this.queueReflex('consumeItem', { itemName: foodToEat.name }, 'Food consumed', 3000);
+    }
+  }
+  
+  /**
+   * Immediate hazard reflex: no time to ask anyone
+   */
+  executeHazardReflex(hazard) {
+    const has = (itemName) => this.bot.inventory.items().some(item => item.name === itemName);
+    
+    switch (hazard) {
+      case 'fall':
+        if (has('water_bucket')) {
+          this.queueReflex('waterBucketClutch', {}, 'Landed in water', 10000);
+        } else {
+          this.logger.error('Deadly fall and no water bucket to break it');
+        }
+        break;
+      
+      case 'lava':
+        this.queueReflex('escapeLava', {}, 'Out of the lava', 8000);
+        this.queueReflex('extinguish', {}, 'No longer burning', 10000);
+        break;
+      
+      case 'fire':
+        this.queueReflex('extinguish', {}, 'No longer burning', 10000);
+        break;
+      
+      case 'drowning':
+        // Under ice or an overhang swimming up ends at a block: dig through it
+        this.queueReflex('swimUp', {}, 'Head above water', 6000, 'digOut');
+        break;
+      
+      case 'suffocation':
+        this.queueReflex('digOut', {}, 'Head free', 6000);
+        break;
+    }
+  }
+  
+  /**
+   * Validate a reflex like any planned action; a reflex the validator rejects is left out
+   */
+  queueReflex(actionName, parameters, successCriteria, timeoutMs, fallbackAction = null) {
+    try {
+      this.currentActionQueue.push(this.aiResponseParser.validateSingleAction(
+        { actionName, parameters, successCriteria, timeoutMs, fallbackAction },
+        this.currentActionQueue.length
+      ));
+    } catch (error) {
+      this.logger.error(`Reflex ${actionName} rejected: ${error.message}`);
     }
   }
   
@@ -209,6 +331,16 @@ class EmergencyQueue {
    * Check if we need LLM plan
    */
   needsLLMPlan() {
+    // Hazards are over before an answer arrives, the LLM only helps without a reflex
+    if (HAZARD_TYPES.includes(this.emergencyContext.type)) {
+      return this.currentActionQueue.length === 0;
+    }
+    
+    // The same for blocking, fleeing or pillaring up: the reflex runs at once
+    if (IMMEDIATE_DECISIONS.includes(this.threatAssessment?.decision) && this.currentActionQueue.length > 0) {
+      return false;
+    }
+    
     // If immediate reflex created actions, we might not need LLM
     if (this.currentActionQueue.length >= 3) {
       return false;
@@ -233,11 +365,14 @@ class EmergencyQueue {
       );
       
       // Build minimal context
+      const assessment = this.threatAssessment || this.threatAssessor.assess();
       const context = {
         emergencyTrigger: this.emergencyContext.type,
         health: this.bot.health,
         food: this.bot.food,
         threats: this.identifyThreats(),
+        threatDecision: assessment.decision,
+        threatReason: assessment.reason,
         quickInventory: this.getQuickInventory()
       };
       
@@ -267,24 +402,16 @@ class EmergencyQueue {
   }
   
   /**
-   * Identify immediate threats
+   * Identify immediate threats, most dangerous first
    */
   identifyThreats() {
-    const threats = [];
-    const hostileTypes = ['zombie', 'skeleton', 'creeper', 'spider', 'witch', 'enderman', 'blaze', 'ghast'];
-    
-    Object.values(this.bot.entities).forEach(entity => {
-      if (!entity.position || !entity.name) return;
-      
-      const distance = entity.position.distanceTo(this.bot.entity.position);
-      if (hostileTypes.includes(entity.name) && distance < 20) {
-        threats.push({
-          type: entity.name,
-          distance: Math.round(distance),
-          position: entity.position
-        });
-      }
-    });
+    const threats = this.threatAssessor.rankThreats().map(threat => ({
+      type: threat.name,
+      behaviour: threat.behaviour,
+      distance: Math.round(threat.distance),
+      lineOfSight: threat.lineOfSight,
+      score: threat.score
+    }));
     
     // Environmental threats
     const nearbyBlocks = this.bot.findBlocks({
@@ -318,7 +445,9 @@ class EmergencyQueue {
   }
   
   /**
-   * Gebot 5: Simplified execution using state machine
+   * Gebot 5: Simplified execution - a plain loop instead of a state machine
+   * Runs detached: the EventDispatcher handles one event at a time, and the
+   * next hazard must get through while this emergency is still running.
    */
   async executeActionQueue() {
     if (this.currentActionQueue.length === 0) {
@@ -327,66 +456,49 @@ class EmergencyQueue {
       return;
     }
     
-    // Create simplified state machine
-    this.createEmergencyStateMachine();
-    
-    // Start execution
-    this.stateMachineService = interpret(this.stateMachine);
-    
-    this.stateMachineService.onTransition((state) => {
-      this.logger.warn(`Emergency state: ${state.value}`);
+    const run = ++this.executionRun;
+    this.runActionQueue(run).catch(error => {
+      this.logger.error(`Emergency execution crashed: ${error.message}`);
+      if (this.isCurrentRun(run)) {
+        this.complete();
+      }
     });
-    
-    this.stateMachineService.start();
   }
   
   /**
-   * Create emergency state machine
+   * Check condition, execute action, on failure let the RecoveryPolicy decide - until resolved or out of actions
    */
-  createEmergencyStateMachine() {
-    const states = {
-      idle: {
-        on: {
-          START: 'checkCondition'
-        }
-      },
-      checkCondition: {
-        onEntry: () => this.checkEmergencyCondition(),
-        on: {
-          RESOLVED: 'complete',
-          CONTINUE: 'executeAction',
-          NO_MORE_ACTIONS: 'complete'
-        }
-      },
-      executeAction: {
-        onEntry: () => this.executeCurrentAction(),
-        on: {
-          SUCCESS: 'checkCondition',
-          FAILURE: 'handleFailure'
-        }
-      },
-      handleFailure: {
-        onEntry: () => this.handleActionFailure(),
-        on: {
-          RETRY: 'executeAction',
-          NEXT: 'checkCondition',
-          ABORT: 'complete'
+  async runActionQueue(run) {
+    while (this.isCurrentRun(run)) {
+      const condition = this.checkEmergencyCondition();
+      if (condition !== 'continue') {
+        this.complete();
+        return;
+      }
+      
+      const succeeded = await this.executeCurrentAction();
+      
+      // Stopped, paused or replaced while the action ran
+      if (!this.isCurrentRun(run)) {
+        return;
+      }
+      
+      if (!succeeded) {
+        const delay = await this.handleActionFailure();
+        if (delay > 0) {
+          await new Promise(resolve => setTimeout(resolve, delay));
         }
-      },
-      complete: {
-        onEntry: () => this.complete()
       }
-    };
-    
-    this.stateMachine = createMachine({
-      id: 'emergencyExecution',
-      initial: 'idle',
-      states: states
-    });
+    }
+  }
+  
+  isCurrentRun(run) {
+    return this.isExecuting && !this.isPaused && run === this.executionRun;
   }
   
   /**
    * Gebot 4: Check if emergency is resolved
+   * @returns {String} 'resolved', 'no_more_actions' or 'continue'
    */
   checkEmergencyCondition() {
     // Check deescalation conditions
@@ -402,26 +514,30 @@ class EmergencyQueue {
         // Resolved if food level acceptable
         resolved = this.bot.food >= 15;
         break;
+      
+      default:
+        // Hazards are resolved once the bot is out of them
+        resolved = HAZARD_TYPES.includes(this.emergencyContext.type) &&
+          isHazardResolved(this.bot, this.emergencyContext.type);
     }
     
     if (resolved) {
       this.logger.warn('Emergency condition resolved');
-      this.stateMachineService.send('RESOLVED');
-      return;
+      return 'resolved';
     }
     
     // Check if more actions available
     if (this.currentActionIndex >= this.currentActionQueue.length) {
       this.logger.warn('No more emergency actions');
-      this.stateMachineService.send('NO_MORE_ACTIONS');
-      return;
+      return 'no_more_actions';
     }
     
-    this.stateMachineService.send('CONTINUE');
+    return 'continue';
   }
   
   /**
    * Execute current emergency action
+   * @returns {Promise<boolean>} whether the action succeeded
    */
   async executeCurrentAction() {
     const action = this.currentActionQueue[this.currentActionIndex];
@@ -436,14 +552,19 @@ class EmergencyQueue {
       }
       
       // Execute with timeout
+      let timeout;
       const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('Emergency action timeout')), action.timeoutMs);
+        timeout = setTimeout(() => reject(new Error('Emergency action timeout')), action.timeoutMs);
       });
       
-      const result = await Promise.race([
-        actionFunction(this.bot, action.parameters),
-        timeoutPromise
-      ]);
+      try {
+        await Promise.race([
+          actionFunction(this.bot, action.parameters),
+          timeoutPromise
+        ]);
+      } finally {
+        clearTimeout(timeout);
+      }
       
       this.logger.warn(`Emergency action succeeded: ${action.actionName}`);
       this.botStateManager.setExecutingAction(false);
@@ -456,10 +577,16 @@ class EmergencyQueue {
       });
       
       this.currentActionIndex++;
-      this.stateMachineService.send('SUCCESS');
+      this.failedAttempts = 0;
+      return true;
       
     } catch (error) {
-      await this.errorRecovery.handleError(error, { module: "EmergencyQueue", phase: "action_execution" });
+      this.lastRecovery = await this.errorRecovery.handleError(error, {
+        module: "EmergencyQueue",
+        phase: "action_execution",
+        queue: 'emergency',
+        action: action.actionName
+      });
       this.logger.error(`Emergency action failed: ${error.message}`);
       this.botStateManager.setExecutingAction(false);
       
@@ -472,45 +599,73 @@ class EmergencyQueue {
       });
       
       this.lastError = error;
-      this.stateMachineService.send('FAILURE');
+      return false;
     }
   }
   
   /**
-   * Handle emergency action failure
+   * Handle emergency action failure as the RecoveryPolicy decides
+   * retry keeps the action, fallback replaces it with its resolved and validated
+   * fallback (so it keeps the failed action's target), skip moves on, replan drops
+   * the rest of the queue for a new LLM plan and abort drops it for good.
+   * @returns {Promise<number>} ms to wait before the retry, 0 otherwise
    */
   async handleActionFailure() {
     const failedAction = this.currentActionQueue[this.currentActionIndex];
+    const attempt = ++this.failedAttempts;
+    const decision = this.recoveryPolicy.decide(failedAction, this.lastRecovery, attempt);
+    
+    if (decision.reaction === 'retry') {
+      this.logger.warn(`Retrying ${failedAction.actionName} (attempt ${attempt + 1}${decision.delay ? `, in ${decision.delay}ms` : ''})`);
+      return decision.delay;
+    }
+    this.failedAttempts = 0;
+    
+    if (decision.reaction === 'replan' || decision.reaction === 'abort') {
+      this.logger.error(`${failedAction.actionName} failed, ${decision.reaction === 'replan' ? 'replanning' : 'dropping'} the remaining emergency actions`);
+      this.currentActionQueue.splice(this.currentActionIndex);
+      if (decision.reaction === 'replan') {
+        await this.requestEmergencyPlan();
+      }
+      return 0;
+    }
     
     // Try fallback if available
-    if (failedAction.fallbackAction) {
-      this.logger.warn(`Trying fallback: ${failedAction.fallbackAction}`);
-      
-      // Replace with fallback
-      this.currentActionQueue[this.currentActionIndex] = {
-        actionName: failedAction.fallbackAction,
-        parameters: {},
-        successCriteria: 'Fallback completed',
-        timeoutMs: 5000,
-        fallbackAction: null
-      };
-      
-      this.stateMachineService.send('RETRY');
-    } else {
-      // Skip to next action
-      this.currentActionIndex++;
-      this.stateMachineService.send('NEXT');
+    if (decision.reaction === 'fallback' && failedAction.fallbackAction) {
+      try {
+        const fallback = this.aiResponseParser.resolveFallbackAction(failedAction);
+        this.logger.warn(`Trying fallback: ${fallback.actionName}`);
+        
+        // Replace with fallback
+        this.currentActionQueue[this.currentActionIndex] = fallback;
+        return 0;
+      } catch (error) {
+        this.logger.error(`Fallback for ${failedAction.actionName} rejected: ${error.message}`);
+      }
     }
+    
+    // Skip to next action
+    this.currentActionIndex++;
+    return 0;
   }
   
   /**
    * Complete emergency handling
    */
   complete() {
+    if (!this.isExecuting) {
+      return;
+    }
+    
     const duration = Date.now() - this.emergencyStartTime;
     this.logger.error(`EMERGENCY COMPLETE - Duration: ${duration}ms`);
     
     this.isExecuting = false;
+
+    // Lower a shield the block reflex raised
+    if (this.threatAssessment?.decision === 'block') {
+      this.bot.deactivateItem();
+    }
     
     // Record learning about emergency resolution
     const survived = this.bot.health > 0;
@@ -522,6 +677,7 @@ class EmergencyQueue {
         confidence: 0.9,
         context: {
           emergencyType: this.emergencyContext.type,
+          threatDecision: this.threatAssessment?.decision || null,
           actions: this.currentActionQueue.map(a => a.actionName),
           finalHealth: this.bot.health,
           duration: duration
@@ -550,10 +706,10 @@ class EmergencyQueue {
     this.logger.warn('Emergency queue stopped');
     this.isExecuting = false;
     
-    if (this.stateMachineService) {
-      this.stateMachineService.stop();
-    }
+    // A fight started by this emergency ends with it
+    this.bot.combat?.stop('emergency stopped');
     
+
     // Disable auto-eat if we enabled it
     if (this.bot.autoEat) {
       this.bot.autoEat.disable();
@@ -565,9 +721,7 @@ class EmergencyQueue {
    */
   pause() {
     this.logger.warn('Emergency queue paused (unusual)');
-    if (this.stateMachineService) {
-      this.stateMachineService.stop();
-    }
+    this.isPaused = true;
   }
   
   /**
@@ -575,11 +729,24 @@ class EmergencyQueue {
    */
   async resume() {
     this.logger.warn('Emergency queue resumed');
+    this.isPaused = false;
     if (this.currentActionIndex < this.currentActionQueue.length) {
       await this.executeActionQueue();
     }
   }
   
+  /**
+   * Snapshot for QueueManager persistence
+   */
+  serializeState() {
+    return {
+      emergencyContext: this.emergencyContext,
+      currentActionQueue: this.currentActionQueue,
+      currentActionIndex: this.currentActionIndex,
+      duration: this.emergencyStartTime ? Date.now() - this.emergencyStartTime : 0
+    };
+  }
+  
   /**
    * Get emergency status
    */
@@ -589,6 +756,7 @@ class EmergencyQueue {
       emergencyType: this.emergencyContext.type,
       currentActionIndex: this.currentActionIndex,
       totalActions: this.currentActionQueue.length,
+      threatDecision: this.threatAssessment?.decision || null,
       duration: this.emergencyStartTime ? Date.now() - this.emergencyStartTime : 0
     };
   }
@@ -0,0 +1,388 @@
+/**
+ * GoalManager.js - Zielbaum für Ziel → Handlung → Aktion
+ * "Großes Ziel, kleine Schritte, gezielte Korrektur"
+ * Hält langfristige Ziele mit ihren Handlungen, verfolgt Fortschritt und
+ * Abhängigkeiten und ersetzt bei Fehlschlag nur den betroffenen Zweig.
+ */
+
+import winston from 'winston';
+
+const GOAL_STATUS = ['pending', 'active', 'completed', 'failed'];
+const MAX_HISTORY = 10;
+
+class GoalManager {
+  constructor(logger, options = {}) {
+    this.goals = [];
+    this.history = []; // Recently finished goals (completed or failed), newest last
+    this.nextGoalNumber = 1;
+
+    // Attempts per Handlung before its branch is re-planned
+    this.maxHandlungAttempts = options.maxHandlungAttempts ?? (parseInt(process.env.GOAL_MAX_HANDLUNG_ATTEMPTS) || 2);
+    // Branch re-plans per goal before the goal is given up
+    this.maxReplans = options.maxReplans ?? (parseInt(process.env.GOAL_MAX_REPLANS) || 2);
+
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.printf(({ timestamp, level, message }) => {
+          return `[${timestamp}] [GoalManager] ${level}: ${message}`;
+        })
+      ),
+      transports: [
+        new winston.transports.Console({
+          level: process.env.LOG_LEVEL || 'info'
+        })
+      ]
+    });
+  }
+
+  // ===== Goals =====
+
+  /**
+   * Add processed goals from AiResponseParser.processGoalQueue; returns the number added
+   */
+  addGoals(goals) {
+    let added = 0;
+
+    for (const goal of goals) {
+      if (this.addGoal(goal)) {
+        added++;
+      }
+    }
+
+    return added;
+  }
+
+  addGoal(goal) {
+    const duplicate = this.getOpenGoals().find(existing =>
+      existing.goalDescription.toLowerCase() === goal.goalDescription.toLowerCase()
+    );
+    if (duplicate) {
+      this.logger.debug(`Skipping duplicate goal: ${goal.goalDescription}`);
+      return null;
+    }
+
+    // LLM ids are only unique per response - keep them readable but make them unique here
+    let goalId = goal.goalId || `goal_${this.nextGoalNumber}`;
+    if (this.getGoal(goalId)) {
+      goalId = `${goalId}_${this.nextGoalNumber}`;
+    }
+    this.nextGoalNumber++;
+
+    const entry = {
+      goalId: goalId,
+      goalDescription: goal.goalDescription,
+      priority: goal.priority ?? 5,
+      category: goal.category || 'survival',
+      dependsOn: goal.dependsOn || [],
+      status: 'pending',
+      handlungen: [],
+      replans: 0,
+      progress: 0,
+      source: goal.source || null, // e.g. { player } for goals given via chat
+      createdAt: goal.timestamp || new Date().toISOString(),
+      failureReason: null
+    };
+
+    this.goals.push(entry);
+    this.logger.info(`Goal added: ${entry.goalId} - ${entry.goalDescription} (priority ${entry.priority})`);
+    return entry;
+  }
+
+  getGoal(goalId) {
+    return this.goals.find(goal => goal.goalId === goalId) || null;
+  }
+
+  getOpenGoals() {
+    return this.goals.filter(goal => goal.status === 'pending' || goal.status === 'active');
+  }
+
+  hasOpenGoals() {
+    return this.getOpenGoals().length > 0;
+  }
+
+  /**
+   * Dependency-satisfied goal to work on: the active one, else the highest priority
+   */
+  getNextGoal() {
+    const active = this.goals.find(goal => goal.status === 'active');
+    if (active) {
+      return active;
+    }
+
+    const candidates = this.goals
+      .filter(goal => goal.status === 'pending')
+      .filter(goal => {
+        const blockedBy = goal.dependsOn.map(id => this.getGoal(id)).find(dep => dep && dep.status === 'failed');
+        if (blockedBy) {
+          this.failGoal(goal.goalId, `Dependency ${blockedBy.goalId} failed`);
+          return false;
+        }
+        // Unknown ids (e.g. goals that were never created) do not block
+        return goal.dependsOn.every(id => {
+          const dep = this.getGoal(id);
+          return !dep || dep.status === 'completed';
+        });
+      })
+      .sort((a, b) => b.priority - a.priority);
+
+    const next = candidates[0];
+    if (next) {
+      next.status = 'active';
+    }
+    return next || null;
+  }
+
+  failGoal(goalId, reason) {
+    const goal = this.getGoal(goalId);
+    if (!goal || goal.status === 'failed') return;
+
+    goal.status = 'failed';
+    goal.failureReason = reason;
+    this.logger.warn(`Goal failed: ${goal.goalDescription} - ${reason}`);
+    this._archive(goal);
+  }
+
+  _completeGoal(goal) {
+    goal.status = 'completed';
+    goal.progress = 1;
+    this.logger.info(`Goal completed: ${goal.goalDescription}`);
+    this._archive(goal);
+  }
+
+  _archive(goal) {
+    this.history.push({
+      goalId: goal.goalId,
+      goalDescription: goal.goalDescription,
+      status: goal.status,
+      failureReason: goal.failureReason,
+      finishedAt: new Date().toISOString()
+    });
+    this.history = this.history.slice(-MAX_HISTORY);
+
+    // Finished goals stay in the tree only while open goals may depend on them
+    this.goals = this.goals.filter(entry =>
+      !['completed', 'failed'].includes(entry.status) ||
+      this.getOpenGoals().some(open => open.dependsOn.includes(entry.goalId))
+    );
+  }
+
+  // ===== Handlungen =====
+
+  /**
+   * Normalize Handlungen from a decomposition; ids are prefixed to stay unique after re-plans
+   */
+  _normalizeHandlungen(handlungen, prefix, knownIds) {
+    const idMap = new Map();
+    handlungen.forEach((handlung, index) => {
+      idMap.set(handlung.handlungId || `h${index + 1}`, `${prefix}${handlung.handlungId || `h${index + 1}`}`);
+    });
+
+    return handlungen.map((handlung, index) => {
+      const handlungId = idMap.get(handlung.handlungId || `h${index + 1}`);
+
+      return {
+        handlungId: handlungId,
+        description: handlung.description,
+        successCriteria: handlung.successCriteria || null,
+        // Unknown and self references would block the Handlung forever
+        dependsOn: (handlung.dependsOn || [])
+          .map(id => idMap.get(id) || id)
+          .filter(id => id !== handlungId)
+          .filter(id => knownIds.has(id) || Array.from(idMap.values()).includes(id)),
+        status: 'pending',
+        attempts: 0,
+        lastError: null
+      };
+    });
+  }
+
+  setHandlungen(goalId, handlungen) {
+    const goal = this.getGoal(goalId);
+    if (!goal) return;
+
+    goal.handlungen = this._normalizeHandlungen(handlungen, '', new Set());
+    goal.progress = 0;
+    this.logger.info(`Goal ${goalId} decomposed into ${goal.handlungen.length} Handlungen`);
+  }
+
+  getHandlung(goalId, handlungId) {
+    return this.getGoal(goalId)?.handlungen.find(handlung => handlung.handlungId === handlungId) || null;
+  }
+
+  /**
+   * First pending Handlung whose dependencies are completed (or the active one)
+   */
+  getNextHandlung(goalId) {
+    const goal = this.getGoal(goalId);
+    if (!goal) return null;
+
+    const active = goal.handlungen.find(handlung => handlung.status === 'active');
+    if (active) return active;
+
+    const next = goal.handlungen.find(handlung =>
+      handlung.status === 'pending' &&
+      handlung.dependsOn.every(id => this.getHandlung(goalId, id)?.status === 'completed')
+    );
+
+    if (next) {
+      next.status = 'active';
+    }
+    return next || null;
+  }
+
+  getCompletedHandlungen(goalId) {
+    return (this.getGoal(goalId)?.handlungen || [])
+      .filter(handlung => handlung.status === 'completed')
+      .map(handlung => ({ handlungId: handlung.handlungId, description: handlung.description }));
+  }
+
+  completeHandlung(goalId, handlungId) {
+    const goal = this.getGoal(goalId);
+    const handlung = this.getHandlung(goalId, handlungId);
+    if (!goal || !handlung) return;
+
+    handlung.status = 'completed';
+    goal.progress = this.getProgress(goalId);
+    this.logger.info(`Handlung completed: ${handlung.description} (${Math.round(goal.progress * 100)}% of goal)`);
+
+    if (goal.handlungen.every(entry => entry.status === 'completed')) {
+      this._completeGoal(goal);
+    }
+  }
+
+  /**
+   * Record a failed attempt
+   * Returns 'retry' (same Handlung again), 'replan' (re-plan its branch) or 'goal_failed'.
+   */
+  failHandlung(goalId, handlungId, reason) {
+    const goal = this.getGoal(goalId);
+    const handlung = this.getHandlung(goalId, handlungId);
+    if (!goal || !handlung) return 'goal_failed';
+
+    handlung.attempts++;
+    handlung.lastError = reason;
+
+    if (handlung.attempts < this.maxHandlungAttempts) {
+      handlung.status = 'pending';
+      this.logger.warn(`Handlung failed (attempt ${handlung.attempts}/${this.maxHandlungAttempts}), retrying: ${handlung.description}`);
+      return 'retry';
+    }
+
+    handlung.status = 'failed';
+
+    if (goal.replans >= this.maxReplans) {
+      this.failGoal(goalId, `Handlung '${handlung.description}' failed after ${goal.replans} re-plans: ${reason}`);
+      return 'goal_failed';
+    }
+
+    this.logger.warn(`Handlung failed for good, re-planning its branch: ${handlung.description}`);
+    return 'replan';
+  }
+
+  /**
+   * The failed Handlung plus everything that (transitively) depends on it
+   */
+  getBranch(goalId, handlungId) {
+    const goal = this.getGoal(goalId);
+    if (!goal) return [];
+
+    const branchIds = new Set([handlungId]);
+    let grown = true;
+    while (grown) {
+      grown = false;
+      for (const handlung of goal.handlungen) {
+        if (!branchIds.has(handlung.handlungId) && handlung.dependsOn.some(id => branchIds.has(id))) {
+          branchIds.add(handlung.handlungId);
+          grown = true;
+        }
+      }
+    }
+
+    return goal.handlungen
+      .filter(handlung => branchIds.has(handlung.handlungId) && handlung.status !== 'completed')
+      .map(handlung => ({
+        handlungId: handlung.handlungId,
+        description: handlung.description,
+        status: handlung.status,
+        lastError: handlung.lastError
+      }));
+  }
+
+  /**
+   * Swap the failed branch for freshly planned Handlungen; completed work is kept
+   */
+  replaceBranch(goalId, handlungId, newHandlungen) {
+    const goal = this.getGoal(goalId);
+    if (!goal) return;
+
+    const branchIds = new Set(this.getBranch(goalId, handlungId).map(handlung => handlung.handlungId));
+    const keptIds = new Set(goal.handlungen.filter(h => !branchIds.has(h.handlungId)).map(h => h.handlungId));
+
+    goal.replans++;
+    const replacement = this._normalizeHandlungen(newHandlungen, `r${goal.replans}_`, keptIds);
+
+    goal.handlungen = goal.handlungen
+      .filter(handlung => !branchIds.has(handlung.handlungId))
+      .concat(replacement);
+    goal.progress = this.getProgress(goalId);
+
+    this.logger.info(`Replaced ${branchIds.size} Handlungen of goal ${goalId} with ${replacement.length} new ones (re-plan ${goal.replans}/${this.maxReplans})`);
+  }
+
+  getProgress(goalId) {
+    const goal = this.getGoal(goalId);
+    if (!goal || goal.handlungen.length === 0) return 0;
+
+    return goal.handlungen.filter(handlung => handlung.status === 'completed').length / goal.handlungen.length;
+  }
+
+  // ===== Reporting & persistence =====
+
+  /**
+   * Compact tree view for prompts and status endpoints
+   */
+  getSummary() {
+    return this.goals.map(goal => ({
+      goalId: goal.goalId,
+      goalDescription: goal.goalDescription,
+      status: goal.status,
+      progress: Math.round(goal.progress * 100),
+      handlungen: goal.handlungen.map(handlung => ({
+        handlungId: handlung.handlungId,
+        description: handlung.description,
+        status: handlung.status
+      }))
+    }));
+  }
+
+  getHistory() {
+    return this.history.slice();
+  }
+
+  serialize() {
+    return {
+      goals: this.goals,
+      history: this.history,
+      nextGoalNumber: this.nextGoalNumber
+    };
+  }
+
+  restore(data) {
+    if (!data || !Array.isArray(data.goals)) return;
+
+    this.goals = data.goals.filter(goal => GOAL_STATUS.includes(goal.status));
+    this.history = data.history || [];
+    this.nextGoalNumber = data.nextGoalNumber || this.goals.length + 1;
+    this.logger.info(`Restored goal tree with ${this.getOpenGoals().length} open goals`);
+  }
+
+  clear() {
+    this.goals = [];
+    this.history = [];
+    this.nextGoalNumber = 1;
+  }
+}
+
+export default GoalManager;
@@ -0,0 +1,106 @@
+/**
+ * PlanConditions.js - Bedingungen und Schleifenziele für Kontrollschritte
+ * "Erst nachsehen, dann handeln"
+ * Wertet die von ActionValidator geprüften Bedingungen gegen den echten
+ * Bot-Zustand aus. Liest nur, verändert nichts.
+ */
+
+import { createRequire } from 'module';
+import { BLOCK_PLACEHOLDERS } from '../LLM/ActionValidator.js';
+
+const require = createRequire(import.meta.url);
+
+function inRange(value, { atLeast, atMost }) {
+  return (atLeast === undefined || value >= atLeast) &&
+         (atMost === undefined || value <= atMost);
+}
+
+function countItem(bot, itemName) {
+  return bot.inventory.items()
+    .filter(item => item.name === itemName || item.displayName === itemName)
+    .reduce((sum, item) => sum + item.count, 0);
+}
+
+function getBlockType(bot, blockName) {
+  const mcData = bot.mcData || require('minecraft-data')(bot.version);
+  return mcData.blocksByName[blockName] || null;
+}
+
+/**
+ * Evaluate a validated condition
+ * @param {Object} bot
+ * @param {Object} condition - e.g. { inventory: { itemName: 'oak_log', atLeast: 16 } }
+ * @returns {boolean}
+ */
+export function evaluateCondition(bot, condition) {
+  const [[type, args]] = Object.entries(condition);
+
+  switch (type) {
+    case 'not':
+      return !evaluateCondition(bot, args);
+
+    case 'inventory':
+      return inRange(countItem(bot, args.itemName), args);
+
+    case 'health':
+      return inRange(bot.health, args);
+
+    case 'food':
+      return inRange(bot.food, args);
+
+    case 'time':
+      return (args === 'day') === bot.time.isDay;
+
+    case 'blockNearby': {
+      const blockType = getBlockType(bot, args.blockName);
+      return Boolean(blockType && bot.findBlock({ matching: blockType.id, maxDistance: args.maxDistance }));
+    }
+
+    case 'entityNearby':
+      return Object.values(bot.entities).some(entity =>
+        entity !== bot.entity && entity.position &&
+        (entity.name === args.entityName || entity.username === args.entityName) &&
+        bot.entity.position.distanceTo(entity.position) <= args.maxDistance
+      );
+
+    default:
+      throw new Error(`Unknown condition: ${type}`);
+  }
+}
+
+/**
+ * Positions of the blocks a forEach step walks over, nearest first
+ */
+export function findBlockPositions(bot, blockName, maxDistance, maxCount) {
+  const blockType = getBlockType(bot, blockName);
+  if (!blockType) {
+    return [];
+  }
+
+  return bot.findBlocks({
+    matching: blockType.id,
+    maxDistance: maxDistance,
+    count: maxCount
+  });
+}
+
+/**
+ * Replace $x, $y and $z with a block position, also inside nested control steps
+ */
+export function bindPlaceholders(step, position) {
+  if (step.control) {
+    const bound = { ...step };
+    for (const body of ['then', 'else', 'actions']) {
+      if (Array.isArray(step[body])) {
+        bound[body] = step[body].map(inner => bindPlaceholders(inner, position));
+      }
+    }
+    return bound;
+  }
+
+  const parameters = {};
+  for (const [name, value] of Object.entries(step.parameters)) {
+    parameters[name] = BLOCK_PLACEHOLDERS[value] ? position[BLOCK_PLACEHOLDERS[value]] : value;
+  }
+  return { ...step, parameters };
+}
@@ -5,12 +5,23 @@
  */
 
 import winston from 'winston';
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
 import StandardQueue from './StandardQueue.js';
 import EmergencyQueue from './EmergencyQueue.js';
 import RespawnQueue from './RespawnQueue.js';
+import { HAZARD_TYPES } from '../Bot/Hazards.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Bump when the snapshot layout changes; older files are ignored
+const QUEUE_STATE_VERSION = 1;
 
 class QueueManager {
-  constructor(bot, botStateManager, ollamaInterface, aiResponseParser, botActions, learningManager, logger) {
+  constructor(bot, botStateManager, ollamaInterface, aiResponseParser, botActions, learningManager, logger, worldMemory = null) {
     // Gebot 7: Zentraler Knotenpunkt der Abhängigkeiten
     this.bot = bot;
     this.botStateManager = botStateManager;
@@ -18,6 +29,7 @@ class QueueManager {
     this.aiResponseParser = aiResponseParser;
     this.botActions = botActions;
     this.learningManager = learningManager;
+    this.worldMemory = worldMemory;
     
     // Queue state
     this.activeQueue = null;
@@ -31,6 +43,21 @@ class QueueManager {
     // Queue completion handlers
     this.queueCompletionHandlers = new Map();
     
+    // Chat commands, set by ModuleFactory
+    this.commandRegistry = null;
+    
+    // Crash-safe persistence of the queue state
+    const memoryDir = process.env.MEMORY_DIR || join(dirname(__dirname), 'Memory');
+    this.stateFilePath = join(memoryDir, 'QueueState', 'queueState.json');
+    this.stateSaveInterval = parseInt(process.env.QUEUE_STATE_SAVE_INTERVAL ?? '60000'); // 0 disables
+    this.stateMaxAge = parseInt(process.env.QUEUE_STATE_MAX_AGE) || 1800000;
+    this.stateSaveTimer = null;
+    this.stateWriteChain = Promise.resolve(); // Serializes writes to the same temp file
+    
+    // Chat tips: one LLM call per player per cooldown
+    this.chatTipCooldown = parseInt(process.env.CHAT_TIP_COOLDOWN ?? '15000');
+    this.lastChatTip = new Map(); // username -> timestamp
+    
     // Setup logger
     this.logger = logger || winston.createLogger({
       level: 'info',
@@ -62,9 +89,12 @@ class QueueManager {
       this.aiResponseParser,
       this.botActions,
       this.learningManager,
-      this.logger
+      this.logger,
+      this.worldMemory
     );
     
+    this.startAutoSave();
+    
     this.logger.info('Queue system initialized with StandardQueue');
   }
   
@@ -94,6 +124,18 @@ class QueueManager {
         await this.handleReset();
         break;
         
+      case 'learn_tip':
+        this.handleChatTip(eventMessage);
+        break;
+        
+      case 'command':
+        await this.handleCommand(eventMessage);
+        break;
+        
+      case 'new_goal':
+        this.addGoal(eventMessage.data.details.goalDescription, eventMessage.data.details.source);
+        break;
+        
       case 'none':
       default:
         await this.handleStatusUpdate(eventMessage);
@@ -111,7 +153,16 @@ class QueueManager {
     if (this.activeQueue && this.activeQueue !== this.standardQueue) {
       // If emergency is active and we get another emergency, don't pause
       if (this.activeQueue instanceof EmergencyQueue && eventMessage.response.targetQueue === 'emergency') {
-        this.logger.warn('Emergency already active, ignoring interrupt');
+        // Lava or a deadly fall outranks a fight or hunger, anything else waits
+        const activeType = this.activeQueue.emergencyContext.type;
+        if (eventMessage.eventType !== 'environmental_hazard' || HAZARD_TYPES.includes(activeType)) {
+          this.logger.warn('Emergency already active, ignoring interrupt');
+          return;
+        }
+
+        this.logger.warn(`Hazard ${eventMessage.data.details.hazard} replaces ${activeType} emergency`);
+        this.activeQueue.stop();
+        await this.startEmergencyQueue(eventMessage);
         return;
       }
     }
@@ -145,10 +196,11 @@ class QueueManager {
     this.logger.error('Creating Emergency Queue');
     
     // Extract emergency context
+    const isHazard = eventMessage.eventType === 'environmental_hazard';
     const emergencyContext = {
-      type: eventMessage.eventType === 'damage_received' ? 'damage' : 'hunger',
+      type: this.getEmergencyType(eventMessage),
       source: eventMessage.data.details.source || 'unknown',
-      severity: eventMessage.data.details.isCritical ? 'critical' : 'high'
+      severity: isHazard || eventMessage.data.details.isCritical ? 'critical' : 'high'
     };
     
     // Create emergency queue
@@ -171,6 +223,22 @@ class QueueManager {
     await this.emergencyQueue.start();
   }
   
+  /**
+   * Emergency type for an interrupting event: damage, hunger or the hazard's name
+   */
+  getEmergencyType(eventMessage) {
+    switch (eventMessage.eventType) {
+      case 'damage_received':
+        return 'damage';
+      case 'hunger_critical':
+        return 'hunger';
+      case 'environmental_hazard':
+        return eventMessage.data.details.hazard;
+      default:
+        return eventMessage.eventType;
+    }
+  }
+  
   /**
    * Gebot 1: Create and start respawn queue
    */
@@ -182,9 +250,15 @@ class QueueManager {
     const deathContext = {
       deathLocation: deathInfo.position || this.bot.entity.position,
       deathReason: deathInfo.reason || 'unknown',
-      lostInventory: eventMessage.data.details.lostInventory || []
+      lostInventory: deathInfo.inventory || eventMessage.data.details.lostInventory || [],
+      deathTime: deathInfo.time || Date.now()
     };
     
+    // Wherever the bot died is worth avoiding for a while
+    if (this.worldMemory && deathContext.deathLocation) {
+      this.worldMemory.markDanger(deathContext.deathLocation, this.bot.game.dimension, `died: ${deathContext.deathReason}`);
+    }
+    
     // Create respawn queue
     this.respawnQueue = new RespawnQueue(
       this.bot,
@@ -194,7 +268,8 @@ class QueueManager {
       this.botActions,
       this.learningManager,
       this.logger,
-      deathContext
+      deathContext,
+      this.worldMemory
     );
     
     // Set completion handler
@@ -272,7 +347,109 @@ class QueueManager {
     if (this.activeQueue === this.standardQueue && eventMessage.eventType === 'status_update') {
       // StandardQueue will request new plan on its own schedule
       this.logger.debug('Status update received, StandardQueue active');
+
+      // ...unless a failed planning step left it without work
+      await this.standardQueue.retryIfIdle();
+    }
+  }
+  
+  /**
+   * Set the CommandRegistry used for chat commands
+   */
+  setCommandRegistry(registry) {
+    this.commandRegistry = registry;
+  }
+  
+  /**
+   * Run a chat command from the event queue
+   */
+  async handleCommand(eventMessage) {
+    if (!this.commandRegistry) {
+      this.logger.warn('Chat command received but no CommandRegistry is set');
+      return;
+    }
+    
+    const { username, message } = eventMessage.data.details;
+    await this.commandRegistry.execute(username, message);
+  }
+  
+  /**
+   * Add a goal from outside the LLM (e.g. a player command); it is worked on next
+   * Returns the goal, or null if the same goal is already open.
+   */
+  addGoal(goalDescription, source = {}) {
+    const goal = this.standardQueue.goalManager.addGoal({
+      goalDescription: goalDescription,
+      priority: 10,
+      category: 'survival',
+      source: source
+    });
+    
+    if (goal) {
+      this.logger.info(`Goal added by ${source.player || source.type || 'unknown'}: ${goalDescription}`);
+    }
+    
+    return goal;
+  }
+  
+  /**
+   * Hand a trusted player's chat to the tip parser
+   * Fire-and-forget: the LLM call must not hold up the event queue.
+   */
+  handleChatTip(eventMessage) {
+    const { username, message } = eventMessage.data.details;
+    
+    const lastTip = this.lastChatTip.get(username) || 0;
+    if (Date.now() - lastTip < this.chatTipCooldown) {
+      this.logger.debug(`Ignoring tip from ${username}: cooldown active`);
+      return;
     }
+    this.lastChatTip.set(username, Date.now());
+    
+    this.processChatTip(username, message).catch(error => {
+      this.logger.error(`Failed to process chat tip from ${username}: ${error.message}`);
+    });
+  }
+  
+  /**
+   * Turn a chat tip into learnings and acknowledge it in chat
+   */
+  async processChatTip(username, message) {
+    this.logger.info(`Processing chat tip from ${username}: ${message}`);
+    
+    const context = {
+      playerMessage: message,
+      playerName: username,
+      currentActivity: {
+        queue: this.getQueueType(this.activeQueue),
+        goal: this.botStateManager.getCurrentGoal(),
+        handlung: this.botStateManager.getCurrentHandlung()
+      },
+      botState: this.standardQueue.getBotStatus()
+    };
+    
+    const llmResponse = await this.ollamaInterface.parseChatTip(context);
+    const parsedTip = this.aiResponseParser.parseChatTipResponse(llmResponse);
+    
+    // Sequential: learnings of the same category share one file
+    for (const learning of parsedTip.learnings) {
+      await this.learningManager.addLearning('standard', {
+        ...learning,
+        source: {
+          type: 'chat_tip',
+          player: username,
+          message: message
+        }
+      });
+    }
+    
+    this.logger.info(`Stored ${parsedTip.learnings.length} learnings from ${username}'s tip: ${parsedTip.interpretation}`);
+    
+    if (this.bot.entity) {
+      this.bot.chat(parsedTip.acknowledgment);
+    }
+    
+    return parsedTip;
   }
   
   /**
@@ -359,31 +536,118 @@ class QueueManager {
   
   /**
    * Save queue state (for persistence)
+   * Snapshots all queues synchronously, then writes the file atomically.
    */
   async saveState() {
     const state = {
+      version: QUEUE_STATE_VERSION,
+      timestamp: new Date().toISOString(),
       activeQueueType: this.activeQueue ? this.getQueueType(this.activeQueue) : null,
       pausedQueueType: this.pausedQueue ? this.getQueueType(this.pausedQueue) : null,
-      timestamp: new Date().toISOString()
+      standard: this.standardQueue ? this.standardQueue.serializeState() : null,
+      emergency: this.emergencyQueue ? this.emergencyQueue.serializeState() : null,
+      respawn: this.respawnQueue ? this.respawnQueue.serializeState() : null
     };
     
-    // Additional queue-specific state could be saved here
-    this.logger.info('Queue state saved');
+    this.stateWriteChain = this.stateWriteChain.then(() => this._writeStateFile(state));
+    await this.stateWriteChain;
+    
     return state;
   }
   
+  async _writeStateFile(state) {
+    const tempPath = `${this.stateFilePath}.tmp`;
+    
+    try {
+      await mkdir(dirname(this.stateFilePath), { recursive: true });
+      await writeFile(tempPath, JSON.stringify(state, null, 2), 'utf8');
+      await rename(tempPath, this.stateFilePath);
+      this.logger.debug('Queue state saved');
+    } catch (error) {
+      this.logger.error(`Failed to save queue state: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Read the last saved state; null if missing, outdated or unreadable
+   */
+  async loadState() {
+    if (!existsSync(this.stateFilePath)) {
+      return null;
+    }
+    
+    try {
+      const state = JSON.parse(await readFile(this.stateFilePath, 'utf8'));
+      
+      // reset-memory leaves "[]" behind
+      if (!state || Array.isArray(state) || state.version !== QUEUE_STATE_VERSION) {
+        this.logger.info('No usable saved queue state found');
+        return null;
+      }
+      
+      const age = Date.now() - Date.parse(state.timestamp);
+      if (!(age <= this.stateMaxAge)) {
+        this.logger.info(`Saved queue state is ${Math.round(age / 1000)}s old, starting fresh`);
+        return null;
+      }
+      
+      return state;
+    } catch (error) {
+      this.logger.warn(`Could not read saved queue state: ${error.message}`);
+      return null;
+    }
+  }
+  
   /**
    * Restore queue state (after restart)
+   * Only the standard plan is resumed - emergencies and respawns are re-detected live.
+   * Called before events are processed. Without actions left to continue, the goal
+   * tree is still restored and the first status update starts the StandardQueue.
    */
   async restoreState(state) {
-    if (!state) return;
+    if (!state) return false;
     
     this.logger.info(`Restoring queue state from ${state.timestamp}`);
     
-    // For now, just start standard queue
-    // Complex state restoration could be implemented here
-    this.activeQueue = this.standardQueue;
-    await this.standardQueue.start();
+    for (const queueType of ['emergency', 'respawn']) {
+      if (state[queueType]) {
+        this.logger.info(`Not resuming saved ${queueType} queue, the situation is re-evaluated live`);
+      }
+    }
+    
+    // An emergency or respawn that came first keeps control, the plan waits behind it
+    const interrupted = this.activeQueue && this.activeQueue !== this.standardQueue;
+    
+    const resumed = state.standard ?
+      await this.standardQueue.resumeFromState(state.standard, { paused: Boolean(interrupted) }) :
+      false;
+    
+    if (resumed && interrupted) {
+      this.pausedQueue = this.standardQueue;
+    } else if (resumed) {
+      this.activeQueue = this.standardQueue;
+    }
+    
+    return resumed;
+  }
+  
+  /**
+   * Periodic snapshots so a crash loses at most one interval
+   */
+  startAutoSave() {
+    if (this.stateSaveTimer || this.stateSaveInterval <= 0) {
+      return;
+    }
+    
+    this.stateSaveTimer = setInterval(() => this.saveState(), this.stateSaveInterval);
+    this.stateSaveTimer.unref();
+  }
+  
+  stopAutoSave() {
+    if (this.stateSaveTimer) {
+      clearInterval(this.stateSaveTimer);
+      this.stateSaveTimer = null;
+    }
   }
   
   /**
@@ -391,6 +655,10 @@ class QueueManager {
    */
   async shutdown() {
     this.logger.info('Shutting down QueueManager');
+    
+    // Save before stopping - stop() clears the plan
+    this.stopAutoSave();
+    await this.saveState();
 
     // Stop all active queues
     if (this.activeQueue) {
@@ -403,9 +671,6 @@ class QueueManager {
     this.emergencyQueue = null;
     this.respawnQueue = null;
     
-    // Save final state
-    await this.saveState();
-    
     this.logger.info('QueueManager shutdown complete');
   }
 
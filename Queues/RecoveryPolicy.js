@@ -0,0 +1,94 @@
+/**
+ * RecoveryPolicy.js - Was die Queue nach einem Fehlschlag tut
+ * "Nochmal, anders, neu planen oder aufhören"
+ * Übersetzt die Strategie von ErrorRecovery je Aktionskategorie in eine
+ * Reaktion der Queue. Konfiguriert über "recoveryPolicies" in availableActions.json.
+ */
+
+import winston from 'winston';
+import { getActionDefinition, getRecoveryPolicies } from '../LLM/ActionValidator.js';
+
+// What a queue can do about a failed action
+const REACTIONS = ['retry', 'fallback', 'skip', 'replan', 'abort'];
+
+// Used where availableActions.json leaves something out
+const DEFAULT_POLICY = {
+  maxRetries: 2,
+  backoffMs: 1000,
+  maxBackoffMs: 10000,
+  afterRetries: 'fallback',
+  reactions: {}
+};
+
+class RecoveryPolicy {
+  constructor(logger, policies = getRecoveryPolicies()) {
+    this.policies = policies;
+
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.printf(({ timestamp, level, message }) => {
+          return `[${timestamp}] [RecoveryPolicy] ${level}: ${message}`;
+        })
+      ),
+      transports: [
+        new winston.transports.Console({
+          level: process.env.LOG_LEVEL || 'info'
+        })
+      ]
+    });
+  }
+
+  /**
+   * Policy for an action: the default policy, overridden by its category's policy
+   */
+  getPolicy(actionName) {
+    const category = getActionDefinition(actionName)?.category;
+    const base = this.policies.default || {};
+    const override = (category && this.policies[category]) || {};
+
+    return {
+      ...DEFAULT_POLICY,
+      ...base,
+      ...override,
+      reactions: { ...base.reactions, ...override.reactions }
+    };
+  }
+
+  /**
+   * Decide how the queue reacts to a failed action
+   * @param {Object} action - the failed action
+   * @param {Object} recovery - result of ErrorRecovery.handleError ({ strategy, ... })
+   * @param {number} attempt - failed attempts of this action so far, starting at 1
+   * @returns {Object} { reaction, delay } - delay in ms, only for 'retry'
+   */
+  decide(action, recovery, attempt) {
+    const policy = this.getPolicy(action.actionName);
+    let reaction = policy.reactions[recovery?.strategy] || 'fallback';
+
+    if (!REACTIONS.includes(reaction)) {
+      this.logger.warn(`Unknown recovery reaction '${reaction}' for ${action.actionName}, using fallback`);
+      reaction = 'fallback';
+    }
+
+    if (reaction !== 'retry') {
+      return { reaction, delay: 0 };
+    }
+
+    if (attempt > policy.maxRetries) {
+      const afterRetries = REACTIONS.includes(policy.afterRetries) && policy.afterRetries !== 'retry' ?
+        policy.afterRetries : 'fallback';
+      return { reaction: afterRetries, delay: 0 };
+    }
+
+    // Only retry_with_backoff waits, doubling the pause with every attempt
+    const delay = recovery.strategy === 'retry_with_backoff' ?
+      Math.min(policy.backoffMs * Math.pow(2, attempt - 1), policy.maxBackoffMs) :
+      0;
+
+    return { reaction, delay };
+  }
+}
+
+export default RecoveryPolicy;
@@ -4,25 +4,42 @@
  * Entscheidet rational zwischen Item-Recovery, Base-Return oder Fresh-Start.
  */
 
-import mineflayerStatemachine from 'mineflayer-statemachine';
-const { createMachine, interpret } = mineflayerStatemachine;
 import winston from 'winston';
 import ErrorRecovery from '../Utils/ErrorRecovery.js';
+import RecoveryPolicy from './RecoveryPolicy.js';
 import { Vec3 } from 'vec3';
+import { normalizeDimension } from '../Memory/WorldMemory.js';
+
+// Dropped items despawn five minutes after the death
+const DROP_DESPAWN_MS = 5 * 60 * 1000;
+// Walking speed in blocks per second, and how much longer real paths are than the straight line
+const WALK_SPEED = 4.3;
+const PATH_DETOUR = 1.3;
+// Drops scatter around the death spot
+const DROP_RADIUS = 8;
+// goTo gives up after 30 seconds; long trips continue from where it stopped
+const MAX_TRAVEL_ATTEMPTS = 5;
 
 class RespawnQueue {
-  constructor(bot, botStateManager, ollamaInterface, aiResponseParser, botActions, learningManager, logger, deathContext) {
+  constructor(bot, botStateManager, ollamaInterface, aiResponseParser, botActions, learningManager, logger, deathContext, worldMemory = null) {
     this.bot = bot;
     this.botStateManager = botStateManager;
     this.ollamaInterface = ollamaInterface;
     this.aiResponseParser = aiResponseParser;
     this.botActions = botActions;
     this.learningManager = learningManager;
+    this.worldMemory = worldMemory;
     
     // Gebot 1: Todeskontext
-    this.deathContext = deathContext; // { deathLocation: Vec3, deathReason: string }
+    this.deathContext = deathContext; // { deathLocation: Vec3, deathReason: string, lostInventory: [], deathTime }
     this.respawnLocation = bot.entity.position.clone();
     
+    // Recovered vs. lost: what the bot carries now is not part of the recovery
+    this.inventoryAtRespawn = this.countItems(this.getCurrentInventory());
+    this.recoveryReport = null;
+    this.abortReason = null;
+    this.travelAttempts = 0;
+    
     // Mission state
     this.missionType = null; // 'item_recovery' | 'base_return' | 'fresh_start'
     this.missionStrategy = null;
@@ -31,13 +48,19 @@ class RespawnQueue {
     
     // Execution state
     this.isExecuting = false;
+    this.isPaused = false;
     this.missionStartTime = null;
-    this.stateMachine = null;
-    this.stateMachineService = null;
+    
+    // Each start or resume of the mission loop gets a new number, older loops end
+    this.executionRun = 0;
     
     // Performance tracking
     this.actionResults = [];
     
+    // Failed attempts of the current action, for the RecoveryPolicy
+    this.failedAttempts = 0;
+    this.lastRecovery = null;
+    
     // Known locations
     this.knownBase = null;
     this.lastSafeLocation = null;
@@ -60,6 +83,7 @@ class RespawnQueue {
 
     // Initialize error recovery helper
     this.errorRecovery = new ErrorRecovery(this.bot, this.learningManager, this.logger);
+    this.recoveryPolicy = new RecoveryPolicy(this.logger);
   }
   
   /**
@@ -90,38 +114,36 @@ class RespawnQueue {
   
   /**
    * Gebot 3: Load known safe locations
+   * From the world memory: the 'base' waypoint (else the nearest bed) and the
+   * 'last_safe_location' waypoint. Learnings from before the world memory are
+   * the fallback.
    */
   async loadKnownLocations() {
     try {
-      // Get base location from learnings
-      const baseLocationLearning = await this.learningManager.getSpecificLearning(
-        'standard',
-        'blockinteraktion',
-        'base_location'
-      );
+      const dimension = this.bot.game.dimension;
       
-      if (baseLocationLearning && baseLocationLearning.context && baseLocationLearning.context.position) {
-        this.knownBase = new Vec3(
-          baseLocationLearning.context.position.x,
-          baseLocationLearning.context.position.y,
-          baseLocationLearning.context.position.z
-        );
-        this.logger.info(`Known base location: ${this.knownBase}`);
+      if (this.worldMemory) {
+        const base = this.worldMemory.getWaypoint('base') ||
+          this.worldMemory.nearest('bed', this.respawnLocation, dimension);
+        if (base && base.dimension === normalizeDimension(dimension)) {
+          this.knownBase = new Vec3(base.position.x, base.position.y, base.position.z);
+        }
+        
+        const safe = this.worldMemory.getWaypoint('last_safe_location');
+        if (safe && safe.dimension === normalizeDimension(dimension)) {
+          this.lastSafeLocation = new Vec3(safe.position.x, safe.position.y, safe.position.z);
+        }
       }
       
-      // Get last safe location
-      const safeLearning = await this.learningManager.getSpecificLearning(
-        'standard',
-        'survival',
-        'last_safe_location'
-      );
+      if (!this.knownBase) {
+        this.knownBase = await this.loadLearnedLocation('blockinteraktion', 'base_location');
+      }
+      if (!this.lastSafeLocation) {
+        this.lastSafeLocation = await this.loadLearnedLocation('survival', 'last_safe_location');
+      }
       
-      if (safeLearning && safeLearning.context && safeLearning.context.position) {
-        this.lastSafeLocation = new Vec3(
-          safeLearning.context.position.x,
-          safeLearning.context.position.y,
-          safeLearning.context.position.z
-        );
+      if (this.knownBase) {
+        this.logger.info(`Known base location: ${this.knownBase}`);
       }
     } catch (error) {
       await this.errorRecovery.handleError(error, { module: "RespawnQueue", phase: "location_loading" });
@@ -129,6 +151,16 @@ class RespawnQueue {
     }
   }
   
+  /**
+   * Position stored in a learning's context, or null
+   */
+  async loadLearnedLocation(category, content) {
+    const learning = await this.learningManager.getSpecificLearning('standard', category, content);
+    const position = learning?.context?.position;
+    
+    return position ? new Vec3(position.x, position.y, position.z) : null;
+  }
+  
   /**
    * Gebot 2: Request strategy from LLM
    */
@@ -155,14 +187,18 @@ class RespawnQueue {
           z: Math.floor(this.deathContext.deathLocation.z)
         },
         deathReason: this.deathContext.deathReason,
-        lostInventory: this.deathContext.lostInventory || 'Unknown items',
+        lostInventory: this.describeItems(this.deathContext.lostInventory),
         distanceToDeathPoint: Math.round(distanceToDeathPoint),
-        timeSinceDeath: 0, // Just respawned
+        timeSinceDeath: Math.round((Date.now() - this.getDeathTime()) / 1000),
+        despawnSecondsLeft: Math.max(0, Math.round(this.getDespawnTimeLeft() / 1000)),
+        travelEstimateSeconds: Math.round(this.estimateTravelTime() / 1000),
         currentInventory: this.getCurrentInventory(),
         knownBase: this.knownBase ? {
           position: this.knownBase,
           distance: Math.round(distanceToBase)
         } : null,
+        knownPlaces: this.worldMemory ?
+          this.worldMemory.getSummary(this.respawnLocation, this.bot.game.dimension) : [],
         previousFailures: respawnFailures
       };
       
@@ -196,6 +232,17 @@ class RespawnQueue {
     this.missionStrategy = parsedResponse.riskAssessment;
     this.currentActionQueue = parsedResponse.validatedActions;
     
+    // The LLM decides whether to go back for the drops; the way there runs against the despawn timer
+    if (this.missionType === 'item_recovery') {
+      if (!this.canReachDrops()) {
+        this.logger.warn(`Drops despawn in ${Math.round(this.getDespawnTimeLeft() / 1000)}s, ` +
+          `the way back takes about ${Math.round(this.estimateTravelTime() / 1000)}s - not attempting recovery`);
+        this.setDefaultMission();
+        return;
+      }
+      this.currentActionQueue = this.buildRetrievalQueue();
+    }
+    
     this.logger.info(`Mission selected: ${this.missionType}`);
     this.logger.info(`Risk assessment: ${JSON.stringify(this.missionStrategy)}`);
     
@@ -249,106 +296,162 @@ class RespawnQueue {
   }
   
   /**
-   * Gebot 5: Execute mission using state machine
+   * Walk back to the death location, then pick up every lost item type there
+   */
+  buildRetrievalQueue() {
+    const { x, y, z } = this.deathContext.deathLocation;
+    const lostItems = this.deathContext.lostInventory || [];
+    
+    const queue = [{
+      actionName: 'goTo',
+      parameters: { x: Math.floor(x), y: Math.floor(y), z: Math.floor(z), minDistance: 1 },
+      successCriteria: 'Reached death location',
+      timeoutMs: Math.max(this.getDespawnTimeLeft(), 1000),
+      fallbackAction: null
+    }];
+    
+    for (const item of lostItems) {
+      queue.push({
+        actionName: 'collectItem',
+        parameters: { itemName: item.name, maxDistance: DROP_RADIUS },
+        successCriteria: `Picked up ${item.name}`,
+        timeoutMs: 15000,
+        fallbackAction: null
+      });
+    }
+    
+    return queue;
+  }
+  
+  getDeathTime() {
+    return this.deathContext.deathTime || this.missionStartTime || Date.now();
+  }
+  
+  /**
+   * Milliseconds until the drops despawn
+   */
+  getDespawnTimeLeft() {
+    return DROP_DESPAWN_MS - (Date.now() - this.getDeathTime());
+  }
+  
+  /**
+   * Milliseconds the walk to the drops takes from here, with detours
+   */
+  estimateTravelTime() {
+    const distance = Math.max(0, this.bot.entity.position.distanceTo(this.deathContext.deathLocation) - DROP_RADIUS);
+    return distance * PATH_DETOUR / WALK_SPEED * 1000;
+  }
+  
+  canReachDrops() {
+    return this.getDespawnTimeLeft() > this.estimateTravelTime();
+  }
+  
+  /**
+   * The goTo of a retrieval that stopped on the way, not for lack of a path
+   */
+  isTravelToDrops(action) {
+    return this.missionType === 'item_recovery' &&
+      action.actionName === 'goTo' &&
+      this.lastError?.code !== 'PATHFINDING_ERROR';
+  }
+  
+  /**
+   * Gebot 5: Execute mission - a plain loop instead of a state machine
+   * Runs detached, so the EventDispatcher can deliver an emergency meanwhile.
    */
   async executeMission() {
     this.logger.info(`Executing ${this.missionType} mission with ${this.currentActionQueue.length} actions`);
     
-    // Create state machine
-    this.createMissionStateMachine();
-    
-    // Start execution
-    this.stateMachineService = interpret(this.stateMachine);
-    
-    this.stateMachineService.onTransition((state) => {
-      this.logger.debug(`Mission state: ${state.value}`);
+    const run = ++this.executionRun;
+    this.runMission(run).catch(error => {
+      this.logger.error(`Respawn mission crashed: ${error.message}`);
+      if (this.isCurrentRun(run)) {
+        this.complete(false);
+      }
     });
-    
-    this.stateMachineService.start();
   }
   
   /**
-   * Create mission state machine
+   * Check mission, execute action, on failure keep walking or let the RecoveryPolicy decide
    */
-  createMissionStateMachine() {
-    const states = {
-      idle: {
-        on: {
-          START: 'checkMission'
-        }
-      },
-      checkMission: {
-        onEntry: () => this.checkMissionStatus(),
-        on: {
-          CONTINUE: 'executeAction',
-          COMPLETE: 'complete',
-          ABORT: 'abort'
-        }
-      },
-      executeAction: {
-        onEntry: () => this.executeCurrentAction(),
-        on: {
-          SUCCESS: 'checkMission',
-          FAILURE: 'handleFailure'
-        }
-      },
-      handleFailure: {
-        onEntry: () => this.handleActionFailure(),
-        on: {
-          RETRY: 'executeAction',
-          NEXT: 'checkMission',
-          ABORT: 'abort'
+  async runMission(run) {
+    while (this.isCurrentRun(run)) {
+      const status = this.checkMissionStatus();
+      if (status === 'abort') {
+        await this.handleMissionAbort();
+        return;
+      }
+      if (status === 'complete') {
+        this.complete(true);
+        return;
+      }
+      
+      const succeeded = await this.executeCurrentAction();
+      
+      // Stopped or paused while the action ran
+      if (!this.isCurrentRun(run)) {
+        return;
+      }
+      
+      if (!succeeded) {
+        const delay = this.handleActionFailure();
+        if (delay > 0) {
+          await new Promise(resolve => setTimeout(resolve, delay));
         }
-      },
-      abort: {
-        onEntry: () => this.handleMissionAbort()
-      },
-      complete: {
-        onEntry: () => this.complete(true)
       }
-    };
-    
-    this.stateMachine = createMachine({
-      id: 'respawnMission',
-      initial: 'idle',
-      states: states
-    });
+    }
+  }
+  
+  isCurrentRun(run) {
+    return this.isExecuting && !this.isPaused && run === this.executionRun;
   }
   
   /**
    * Check mission progress
+   * @returns {String} 'abort', 'complete' or 'continue'
    */
   checkMissionStatus() {
     // Check if mission should be aborted
     if (this.shouldAbortMission()) {
-      this.stateMachineService.send('ABORT');
-      return;
+      return 'abort';
     }
     
     // Check if more actions
     if (this.currentActionIndex >= this.currentActionQueue.length) {
-      this.stateMachineService.send('COMPLETE');
-      return;
+      return 'complete';
     }
     
-    this.stateMachineService.send('CONTINUE');
+    return 'continue';
   }
   
   /**
    * Gebot 4: Check if mission should be aborted
    */
   shouldAbortMission() {
+    // The RecoveryPolicy gave up on a failed action
+    if (this.abortReason) {
+      return true;
+    }
+    
     // Item recovery specific checks
     if (this.missionType === 'item_recovery') {
-      // Check time limit (5 minutes for item despawn)
-      const elapsed = (Date.now() - this.missionStartTime) / 1000;
-      if (elapsed > 300) {
+      // Drops despawn five minutes after the death, not after the respawn
+      if (this.getDespawnTimeLeft() <= 0) {
+        this.abortReason = 'Drops despawned';
         this.logger.warn('Item recovery timeout - items likely despawned');
         return true;
       }
       
+      if (!this.canReachDrops()) {
+        this.abortReason = `Drops despawn in ${Math.round(this.getDespawnTimeLeft() / 1000)}s, ` +
+          `too little for the remaining ${Math.round(this.estimateTravelTime() / 1000)}s of travel`;
+        this.logger.warn(`${this.abortReason} - aborting`);
+        return true;
+      }
+      
       // Check if we're taking damage
       if (this.bot.health < 15) {
+        this.abortReason = 'Took damage on the way';
         this.logger.warn('Taking damage during recovery - aborting');
         return true;
       }
@@ -359,6 +462,7 @@ class RespawnQueue {
   
   /**
    * Execute current mission action
+   * @returns {Promise<boolean>} whether the action succeeded
    */
   async executeCurrentAction() {
     const action = this.currentActionQueue[this.currentActionIndex];
@@ -373,14 +477,19 @@ class RespawnQueue {
       }
       
       // Execute with timeout
+      let timeout;
       const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('Action timeout')), action.timeoutMs);
+        timeout = setTimeout(() => reject(new Error('Action timeout')), action.timeoutMs);
       });
       
-      const result = await Promise.race([
-        actionFunction(this.bot, action.parameters),
-        timeoutPromise
-      ]);
+      try {
+        await Promise.race([
+          actionFunction(this.bot, action.parameters),
+          timeoutPromise
+        ]);
+      } finally {
+        clearTimeout(timeout);
+      }
       
       this.logger.info(`Action succeeded: ${action.actionName}`);
       this.botStateManager.setExecutingAction(false);
@@ -394,10 +503,16 @@ class RespawnQueue {
       });
       
       this.currentActionIndex++;
-      this.stateMachineService.send('SUCCESS');
+      this.failedAttempts = 0;
+      return true;
       
     } catch (error) {
-      await this.errorRecovery.handleError(error, { module: "RespawnQueue", phase: "action_execution" });
+      this.lastRecovery = await this.errorRecovery.handleError(error, {
+        module: "RespawnQueue",
+        phase: "action_execution",
+        queue: 'respawn',
+        action: action.actionName
+      });
       this.logger.error(`Action failed: ${error.message}`);
       this.botStateManager.setExecutingAction(false);
       this.botStateManager.incrementActionCount(false);
@@ -411,35 +526,58 @@ class RespawnQueue {
       });
       
       this.lastError = error;
-      this.stateMachineService.send('FAILURE');
+      return false;
     }
   }
   
   /**
-   * Handle action failure
+   * Handle action failure: keep walking to the drops, else as the RecoveryPolicy decides
+   * A mission is not replanned, so replan ends it like abort.
+   * @returns {number} ms to wait before the retry, 0 otherwise
    */
-  async handleActionFailure() {
+  handleActionFailure() {
     const failedAction = this.currentActionQueue[this.currentActionIndex];
     
-    // Try fallback if available
-    if (failedAction.fallbackAction) {
-      this.logger.info(`Trying fallback: ${failedAction.fallbackAction}`);
-      
-      // Replace with fallback
-      this.currentActionQueue[this.currentActionIndex] = {
-        actionName: failedAction.fallbackAction,
-        parameters: {},
-        successCriteria: 'Fallback completed',
-        timeoutMs: 30000,
-        fallbackAction: null
-      };
-      
-      this.stateMachineService.send('RETRY');
-    } else {
-      // Skip to next action
-      this.currentActionIndex++;
-      this.stateMachineService.send('NEXT');
+    // A long way back outlasts one goTo; keep walking while the drops can still be reached
+    if (this.isTravelToDrops(failedAction) && this.travelAttempts < MAX_TRAVEL_ATTEMPTS && this.canReachDrops()) {
+      this.travelAttempts++;
+      this.logger.info(`Still ${Math.round(this.bot.entity.position.distanceTo(this.deathContext.deathLocation))} blocks to the drops, ` +
+        `continuing (${this.travelAttempts}/${MAX_TRAVEL_ATTEMPTS})`);
+      return 0;
+    }
+    
+    const attempt = ++this.failedAttempts;
+    const decision = this.recoveryPolicy.decide(failedAction, this.lastRecovery, attempt);
+    
+    if (decision.reaction === 'retry') {
+      this.logger.info(`Retrying ${failedAction.actionName} (attempt ${attempt + 1}${decision.delay ? `, in ${decision.delay}ms` : ''})`);
+      return decision.delay;
     }
+    this.failedAttempts = 0;
+    
+    if (decision.reaction === 'replan' || decision.reaction === 'abort') {
+      this.abortReason = `${failedAction.actionName} failed: ${this.lastError.message}`;
+      this.logger.warn(`${this.abortReason} - aborting`);
+      return 0;
+    }
+    
+    // Try fallback if available, resolved and validated like in the StandardQueue
+    if (decision.reaction === 'fallback' && failedAction.fallbackAction) {
+      try {
+        const fallback = this.aiResponseParser.resolveFallbackAction(failedAction);
+        this.logger.info(`Trying fallback: ${fallback.actionName}`);
+        
+        // Replace with fallback
+        this.currentActionQueue[this.currentActionIndex] = fallback;
+        return 0;
+      } catch (error) {
+        this.logger.warn(`Fallback for ${failedAction.actionName} rejected: ${error.message}`);
+      }
+    }
+    
+    // Skip to next action
+    this.currentActionIndex++;
+    return 0;
   }
   
   /**
@@ -452,7 +590,7 @@ class RespawnQueue {
     const learning = {
       category: 'survival',
       learningType: 'antiAction',
-      content: `Failed ${this.missionType} mission: ${this.lastError ? this.lastError.message : 'Unknown reason'}`,
+      content: `Failed ${this.missionType} mission: ${this.abortReason || (this.lastError ? this.lastError.message : 'Unknown reason')}`,
       confidence: 0.8,
       context: {
         missionType: this.missionType,
@@ -472,17 +610,22 @@ class RespawnQueue {
    * Gebot 6: Complete mission and signal new beginning
    */
   complete(success) {
+    if (!this.isExecuting) {
+      return;
+    }
+    
     const duration = Date.now() - this.missionStartTime;
     this.logger.info(`Respawn mission complete - Success: ${success}, Duration: ${duration}ms`);
     
     this.isExecuting = false;
     
-    if (this.stateMachineService) {
-      this.stateMachineService.stop();
+    if (this.missionType === 'item_recovery') {
+      this.recoveryReport = this.createRecoveryReport();
+      this.logRecoveryReport(this.recoveryReport);
     }
     
     // Record successful recovery
-    if (success && this.missionType === 'item_recovery') {
+    if (success && this.missionType === 'item_recovery' && this.recoveryReport.recoveredCount > 0) {
       const learning = {
         category: 'survival',
         learningType: 'actionLearning',
@@ -491,7 +634,8 @@ class RespawnQueue {
         context: {
           deathLocation: this.deathContext.deathLocation,
           strategy: this.missionStrategy,
-          duration: duration
+          duration: duration,
+          report: this.recoveryReport
         }
       };
       
@@ -499,7 +643,9 @@ class RespawnQueue {
     }
     
     // Update current position as safe if successful
-    if (success && this.bot.entity) {
+    if (success && this.bot.entity && this.worldMemory) {
+      this.worldMemory.setWaypoint('last_safe_location', this.bot.entity.position, this.bot.game.dimension);
+    } else if (success && this.bot.entity) {
       const safeLearning = {
         category: 'survival',
         learningType: 'handlungsLearning',
@@ -517,6 +663,39 @@ class RespawnQueue {
     this.onComplete(success);
   }
   
+  /**
+   * Compare the items lost at death with what the bot picked up since the respawn
+   * @returns {Object} { recovered: [{ name, count }], lost: [{ name, count }], recoveredCount, lostCount, secondsAfterDeath, abortReason }
+   */
+  createRecoveryReport() {
+    const now = this.countItems(this.getCurrentInventory());
+    const recovered = [];
+    const lost = [];
+    
+    for (const [name, count] of this.countItems(this.deathContext.lostInventory || [])) {
+      const gained = Math.max(0, (now.get(name) || 0) - (this.inventoryAtRespawn.get(name) || 0));
+      const back = Math.min(count, gained);
+      
+      if (back > 0) recovered.push({ name, count: back });
+      if (back < count) lost.push({ name, count: count - back });
+    }
+    
+    const total = items => items.reduce((sum, item) => sum + item.count, 0);
+    return {
+      recovered,
+      lost,
+      recoveredCount: total(recovered),
+      lostCount: total(lost),
+      secondsAfterDeath: Math.round((Date.now() - this.getDeathTime()) / 1000),
+      abortReason: this.abortReason
+    };
+  }
+  
+  logRecoveryReport(report) {
+    this.logger.info(`Recovery report: ${report.recoveredCount} items recovered (${this.describeItems(report.recovered, 'none')}), ` +
+      `${report.lostCount} lost (${this.describeItems(report.lost, 'none')}) after ${report.secondsAfterDeath}s`);
+  }
+  
   /**
    * Callback for completion (set by QueueManager)
    */
@@ -531,10 +710,6 @@ class RespawnQueue {
   stop() {
     this.logger.info('Respawn queue stopped');
     this.isExecuting = false;
-    
-    if (this.stateMachineService) {
-      this.stateMachineService.stop();
-    }
   }
   
   /**
@@ -542,9 +717,7 @@ class RespawnQueue {
    */
   pause() {
     this.logger.info('Respawn queue paused');
-    if (this.stateMachineService) {
-      this.stateMachineService.stop();
-    }
+    this.isPaused = true;
   }
   
   /**
@@ -552,11 +725,29 @@ class RespawnQueue {
    */
   async resume() {
     this.logger.info('Respawn queue resumed');
+    this.isPaused = false;
     if (this.currentActionIndex < this.currentActionQueue.length) {
       await this.executeMission();
     }
   }
   
+  /**
+   * Item name -> total count
+   */
+  countItems(items) {
+    const totals = new Map();
+    for (const item of items) {
+      totals.set(item.name, (totals.get(item.name) || 0) + item.count);
+    }
+    return totals;
+  }
+  
+  describeItems(items, empty = 'Unknown items') {
+    return items && items.length > 0 ?
+      items.map(item => `${item.name} x${item.count}`).join(', ') :
+      empty;
+  }
+  
   /**
    * Get current inventory summary
    */
@@ -568,6 +759,20 @@ class RespawnQueue {
     }));
   }
   
+  /**
+   * Snapshot for QueueManager persistence
+   */
+  serializeState() {
+    return {
+      deathContext: this.deathContext,
+      missionType: this.missionType,
+      missionStrategy: this.missionStrategy,
+      currentActionQueue: this.currentActionQueue,
+      currentActionIndex: this.currentActionIndex,
+      duration: this.missionStartTime ? Date.now() - this.missionStartTime : 0
+    };
+  }
+  
   /**
    * Get mission status
    */
@@ -579,7 +784,9 @@ class RespawnQueue {
       totalActions: this.currentActionQueue.length,
       duration: this.missionStartTime ? Date.now() - this.missionStartTime : 0,
       deathLocation: this.deathContext.deathLocation,
-      strategy: this.missionStrategy
+      strategy: this.missionStrategy,
+      despawnTimeLeft: this.missionType === 'item_recovery' ? Math.max(0, this.getDespawnTimeLeft()) : null,
+      recoveryReport: this.recoveryReport
     };
   }
   
@@ -8,6 +8,12 @@ import mineflayerStatemachine from 'mineflayer-statemachine';
 const { NestedStateMachine, StateTransition, BehaviorIdle } = mineflayerStatemachine;
 import winston from 'winston';
 import ErrorRecovery from '../Utils/ErrorRecovery.js';
+import GoalManager from './GoalManager.js';
+import RecoveryPolicy from './RecoveryPolicy.js';
+import { evaluateCondition, findBlockPositions, bindPlaceholders } from './PlanConditions.js';
+
+// Minimum pause between genesis requests that produced no new goals
+const GENESIS_RETRY_INTERVAL = 5 * 60 * 1000;
 
 /**
 * Helper class for executing a single action as a behavior
@@ -32,13 +38,14 @@ class BehaviorExecuteAction extends BehaviorIdle {
 }
 
 class StandardQueue {
-constructor(bot, botStateManager, ollamaInterface, aiResponseParser, botActions, learningManager, logger) {
+constructor(bot, botStateManager, ollamaInterface, aiResponseParser, botActions, learningManager, logger, worldMemory = null) {
   this.bot = bot;
   this.botStateManager = botStateManager;
   this.ollamaInterface = ollamaInterface;
   this.aiResponseParser = aiResponseParser;
   this.botActions = botActions;
   this.learningManager = learningManager;
+  this.worldMemory = worldMemory;
   
   // Gebot 1: Die Dreifaltigkeit
   this.currentGoal = null;
@@ -46,10 +53,27 @@ constructor(bot, botStateManager, ollamaInterface, aiResponseParser, botActions,
   this.currentHandlung = null;
   this.currentActionQueue = [];
   this.currentActionIndex = 0;
+  // LLM response behind the running plan, confirmed or invalidated in the response cache
+  this.currentPlanResponse = null;
   
   // Execution state
   this.isExecuting = false;
   this.isPaused = false;
+  this.isPlanning = false;
+  
+  // Streaming mode: actions are dispatched while the LLM is still generating
+  this.streamingEnabled = process.env.LLM_STREAMING === 'true';
+  this.streamExecution = null;
+  
+  // Each streamed plan gets a new number; pause() and stop() bump it so an older chain ends
+  this.streamRun = 0;
+  
+  // Repair mode: keep the valid part of a plan and let the LLM fix only the rest
+  this.repairMode = process.env.LLM_REPAIR_MODE === 'true';
+  this.maxRepairRounds = parseInt(process.env.LLM_REPAIR_ROUNDS) || 2;
+  
+  // Failed actions run their fallback, the fallback its own - but only this deep
+  this.maxFallbackDepth = parseInt(process.env.MAX_FALLBACK_DEPTH) || 2;
   
   // Performance tracking
   this.queueStartTime = null;
@@ -73,6 +97,18 @@ constructor(bot, botStateManager, ollamaInterface, aiResponseParser, botActions,
 
   // Initialize error recovery helper
   this.errorRecovery = new ErrorRecovery(this.bot, this.learningManager, this.logger);
+  
+  // Retry, fallback, skip, replan or abort - per action category
+  this.recoveryPolicy = new RecoveryPolicy(this.logger);
+  
+  // Set by a failed action that ends the whole queue: { reaction, reason, failures }
+  this.queueInterruption = null;
+  // Failures of the last attempt, handed to the next action_queue_prompt of that Handlung
+  this.replanFailures = null;
+  
+  // Goal tree: Ziele from genesis_prompt, Handlungen from goal_decomposition_prompt
+  this.goalManager = new GoalManager(this.logger);
+  this.lastGenesisAttempt = 0;
 }
 
 /**
@@ -91,7 +127,35 @@ async start() {
   this.botStateManager.setCurrentQueue('standard', 3);
   
   // Begin the first planning cycle
-  await this.requestNewPlan();
+  await this.runPlanningCycle();
+}
+
+/**
+ * Plan and execute once
+ * The next Handlung from the goal tree is planned via action_queue_prompt; without
+ * open goals the cycle falls back to a plain status update.
+ * Blocking mode: plan, then executeActionQueue().
+ * Streaming mode: requestStreamingPlan() executes actions while they arrive.
+ */
+async runPlanningCycle() {
+  this.isPlanning = true;
+  
+  try {
+    await this.prepareNextHandlung();
+    
+    if (this.streamingEnabled) {
+      await this.requestStreamingPlan();
+      return;
+    }
+    
+    if (this.currentHandlung) {
+      await this.requestHandlungPlan();
+    } else {
+      await this.requestNewPlan();
+    }
+  } finally {
+    this.isPlanning = false;
+  }
   
   // After getting the plan, execute it
   if (this.currentActionQueue.length > 0 && !this.isPaused) {
@@ -99,6 +163,192 @@ async start() {
   }
 }
 
+/**
+ * Restart the cycle after a planning failure left the queue without work
+ * Called by QueueManager on status updates.
+ */
+async retryIfIdle() {
+  const idle = this.isExecuting && !this.isPaused && !this.isPlanning &&
+               !this.streamExecution && this.currentActionQueue.length === 0;
+  
+  if (idle) {
+    this.logger.info('StandardQueue idle, starting a new planning cycle');
+    await this.runPlanningCycle();
+  }
+}
+
+/**
+ * Walk the goal tree to the next runnable Handlung
+ * Requests goals (genesis) and decompositions as needed; sets currentGoal,
+ * currentPlan and currentHandlung, or clears currentHandlung if there is none.
+ */
+async prepareNextHandlung() {
+  this.currentHandlung = null;
+  
+  if (!this.goalManager.hasOpenGoals()) {
+    await this.requestGoals();
+  }
+  
+  let goal = this.goalManager.getNextGoal();
+  
+  while (goal) {
+    if (goal.handlungen.length === 0 && !(await this.decomposeGoal(goal))) {
+      this.goalManager.failGoal(goal.goalId, 'Goal could not be decomposed');
+      goal = this.goalManager.getNextGoal();
+      continue;
+    }
+    
+    const handlung = this.goalManager.getNextHandlung(goal.goalId);
+    if (handlung) {
+      this.currentGoal = goal;
+      this.currentPlan = goal.handlungen;
+      this.currentHandlung = handlung;
+      this.botStateManager.setCurrentGoal(goal.goalDescription);
+      this.botStateManager.setCurrentHandlung(handlung.description, Math.round(goal.progress * 100));
+      return;
+    }
+    
+    // Every remaining Handlung waits on one that failed for good
+    this.goalManager.failGoal(goal.goalId, 'No runnable Handlung left');
+    goal = this.goalManager.getNextGoal();
+  }
+}
+
+/**
+ * Ask genesis_prompt for long-term goals
+ */
+async requestGoals() {
+  if (Date.now() - this.lastGenesisAttempt < GENESIS_RETRY_INTERVAL) {
+    return;
+  }
+  this.lastGenesisAttempt = Date.now();
+  
+  try {
+    this.logger.info('Requesting long-term goals from LLM');
+    
+    const context = {
+      botStatus: this.getBotStatus(),
+      recentLearnings: await this.gatherRelevantLearnings(),
+      goalHistory: this.goalManager.getHistory()
+    };
+    
+    const llmResponse = await this.ollamaInterface.initializeBot(context);
+    const parsedResponse = this.aiResponseParser.parseAndValidate(llmResponse);
+    const added = this.goalManager.addGoals(parsedResponse.goals);
+    
+    this.logger.info(`Genesis produced ${added} new goals`);
+    
+    // Goals arrived: the next genesis may follow as soon as they are done
+    if (added > 0) {
+      this.lastGenesisAttempt = 0;
+    }
+    
+  } catch (error) {
+    await this.errorRecovery.handleError(error, { module: "StandardQueue", phase: "goal_generation" });
+    this.logger.error(`Failed to get goals from LLM: ${error.message}`);
+  }
+}
+
+/**
+ * Break a goal (or only its failed branch) into Handlungen
+ * Returns false if the LLM gave no usable decomposition.
+ */
+async decomposeGoal(goal, failedBranch = []) {
+  try {
+    this.logger.info(failedBranch.length > 0 ?
+      `Re-planning failed branch (${failedBranch.length} Handlungen) of goal: ${goal.goalDescription}` :
+      `Decomposing goal: ${goal.goalDescription}`);
+    
+    const context = {
+      goal: {
+        goalId: goal.goalId,
+        goalDescription: goal.goalDescription,
+        category: goal.category
+      },
+      botStatus: this.getBotStatus(),
+      availableActions: this.getAvailableActions(),
+      completedHandlungen: this.goalManager.getCompletedHandlungen(goal.goalId),
+      failedBranch: failedBranch
+    };
+    
+    const llmResponse = await this.ollamaInterface.decomposeGoal(context);
+    const handlungen = this.aiResponseParser.parseGoalDecomposition(llmResponse);
+    
+    if (failedBranch.length > 0) {
+      this.goalManager.replaceBranch(goal.goalId, failedBranch[0].handlungId, handlungen);
+    } else {
+      this.goalManager.setHandlungen(goal.goalId, handlungen);
+    }
+    
+    return true;
+    
+  } catch (error) {
+    await this.errorRecovery.handleError(error, { module: "StandardQueue", phase: "goal_decomposition" });
+    this.logger.error(`Failed to decompose goal: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Plan the action queue for the current Handlung
+ */
+async requestHandlungPlan() {
+  try {
+    this.logger.info(`Requesting actions for Handlung: ${this.currentHandlung.description}`);
+    
+    const context = await this.buildHandlungContext();
+    const llmResponse = await this.ollamaInterface.generateActionQueue(context);
+    
+    const parsedResponse = await this.parsePlan(llmResponse, context);
+    
+    this.updatePlanFromLLM(parsedResponse);
+    this.currentPlanResponse = llmResponse;
+    
+    if (this.currentActionQueue.length === 0) {
+      await this.recordHandlungResult(false, 'LLM returned no actions for the Handlung');
+    }
+    
+  } catch (error) {
+    await this.errorRecovery.handleError(error, { module: "StandardQueue", phase: "plan_execution" });
+    this.logger.error(`Failed to get actions for Handlung: ${error.message}`);
+    
+    await this.recordPlanningFailure(error);
+    await this.recordHandlungResult(false, error.message);
+  }
+}
+
+/**
+ * Feed the outcome of the current Handlung back into the goal tree
+ * Failures are retried, then only the failed branch is re-planned.
+ */
+async recordHandlungResult(success, reason = null) {
+  if (!this.currentGoal || !this.currentHandlung) {
+    return;
+  }
+  
+  const goalId = this.currentGoal.goalId;
+  const handlungId = this.currentHandlung.handlungId;
+  
+  if (success) {
+    this.goalManager.completeHandlung(goalId, handlungId);
+  } else {
+    const outcome = this.goalManager.failHandlung(goalId, handlungId, reason || 'Handlung failed');
+    
+    if (outcome === 'replan') {
+      const branch = this.goalManager.getBranch(goalId, handlungId);
+      if (!(await this.decomposeGoal(this.currentGoal, branch))) {
+        this.goalManager.failGoal(goalId, 'Failed branch could not be re-planned');
+      }
+    }
+  }
+  
+  this.botStateManager.setCurrentHandlung(
+    this.currentHandlung.description,
+    Math.round(this.goalManager.getProgress(goalId) * 100)
+  );
+  this.currentHandlung = null;
+}
+
 /**
  * Gebot 5: Pause execution
  */
@@ -110,10 +360,9 @@ pause() {
   this.logger.info('Pausing StandardQueue execution');
   this.isPaused = true;
   
-  // Clear current state machine
-  if (this.bot.stateMachine) {
-    this.bot.stateMachine.states = [];
-  }
+  // Clear current state machine and end a streamed chain after its running action
+  this.setRootStateMachine(null);
+  this.streamRun++;
 }
 
 /**
@@ -127,15 +376,22 @@ async resume() {
   this.logger.info('Resuming StandardQueue execution');
   this.isPaused = false;
   
+  // A streamed action still running from before the pause finishes first, so it does not run twice
+  if (this.streamExecution) {
+    await this.streamExecution;
+    this.streamExecution = null;
+    
+    if (!this.isExecuting || this.isPaused) {
+      return;
+    }
+  }
+  
   // Resume where we left off
   if (this.currentActionQueue.length > 0) {
     await this.executeActionQueue();
   } else {
     // If no actions in queue, request new plan
-    await this.requestNewPlan();
-    if (this.currentActionQueue.length > 0) {
-      await this.executeActionQueue();
-    }
+    await this.runPlanningCycle();
   }
 }
 
@@ -147,10 +403,10 @@ stop() {
   this.isExecuting = false;
   this.isPaused = false;
   
-  // Clear state machine
-  if (this.bot.stateMachine) {
-    this.bot.stateMachine.states = [];
-  }
+  // Clear state machine and end a streamed chain
+  this.setRootStateMachine(null);
+  this.streamRun++;
+  this.streamExecution = null;
   
   // Clear state
   this.currentGoal = null;
@@ -158,6 +414,10 @@ stop() {
   this.currentHandlung = null;
   this.currentActionQueue = [];
   this.currentActionIndex = 0;
+  this.queueInterruption = null;
+  this.replanFailures = null;
+  this.currentPlanResponse = null;
+  this.goalManager.clear();
   
   this.botStateManager.setCurrentQueue(null, 0);
 }
@@ -170,37 +430,17 @@ async requestNewPlan() {
   try {
     this.logger.info('Requesting new plan from LLM');
     
-    // Gebot 3: Gather relevant learnings
-    const relevantLearnings = await this.gatherRelevantLearnings();
-    
-    // Build context for LLM
-    const context = {
-      botStatus: this.getBotStatus(),
-      availableActions: this.getAvailableActions(),
-      recentLearnings: relevantLearnings,
-      gameTime: this.bot.time.timeOfDay,
-      weather: {
-        isRaining: this.bot.isRaining,
-        thunderState: this.bot.thunderState
-      },
-      dimension: this.bot.game.dimension,
-      previousGoals: this.currentGoal ? [this.currentGoal] : [],
-      failedAttempts: this.getRecentFailures(),
-      successPatterns: await this.learningManager.getTopLearnings('actionLearning', 3)
-    };
+    const context = await this.buildPlanningContext();
     
     // Request plan from LLM
     const llmResponse = await this.ollamaInterface.askForStatusUpdate(context);
     
     // Validate and parse response
-    const parsedResponse = this.aiResponseParser.parseAndValidate(
-      llmResponse,
-      this.bot,
-      this.botStateManager
-    );
+    const parsedResponse = await this.parsePlan(llmResponse, context);
     
     // Update state with new plan
     this.updatePlanFromLLM(parsedResponse);
+    this.currentPlanResponse = llmResponse;
     
   } catch (error) {
     await this.errorRecovery.handleError(error, { module: "StandardQueue", phase: "plan_execution" });
@@ -214,6 +454,259 @@ async requestNewPlan() {
   }
 }
 
+/**
+ * Validate an LLM plan, in repair mode with plan_repair_prompt for a broken tail
+ * Without repair mode one invalid action rejects the whole plan. With it, the
+ * valid prefix is kept and the LLM replaces the rest, at most LLM_REPAIR_ROUNDS
+ * times. After that the prefix runs on its own.
+ */
+async parsePlan(llmResponse, context) {
+  if (!this.repairMode) {
+    const plan = this.aiResponseParser.parseAndValidate(llmResponse);
+    this.confirmPlanResponse(llmResponse, plan);
+    return plan;
+  }
+  
+  let plan = this.aiResponseParser.parseAndValidate(llmResponse, { partial: true });
+  if (!plan.rejection) {
+    this.confirmPlanResponse(llmResponse, plan);
+  }
+  
+  for (let round = 1; plan.rejection && round <= this.maxRepairRounds; round++) {
+    this.logger.warn(`Plan broke at step ${plan.rejection.index}: ${plan.rejection.reason} - repair round ${round}/${this.maxRepairRounds}`);
+    
+    const repairResponse = await this.ollamaInterface.repairActionQueue({
+      currentGoal: context.currentGoal || this.currentGoal?.goalDescription || 'Next steps from the status update',
+      botStatus: context.botStatus,
+      availableActions: context.availableActions,
+      acceptedActions: plan.validatedActions.map(action => ({
+        actionName: action.actionName,
+        parameters: action.parameters
+      })),
+      rejectedIndex: plan.rejection.index,
+      rejectionReason: plan.rejection.reason,
+      rejectedActions: plan.rejection.remainingActions
+    });
+    
+    plan = this.aiResponseParser.extendPartialPlan(plan, repairResponse);
+  }
+  
+  if (plan.rejection) {
+    if (plan.validatedActions.length === 0) {
+      throw new Error(plan.rejection.message);
+    }
+    
+    this.logger.warn(`Giving up on repairs, running the first ${plan.validatedActions.length} actions only`);
+    await this.recordPlanningFailure(new Error(plan.rejection.message));
+  }
+  
+  return plan;
+}
+
+/**
+ * A response whose plan validated as generated may be served from the response cache
+ * Empty plans are not worth repeating.
+ */
+confirmPlanResponse(llmResponse, plan) {
+  if (plan.validatedActions.length > 0) {
+    this.ollamaInterface.confirmResponse(llmResponse);
+  }
+}
+
+/**
+ * The running plan ended: a failed one must not be served again
+ */
+settlePlanResponse(success) {
+  if (this.currentPlanResponse && !success) {
+    this.ollamaInterface.invalidateResponse(this.currentPlanResponse);
+  }
+  this.currentPlanResponse = null;
+}
+
+/**
+ * Streaming counterpart of requestNewPlan()
+ * Each action is validated the moment it is complete in the token stream and
+ * chained onto the executor. All-or-Nothing only holds for the part not yet
+ * dispatched: the first invalid action truncates the plan, earlier ones have
+ * already run. A pause ends the chain after the running action; resume() then
+ * continues with the actions dispatched so far.
+ */
+async requestStreamingPlan() {
+  const run = ++this.streamRun;
+  this.currentActionQueue = [];
+  this.currentActionIndex = 0;
+  this.actionResults = [];
+  this.queueStartTime = Date.now();
+  
+  let rejection = null;
+  let execution = Promise.resolve();
+  const planState = this.aiResponseParser.createPlanState();
+  
+  const onAction = (action, index) => {
+    if (rejection || run !== this.streamRun) {
+      return;
+    }
+    
+    let validatedAction;
+    try {
+      validatedAction = this.aiResponseParser.validateStep(action, index, planState);
+    } catch (error) {
+      rejection = error;
+      this.logger.warn(`Streamed plan truncated at action ${index}: ${error.message}`);
+      return;
+    }
+    
+    this.currentActionQueue.push(validatedAction);
+    execution = execution.then(() => this.runStreamedAction(validatedAction, run));
+    this.streamExecution = execution;
+  };
+  
+  let planningError = null;
+  
+  try {
+    this.logger.info('Requesting new streamed plan from LLM');
+    
+    if (this.currentHandlung) {
+      const context = await this.buildHandlungContext();
+      await this.ollamaInterface.generateActionQueueStreaming(context, onAction);
+    } else {
+      const context = await this.buildPlanningContext();
+      await this.ollamaInterface.askForStatusUpdateStreaming(context, onAction);
+    }
+    
+    this.logger.info(`Streamed plan received: ${this.currentActionQueue.length} actions dispatched`);
+    
+  } catch (error) {
+    planningError = error;
+    await this.errorRecovery.handleError(error, { module: "StandardQueue", phase: "plan_streaming" });
+    this.logger.error(`Failed to stream plan from LLM: ${error.message}`);
+    await this.recordPlanningFailure(error);
+  }
+  
+  // Paused or stopped while the plan streamed in: resume() or the next start takes over
+  if (run !== this.streamRun) {
+    return;
+  }
+  
+  if (rejection) {
+    await this.recordPlanningFailure(rejection);
+  }
+  
+  if (this.currentActionQueue.length === 0) {
+    await this.recordHandlungResult(false, (planningError || rejection)?.message || 'LLM returned no actions for the Handlung');
+    return;
+  }
+  
+  // Do not await: the cycle continues from handleQueueComplete, as with the state machine
+  this.streamExecution = execution.then(() => {
+    if (run !== this.streamRun) {
+      return;
+    }
+    this.streamExecution = null;
+    return this.handleQueueComplete();
+  });
+}
+
+/**
+ * Run one streamed action unless its stream was paused or stopped meanwhile
+ */
+async runStreamedAction(action, run) {
+  if (run !== this.streamRun) {
+    return;
+  }
+  
+  try {
+    await this.executeSingleAction(action);
+  } catch (error) {
+    // Already handled in executeSingleAction
+  }
+}
+
+/**
+ * Build the context for a planning prompt
+ */
+async buildPlanningContext() {
+  // Gebot 3: Gather relevant learnings
+  const relevantLearnings = await this.gatherRelevantLearnings();
+  
+  // Build context for LLM
+  const context = {
+    botStatus: this.getBotStatus(),
+    availableActions: this.getAvailableActions(),
+    recentLearnings: relevantLearnings,
+    gameTime: this.bot.time.timeOfDay,
+    weather: {
+      isRaining: this.bot.isRaining,
+      thunderState: this.bot.thunderState
+    },
+    dimension: this.bot.game.dimension,
+    worldSummary: this.getWorldSummary(),
+    storageSummary: this.getStorageSummary(),
+    previousGoals: this.currentGoal ? [this.currentGoal] : [],
+    failedAttempts: this.getRecentFailures(),
+    successPatterns: await this.learningManager.getTopLearnings('actionLearning', 3)
+  };
+  
+  return context;
+}
+
+/**
+ * Build the context for action_queue_prompt from the current Handlung
+ */
+async buildHandlungContext() {
+  return {
+    currentGoal: {
+      goal: this.currentGoal.goalDescription,
+      handlung: this.currentHandlung.description,
+      successCriteria: this.currentHandlung.successCriteria,
+      completedHandlungen: this.goalManager.getCompletedHandlungen(this.currentGoal.goalId),
+      previousFailures: this.takeReplanFailures()
+    },
+    botStatus: this.getBotStatus(),
+    availableActions: this.getAvailableActions(),
+    environment: {
+      gameTime: this.bot.time.timeOfDay,
+      weather: {
+        isRaining: this.bot.isRaining,
+        thunderState: this.bot.thunderState
+      },
+      dimension: this.bot.game.dimension
+    },
+    worldSummary: this.getWorldSummary(),
+    storageSummary: this.getStorageSummary()
+  };
+}
+
+/**
+ * Nearest known places for the planning prompts
+ */
+getWorldSummary() {
+  if (!this.worldMemory) {
+    return [];
+  }
+  return this.worldMemory.getSummary(this.bot.entity.position, this.bot.game.dimension);
+}
+
+/**
+ * Known container contents, so plans can fetch items instead of gathering them again
+ */
+getStorageSummary() {
+  if (!this.worldMemory) {
+    return [];
+  }
+  return this.worldMemory.getStorageSummary(this.bot.entity.position, this.bot.game.dimension);
+}
+
+/**
+ * Failures that ended the last attempt at the current Handlung, handed out once
+ */
+takeReplanFailures() {
+  const replan = this.replanFailures;
+  this.replanFailures = null;
+  
+  return replan && replan.handlungId === this.currentHandlung?.handlungId ? replan.failures : [];
+}
+
 /**
  * Gebot 3: Gather relevant learnings for context
  */
@@ -259,10 +752,9 @@ determineRelevantCategories() {
  * Update internal state from LLM response
  */
 updatePlanFromLLM(parsedResponse) {
-  // Update goals
+  // Goals proposed along with a plan join the goal tree
   if (parsedResponse.goals.length > 0) {
-    this.currentGoal = parsedResponse.goals[0]; // Highest priority goal
-    this.botStateManager.setCurrentGoal(this.currentGoal.goalDescription);
+    this.goalManager.addGoals(parsedResponse.goals);
   }
   
   // Set action queue
@@ -292,9 +784,14 @@ async executeActionQueue() {
   this.queueStartTime = Date.now();
   this.actionResults = [];
   
-  // Create states for each action
+  if (this.currentActionIndex >= this.currentActionQueue.length) {
+    this.logger.warn('Action queue already fully executed');
+    return;
+  }
+  
+  // Create states for each remaining action (index > 0 after resume or restore)
   const states = [];
-  for (let i = 0; i < this.currentActionQueue.length; i++) {
+  for (let i = this.currentActionIndex; i < this.currentActionQueue.length; i++) {
     const action = this.currentActionQueue[i];
     states.push(new BehaviorExecuteAction(this, action));
   }
@@ -318,7 +815,7 @@ async executeActionQueue() {
       parent: finalState,
       child: new BehaviorIdle(),
       shouldTransition: () => finalState.isFinished,
-      onTransitionFinished: () => this.handleQueueComplete()
+      onTransition: () => this.handleQueueComplete()
     });
     transitions.push(completeTransition);
   }
@@ -327,18 +824,237 @@ async executeActionQueue() {
   const rootMachine = new NestedStateMachine(transitions, states[0]);
   
   // Activate the state machine
-  this.bot.stateMachine.states = [rootMachine];
+  this.setRootStateMachine(rootMachine);
 }
 
 /**
- * Execute a single action
+ * Swap the machine BotStateMachine updates on every physics tick.
+ * BotStateMachine only ever drives its rootStateMachine, so a new plan
+ * has to replace it and be entered explicitly. null installs an idle machine.
+ */
+setRootStateMachine(rootMachine) {
+  if (!this.bot.stateMachine) {
+    return;
+  }
+  
+  const previous = this.bot.stateMachine.rootStateMachine;
+  if (previous) {
+    previous.active = false;
+  }
+  
+  const machine = rootMachine || new NestedStateMachine([], new BehaviorIdle());
+  this.bot.stateMachine.rootStateMachine = machine;
+  machine.active = true;
+  machine.onStateEntered();
+}
+
+/**
+ * Execute a single step of the action queue: an action or a control step
  */
 async executeSingleAction(action) {
+  // Remaining actions of an interrupted queue are only passed through
+  if (this.queueInterruption) {
+    this.currentActionIndex++;
+    return;
+  }
+  
   this.logger.info(`Executing action ${this.currentActionIndex + 1}/${this.currentActionQueue.length}: ${action.actionName}`);
+  
+  let finished;
+  try {
+    finished = action.control ?
+      await this.executeControlStep(action) :
+      await this.performAction(action);
+  } catch (error) {
+    // A failed action is consumed too - the queue moves on to the next one
+    this.currentActionIndex++;
+    
+    // Re-throw to signal BehaviorExecuteAction
+    throw error;
+  }
+  
+  // Paused or stopped meanwhile: resume() starts this step again
+  if (finished) {
+    this.currentActionIndex++;
+  }
+}
+
+/**
+ * Run one validated action
+ * On failure the RecoveryPolicy decides: retry in place, run the fallback,
+ * skip, or end the queue for a replan or abort (see handleQueueComplete).
+ * @returns {Promise<boolean>} false if the queue was paused during a retry
+ */
+async performAction(action) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      // Gebot 4: Execute with error handling
+      const result = await this.invokeAction(action);
+      
+      // Record success
+      this.actionResults.push({
+        action: action.actionName,
+        success: true,
+        result: result,
+        duration: Date.now() - this.queueStartTime
+      });
+      
+      return true;
+      
+    } catch (error) {
+      const recovery = await this.errorRecovery.handleError(error, {
+        module: "StandardQueue",
+        phase: "action_execution",
+        queue: 'standard',
+        action: action.actionName
+      });
+      this.logger.error(`Action failed: ${error.message}`);
+      
+      this.actionResults.push({
+        action: action.actionName,
+        success: false,
+        error: error.message,
+        duration: Date.now() - this.queueStartTime,
+        attempt: attempt
+      });
+      
+      const decision = this.recoveryPolicy.decide(action, recovery, attempt);
+      
+      if (decision.reaction === 'retry') {
+        this.logger.info(`Retrying ${action.actionName} (attempt ${attempt + 1}${decision.delay ? `, in ${decision.delay}ms` : ''})`);
+        await new Promise(resolve => setTimeout(resolve, decision.delay));
+        
+        if (!this.isExecuting || this.isPaused) {
+          return false;
+        }
+        continue;
+      }
+      
+      this.lastError = {
+        action: action,
+        error: error,
+        context: this.getBotStatus()
+      };
+      
+      // Handle failure - a successful fallback stands in for the action
+      if (!(await this.handleActionFailure(action, decision.reaction))) {
+        throw error;
+      }
+      return true;
+    }
+  }
+}
+
+/**
+ * Run an if, repeatUntil or forEach step
+ * Inner actions are fully validated right before they run, when their
+ * resources can actually be checked. A failed inner action ends the step.
+ * @returns {Promise<boolean>} false if the queue was paused meanwhile
+ */
+async executeControlStep(step) {
+  const condition = JSON.stringify(step.condition);
+  
+  switch (step.control) {
+    case 'if': {
+      const holds = evaluateCondition(this.bot, step.condition);
+      this.logger.info(`if ${condition}: ${holds ? 'then' : 'else'} branch`);
+      return await this.executeSteps(holds ? step.then : step.else, step.originalIndex);
+    }
+    
+    case 'repeatUntil': {
+      for (let iteration = 1; iteration <= step.maxIterations; iteration++) {
+        if (evaluateCondition(this.bot, step.condition)) {
+          this.logger.info(`repeatUntil ${condition} met after ${iteration - 1} iterations`);
+          return true;
+        }
+        
+        this.logger.info(`repeatUntil ${condition}: iteration ${iteration}/${step.maxIterations}`);
+        if (!(await this.executeSteps(step.actions, step.originalIndex))) {
+          return false;
+        }
+      }
+      
+      if (evaluateCondition(this.bot, step.condition)) {
+        return true;
+      }
+      this.failControlStep(step, `repeatUntil ${condition} not met after ${step.maxIterations} iterations`);
+      break;
+    }
+    
+    case 'forEach': {
+      const positions = findBlockPositions(this.bot, step.blockName, step.maxDistance, step.maxCount);
+      if (positions.length === 0) {
+        this.failControlStep(step, `forEach found no ${step.blockName} within ${step.maxDistance} blocks`);
+      }
+      
+      for (const [number, position] of positions.entries()) {
+        this.logger.info(`forEach ${step.blockName}: ${number + 1}/${positions.length} at ${position.x}, ${position.y}, ${position.z}`);
+        const steps = step.actions.map(inner => bindPlaceholders(inner, position));
+        if (!(await this.executeSteps(steps, step.originalIndex))) {
+          return false;
+        }
+      }
+      return true;
+    }
+  }
+}
+
+/**
+ * Run the body of a control step in order
+ */
+async executeSteps(steps, index) {
+  for (const step of steps) {
+    if (!this.isExecuting || this.isPaused) {
+      return false;
+    }
+    
+    if (step.control) {
+      if (!(await this.executeControlStep(step))) {
+        return false;
+      }
+      continue;
+    }
+    
+    let action;
+    try {
+      action = this.aiResponseParser.validateSingleAction(step, index);
+    } catch (error) {
+      this.failControlStep(step, error.message);
+    }
+    
+    if (!(await this.performAction(action))) {
+      return false;
+    }
+  }
+  
+  return true;
+}
+
+/**
+ * Record a control step (or one of its actions) as failed and end the step
+ */
+failControlStep(step, reason) {
+  this.logger.warn(reason);
+  
+  this.actionResults.push({
+    action: step.actionName,
+    success: false,
+    error: reason,
+    duration: Date.now() - this.queueStartTime
+  });
+  
+  throw new Error(reason);
+}
+
+/**
+ * Run the bot action behind a validated action, bounded by its timeout
+ * Keeps the bot state's action flag and counters up to date.
+ */
+async invokeAction(action) {
   this.botStateManager.setExecutingAction(true, action.actionName);
+  let timeoutId = null;
   
   try {
-    // Gebot 4: Execute with error handling
     const actionFunction = this.botActions[action.actionName];
     if (!actionFunction) {
       throw new Error(`Unknown action: ${action.actionName}`);
@@ -346,7 +1062,7 @@ async executeSingleAction(action) {
     
     // Set timeout
     const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('Action timeout')), action.timeoutMs);
+      timeoutId = setTimeout(() => reject(new Error('Action timeout')), action.timeoutMs);
     });
     
     // Execute action
@@ -355,51 +1071,42 @@ async executeSingleAction(action) {
       timeoutPromise
     ]);
     
-    // Record success
-    this.actionResults.push({
-      action: action.actionName,
-      success: true,
-      result: result,
-      duration: Date.now() - this.queueStartTime
-    });
-    
-    this.botStateManager.setExecutingAction(false);
     this.botStateManager.incrementActionCount(true);
-    
-    this.currentActionIndex++;
+    this.rememberPlaces(action, result);
+    return result;
     
   } catch (error) {
-    await this.errorRecovery.handleError(error, { module: "StandardQueue", phase: "action_execution" });
-    this.logger.error(`Action failed: ${error.message}`);
-    
-    this.actionResults.push({
-      action: action.actionName,
-      success: false,
-      error: error.message,
-      duration: Date.now() - this.queueStartTime
-    });
-    
-    this.botStateManager.setExecutingAction(false);
     this.botStateManager.incrementActionCount(false);
-    
-    this.lastError = {
-      action: action,
-      error: error,
-      context: this.getBotStatus()
-    };
-    
-    // Handle failure
-    await this.handleActionFailure(action);
-    
-    // Re-throw to signal BehaviorExecuteAction
     throw error;
+    
+  } finally {
+    clearTimeout(timeoutId);
+    this.botStateManager.setExecutingAction(false);
+  }
+}
+
+/**
+ * Feed what a successful action revealed about the world into the world memory
+ */
+rememberPlaces(action, result) {
+  if (!this.worldMemory || !result) {
+    return;
+  }
+  
+  try {
+    this.worldMemory.recordActionResult(action.actionName, action.parameters, result, this.bot.game.dimension);
+  } catch (error) {
+    this.logger.warn(`Failed to update world memory after ${action.actionName}: ${error.message}`);
   }
 }
 
 /**
  * Gebot 4: Handle action failure
+ * @param {Object} failedAction
+ * @param {string} reaction - 'fallback', 'skip', 'replan' or 'abort' from the RecoveryPolicy
+ * @returns {Promise<boolean>} true if a fallback action succeeded instead
  */
-async handleActionFailure(failedAction) {
+async handleActionFailure(failedAction, reaction = 'fallback') {
   // Create anti-learning
   const antiLearning = {
     category: this.determineActionCategory(failedAction.actionName),
@@ -415,10 +1122,111 @@ async handleActionFailure(failedAction) {
   
   await this.learningManager.addLearning('standard', antiLearning);
   
+  if (reaction === 'replan' || reaction === 'abort') {
+    this.logger.warn(`${failedAction.actionName} failed, ${reaction === 'replan' ? 'replanning' : 'aborting'} the action queue`);
+    this.queueInterruption = {
+      reaction: reaction,
+      reason: `${failedAction.actionName} failed: ${this.lastError.error.message}`,
+      failures: this.getRecentFailures()
+    };
+    return false;
+  }
+  
   // Check if we should try fallback
-  if (failedAction.fallbackAction) {
-    this.logger.info(`Fallback action available: ${failedAction.fallbackAction}`);
+  if (reaction === 'skip' || !failedAction.fallbackAction) {
+    return false;
   }
+  
+  return await this.executeFallbackChain(failedAction);
+}
+
+/**
+ * Run the fallback of a failed action, and the fallback's fallback if that fails too
+ * Every fallback is validated first. The chain stops at MAX_FALLBACK_DEPTH, on an
+ * invalid fallback and on any action that was already tried with the same parameters.
+ * @returns {Promise<boolean>} true if one fallback succeeded
+ */
+async executeFallbackChain(failedAction) {
+  const attempted = new Set([this.getActionSignature(failedAction)]);
+  let current = failedAction;
+  
+  for (let depth = 1; current.fallbackAction; depth++) {
+    if (depth > this.maxFallbackDepth) {
+      this.logger.warn(`Fallback chain of ${failedAction.actionName} stopped after ${this.maxFallbackDepth} fallbacks`);
+      return false;
+    }
+    
+    let fallback;
+    try {
+      fallback = this.aiResponseParser.resolveFallbackAction(current, {
+        position: this.getLastFoundPosition()
+      });
+    } catch (error) {
+      this.logger.warn(`Fallback for ${current.actionName} rejected: ${error.message}`);
+      return false;
+    }
+    
+    const signature = this.getActionSignature(fallback);
+    if (attempted.has(signature)) {
+      this.logger.warn(`Fallback loop detected: ${fallback.actionName} was already tried with the same parameters`);
+      return false;
+    }
+    attempted.add(signature);
+    
+    this.logger.info(`Trying fallback ${fallback.actionName} for ${current.actionName} (${depth}/${this.maxFallbackDepth})`);
+    
+    try {
+      const result = await this.invokeAction(fallback);
+      
+      this.actionResults.push({
+        action: fallback.actionName,
+        success: true,
+        result: result,
+        duration: Date.now() - this.queueStartTime,
+        isFallback: true,
+        fallbackFor: failedAction.actionName
+      });
+      
+      this.logger.info(`Fallback ${fallback.actionName} succeeded for ${failedAction.actionName}`);
+      return true;
+      
+    } catch (error) {
+      this.logger.warn(`Fallback ${fallback.actionName} failed: ${error.message}`);
+      
+      this.actionResults.push({
+        action: fallback.actionName,
+        success: false,
+        error: error.message,
+        duration: Date.now() - this.queueStartTime,
+        isFallback: true,
+        fallbackFor: failedAction.actionName
+      });
+      
+      current = fallback;
+    }
+  }
+  
+  return false;
+}
+
+/**
+ * Identify an action with its parameters, for loop detection
+ */
+getActionSignature(action) {
+  return `${action.actionName}:${JSON.stringify(action.parameters || {})}`;
+}
+
+/**
+ * Latest position an action of the current queue found (e.g. findBlock)
+ */
+getLastFoundPosition() {
+  for (let i = this.actionResults.length - 1; i >= 0; i--) {
+    const position = this.actionResults[i].result?.position;
+    if (position) {
+      return position;
+    }
+  }
+  return null;
 }
 
 /**
@@ -426,6 +1234,11 @@ async handleActionFailure(failedAction) {
  * Handle successful queue completion - ONLY place that starts new cycle
  */
 async handleQueueComplete() {
+  if (this.queueInterruption) {
+    await this.handleQueueInterruption();
+    return;
+  }
+  
   this.logger.info('Action queue completed');
   
   // Check if handlung was successful
@@ -440,24 +1253,44 @@ async handleQueueComplete() {
   // Clear current queue
   this.currentActionQueue = [];
   this.currentActionIndex = 0;
+  this.settlePlanResponse(success);
   
-  // Update handlung progress
-  if (this.currentHandlung) {
-    this.botStateManager.setCurrentHandlung(
-      this.currentHandlung,
-      success ? 100 : 50
-    );
-  }
+  // Advance the goal tree (or re-plan the failed branch)
+  await this.recordHandlungResult(success, success ? null : this.getRecentFailures()[0]?.error);
   
   // REGEL: This is the ONLY place that restarts the cycle
   if (this.isExecuting && !this.isPaused) {
-    // Request next plan
-    await this.requestNewPlan();
-    
-    // Execute the new plan if we got one
-    if (this.currentActionQueue.length > 0) {
-      await this.executeActionQueue();
-    }
+    // Request and execute the next plan
+    await this.runPlanningCycle();
+  }
+}
+
+/**
+ * End a queue that a failed action interrupted
+ * The Handlung counts as failed either way. 'replan' asks for a new action queue
+ * right away with the failure as context; 'abort' waits for the next status update.
+ */
+async handleQueueInterruption() {
+  const { reaction, reason, failures } = this.queueInterruption;
+  this.queueInterruption = null;
+  
+  this.currentActionQueue = [];
+  this.currentActionIndex = 0;
+  this.settlePlanResponse(false);
+  
+  const handlungId = this.currentHandlung?.handlungId || null;
+  await this.recordHandlungResult(false, reason);
+  
+  if (reaction === 'abort') {
+    this.logger.warn(`Action queue aborted (${reason}), waiting for the next status update`);
+    return;
+  }
+  
+  this.logger.info(`Replanning after: ${reason}`);
+  this.replanFailures = { handlungId, failures };
+  
+  if (this.isExecuting && !this.isPaused) {
+    await this.runPlanningCycle();
   }
 }
 
@@ -576,6 +1409,83 @@ determineActionCategory(actionName) {
   return categoryMap[actionName] || 'survival';
 }
 
+/**
+ * Snapshot of the plan for QueueManager persistence
+ */
+serializeState() {
+  return {
+    currentGoal: this.currentGoal,
+    currentPlan: this.currentPlan,
+    currentHandlung: this.currentHandlung,
+    currentActionQueue: this.currentActionQueue,
+    currentActionIndex: this.currentActionIndex,
+    goalTree: this.goalManager.serialize(),
+    wasExecuting: this.isExecuting,
+    wasPaused: this.isPaused
+  };
+}
+
+/**
+ * Continue a half-finished plan from a saved snapshot
+ * Returns false if nothing is left to run; goal and plan are kept as planning context.
+ * With paused set, the plan is only restored and waits for resume().
+ */
+async resumeFromState(state, { paused = false } = {}) {
+  if (this.isExecuting) {
+    this.logger.warn('StandardQueue already executing, ignoring saved state');
+    return false;
+  }
+  
+  this.goalManager.restore(state.goalTree);
+  
+  // Re-bind to the restored tree so progress updates land on the live entries
+  this.currentGoal = (state.currentGoal && this.goalManager.getGoal(state.currentGoal.goalId)) || state.currentGoal || null;
+  this.currentPlan = this.currentGoal?.handlungen || state.currentPlan || [];
+  this.currentHandlung = (state.currentHandlung && this.currentGoal &&
+    this.goalManager.getHandlung(this.currentGoal.goalId, state.currentHandlung.handlungId)) || null;
+  this.currentActionQueue = state.currentActionQueue || [];
+  this.currentActionIndex = state.currentActionIndex || 0;
+  
+  if (this.currentGoal) {
+    this.botStateManager.setCurrentGoal(this.currentGoal.goalDescription);
+  }
+  
+  // Action definitions may have changed since the snapshot was written
+  try {
+    const planState = this.aiResponseParser.createPlanState();
+    for (let i = this.currentActionIndex; i < this.currentActionQueue.length; i++) {
+      this.currentActionQueue[i] = this.aiResponseParser.validateStep(this.currentActionQueue[i], i, planState);
+    }
+  } catch (error) {
+    this.logger.warn(`Saved plan no longer valid, replanning: ${error.message}`);
+    this.currentActionQueue = [];
+    this.currentActionIndex = 0;
+  }
+  
+  if (this.currentActionIndex >= this.currentActionQueue.length) {
+    this.currentActionQueue = [];
+    this.currentActionIndex = 0;
+    return false;
+  }
+  
+  this.isExecuting = true;
+  this.isPaused = paused;
+  
+  if (paused) {
+    this.logger.info(`Restored saved plan at action ${this.currentActionIndex + 1}/${this.currentActionQueue.length}, ` +
+      'waiting for the active queue');
+    return true;
+  }
+  
+  this.logger.info(`Resuming saved plan at action ${this.currentActionIndex + 1}/${this.currentActionQueue.length}` +
+    ` for goal: ${this.currentGoal?.goalDescription}`);
+  
+  this.botStateManager.setCurrentQueue('standard', 3);
+  
+  await this.executeActionQueue();
+  return true;
+}
+
 /**
  * Get queue status
  */
@@ -584,6 +1494,12 @@ getStatus() {
     isExecuting: this.isExecuting,
     isPaused: this.isPaused,
     currentGoal: this.currentGoal,
+    currentHandlung: this.currentHandlung,
+    goals: this.goalManager.getSummary(),
+    actionQueue: this.currentActionQueue.map(action => ({
+      actionName: action.actionName,
+      parameters: action.control ? { condition: action.condition, blockName: action.blockName } : action.parameters
+    })),
     currentActionIndex: this.currentActionIndex,
     totalActions: this.currentActionQueue.length,
     completedActions: this.actionResults.length,
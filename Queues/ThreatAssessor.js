@@ -0,0 +1,312 @@
+/**
+ * ThreatAssessor.js - Lagebeurteilung im Kampf
+ * "Erst zählen, dann zuschlagen"
+ * Bewertet alle feindlichen Wesen in der Nähe nach Art, Entfernung,
+ * Sichtlinie und eigener Ausrüstung und entscheidet: kämpfen, fliehen,
+ * blocken oder hochbauen. Liest nur, verändert nichts.
+ */
+
+import winston from 'winston';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+// Entities further away are ignored
+const SCAN_RADIUS = 20;
+
+// Player eye height above the feet
+const EYE_HEIGHT = 1.62;
+
+// Older minecraft-data versions have no categories and file these as plain "mob"
+const HOSTILE_WITHOUT_CATEGORY = ['ghast', 'slime', 'magma_cube', 'phantom', 'shulker', 'ender_dragon', 'hoglin'];
+
+/**
+ * How a mob fights, where minecraft-data says nothing about it.
+ * Everything hostile not listed here is a melee mob.
+ */
+const BEHAVIOURS = {
+  creeper: 'explosive',
+  skeleton: 'ranged',
+  stray: 'ranged',
+  pillager: 'ranged',
+  blaze: 'ranged',
+  ghast: 'ranged',
+  witch: 'ranged',
+  shulker: 'ranged',
+  evoker: 'ranged',
+  guardian: 'ranged',
+  elder_guardian: 'ranged',
+  enderman: 'neutral',
+  zombified_piglin: 'neutral',
+  warden: 'overwhelming',
+  wither: 'overwhelming',
+  ender_dragon: 'overwhelming',
+  ravager: 'overwhelming',
+  piglin_brute: 'overwhelming'
+};
+
+// Base danger per behaviour, before distance, sight and armor
+const DANGER = {
+  melee: 5,
+  ranged: 6,
+  explosive: 9,
+  neutral: 2,
+  overwhelming: 12
+};
+
+// Damage per hit of the bot's weapons; the bare hand deals 1
+const WEAPON_DAMAGE = {
+  wooden_sword: 4, golden_sword: 4, stone_sword: 5, iron_sword: 6, diamond_sword: 7, netherite_sword: 8,
+  wooden_axe: 7, golden_axe: 7, stone_axe: 9, iron_axe: 9, diamond_axe: 9, netherite_axe: 10,
+  trident: 9
+};
+
+// Armor points per material for helmet, chestplate, leggings and boots
+const ARMOR_POINTS = {
+  leather: [1, 3, 2, 1],
+  golden: [2, 5, 3, 1],
+  chainmail: [2, 5, 4, 1],
+  iron: [2, 6, 5, 2],
+  diamond: [3, 8, 6, 3],
+  netherite: [3, 8, 6, 3]
+};
+const ARMOR_PIECES = ['helmet', 'chestplate', 'leggings', 'boots'];
+
+// mineflayer inventory slots of head, torso, legs and feet
+const ARMOR_SLOTS = [5, 6, 7, 8];
+
+// The bot fights when its strength times this margin covers the total threat
+const FIGHT_MARGIN = 1.5;
+
+// Melee mobs within this distance count as closing in
+const MELEE_RANGE = 8;
+
+// A creeper this close is about to explode
+const EXPLOSION_RANGE = 6;
+
+// Pillar up against this many melee mobs at once
+const PILLAR_MOB_COUNT = 3;
+
+// Blocks worth building a pillar from
+const PILLAR_BLOCKS = ['cobblestone', 'dirt', 'cobbled_deepslate', 'netherrack', 'stone', 'andesite', 'diorite', 'granite', 'sand', 'gravel'];
+
+class ThreatAssessor {
+  constructor(bot, logger) {
+    this.bot = bot;
+
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.printf(({ timestamp, level, message }) => {
+          return `[${timestamp}] [ThreatAssessor] ${level}: ${message}`;
+        })
+      ),
+      transports: [
+        new winston.transports.Console({
+          level: process.env.LOG_LEVEL || 'info'
+        })
+      ]
+    });
+  }
+
+  /**
+   * Rate every hostile entity nearby and decide how to react
+   * @returns {Object} { decision: 'none'|'fight'|'flee'|'block'|'pillar_up', reason, primary, threats, defense }
+   */
+  assess() {
+    const defense = this.getDefense();
+    const threats = this.rankThreats(defense);
+    const { decision, reason } = this.decide(threats, defense);
+
+    if (threats.length > 0) {
+      this.logger.debug(`Threat assessment: ${decision} (${reason}) against ${threats.map(threat => `${threat.name}:${threat.score}`).join(', ')}`);
+    }
+
+    return {
+      decision,
+      reason,
+      primary: threats[0] || null,
+      threats,
+      defense
+    };
+  }
+
+  /**
+   * Hostile entities within the scan radius, most dangerous first
+   */
+  rankThreats(defense = this.getDefense()) {
+    const own = this.bot.entity.position;
+    const threats = [];
+
+    for (const entity of Object.values(this.bot.entities)) {
+      if (entity === this.bot.entity || !entity.position || !entity.name || !this.isHostile(entity)) {
+        continue;
+      }
+
+      const distance = entity.position.distanceTo(own);
+      if (distance > SCAN_RADIUS) {
+        continue;
+      }
+
+      const behaviour = BEHAVIOURS[entity.name] || 'melee';
+      const lineOfSight = this.hasLineOfSight(entity);
+
+      threats.push({
+        id: entity.id,
+        name: entity.name,
+        behaviour,
+        distance: Math.round(distance * 10) / 10,
+        lineOfSight,
+        health: entity.health ?? null,
+        score: this.scoreThreat(behaviour, distance, lineOfSight, entity.health, defense),
+        position: entity.position
+      });
+    }
+
+    return threats.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Danger of one entity: its behaviour, weakened by distance, cover, its own wounds and the bot's armor
+   */
+  scoreThreat(behaviour, distance, lineOfSight, health, defense) {
+    let score = DANGER[behaviour] * (0.3 + 0.7 * Math.max(0, 1 - distance / SCAN_RADIUS));
+
+    // Without sight a ranged mob cannot shoot, a melee mob has to walk around
+    if (!lineOfSight) {
+      score *= behaviour === 'ranged' ? 0.4 : 0.7;
+    }
+
+    // A badly wounded mob dies fast
+    if (health !== undefined && health !== null && health <= 6) {
+      score *= 0.6;
+    }
+
+    // Explosions and bosses go through armor far more than arrows and fists do
+    if (behaviour !== 'explosive' && behaviour !== 'overwhelming') {
+      score *= 1 - defense.armor * 0.03;
+    }
+
+    return Math.round(score * 10) / 10;
+  }
+
+  /**
+   * fight, flee, block or pillar_up for the ranked threats
+   */
+  decide(threats, defense) {
+    if (threats.length === 0) {
+      return { decision: 'none', reason: 'no hostile entity nearby' };
+    }
+
+    const creeper = threats.find(threat => threat.behaviour === 'explosive' && threat.distance <= EXPLOSION_RANGE);
+    if (creeper) {
+      // Too close to outrun the blast: a shield absorbs it
+      return creeper.distance <= 3 && defense.shield ?
+        { decision: 'block', reason: `${creeper.name} about to explode, shield ready` } :
+        { decision: 'flee', reason: `${creeper.name} within ${EXPLOSION_RANGE} blocks` };
+    }
+
+    const boss = threats.find(threat => threat.behaviour === 'overwhelming');
+    if (boss) {
+      return { decision: 'flee', reason: `${boss.name} is too strong to fight` };
+    }
+
+    const totalThreat = threats.reduce((sum, threat) => sum + threat.score, 0);
+    const strong = defense.strength * FIGHT_MARGIN >= totalThreat;
+    const shooters = threats.filter(threat => threat.behaviour === 'ranged' && threat.lineOfSight);
+    const closingIn = threats.filter(threat => threat.behaviour === 'melee' && threat.distance <= MELEE_RANGE);
+
+    // A pillar keeps melee mobs out of reach but leaves the bot open to arrows
+    if (defense.pillarBlock && shooters.length === 0 && closingIn.length > 0 &&
+        (closingIn.length >= PILLAR_MOB_COUNT || (this.bot.health <= 6 && !strong))) {
+      return { decision: 'pillar_up', reason: `${closingIn.length} melee mobs closing in` };
+    }
+
+    if (shooters.length > 0 && !strong) {
+      return defense.shield ?
+        { decision: 'block', reason: `${shooters[0].name} shooting, shield ready` } :
+        { decision: 'flee', reason: `${shooters[0].name} shooting, no shield` };
+    }
+
+    return strong ?
+      { decision: 'fight', reason: `strength ${defense.strength} against threat ${Math.round(totalThreat * 10) / 10}` } :
+      { decision: 'flee', reason: `threat ${Math.round(totalThreat * 10) / 10} exceeds strength ${defense.strength}` };
+  }
+
+  /**
+   * Hostile by minecraft-data category; neutral mobs like the enderman are in it, with a low danger
+   */
+  isHostile(entity) {
+    const mcData = this.bot.mcData || require('minecraft-data')(this.bot.version);
+    const data = mcData.entitiesByName[entity.name];
+    if (!data) {
+      return false;
+    }
+
+    return data.category === 'Hostile mobs' ||
+           data.type === 'hostile' ||
+           HOSTILE_WITHOUT_CATEGORY.includes(entity.name);
+  }
+
+  /**
+   * Whether a straight line from the bot's eyes to the entity passes no solid block
+   */
+  hasLineOfSight(entity) {
+    const eyes = this.bot.entity.position.offset(0, EYE_HEIGHT, 0);
+    const target = entity.position.offset(0, (entity.height ?? 1.8) * 0.85, 0);
+    const distance = eyes.distanceTo(target);
+    const steps = Math.ceil(distance * 2);
+
+    for (let step = 1; step < steps; step++) {
+      const point = eyes.plus(target.minus(eyes).scaled(step / steps));
+      const block = this.bot.blockAt(point);
+      if (block && block.boundingBox === 'block') {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * What the bot fights with: armor points, best weapon, shield and pillar material
+   */
+  getDefense() {
+    const items = this.bot.inventory.items();
+
+    let armor = 0;
+    ARMOR_SLOTS.forEach((slot, index) => {
+      const name = this.bot.inventory.slots[slot]?.name;
+      if (!name) return;
+      if (name === 'turtle_helmet') {
+        armor += 2;
+        return;
+      }
+      const [material, piece] = name.split('_');
+      if (piece === ARMOR_PIECES[index]) {
+        armor += ARMOR_POINTS[material]?.[index] || 0;
+      }
+    });
+
+    const weapon = [...items, this.bot.heldItem]
+      .filter(item => item && WEAPON_DAMAGE[item.name])
+      .sort((a, b) => WEAPON_DAMAGE[b.name] - WEAPON_DAMAGE[a.name])[0] || null;
+    const damage = weapon ? WEAPON_DAMAGE[weapon.name] : 1;
+
+    const pillarBlock = items.find(item => PILLAR_BLOCKS.includes(item.name) && item.count >= 3)?.name || null;
+    const offHand = this.bot.inventory.slots[45];
+
+    return {
+      armor,
+      weapon: weapon?.name || null,
+      damage,
+      shield: offHand?.name === 'shield' || items.some(item => item.name === 'shield'),
+      bow: items.some(item => item.name === 'bow') && items.some(item => item.name === 'arrow'),
+      pillarBlock,
+      // Damage per hit, worth less the more hurt the bot is and more the better it is armored
+      strength: Math.round(damage * ((this.bot.health ?? 20) / 20) * (1 + armor / 20) * 10) / 10
+    };
+  }
+}
+
+export default ThreatAssessor;
@@ -0,0 +1,1129 @@
+/**
+ * HeadlessBot.js - Mineflayer-Attrappe über einer Voxelwelt
+ * "Gleiche Oberfläche, kein Server"
+ * Implementiert genau die Bot-Schnittstelle, die BotActions, Events und die Queues nutzen.
+ */
+
+import { EventEmitter } from 'events';
+import { Vec3 } from 'vec3';
+import { createRequire } from 'module';
+import VoxelWorld from './VoxelWorld.js';
+
+const require = createRequire(import.meta.url);
+
+const TICK_MS = 50;
+const WALK_SPEED = 4.3;          // blocks per second
+const SPRINT_SPEED = 5.6;
+const JUMP_HEIGHT = 1.25;
+const REACH = 6;
+const PVP_SWING_TICKS = 12;       // attack cooldown of a sword
+const PVP_RANGE = 3.5;
+const TICKS_PER_DAY = 24000;
+const HUNGER_INTERVAL_TICKS = 1200;
+const FIRE_DAMAGE_INTERVAL_TICKS = 20;
+const RESPAWN_DELAY_TICKS = 20;
+const ITEM_DESPAWN_TICKS = 6000;
+
+const WEAPON_DAMAGE = {
+  wooden_sword: 4, stone_sword: 5, iron_sword: 6, diamond_sword: 7, netherite_sword: 8,
+  wooden_axe: 7, stone_axe: 9, iron_axe: 9, diamond_axe: 9, netherite_axe: 10
+};
+
+const TOOL_SPEED = { wooden: 2, stone: 4, iron: 6, golden: 12, diamond: 8, netherite: 9 };
+
+const MOB_STATS = {
+  zombie: { health: 20, damage: 3, speed: 2.3, drop: 'rotten_flesh' },
+  skeleton: { health: 20, damage: 3, speed: 2.5, drop: 'bone' },
+  spider: { health: 16, damage: 2, speed: 3.0, drop: 'string' },
+  creeper: { health: 20, damage: 12, speed: 2.0, drop: 'gunpowder' },
+  cow: { health: 10, damage: 0, speed: 1.0, drop: 'beef' }
+};
+
+const ARMOR_SLOTS = { head: 5, torso: 6, legs: 7, feet: 8, 'off-hand': 45 };
+
+/**
+ * Player inventory with mineflayer's slot layout (9-44 main, 36-44 hotbar)
+ */
+class SimInventory {
+  constructor(mcData) {
+    this.mcData = mcData;
+    this.slots = new Array(46).fill(null);
+    this.selectedSlot = 0;
+  }
+
+  _makeItem(name, count, slot) {
+    const itemType = this.mcData.itemsByName[name];
+    if (!itemType) {
+      throw new Error(`Unknown item: ${name}`);
+    }
+
+    return {
+      type: itemType.id,
+      name: itemType.name,
+      displayName: itemType.displayName,
+      stackSize: itemType.stackSize,
+      count: count,
+      slot: slot,
+      metadata: 0,
+      durabilityUsed: 0
+    };
+  }
+
+  items() {
+    return this.slots.slice(9, 45).filter(Boolean);
+  }
+
+  count(itemType, metadata = null) {
+    const id = typeof itemType === 'string' ? this.mcData.itemsByName[itemType]?.id : itemType;
+    return this.items()
+      .filter(item => item.type === id)
+      .reduce((sum, item) => sum + item.count, 0);
+  }
+
+  emptySlotCount() {
+    return this.slots.slice(9, 45).filter(slot => slot === null).length;
+  }
+
+  /**
+   * Add items, hotbar first like the vanilla client; returns what did not fit
+   */
+  add(name, count) {
+    let remaining = count;
+    const stackSize = this.mcData.itemsByName[name]?.stackSize ?? 64;
+    const order = [...Array(9).keys()].map(i => 36 + i).concat([...Array(27).keys()].map(i => 9 + i));
+
+    for (const slot of order) {
+      const item = this.slots[slot];
+      if (item && item.name === name && item.count < stackSize) {
+        const moved = Math.min(stackSize - item.count, remaining);
+        item.count += moved;
+        remaining -= moved;
+        if (remaining === 0) return 0;
+      }
+    }
+
+    for (const slot of order) {
+      if (!this.slots[slot]) {
+        const moved = Math.min(stackSize, remaining);
+        this.slots[slot] = this._makeItem(name, moved, slot);
+        remaining -= moved;
+        if (remaining === 0) return 0;
+      }
+    }
+
+    return remaining;
+  }
+
+  /**
+   * Remove up to count items by name; returns how many were removed
+   */
+  remove(name, count) {
+    let remaining = count;
+
+    for (let slot = 9; slot < 46 && remaining > 0; slot++) {
+      const item = this.slots[slot];
+      if (!item || item.name !== name) continue;
+
+      const taken = Math.min(item.count, remaining);
+      item.count -= taken;
+      remaining -= taken;
+      if (item.count === 0) {
+        this.slots[slot] = null;
+      }
+    }
+
+    return count - remaining;
+  }
+
+  clear() {
+    const dropped = this.slots.filter(Boolean).map(item => ({ name: item.name, count: item.count }));
+    this.slots.fill(null);
+    return dropped;
+  }
+
+  moveToSlot(item, targetSlot) {
+    const displaced = this.slots[targetSlot];
+    this.slots[item.slot] = displaced;
+    if (displaced) displaced.slot = item.slot;
+    this.slots[targetSlot] = item;
+    item.slot = targetSlot;
+  }
+}
+
+/**
+ * Simple chest-like window
+ */
+class SimContainerWindow extends EventEmitter {
+  constructor(bot, block, contents) {
+    super();
+    this.bot = bot;
+    this.id = 1;
+    this.type = 'minecraft:generic_9x3';
+    this.title = bot.mcData.blocksByName[block.name]?.displayName || block.name;
+    this.position = block.position;
+    this.contents = contents; // Map name -> count, shared with the world
+
+    const items = this.containerItems();
+    this.slots = new Array(27).fill(null).map((_, index) => items[index] || null);
+  }
+
+  containerItems() {
+    return Array.from(this.contents.entries())
+      .filter(([, count]) => count > 0)
+      .map(([name, count], index) => ({
+        type: this.bot.mcData.itemsByName[name].id,
+        name: name,
+        displayName: this.bot.mcData.itemsByName[name].displayName,
+        count: count,
+        slot: index
+      }));
+  }
+
+  items() {
+    return this.containerItems();
+  }
+
+  async deposit(itemType, metadata, count) {
+    const name = this.bot.mcData.items[itemType].name;
+    const removed = this.bot.inventory.remove(name, count ?? this.bot.inventory.count(itemType));
+    if (removed === 0) {
+      throw new Error(`No ${name} to deposit`);
+    }
+    this.contents.set(name, (this.contents.get(name) || 0) + removed);
+  }
+
+  async withdraw(itemType, metadata, count) {
+    const name = this.bot.mcData.items[itemType].name;
+    const available = this.contents.get(name) || 0;
+    const amount = Math.min(available, count ?? available);
+    if (amount === 0) {
+      throw new Error(`No ${name} in container`);
+    }
+    this.contents.set(name, available - amount);
+    this.bot.inventory.add(name, amount);
+  }
+
+  close() {
+    this.bot.closeWindow(this);
+  }
+}
+
+class HeadlessBot extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.setMaxListeners(100);
+
+    this.username = options.username || 'PiepsLama';
+    this.version = options.version || '1.18.2';
+    this.mcData = require('minecraft-data')(this.version);
+    this.registry = this.mcData;
+    this.speed = options.speed ?? 1;           // Simulation speed multiplier
+
+    this.world = new VoxelWorld(this.mcData, {
+      seed: options.seed ?? 1,
+      radius: options.worldRadius
+    });
+
+    this.spawnPoint = new Vec3(0.5, this.world.standingHeight(0, 0), 0.5);
+    this.inventory = new SimInventory(this.mcData);
+    this.nextEntityId = 1;
+
+    this.entity = {
+      id: 0,
+      type: 'player',
+      name: 'player',
+      username: this.username,
+      position: this.spawnPoint.clone(),
+      velocity: new Vec3(0, 0, 0),
+      height: 1.62,
+      width: 0.6,
+      yaw: 0,
+      pitch: 0,
+      onGround: true,
+      isInWater: false,
+      isInLava: false,
+      metadata: []
+    };
+    this.entities = { 0: this.entity };
+    this.players = { [this.username]: { username: this.username, entity: this.entity, ping: 0 } };
+
+    this.health = 20;
+    this.food = 20;
+    this.foodSaturation = 5;
+    this.oxygenLevel = 20;
+    this.fireTicks = 0;
+    this.isAlive = true;
+    this.experience = { level: 0, points: 0, progress: 0 };
+    this.time = { timeOfDay: options.timeOfDay ?? 1000, day: 0, age: 0, isDay: true, moonPhase: 0 };
+    this.game = { dimension: 'overworld', gameMode: 'survival', difficulty: 'normal' };
+    this.isRaining = false;
+    this.rainState = 0;
+    this.thunderState = 0;
+    this.isSleeping = false;
+    this.currentWindow = null;
+    this.controlState = {};
+    this.containers = new Map();               // "x,y,z" -> Map(name -> count)
+    this.chatLog = [];
+    this.mobSpawning = options.mobSpawning ?? true;
+
+    this.tickCount = 0;
+    this.tickTimer = null;
+    this.tickWaiters = [];
+    this.deathTick = null;
+
+    this._createPathfinder();
+    this._createPluginFacades();
+
+    for (const [name, count] of Object.entries(options.inventory || {})) {
+      this.inventory.add(name, count);
+    }
+  }
+
+  // ===== Lifecycle =====
+
+  /**
+   * Start ticking and emit the login/spawn sequence
+   */
+  start() {
+    this.tickTimer = setInterval(() => this._tick(), TICK_MS / this.speed);
+    setImmediate(() => {
+      this.emit('login');
+      this.emit('spawn');
+      this.emit('health');
+    });
+  }
+
+  quit(reason = 'quit') {
+    if (this.tickTimer) {
+      clearInterval(this.tickTimer);
+      this.tickTimer = null;
+    }
+    this.emit('end', reason);
+  }
+
+  end(reason) {
+    this.quit(reason);
+  }
+
+  loadPlugin() {
+    // Plugins are replaced by built-in facades (pathfinder, collectBlock, pvp, autoEat)
+  }
+
+  get heldItem() {
+    return this.inventory.slots[36 + this.inventory.selectedSlot];
+  }
+
+  // ===== Tick loop =====
+
+  _tick() {
+    this.tickCount++;
+    this._advanceTime();
+
+    if (this.isAlive) {
+      this._updateJump();
+      this._updateMovement();
+      this._updatePvp();
+      this._updateMobs();
+      this._pickUpItems();
+      this._updateHunger();
+      this._updateFire();
+    } else if (this.tickCount - this.deathTick >= RESPAWN_DELAY_TICKS) {
+      this._respawn();
+    }
+
+    this._despawnItems();
+
+    const due = this.tickWaiters.filter(waiter => waiter.tick <= this.tickCount);
+    this.tickWaiters = this.tickWaiters.filter(waiter => waiter.tick > this.tickCount);
+    due.forEach(waiter => waiter.resolve());
+
+    this.emit('physicsTick');
+    this.emit('physicTick');
+  }
+
+  _advanceTime() {
+    this.time.age++;
+    this.time.timeOfDay = (this.time.timeOfDay + 1) % TICKS_PER_DAY;
+    if (this.time.timeOfDay === 0) {
+      this.time.day++;
+      this.time.moonPhase = this.time.day % 8;
+    }
+    this.time.isDay = this.time.timeOfDay < 13000 || this.time.timeOfDay > 23000;
+
+    if (this.tickCount % 20 === 0) {
+      this.emit('time');
+    }
+  }
+
+  waitForTicks(ticks) {
+    return new Promise(resolve => {
+      this.tickWaiters.push({ tick: this.tickCount + Math.max(1, ticks), resolve });
+    });
+  }
+
+  // ===== Movement =====
+
+  _createPathfinder() {
+    const pathfinder = new EventEmitter();
+    pathfinder.goal = null;
+    pathfinder.setMovements = () => {};
+    pathfinder.isMoving = () => pathfinder.goal !== null;
+    pathfinder.setGoal = (goal) => this._setGoal(goal);
+    pathfinder.stop = () => {
+      pathfinder.goal = null;
+      pathfinder.emit('path_stop');
+    };
+    pathfinder.goto = (goal) => new Promise((resolve, reject) => {
+      const onReached = () => {
+        pathfinder.removeListener('path_update', onUpdate);
+        resolve();
+      };
+      const onUpdate = (results) => {
+        if (results.status === 'noPath') {
+          pathfinder.removeListener('goal_reached', onReached);
+          reject(new Error('No path to the goal!'));
+        }
+      };
+      pathfinder.once('goal_reached', onReached);
+      pathfinder.on('path_update', onUpdate);
+      this._setGoal(goal);
+    });
+    this.pathfinder = pathfinder;
+  }
+
+  /**
+   * Accepts mineflayer-pathfinder goal objects (GoalNear, GoalBlock, GoalXZ, GoalFollow)
+   */
+  _setGoal(goal) {
+    this.pathfinder.goal = goal;
+    if (!goal) return;
+
+    const target = this._goalTarget(goal);
+    setImmediate(() => {
+      if (this.pathfinder.goal !== goal) return;
+
+      if (Math.abs(target.x) >= this.world.radius || Math.abs(target.z) >= this.world.radius) {
+        this.pathfinder.goal = null;
+        this.pathfinder.emit('path_update', { status: 'noPath', path: [] });
+        return;
+      }
+
+      this.pathfinder.emit('path_update', { status: 'success', path: [] });
+    });
+  }
+
+  _goalTarget(goal) {
+    if (goal.entity) {
+      return goal.entity.position;
+    }
+    return new Vec3(goal.x ?? this.entity.position.x, goal.y ?? this.entity.position.y, goal.z ?? this.entity.position.z);
+  }
+
+  _updateMovement() {
+    const goal = this.pathfinder.goal;
+    if (!goal) return;
+
+    const target = this._goalTarget(goal);
+    const range = Math.sqrt(goal.rangeSq ?? 0) + 0.5;
+    const position = this.entity.position;
+    const dx = target.x - position.x;
+    const dz = target.z - position.z;
+    const horizontal = Math.sqrt(dx * dx + dz * dz);
+
+    if (horizontal <= range) {
+      // GoalFollow keeps following; all other goals complete
+      if (!goal.entity || !goal.dynamic) {
+        this.pathfinder.goal = null;
+        this.pathfinder.emit('goal_reached', goal);
+      }
+      return;
+    }
+
+    const speed = this.controlState.sprint ? SPRINT_SPEED : WALK_SPEED;
+    const step = Math.min(speed / 20, horizontal - range + 0.01);
+    const nextX = position.x + (dx / horizontal) * step;
+    const nextZ = position.z + (dz / horizontal) * step;
+
+    this.entity.position = new Vec3(nextX, this._walkHeight(nextX, nextZ, position.y), nextZ);
+    this.entity.yaw = Math.atan2(-dx, -dz);
+    this.emit('move');
+  }
+
+  /**
+   * Holding jump lifts the feet to the top of the jump; releasing it lands on
+   * whatever is below then - a block placed meanwhile included.
+   */
+  _updateJump() {
+    const position = this.entity.position;
+
+    if (this.controlState.jump && this.entity.onGround) {
+      this.entity.onGround = false;
+      this.entity.position = position.offset(0, JUMP_HEIGHT, 0);
+      this.emit('move');
+    } else if (!this.controlState.jump && !this.entity.onGround) {
+      this.entity.onGround = true;
+      this.entity.position = new Vec3(position.x, this._walkHeight(position.x, position.z, position.y), position.z);
+      this.emit('move');
+    }
+  }
+
+  /**
+   * The pvp facade swings at its target whenever the cooldown allows and it is in reach
+   */
+  _updatePvp() {
+    const target = this.pvp.target;
+    if (!target) {
+      return;
+    }
+    if (!this.entities[target.id]) {
+      this.pvp.stop();
+      this.emit('stoppedAttacking');
+      return;
+    }
+    if (this.tickCount % PVP_SWING_TICKS === 0 && target.position.distanceTo(this.entity.position) <= PVP_RANGE) {
+      this.attack(target).catch(() => {});
+    }
+  }
+
+  /**
+   * Feet height after stepping into a column: step up one block or fall a few.
+   * Walls and tree trunks are walked through - the simulator has no collision.
+   */
+  _walkHeight(x, z, feetY) {
+    const fx = Math.floor(x);
+    const fz = Math.floor(z);
+    const top = Math.floor(feetY);
+
+    for (let y = top; y >= top - 4; y--) {
+      if (this.world.isSolid(fx, y, fz) && !this.world.isSolid(fx, y + 1, fz) && !this.world.isSolid(fx, y + 2, fz)) {
+        return y + 1;
+      }
+    }
+    return feetY;
+  }
+
+  setControlState(control, state) {
+    this.controlState[control] = state;
+  }
+
+  clearControlStates() {
+    this.controlState = {};
+  }
+
+  async lookAt(point) {
+    const delta = point.minus(this.entity.position.offset(0, this.entity.height, 0));
+    this.entity.yaw = Math.atan2(-delta.x, -delta.z);
+    this.entity.pitch = Math.atan2(delta.y, Math.sqrt(delta.x * delta.x + delta.z * delta.z));
+  }
+
+  async look(yaw, pitch) {
+    this.entity.yaw = yaw;
+    this.entity.pitch = pitch;
+  }
+
+  // ===== World queries =====
+
+  blockAt(position) {
+    return this.world.blockAt(position);
+  }
+
+  _matcher(matching) {
+    if (typeof matching === 'function') return matching;
+    if (Array.isArray(matching)) return block => matching.includes(block.type);
+    return block => block.type === matching;
+  }
+
+  findBlocks(options) {
+    const origin = options.point || this.entity.position;
+    return this.world.findBlocks(origin, this._matcher(options.matching), options.maxDistance ?? 16, options.count ?? 1);
+  }
+
+  findBlock(options) {
+    const [position] = this.findBlocks({ ...options, count: 1 });
+    return position ? this.blockAt(position) : null;
+  }
+
+  nearestEntity(filter = () => true) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    for (const entity of Object.values(this.entities)) {
+      if (entity === this.entity || !filter(entity)) continue;
+      const distance = entity.position.distanceTo(this.entity.position);
+      if (distance < nearestDistance) {
+        nearest = entity;
+        nearestDistance = distance;
+      }
+    }
+
+    return nearest;
+  }
+
+  // ===== Block interaction =====
+
+  _assertReach(position) {
+    const eyes = this.entity.position.offset(0, this.entity.height, 0);
+    if (eyes.distanceTo(position.offset(0.5, 0.5, 0.5)) > REACH) {
+      throw new Error('Block is out of reach');
+    }
+  }
+
+  _digTicks(block) {
+    const held = this.heldItem?.name || '';
+    const material = held.split('_')[0];
+    const toolSpeed = TOOL_SPEED[material] ?? 1;
+    const canHarvest = !block.harvestTools || Boolean(this.heldItem && block.harvestTools[this.heldItem.type]);
+    const seconds = block.hardness * (canHarvest ? 1.5 : 5) / toolSpeed;
+    return { ticks: Math.max(1, Math.ceil(seconds * 20)), canHarvest };
+  }
+
+  async dig(block) {
+    if (!block || block.name === 'air') {
+      throw new Error('Cannot dig air');
+    }
+    if (!block.diggable) {
+      throw new Error(`${block.name} is not diggable`);
+    }
+    this._assertReach(block.position);
+
+    const { ticks, canHarvest } = this._digTicks(block);
+    await this.waitForTicks(ticks);
+
+    // The world may have changed while digging
+    if (this.world.getBlockName(block.position.x, block.position.y, block.position.z) !== block.name) {
+      throw new Error('Block changed while digging');
+    }
+
+    this.world.setBlock(block.position, 'air');
+    const drop = canHarvest ? this.world.dropFor(block.name) : null;
+    if (drop) {
+      this.inventory.add(drop, 1);
+    }
+    this.emit('diggingCompleted', block);
+  }
+
+  async placeBlock(referenceBlock, faceVector) {
+    const item = this.heldItem;
+    if (!item || !this.mcData.blocksByName[item.name]) {
+      throw new Error('Must be holding a block to place');
+    }
+
+    const target = referenceBlock.position.plus(faceVector);
+    this._assertReach(target);
+    if (this.world.isSolid(target.x, target.y, target.z)) {
+      throw new Error(`Cannot place block at ${target}: space occupied`);
+    }
+
+    this.inventory.remove(item.name, 1);
+    this.world.setBlock(target, item.name);
+    await this.waitForTicks(1);
+  }
+
+  async activateBlock(block) {
+    this._assertReach(block.position);
+  }
+
+  // ===== Inventory =====
+
+  async equip(item, destination = 'hand') {
+    const owned = this.inventory.slots.find(slot => slot && slot.name === (item?.name ?? item));
+    if (!owned) {
+      throw new Error(`Item ${item?.name ?? item} not in inventory`);
+    }
+
+    if (destination === 'hand') {
+      if (owned.slot >= 36 && owned.slot <= 44) {
+        this.inventory.selectedSlot = owned.slot - 36;
+      } else {
+        this.inventory.moveToSlot(owned, 36 + this.inventory.selectedSlot);
+      }
+    } else if (destination in ARMOR_SLOTS) {
+      this.inventory.moveToSlot(owned, ARMOR_SLOTS[destination]);
+    } else {
+      throw new Error(`Invalid equip destination: ${destination}`);
+    }
+  }
+
+  async unequip(destination) {
+    const slot = destination === 'hand' ? 36 + this.inventory.selectedSlot : ARMOR_SLOTS[destination];
+    const item = this.inventory.slots[slot];
+    if (!item) return;
+
+    this.inventory.slots[slot] = null;
+    this.inventory.add(item.name, item.count);
+  }
+
+  async tossStack(item) {
+    this.inventory.remove(item.name, item.count);
+    this._dropItemEntity(item.name, item.count, this.entity.position.offset(2, 0, 0));
+  }
+
+  async toss(itemType, metadata, count) {
+    const name = this.mcData.items[itemType].name;
+    const removed = this.inventory.remove(name, count);
+    this._dropItemEntity(name, removed, this.entity.position.offset(2, 0, 0));
+  }
+
+  async consume() {
+    const item = this.heldItem;
+    const food = item && this.mcData.foodsByName[item.name];
+    if (!food) {
+      throw new Error('Held item is not edible');
+    }
+    if (this.food >= 20) {
+      throw new Error('Not hungry');
+    }
+
+    await this.waitForTicks(32);
+    this.inventory.remove(item.name, 1);
+    this.food = Math.min(20, this.food + food.foodPoints);
+    this.foodSaturation = Math.min(this.food, this.foodSaturation + food.saturation);
+    this.emit('health');
+  }
+
+  activateItem() {
+    // Pouring water puts out a fire; the bucket counts as scooped up again right away
+    if (this.heldItem?.name === 'water_bucket' && !this.game.dimension.includes('nether')) {
+      this._extinguish();
+    }
+  }
+
+  deactivateItem() {}
+
+  // ===== Crafting =====
+
+  _ingredientId(ingredient) {
+    if (ingredient === null || ingredient === undefined) return null;
+    if (typeof ingredient === 'number') return ingredient;
+    return ingredient.id ?? null;
+  }
+
+  /**
+   * Convert minecraft-data recipes into mineflayer Recipe-like objects
+   */
+  recipesAll(itemType, metadata, craftingTable) {
+    const rawRecipes = this.mcData.recipes[itemType] || [];
+
+    return rawRecipes.map(raw => {
+      const counts = new Map();
+      const ingredients = raw.ingredients || (raw.inShape || []).flat();
+      for (const ingredient of ingredients) {
+        const id = this._ingredientId(ingredient);
+        if (id !== null) counts.set(id, (counts.get(id) || 0) + 1);
+      }
+
+      const requiresTable = Boolean(raw.inShape && (raw.inShape.length > 2 || raw.inShape.some(row => row.length > 2))) ||
+                            (raw.ingredients && raw.ingredients.length > 4);
+
+      return {
+        result: { id: raw.result.id, count: raw.result.count },
+        inShape: raw.inShape || null,
+        ingredients: raw.ingredients || null,
+        requiresTable: requiresTable,
+        delta: [
+          ...Array.from(counts.entries()).map(([id, count]) => ({ id, metadata: null, count: -count })),
+          { id: raw.result.id, metadata: null, count: raw.result.count }
+        ]
+      };
+    }).filter(recipe => !recipe.requiresTable || craftingTable);
+  }
+
+  recipesFor(itemType, metadata, minResultCount, craftingTable) {
+    const recipes = this.recipesAll(itemType, metadata, craftingTable);
+    if (minResultCount === null || minResultCount === undefined) {
+      return recipes;
+    }
+
+    return recipes.filter(recipe => {
+      const times = Math.ceil(minResultCount / recipe.result.count);
+      return recipe.delta
+        .filter(entry => entry.count < 0)
+        .every(entry => this.inventory.count(entry.id) >= -entry.count * times);
+    });
+  }
+
+  async craft(recipe, count = 1, craftingTable = null) {
+    for (let i = 0; i < count; i++) {
+      const missing = recipe.delta.find(entry => entry.count < 0 && this.inventory.count(entry.id) < -entry.count);
+      if (missing) {
+        throw new Error(`Missing ingredient ${this.mcData.items[missing.id].name}`);
+      }
+
+      for (const entry of recipe.delta) {
+        const name = this.mcData.items[entry.id].name;
+        if (entry.count < 0) {
+          this.inventory.remove(name, -entry.count);
+        } else {
+          this.inventory.add(name, entry.count);
+        }
+      }
+      await this.waitForTicks(2);
+    }
+  }
+
+  // ===== Containers =====
+
+  async openContainer(block) {
+    if (!/chest|barrel|shulker_box/.test(block.name)) {
+      throw new Error(`${block.name} is not a container`);
+    }
+    this._assertReach(block.position);
+
+    const key = block.position.toString();
+    if (!this.containers.has(key)) {
+      this.containers.set(key, new Map());
+    }
+
+    const window = new SimContainerWindow(this, block, this.containers.get(key));
+    this.currentWindow = window;
+    this.emit('windowOpen', window);
+    return window;
+  }
+
+  async openChest(block) {
+    return this.openContainer(block);
+  }
+
+  closeWindow(window) {
+    if (this.currentWindow !== window) return;
+    this.currentWindow = null;
+    this.emit('windowClose', window);
+    window.emit('close');
+  }
+
+  async clickWindow() {
+    if (!this.currentWindow) {
+      throw new Error('No window open');
+    }
+  }
+
+  // ===== Survival =====
+
+  async sleep(bedBlock) {
+    if (this.time.isDay) {
+      throw new Error("You can only sleep at night");
+    }
+    this._assertReach(bedBlock.position);
+
+    this.isSleeping = true;
+    this.emit('sleep');
+    await this.waitForTicks(100);
+    this.time.timeOfDay = 0;
+    this.time.day++;
+    this.wake();
+  }
+
+  async wake() {
+    if (!this.isSleeping) return;
+    this.isSleeping = false;
+    this.emit('wake');
+  }
+
+  _updateHunger() {
+    if (this.tickCount % HUNGER_INTERVAL_TICKS !== 0) return;
+
+    if (this.foodSaturation > 0) {
+      this.foodSaturation = Math.max(0, this.foodSaturation - 1);
+    } else if (this.food > 0) {
+      this.food--;
+    } else {
+      this.damage(1, 'starvation');
+      return;
+    }
+    this.emit('health');
+  }
+
+  /**
+   * Set the bot on fire (scenarios use this to provoke a fire hazard)
+   */
+  setOnFire(ticks = 160) {
+    this.fireTicks = ticks;
+    this.entity.metadata[0] = (this.entity.metadata[0] || 0) | 0x01;
+  }
+
+  _extinguish() {
+    this.fireTicks = 0;
+    this.entity.metadata[0] = (this.entity.metadata[0] || 0) & ~0x01;
+  }
+
+  _updateFire() {
+    if (this.fireTicks <= 0) return;
+
+    this.fireTicks--;
+    if (this.fireTicks === 0) {
+      this._extinguish();
+    } else if (this.fireTicks % FIRE_DAMAGE_INTERVAL_TICKS === 0) {
+      this.damage(1, 'on_fire');
+    }
+  }
+
+  /**
+   * Apply damage to the bot (also used by scenarios)
+   */
+  damage(amount, source = 'generic') {
+    if (!this.isAlive) return;
+
+    this.health = Math.max(0, this.health - amount);
+    this.lastDamageSource = source;
+    this.emit('entityHurt', this.entity);
+    this.emit('health');
+
+    if (this.health === 0) {
+      this._die();
+    }
+  }
+
+  _die() {
+    this.isAlive = false;
+    this._extinguish();
+    this.deathTick = this.tickCount;
+    this.pathfinder.goal = null;
+
+    const deathPosition = this.entity.position.clone();
+    for (const item of this.inventory.clear()) {
+      this._dropItemEntity(item.name, item.count, deathPosition);
+    }
+
+    this.emit('death');
+  }
+
+  _respawn() {
+    this.isAlive = true;
+    this.deathTick = null;
+    this.health = 20;
+    this.food = 20;
+    this.foodSaturation = 5;
+    this.entity.position = this.spawnPoint.clone();
+    this.emit('respawn');
+    this.emit('spawn');
+    this.emit('health');
+  }
+
+  respawn() {
+    if (!this.isAlive) {
+      this._respawn();
+    }
+  }
+
+  // ===== Entities =====
+
+  /**
+   * Spawn a mob (scenarios use this to provoke emergencies)
+   */
+  spawnMob(name, position) {
+    const stats = MOB_STATS[name] || { health: 20, damage: 2, speed: 2, drop: null };
+    const mobType = this.mcData.entitiesByName[name];
+    const id = this.nextEntityId++;
+
+    const entity = {
+      id: id,
+      type: mobType?.type === 'hostile' ? 'hostile' : 'mob',
+      name: name,
+      displayName: mobType?.displayName || name,
+      kind: mobType?.category,
+      position: position.clone(),
+      velocity: new Vec3(0, 0, 0),
+      height: mobType?.height ?? 1.8,
+      width: mobType?.width ?? 0.6,
+      health: stats.health,
+      metadata: [],
+      attackCooldown: 0,
+      stats: stats
+    };
+
+    this.entities[id] = entity;
+    this.emit('entitySpawn', entity);
+    return entity;
+  }
+
+  /**
+   * Add another player to the world (for chat commands like !come)
+   */
+  addPlayer(username, position) {
+    const id = this.nextEntityId++;
+    const entity = {
+      id: id,
+      type: 'player',
+      name: 'player',
+      username: username,
+      position: position.clone(),
+      velocity: new Vec3(0, 0, 0),
+      height: 1.62,
+      metadata: []
+    };
+
+    this.entities[id] = entity;
+    this.players[username] = { username, entity, ping: 0 };
+    this.emit('playerJoined', this.players[username]);
+    return entity;
+  }
+
+  /**
+   * Deliver a chat line as if a player had typed it
+   */
+  simulateChat(username, message) {
+    this.emit('chat', username, message);
+  }
+
+  _dropItemEntity(name, count, position) {
+    const itemType = this.mcData.itemsByName[name];
+    const id = this.nextEntityId++;
+    const entity = {
+      id: id,
+      type: 'object',
+      objectType: 'Item',
+      name: 'item',
+      displayName: 'Item',
+      position: position.clone(),
+      velocity: new Vec3(0, 0, 0),
+      height: 0.25,
+      spawnTick: this.tickCount,
+      // Both metadata layouts BotActions might read
+      metadata: Object.assign([], { 8: { itemId: itemType.id, itemCount: count }, 10: { itemId: itemType.id, itemCount: count } }),
+      getDroppedItem: () => ({ type: itemType.id, name: name, count: count })
+    };
+
+    this.entities[id] = entity;
+    this.emit('itemDrop', entity);
+    return entity;
+  }
+
+  _removeEntity(entity) {
+    delete this.entities[entity.id];
+    this.emit('entityGone', entity);
+  }
+
+  _pickUpItems() {
+    for (const entity of Object.values(this.entities)) {
+      if (entity.objectType !== 'Item') continue;
+      if (entity.position.distanceTo(this.entity.position) > 1.5) continue;
+
+      const item = entity.getDroppedItem();
+      const leftover = this.inventory.add(item.name, item.count);
+      if (leftover === item.count) continue;
+
+      this.emit('playerCollect', this.entity, entity);
+      this._removeEntity(entity);
+    }
+  }
+
+  _despawnItems() {
+    for (const entity of Object.values(this.entities)) {
+      if (entity.objectType === 'Item' && this.tickCount - entity.spawnTick >= ITEM_DESPAWN_TICKS) {
+        this._removeEntity(entity);
+      }
+    }
+  }
+
+  _updateMobs() {
+    // Night spawning keeps emergencies reachable without scripted scenarios
+    if (this.mobSpawning && !this.time.isDay && this.tickCount % 200 === 0 && this.world.random() < 0.3) {
+      const angle = this.world.random() * Math.PI * 2;
+      const x = this.entity.position.x + Math.cos(angle) * 14;
+      const z = this.entity.position.z + Math.sin(angle) * 14;
+      this.spawnMob('zombie', new Vec3(x, this.world.standingHeight(x, z), z));
+    }
+
+    for (const mob of Object.values(this.entities)) {
+      if (mob.type !== 'hostile') continue;
+
+      const distance = mob.position.distanceTo(this.entity.position);
+      if (distance > 24) continue;
+
+      if (distance > 1.5) {
+        const direction = this.entity.position.minus(mob.position).normalize();
+        const step = direction.scaled(mob.stats.speed / 20);
+        const x = mob.position.x + step.x;
+        const z = mob.position.z + step.z;
+        mob.position = new Vec3(x, this.world.standingHeight(x, z), z);
+        continue;
+      }
+
+      if (mob.attackCooldown > 0) {
+        mob.attackCooldown--;
+        continue;
+      }
+
+      mob.attackCooldown = 20;
+      this.emit('entityAttack', mob);
+      this.damage(mob.stats.damage, mob.name);
+    }
+  }
+
+  async attack(entity) {
+    if (!this.entities[entity.id]) {
+      throw new Error('Entity is gone');
+    }
+    if (entity.position.distanceTo(this.entity.position) > 4) {
+      throw new Error('Entity is out of reach');
+    }
+
+    entity.health -= WEAPON_DAMAGE[this.heldItem?.name] ?? 1;
+    this.emit('entityHurt', entity);
+
+    if (entity.health <= 0) {
+      const drop = entity.stats?.drop;
+      this._removeEntity(entity);
+      this.emit('entityDead', entity);
+      if (drop) {
+        this._dropItemEntity(drop, 1, entity.position);
+      }
+    }
+  }
+
+  // ===== Chat =====
+
+  chat(message) {
+    this.chatLog.push({ username: this.username, message, tick: this.tickCount });
+  }
+
+  whisper(username, message) {
+    this.chatLog.push({ username: this.username, to: username, message, tick: this.tickCount });
+  }
+
+  // ===== Plugin facades =====
+
+  _createPluginFacades() {
+    this.collectBlock = {
+      collect: async (target, options = {}) => {
+        const count = options.count ?? 1;
+        const positions = typeof target === 'number' ?
+          this.findBlocks({ matching: target, maxDistance: 32, count }) :
+          [].concat(target).map(block => block.position);
+
+        if (positions.length === 0) {
+          throw new Error('No blocks to collect');
+        }
+
+        const collected = [];
+        for (const position of positions.slice(0, count)) {
+          await this.pathfinder.goto({ x: position.x + 0.5, y: position.y, z: position.z + 0.5, rangeSq: 4 });
+          const block = this.blockAt(position);
+          await this.dig(block);
+          collected.push(block);
+        }
+        return collected;
+      }
+    };
+
+    this.pvp = {
+      target: null,
+      attack: (entity) => {
+        this.pvp.target = entity;
+        this.pathfinder.setGoal({ entity, rangeSq: 4, dynamic: true });
+      },
+      stop: () => {
+        this.pvp.target = null;
+        this.pathfinder.stop();
+      }
+    };
+
+    this.autoEat = {
+      enable: () => {},
+      disable: () => {}
+    };
+  }
+}
+
+export { SimInventory, SimContainerWindow };
+export default HeadlessBot;
@@ -0,0 +1,214 @@
+/**
+ * VoxelWorld.js - Minimale, deterministische Blockwelt
+ * "Genug Welt, um ehrlich zu testen"
+ * Prozedurales Terrain plus Änderungs-Overlay; keine Physik, keine Chunks.
+ */
+
+import { Vec3 } from 'vec3';
+
+// Items a broken block yields (minecraft-data ships no drop tables for 1.18)
+const DROP_OVERRIDES = {
+  stone: 'cobblestone',
+  grass_block: 'dirt',
+  coal_ore: 'coal',
+  iron_ore: 'raw_iron',
+  gold_ore: 'raw_gold',
+  diamond_ore: 'diamond',
+  oak_leaves: null,
+  bedrock: null,
+  water: null,
+  lava: null
+};
+
+const NON_SOLID = new Set(['air', 'cave_air', 'water', 'lava', 'grass', 'tall_grass']);
+
+/**
+ * Small seedable PRNG so every run with the same seed builds the same world
+ */
+function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Position hash in [0, 1) - stable per coordinate and seed
+ */
+function hash3(seed, x, y, z) {
+  let h = seed ^ Math.imul(x, 374761393) ^ Math.imul(y, 668265263) ^ Math.imul(z, 2147483647);
+  h = Math.imul(h ^ (h >>> 13), 1274126177);
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+class VoxelWorld {
+  constructor(mcData, options = {}) {
+    this.mcData = mcData;
+    this.seed = options.seed ?? 1;
+    this.radius = options.radius ?? 48;         // Playable area is a square around the origin
+    this.surfaceY = options.surfaceY ?? 64;
+    this.treeDensity = options.treeDensity ?? 0.015;
+
+    this.overrides = new Map();                 // "x,y,z" -> block name
+    this.random = mulberry32(this.seed);
+
+    this._plantTrees();
+  }
+
+  _key(x, y, z) {
+    return `${x},${y},${z}`;
+  }
+
+  _plantTrees() {
+    for (let x = -this.radius + 2; x < this.radius - 2; x++) {
+      for (let z = -this.radius + 2; z < this.radius - 2; z++) {
+        // Keep the spawn area clear
+        if (Math.abs(x) < 3 && Math.abs(z) < 3) continue;
+        if (hash3(this.seed, x, 0, z) >= this.treeDensity) continue;
+
+        const trunkHeight = 4 + Math.floor(hash3(this.seed, x, 1, z) * 2);
+        const baseY = this.surfaceY + 1;
+
+        for (let dx = -2; dx <= 2; dx++) {
+          for (let dz = -2; dz <= 2; dz++) {
+            for (let dy = trunkHeight - 2; dy <= trunkHeight + 1; dy++) {
+              const spread = dy > trunkHeight - 1 ? 1 : 2;
+              if (Math.abs(dx) > spread || Math.abs(dz) > spread) continue;
+              const key = this._key(x + dx, baseY + dy, z + dz);
+              if (!this.overrides.has(key)) {
+                this.overrides.set(key, 'oak_leaves');
+              }
+            }
+          }
+        }
+
+        for (let dy = 0; dy < trunkHeight; dy++) {
+          this.overrides.set(this._key(x, baseY + dy, z), 'oak_log');
+        }
+      }
+    }
+  }
+
+  /**
+   * Block name from terrain rules, ignoring player modifications
+   */
+  _terrainAt(x, y, z) {
+    if (Math.abs(x) >= this.radius || Math.abs(z) >= this.radius) {
+      return y <= this.surfaceY ? 'bedrock' : 'air';
+    }
+
+    if (y <= 0) return 'bedrock';
+    if (y > this.surfaceY) return 'air';
+    if (y === this.surfaceY) return 'grass_block';
+    if (y >= this.surfaceY - 3) return 'dirt';
+
+    const roll = hash3(this.seed, x, y, z);
+    if (roll < 0.012) return 'coal_ore';
+    if (roll < 0.018 && y < this.surfaceY - 8) return 'iron_ore';
+    if (roll < 0.0185 && y < 16) return 'diamond_ore';
+    return 'stone';
+  }
+
+  getBlockName(x, y, z) {
+    const key = this._key(x, y, z);
+    return this.overrides.has(key) ? this.overrides.get(key) : this._terrainAt(x, y, z);
+  }
+
+  setBlock(position, blockName) {
+    const { x, y, z } = position.floored();
+    this.overrides.set(this._key(x, y, z), blockName);
+  }
+
+  /**
+   * Mineflayer-style Block object
+   */
+  blockAt(position) {
+    const { x, y, z } = position.floored();
+    const name = this.getBlockName(x, y, z);
+    const blockType = this.mcData.blocksByName[name];
+
+    return {
+      type: blockType?.id ?? 0,
+      name: name,
+      displayName: blockType?.displayName ?? name,
+      metadata: 0,
+      position: new Vec3(x, y, z),
+      hardness: blockType?.hardness ?? 0,
+      diggable: blockType?.diggable ?? false,
+      harvestTools: blockType?.harvestTools,
+      boundingBox: NON_SOLID.has(name) ? 'empty' : 'block',
+      biome: { name: 'plains' }
+    };
+  }
+
+  isSolid(x, y, z) {
+    return !NON_SOLID.has(this.getBlockName(x, y, z));
+  }
+
+  /**
+   * Y coordinate a walker would stand on in this column
+   */
+  standingHeight(x, z) {
+    const fx = Math.floor(x);
+    const fz = Math.floor(z);
+    for (let y = this.surfaceY + 12; y > 0; y--) {
+      if (this.isSolid(fx, y, fz)) {
+        return y + 1;
+      }
+    }
+    return this.surfaceY + 1;
+  }
+
+  /**
+   * Name of the item a broken block yields, or null
+   */
+  dropFor(blockName) {
+    if (blockName in DROP_OVERRIDES) {
+      return DROP_OVERRIDES[blockName];
+    }
+    return this.mcData.itemsByName[blockName] ? blockName : null;
+  }
+
+  /**
+   * All matching block positions within maxDistance, nearest first
+   */
+  findBlocks(origin, matcher, maxDistance, count = 1) {
+    const center = origin.floored();
+    const found = [];
+
+    for (let dx = -maxDistance; dx <= maxDistance; dx++) {
+      for (let dz = -maxDistance; dz <= maxDistance; dz++) {
+        const x = center.x + dx;
+        const z = center.z + dz;
+        if (Math.abs(x) >= this.radius || Math.abs(z) >= this.radius) continue;
+
+        const minY = Math.max(1, center.y - maxDistance);
+        const maxY = Math.min(this.surfaceY + 12, center.y + maxDistance);
+
+        for (let y = minY; y <= maxY; y++) {
+          const distanceSq = dx * dx + dz * dz + (y - center.y) * (y - center.y);
+          if (distanceSq > maxDistance * maxDistance) continue;
+
+          const name = this.getBlockName(x, y, z);
+          if (name === 'air') continue;
+
+          const block = this.blockAt(new Vec3(x, y, z));
+          if (matcher(block)) {
+            found.push({ position: block.position, distanceSq });
+          }
+        }
+      }
+    }
+
+    return found
+      .sort((a, b) => a.distanceSq - b.distanceSq)
+      .slice(0, count)
+      .map(entry => entry.position);
+  }
+}
+
+export default VoxelWorld;
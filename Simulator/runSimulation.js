@@ -0,0 +1,130 @@
+/**
+ * runSimulation.js - Kompletter Bot-Loop ohne Minecraft-Server
+ * "Events → Dispatcher → Queues → Aktionen, nur eben im Kopf"
+ * Verdrahtet die echten Module mit dem HeadlessBot und meldet, was passiert ist.
+ *
+ * Usage: npm run simulate [-- --duration 60 --seed 1 --speed 4 --provider stub --hazard fire]
+ * Exit code 1 if no action was executed during the run.
+ */
+
+import dotenv from 'dotenv';
+import winston from 'winston';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+
+import mineflayerStatemachine from 'mineflayer-statemachine';
+const { BotStateMachine, NestedStateMachine, BehaviorIdle } = mineflayerStatemachine;
+
+import HeadlessBot from './HeadlessBot.js';
+
+dotenv.config();
+
+function readFlag(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] !== undefined ? process.argv[index + 1] : fallback;
+}
+
+const options = {
+  duration: parseFloat(readFlag('duration', 60)),      // Wall-clock seconds
+  seed: parseInt(readFlag('seed', 1)),
+  speed: parseFloat(readFlag('speed', 4)),
+  provider: readFlag('provider', 'stub'),
+  hazard: readFlag('hazard', null),
+  hazardAt: parseFloat(readFlag('hazard-at', 3))     // Wall-clock seconds into the run
+};
+
+// Hazards a run can provoke on purpose, each with what the bot needs to get out of it
+const HAZARD_SCENARIOS = {
+  fire: (bot) => {
+    bot.inventory.add('water_bucket', 1);
+    bot.setOnFire();
+  }
+};
+
+if (options.hazard && !HAZARD_SCENARIOS[options.hazard]) {
+  console.error(`Unknown hazard '${options.hazard}', known: ${Object.keys(HAZARD_SCENARIOS).join(', ')}`);
+  process.exit(2);
+}
+
+// Scratch memory unless the caller points MEMORY_DIR somewhere on purpose
+const scratchMemoryDir = process.env.MEMORY_DIR ? null : mkdtempSync(join(tmpdir(), 'piepslama-sim-'));
+if (scratchMemoryDir) {
+  process.env.MEMORY_DIR = scratchMemoryDir;
+}
+
+// Canned stub plan that makes the bot gather and craft instead of idling
+if (!process.env.LLM_STUB_RESPONSES) {
+  process.env.LLM_STUB_RESPONSES = fileURLToPath(new URL('./stubResponses.json', import.meta.url));
+}
+
+// Modules read MEMORY_DIR at construction time, so import them after setting it
+const { createModules, ensureMemoryDirectories } = await import('../Bot/ModuleFactory.js');
+ensureMemoryDirectories();
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `[${timestamp}] [Simulator] ${level}: ${message}`;
+    })
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+logger.info(`Starting simulation - seed ${options.seed}, speed ${options.speed}x, ` +
+  `${options.duration}s, provider ${options.provider}, memory ${process.env.MEMORY_DIR}`);
+
+const bot = new HeadlessBot({ seed: options.seed, speed: options.speed });
+const initialState = new NestedStateMachine([], new BehaviorIdle());
+bot.stateMachine = new BotStateMachine(bot, initialState);
+
+const modules = createModules(bot, logger, { provider: options.provider });
+let deaths = 0;
+bot.on('death', () => deaths++);
+
+const emergencies = [];
+modules.eventDispatcher.subscribe(event => {
+  if (event.response?.targetQueue === 'emergency') {
+    emergencies.push(event.data.details.hazard || event.eventType);
+  }
+});
+
+// Listeners must be in place before the spawn event fires
+modules.eventDispatcher.startListening();
+modules.events.startListening();
+bot.start();
+
+if (options.hazard) {
+  setTimeout(() => {
+    logger.warn(`Scenario: provoking ${options.hazard} hazard`);
+    HAZARD_SCENARIOS[options.hazard](bot);
+  }, options.hazardAt * 1000);
+}
+
+await new Promise(resolve => setTimeout(resolve, options.duration * 1000));
+
+const metrics = modules.botStateManager.getPerformanceMetrics();
+const position = bot.entity.position;
+const inventory = bot.inventory.items().map(item => `${item.name} x${item.count}`);
+
+console.log('--- Simulation summary ---');
+console.log(`Simulated ticks:   ${bot.tickCount} (day ${bot.time.day}, time ${bot.time.timeOfDay})`);
+console.log(`Actions executed:  ${metrics.actionsExecuted} (${metrics.actionsFailed} failed)`);
+console.log(`Current goal:      ${modules.botStateManager.getCurrentGoal() || 'none'}`);
+console.log(`Position:          ${position.x.toFixed(1)}, ${position.y.toFixed(1)}, ${position.z.toFixed(1)}`);
+console.log(`Health / food:     ${bot.health} / ${bot.food}, deaths: ${deaths}`);
+console.log(`Emergencies:       ${emergencies.join(', ') || 'none'} (active queue: ${modules.botStateManager.getCurrentQueue() || 'none'})`);
+console.log(`Inventory:         ${inventory.join(', ') || 'empty'}`);
+console.log(`Chat sent:         ${bot.chatLog.length} message(s)`);
+
+modules.eventDispatcher.stopListening();
+bot.quit('simulation finished');
+
+if (scratchMemoryDir) {
+  rmSync(scratchMemoryDir, { recursive: true, force: true });
+}
+
+process.exit(metrics.actionsExecuted > 0 ? 0 : 1);
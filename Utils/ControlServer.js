@@ -0,0 +1,439 @@
+/**
+ * ControlServer.js - Lokale HTTP/WebSocket-Steuerung des laufenden Bots
+ * "Fernbedienung ohne Chat"
+ * REST für Status und Befehle, WebSocket für den Live-Eventstrom, dazu das Dashboard.
+ * Befehle laufen als EventMessages durch den EventDispatcher, nie an ihm vorbei.
+ */
+
+import http from 'http';
+import { timingSafeEqual } from 'crypto';
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { WebSocketServer } from 'ws';
+import winston from 'winston';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const MAX_BODY_SIZE = 16 * 1024;
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+const WILDCARD_HOSTS = ['0.0.0.0', '::'];
+const LEARNING_QUEUES = ['standard', 'emergency', 'respawn'];
+const LEARNING_CATEGORIES = ['inventar', 'crafting', 'blockinteraktion', 'survival', 'fight', 'moving'];
+
+// Dashboard files: public, they only contain code - all data comes from the REST routes
+const DASHBOARD_DIR = join(dirname(__dirname), 'Dashboard');
+const DASHBOARD_FILES = {
+  '/': ['index.html', 'text/html; charset=utf-8'],
+  '/dashboard.js': ['dashboard.js', 'text/javascript; charset=utf-8'],
+  '/dashboard.css': ['dashboard.css', 'text/css; charset=utf-8']
+};
+
+class ControlServer {
+  constructor(modules, logger, options = {}) {
+    this.modules = modules;
+
+    // Configuration - localhost only unless explicitly changed
+    this.port = options.port ?? (parseInt(process.env.CONTROL_API_PORT) || 8787);
+    this.host = options.host || process.env.CONTROL_API_HOST || '127.0.0.1';
+    this.token = options.token ?? (process.env.CONTROL_API_TOKEN || null);
+
+    this.server = null;
+    this.wss = null;
+    this.unsubscribe = null;
+
+    // method + path -> handler(request, body, params); handlers return [statusCode, payload]
+    // ':name' segments are passed in params
+    this.routes = new Map([
+      ['GET /status', () => [200, this.modules.queueManager.getStatus()]],
+      ['GET /state', () => [200, this.modules.botStateManager.getFullState()]],
+      ['GET /metrics', () => [200, this.modules.performanceMonitor.getCurrentMetrics()]],
+      ['GET /metrics/history', () => [200, this.modules.performanceMonitor.getHistory()]],
+      ['GET /alerts', () => [200, this.modules.performanceMonitor.getRecentAlerts(50)]],
+      ['GET /errors', () => [200, this.collectErrors(50)]],
+      ['GET /learnings', async () => [200, await this.modules.learningManager.getStatistics()]],
+      ['GET /learnings/:category', (request, body, params) => this.handleLearnings(request, params)],
+      ['POST /pause', () => this.dispatchControl('pause')],
+      ['POST /resume', () => this.dispatchControl('resume')],
+      ['POST /reset', () => this.dispatchControl('reset')],
+      ['POST /goals', (request, body) => this.handleNewGoal(body)]
+    ]);
+
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.printf(({ timestamp, level, message }) => {
+          return `[${timestamp}] [ControlServer] ${level}: ${message}`;
+        })
+      ),
+      transports: [
+        new winston.transports.Console({
+          level: process.env.LOG_LEVEL || 'info'
+        })
+      ]
+    });
+  }
+
+  /**
+   * Start HTTP and WebSocket server
+   */
+  async start() {
+    if (this.server) {
+      this.logger.warn('ControlServer already running');
+      return;
+    }
+
+    if (!this.token && !LOOPBACK_HOSTS.includes(this.host)) {
+      this.logger.warn(`Control API listens on ${this.host} without CONTROL_API_TOKEN - anyone on the network can control the bot`);
+    }
+
+    this.server = http.createServer((request, response) => {
+      this.handleRequest(request, response).catch(error => {
+        this.logger.error(`Control API request failed: ${error.message}`);
+        this.sendJson(response, 500, { error: error.message });
+      });
+    });
+
+    // Live events: ws://host:port/events
+    this.wss = new WebSocketServer({ noServer: true });
+    this.server.on('upgrade', (request, socket, head) => {
+      const url = new URL(request.url, 'http://localhost');
+
+      // Browsers let any page open a WebSocket, only the Origin tells who asks
+      if (this.checkOrigin(request)) {
+        socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
+        socket.destroy();
+        return;
+      }
+
+      if (url.pathname !== '/events' || !this.isAuthorized(request, url)) {
+        socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+        socket.destroy();
+        return;
+      }
+
+      this.wss.handleUpgrade(request, socket, head, (client) => {
+        this.logger.info(`Event stream client connected (${this.wss.clients.size} total)`);
+        client.send(JSON.stringify({ type: 'status', data: this.modules.queueManager.getStatus() }));
+      });
+    });
+
+    this.unsubscribe = this.modules.eventDispatcher.subscribe((eventMessage) => this.broadcast(eventMessage));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.removeListener('error', reject);
+        resolve();
+      });
+    });
+
+    this.logger.info(`Control API listening on http://${this.host}:${this.port}`);
+  }
+
+  /**
+   * Stop accepting requests and close all event streams
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+
+    for (const client of this.wss.clients) {
+      client.terminate();
+    }
+    this.wss.close();
+
+    await new Promise(resolve => this.server.close(() => resolve()));
+    this.server = null;
+    this.wss = null;
+
+    this.logger.info('Control API stopped');
+  }
+
+  async handleRequest(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+
+    const originError = this.checkOrigin(request);
+    if (originError) {
+      this.sendJson(response, 403, { error: originError });
+      return;
+    }
+
+    if (request.method === 'GET' && DASHBOARD_FILES[url.pathname]) {
+      await this.serveDashboardFile(response, url.pathname);
+      return;
+    }
+
+    if (!this.isAuthorized(request, url)) {
+      this.sendJson(response, 401, { error: 'Missing or invalid token' });
+      return;
+    }
+
+    const route = this.findRoute(request.method, url.pathname);
+    if (!route) {
+      this.sendJson(response, 404, { error: `No route for ${request.method} ${url.pathname}` });
+      return;
+    }
+
+    let body = null;
+    if (request.method === 'POST') {
+      // Other sites can send form-encoded or text/plain POSTs without a preflight, but not JSON
+      if (!/^application\/json\b/i.test(request.headers['content-type'] || '')) {
+        this.sendJson(response, 415, { error: 'Content-Type must be application/json' });
+        return;
+      }
+
+      try {
+        body = await this.readJsonBody(request);
+      } catch (error) {
+        this.sendJson(response, 400, { error: error.message });
+        return;
+      }
+    }
+
+    const [statusCode, payload] = await route.handler(request, body, route.params);
+    this.sendJson(response, statusCode, payload);
+  }
+
+  findRoute(method, pathname) {
+    const exact = this.routes.get(`${method} ${pathname}`);
+    if (exact) {
+      return { handler: exact, params: {} };
+    }
+
+    const segments = pathname.split('/');
+    for (const [key, handler] of this.routes) {
+      const [routeMethod, routePath] = key.split(' ');
+      const routeSegments = routePath.split('/');
+      if (routeMethod !== method || routeSegments.length !== segments.length || !routePath.includes(':')) {
+        continue;
+      }
+
+      const params = {};
+      const matches = routeSegments.every((segment, index) => {
+        if (segment.startsWith(':')) {
+          params[segment.slice(1)] = decodeURIComponent(segments[index]);
+          return segments[index].length > 0;
+        }
+        return segment === segments[index];
+      });
+
+      if (matches) {
+        return { handler, params };
+      }
+    }
+
+    return null;
+  }
+
+  async serveDashboardFile(response, pathname) {
+    const [fileName, contentType] = DASHBOARD_FILES[pathname];
+
+    try {
+      const content = await readFile(join(DASHBOARD_DIR, fileName));
+      response.writeHead(200, { 'Content-Type': contentType });
+      response.end(content);
+    } catch (error) {
+      this.sendJson(response, 404, { error: `Dashboard file missing: ${fileName}` });
+    }
+  }
+
+  /**
+   * Requests from other web pages the operator has open: an Origin of another
+   * site, or a Host that is not this server (DNS rebinding)
+   * @returns {String|null} why the request is refused, null if it may pass
+   */
+  checkOrigin(request) {
+    const requestHost = (request.headers.host || '').toLowerCase();
+
+    // Bound to all interfaces, the server cannot know its own names: the page must at least come from the host it asks
+    const allowedHosts = this.getAllowedHosts() || [requestHost];
+
+    if (!allowedHosts.includes(requestHost)) {
+      return `Host ${request.headers.host || '(none)'} is not this server`;
+    }
+
+    const origin = request.headers.origin;
+    if (origin) {
+      let originHost;
+      try {
+        originHost = new URL(origin).host.toLowerCase();
+      } catch (error) {
+        originHost = null;
+      }
+      if (!allowedHosts.includes(originHost)) {
+        return `Cross-origin requests from ${origin} are not allowed`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * host:port values a request to this server can carry, or null when bound to all interfaces
+   */
+  getAllowedHosts() {
+    if (WILDCARD_HOSTS.includes(this.host)) {
+      return null;
+    }
+
+    const names = LOOPBACK_HOSTS.includes(this.host) ? LOOPBACK_HOSTS : [this.host];
+    return names.flatMap(name => {
+      const host = (name.includes(':') ? `[${name}]` : name).toLowerCase();
+      // Browsers leave out the default port
+      return this.port === 80 ? [host, `${host}:80`] : [`${host}:${this.port}`];
+    });
+  }
+
+  /**
+   * Bearer header for REST, ?token= for WebSocket clients that cannot set headers
+   */
+  isAuthorized(request, url) {
+    if (!this.token) {
+      return true;
+    }
+
+    const header = request.headers.authorization || '';
+    const provided = header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token') || '';
+
+    const expected = Buffer.from(this.token);
+    const actual = Buffer.from(provided);
+    return actual.length === expected.length && timingSafeEqual(actual, expected);
+  }
+
+  readJsonBody(request) {
+    return new Promise((resolve, reject) => {
+      let data = '';
+
+      request.on('data', (chunk) => {
+        data += chunk;
+        if (data.length > MAX_BODY_SIZE) {
+          reject(new Error('Request body too large'));
+          request.destroy();
+        }
+      });
+
+      request.on('end', () => {
+        if (data.trim() === '') {
+          resolve({});
+          return;
+        }
+        try {
+          resolve(JSON.parse(data));
+        } catch (error) {
+          reject(new Error('Request body is not valid JSON'));
+        }
+      });
+
+      request.on('error', reject);
+    });
+  }
+
+  sendJson(response, statusCode, payload) {
+    if (response.headersSent) {
+      return;
+    }
+    response.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(payload));
+  }
+
+  // ===== Commands =====
+
+  /**
+   * Queue a control command like a chat command would be queued
+   * Answers 202: the dispatcher runs it in order with all other events.
+   */
+  dispatchControl(actionRequired, details = {}) {
+    const eventMessage = this.modules.events.createEventMessage(
+      'control_command',
+      2,
+      {
+        sourceEvent: 'control_api',
+        details: details,
+        affectedQueues: ['standard', 'emergency', 'respawn'],
+        requiresImmediateAction: true
+      },
+      {
+        actionRequired: actionRequired
+      }
+    );
+
+    this.modules.eventDispatcher.dispatch(eventMessage);
+    this.logger.info(`Control API queued '${actionRequired}' (${eventMessage.eventId})`);
+
+    return [202, { accepted: true, eventId: eventMessage.eventId }];
+  }
+
+  handleNewGoal(body) {
+    const goalDescription = typeof body.goal === 'string' ? body.goal.trim() : '';
+    if (!goalDescription) {
+      return [400, { error: 'Body must be {"goal": "<description>"}' }];
+    }
+
+    return this.dispatchControl('new_goal', {
+      goalDescription: goalDescription,
+      source: { type: 'control_api' }
+    });
+  }
+
+  // ===== Introspection =====
+
+  /**
+   * Every module keeps its own ErrorRecovery - merge their histories
+   */
+  collectErrors(limit) {
+    const { queueManager } = this.modules;
+    const sources = new Set([
+      this.modules.errorRecovery,
+      this.modules.ollamaInterface?.errorRecovery,
+      queueManager.standardQueue?.errorRecovery,
+      queueManager.emergencyQueue?.errorRecovery,
+      queueManager.respawnQueue?.errorRecovery
+    ].filter(Boolean));
+
+    return Array.from(sources)
+      .flatMap(errorRecovery => errorRecovery.getHistory())
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      .slice(-limit);
+  }
+
+  async handleLearnings(request, params) {
+    const url = new URL(request.url, 'http://localhost');
+    const queueType = url.searchParams.get('queue') || 'standard';
+
+    if (!LEARNING_CATEGORIES.includes(params.category) || !LEARNING_QUEUES.includes(queueType)) {
+      return [400, {
+        error: 'Unknown category or queue',
+        categories: LEARNING_CATEGORIES,
+        queues: LEARNING_QUEUES
+      }];
+    }
+
+    return [200, await this.modules.learningManager.getLearnings(queueType, params.category)];
+  }
+
+  // ===== Live events =====
+
+  broadcast(eventMessage) {
+    if (!this.wss || this.wss.clients.size === 0) {
+      return;
+    }
+
+    const message = JSON.stringify({ type: 'event', data: eventMessage });
+    for (const client of this.wss.clients) {
+      if (client.readyState === client.OPEN) {
+        client.send(message);
+      }
+    }
+  }
+}
+
+export default ControlServer;
@@ -645,6 +645,13 @@ class ErrorRecovery {
     });
   }
   
+  /**
+   * Most recent errors, oldest first
+   */
+  getHistory(limit = this.maxHistorySize) {
+    return this.errorHistory.slice(-limit);
+  }
+  
   /**
    * Get error recovery statistics
    */
@@ -28,7 +28,8 @@ class PerformanceMonitor {
       queueSizeWarning: 50,
       llmResponseTimeMs: 10000,
       lowSuccessRate: 0.5,
-      errorRateHigh: 0.3
+      errorRateHigh: 0.3,
+      contextUsagePercent: 0.85
     };
     
     // State
@@ -37,6 +38,8 @@ class PerformanceMonitor {
     this.lastCollection = null;
     this.historicalData = [];
     this.maxHistorySize = 60; // Keep 1 hour of minute-by-minute data
+    this.recentAlerts = [];
+    this.maxAlertHistory = 100;
     
     // Performance baseline
     this.baseline = {
@@ -139,6 +142,7 @@ class PerformanceMonitor {
       // Check for alerts
       const alerts = this._checkAlerts(metrics);
       metrics.alerts = alerts;
+      this._addAlerts(alerts);
       
       // Log metrics
       this.perfLogger.info(metrics);
@@ -377,7 +381,9 @@ class PerformanceMonitor {
         cpuUsage: metrics.system.cpuUsage,
         activeQueue: metrics.bot?.currentState || 'unknown',
         totalActions: metrics.bot?.actionsPerMinute || 0,
-        llmRequests: metrics.llm.requestCount
+        llmRequests: metrics.llm.requestCount,
+        health: metrics.bot?.health,
+        food: metrics.bot?.food
       }
     });
     
@@ -387,6 +393,17 @@ class PerformanceMonitor {
     }
   }
   
+  /**
+   * Keep raised alerts beyond the collection that produced them
+   */
+  _addAlerts(alerts) {
+    this.recentAlerts.push(...alerts);
+    
+    if (this.recentAlerts.length > this.maxAlertHistory) {
+      this.recentAlerts.splice(0, this.recentAlerts.length - this.maxAlertHistory);
+    }
+  }
+  
   /**
    * Check for alert conditions
    */
@@ -454,6 +471,8 @@ class PerformanceMonitor {
       });
     }
     
+    alerts.push(...this._checkPromptSizes(metrics));
+    
     // Bot health alerts
     if (metrics.bot.health !== undefined && metrics.bot.health < 10) {
       alerts.push({
@@ -486,6 +505,40 @@ class PerformanceMonitor {
     return alerts;
   }
   
+  /**
+   * Alert for prompts sent since the last collection that come close to the context window
+   * The message names the context field that took the most tokens.
+   */
+  _checkPromptSizes(metrics) {
+    const alerts = [];
+    const since = this.lastCollection ? Date.parse(this.lastCollection) : 0;
+    
+    for (const [promptName, stats] of Object.entries(metrics.llm.prompts || {})) {
+      if (stats.timestamp <= since || !metrics.llm.contextWindow) {
+        continue;
+      }
+      
+      const tokens = stats.actualTokens ?? stats.estimatedTokens;
+      const usage = tokens / metrics.llm.contextWindow;
+      if (usage < this.alertThresholds.contextUsagePercent) {
+        continue;
+      }
+      
+      const [largestField, largestTokens] = Object.entries(stats.fields)
+        .filter(([field]) => field !== 'template')
+        .sort((a, b) => b[1] - a[1])[0] || ['template', 0];
+      
+      alerts.push({
+        level: usage >= 1 ? 'error' : 'warning',
+        component: 'llm',
+        message: `Prompt ${promptName} uses ${tokens}/${metrics.llm.contextWindow} tokens (${Math.round(usage * 100)}%), largest field: ${largestField} (${largestTokens})`,
+        timestamp: metrics.timestamp
+      });
+    }
+    
+    return alerts;
+  }
+  
   /**
    * Log summary to console
    */
@@ -517,6 +570,13 @@ class PerformanceMonitor {
     return this.historicalData;
   }
   
+  /**
+   * Get recently raised alerts, oldest first
+   */
+  getRecentAlerts(limit = 20) {
+    return this.recentAlerts.slice(-limit);
+  }
+  
   /**
    * Get performance trends
    */
@@ -20,19 +20,8 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { mkdirSync } from 'fs';
 
-// Module imports - KORREKT: Funktionale Module als Objekte importieren
-import BotStateManager from './Queues/BotStateManager.js';
-import Events from './Bot/Events.js';
-import OllamaInterface from './LLM/OllamaInterface.js';
-import AiResponseParser from './LLM/AiResponseParser.js';
-import * as actionValidator from './LLM/ActionValidator.js';
-import QueueManager from './Queues/QueueManager.js';
-import EventDispatcher from './Bot/EventDispatcher.js';
-import LearningManager from './Memory/LearningManager.js';
-import SkillLibrary from './Bot/SkillLibrary.js';
-import ErrorRecovery from './Utils/ErrorRecovery.js';
-import PerformanceMonitor from './Utils/PerformanceMonitor.js';
-import * as botActions from './Bot/BotActions.js';
+import { createModules, ensureMemoryDirectories } from './Bot/ModuleFactory.js';
+import ControlServer from './Utils/ControlServer.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -42,17 +31,8 @@ dotenv.config();
 
 // Ensure required directories exist
 function ensureDirectoriesExist() {
-  const directories = [
-    join(__dirname, 'Logs'),
-    join(__dirname, 'Memory', 'StandardQueue'),
-    join(__dirname, 'Memory', 'EmergencyQueue'),
-    join(__dirname, 'Memory', 'RespawnQueue'),
-    join(__dirname, 'Memory', 'SkillMemory')
-  ];
-  
-  directories.forEach(dir => {
-    mkdirSync(dir, { recursive: true });
-  });
+  mkdirSync(join(__dirname, 'Logs'), { recursive: true });
+  ensureMemoryDirectories();
 }
 
 // Create directories before anything else
@@ -158,81 +138,43 @@ async function initializeBot() {
         const initialState = new NestedStateMachine([], new BehaviorIdle());
         bot.stateMachine = new BotStateMachine(bot, initialState);
         // Module instantiation with correct dependency injection
-        
-        // Phase 1: Core modules without dependencies
-        modules.botStateManager = new BotStateManager();
-        modules.learningManager = new LearningManager();
-        
-        // Phase 2: Funktionale Module (NICHT instanziieren!)
-        modules.botActions = botActions;
-        bot.botActions = modules.botActions;
-        modules.actionValidator = actionValidator;
-        
-        // Phase 3: LLM modules
-        modules.ollamaInterface = new OllamaInterface(
-          process.env.OLLAMA_HOST || 'http://localhost:11434',
-          process.env.OLLAMA_MODEL || 'llama2',
-          parseInt(process.env.OLLAMA_TIMEOUT) || 30000
-        );
-        modules.aiResponseParser = new AiResponseParser(modules.actionValidator, bot, modules.botStateManager, logger);
-        
-        // Phase 4: Error Recovery
-        modules.errorRecovery = new ErrorRecovery(bot, modules.learningManager, logger);
-        
-        // Phase 5: Queue Manager (creates queues internally)
-        modules.queueManager = new QueueManager(
-          bot,
-          modules.botStateManager,
-          modules.ollamaInterface,
-          modules.aiResponseParser,
-          modules.botActions,
-          modules.learningManager,
-          logger
-        );
-        
-        // Initialize queue manager (this creates the queues)
-        modules.queueManager.initialize();
-        
-        // Phase 6: Event Dispatcher
-        modules.eventDispatcher = new EventDispatcher(
-          bot,
-          modules.queueManager,
-          modules.botStateManager,
-          logger
-        );
-        
-        // Phase 7: Events
-        modules.events = new Events(
-          bot,
-          modules.botStateManager
-        );
-        
-        // Set the event dispatcher reference
-        modules.events.setEventDispatcher(modules.eventDispatcher);
-        
-        // Phase 8: Advanced modules
-        modules.skillLibrary = new SkillLibrary(
-          bot,
-          modules.learningManager
-        );
-        
-        // Phase 9: Performance Monitor (needs all modules)
-        modules.performanceMonitor = new PerformanceMonitor(modules, logger);
+        Object.assign(modules, createModules(bot, logger));
         
         logger.info('All modules initialized successfully');
         
+        // Continue a half-finished plan from before the crash or reconnect.
+        // Restored before any event is handled, so no status update can start a fresh plan first.
+        const savedState = await modules.queueManager.loadState();
+        if (savedState) {
+          await modules.queueManager.restoreState(savedState);
+        }
+        
         // Start the event dispatcher
         if (modules.eventDispatcher.startListening) {
           modules.eventDispatcher.startListening();
           logger.info('System ready - EventDispatcher active');
         }
         
+        // Translate game events (chat, damage, death, ...) into EventMessages
+        modules.events.startListening();
+        
         // Start performance monitoring
         if (modules.performanceMonitor.start) {
           modules.performanceMonitor.start();
           logger.info('Performance monitoring started');
         }
         
+        // Opt-in local control API; a busy port must not take the bot down
+        if (process.env.CONTROL_API_ENABLED === 'true') {
+          try {
+            modules.controlServer = new ControlServer(modules, logger);
+            await modules.controlServer.start();
+          } catch (error) {
+            logger.error(`Control API could not start: ${error.message}`);
+            modules.controlServer = null;
+          }
+        }
+        
         // Send ready message
         bot.chat('PiepsLama online and ready!');
         
@@ -281,7 +223,7 @@ async function initializeBot() {
 /**
  * Handle reconnection attempts
  */
-function handleReconnect() {
+async function handleReconnect() {
   if (reconnectAttempts >= maxReconnectAttempts) {
     logger.error('Max reconnection attempts reached. Shutting down.');
     process.exit(1);
@@ -292,15 +234,31 @@ function handleReconnect() {
   
   logger.info(`Attempting reconnection ${reconnectAttempts}/${maxReconnectAttempts} in ${delay}ms...`);
   
-  // Clean up existing bot instance
+  // Clean up existing bot instance first, so its 'end' after a 'kicked' cannot start a second reconnect meanwhile
   if (bot) {
     bot.removeAllListeners();
     bot = null;
   }
   
   // Clear modules
+  const previousModules = modules;
   modules = {};
   
+  // Persist progress so the next session can pick up the plan, and free the port,
+  // both finished before the next session starts
+  try {
+    if (previousModules.queueManager) {
+      previousModules.queueManager.stopAutoSave();
+      await previousModules.queueManager.saveState();
+    }
+    
+    if (previousModules.controlServer) {
+      await previousModules.controlServer.stop();
+    }
+  } catch (error) {
+    logger.error('Error while cleaning up before reconnect:', error);
+  }
+  
   setTimeout(() => {
     initializeBot();
   }, delay);
@@ -337,6 +295,10 @@ async function gracefulShutdown(reason = 'Unknown') {
     }
     
     // Stop all modules
+    if (modules.controlServer) {
+      await modules.controlServer.stop();
+    }
+    
     if (modules.eventDispatcher && modules.eventDispatcher.stopListening) {
       modules.eventDispatcher.stopListening();
     }